@@ -1,13 +1,13 @@
 import {html} from 'lit';
 import {customElement} from 'lit/decorators/custom-element.js';
 import {property} from 'lit/decorators/property.js';
-import type {SimulatorCustomInstruction} from 'xrblocks';
+import * as xb from 'xrblocks';
 
 import {SimulatorInstructionsCard} from './SimulatorInstructionsCard.js';
 
 @customElement('xrblocks-simulator-custom-instruction')
 export class CustomInstruction extends SimulatorInstructionsCard {
-  @property() customInstruction!: SimulatorCustomInstruction;
+  @property() customInstruction!: xb.SimulatorCustomInstruction;
 
   getHeaderContents() {
     return html`${this.customInstruction.header}`;
@@ -18,7 +18,7 @@ export class CustomInstruction extends SimulatorInstructionsCard {
       ? html`
           <video playsinline autoplay muted loop>
             <source src=${this.customInstruction.videoSrc} type="video/webm" />
-            Your browser does not support the video tag.
+            ${xb.i18n.t('simulator.instructions.videoUnsupported')}
           </video>
         `
       : html``;
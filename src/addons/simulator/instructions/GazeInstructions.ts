@@ -0,0 +1,29 @@
+import {html} from 'lit';
+import {customElement} from 'lit/decorators/custom-element.js';
+import * as xb from 'xrblocks';
+
+import {SimulatorInstructionsCard} from './SimulatorInstructionsCard.js';
+
+@customElement('xrblocks-simulator-gaze-instructions')
+export class GazeInstructions extends SimulatorInstructionsCard {
+  getImageContents() {
+    return html``;
+  }
+
+  getDescriptionContents() {
+    return html`
+      <h2>${xb.i18n.t('simulator.instructions.gazeMode.title')}</h2>
+      <p>
+        ${this.translateMessage('simulator.instructions.gazeMode.description')}
+      </p>
+      <ul>
+        <li>
+          ${this.translateMessage('simulator.instructions.gazeMode.gaze')}
+        </li>
+        <li>
+          ${this.translateMessage('simulator.instructions.gazeMode.rotate')}
+        </li>
+      </ul>
+    `;
+  }
+}
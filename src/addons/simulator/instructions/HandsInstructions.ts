@@ -14,32 +14,36 @@ export class HandsInstructions extends SimulatorInstructionsCard {
     return html`
       <video playsinline autoplay muted loop>
         <source src="${SIMULATOR_HANDS_VIDEO_PATH}" type="video/webm" />
-        Your browser does not support the video tag.
+        ${xb.i18n.t('simulator.instructions.videoUnsupported')}
       </video>
     `;
   }
 
   getDescriptionContents() {
     return html`
-      <h2>Hands Mode</h2>
+      <h2>${xb.i18n.t('simulator.instructions.handsMode.title')}</h2>
       <p>
-        From Navigation Mode, press <strong>Left Shift</strong> to enter
-        <strong>Hands Mode</strong>. This mode allows for precise manipulation
-        of virtual hands.
+        ${this.translateMessage('simulator.instructions.handsMode.description')}
       </p>
       <ul>
         <li>
-          <strong>Move Hand:</strong> Use the W, A, S, D keys to move it
-          forward, left, backward, and right.
+          ${this.translateMessage('simulator.instructions.handsMode.move')}
         </li>
         <li>
-          <strong>Elevate Hand:</strong> Use the Q (up) and E (down) keys.
+          ${this.translateMessage('simulator.instructions.handsMode.elevate')}
         </li>
         <li>
-          <strong>Switch Active Hand:</strong> Press the T key to toggle between
-          hands.
+          ${this.translateMessage('simulator.instructions.handsMode.switch')}
+        </li>
+        <li>
+          ${this.translateMessage('simulator.instructions.handsMode.pinch')}
+        </li>
+        <li>
+          ${this.translateMessage('simulator.instructions.handsMode.gamepad')}
+        </li>
+        <li>
+          ${this.translateMessage('simulator.instructions.handsMode.gestures')}
         </li>
-        <li><strong>Simulate Pinch:</strong> Press the Spacebar.</li>
       </ul>
     `;
   }
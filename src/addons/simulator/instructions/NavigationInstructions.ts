@@ -14,25 +14,33 @@ export class NavigationInstructions extends SimulatorInstructionsCard {
     return html`
       <video playsinline autoplay muted loop>
         <source src=${SIMULATOR_NAVIGATION_VIDEO_PATH} type="video/webm" />
-        Your browser does not support the video tag.
+        ${xb.i18n.t('simulator.instructions.videoUnsupported')}
       </video>
     `;
   }
 
   getDescriptionContents() {
     return html`
-      <h2>Navigation Mode</h2>
+      <h2>${xb.i18n.t('simulator.instructions.navigationMode.title')}</h2>
       <p>
-        Press <strong>Left Shift</strong> to toggle Navigation Mode. In this
-        mode, virtual hands appear and the mouse controls the camera view.
+        ${this.translateMessage(
+          'simulator.instructions.navigationMode.description'
+        )}
       </p>
       <ul>
         <li>
-          <strong>Move Forward/Backward/Sideways:</strong> Use the W, A, S, D
-          keys.
+          ${this.translateMessage('simulator.instructions.navigationMode.move')}
+        </li>
+        <li>
+          ${this.translateMessage(
+            'simulator.instructions.navigationMode.elevate'
+          )}
+        </li>
+        <li>
+          ${this.translateMessage(
+            'simulator.instructions.navigationMode.rotate'
+          )}
         </li>
-        <li><strong>Move Up/Down:</strong> Use the Q and E keys.</li>
-        <li><strong>Rotate Camera:</strong> Click and drag the mouse.</li>
       </ul>
     `;
   }
@@ -1,4 +1,5 @@
 import './CustomInstruction.js';
+import './GazeInstructions.js';
 import './HandsInstructions.js';
 import './NavigationInstructions.js';
 import './UserInstructions.js';
@@ -33,6 +34,7 @@ export class SimulatorInstructions extends LitElement {
     html` <xrblocks-simulator-user-instructions />`,
     html` <xrblocks-simulator-navigation-instructions />`,
     html` <xrblocks-simulator-hands-instructions />`,
+    html` <xrblocks-simulator-gaze-instructions />`,
   ];
 
   @property() customInstructions: SimulatorCustomInstruction[] = [];
@@ -1,5 +1,7 @@
 import {css, html, LitElement} from 'lit';
 import {customElement} from 'lit/decorators/custom-element.js';
+import {unsafeHTML} from 'lit/directives/unsafe-html.js';
+import * as xb from 'xrblocks';
 
 import {
   SimulatorInstructionsCloseEvent,
@@ -79,6 +81,26 @@ export class SimulatorInstructionsCard extends LitElement {
     }
   `;
 
+  private onLocaleChangeBound = () => this.requestUpdate();
+
+  connectedCallback() {
+    super.connectedCallback();
+    xb.i18n.addEventListener('localechange', this.onLocaleChangeBound);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    xb.i18n.removeEventListener('localechange', this.onLocaleChangeBound);
+  }
+
+  /**
+   * Translates a message which may contain markup, e.g. `<strong>`.
+   * @param key - The key of the message.
+   */
+  protected translateMessage(key: string) {
+    return unsafeHTML(xb.i18n.t(key));
+  }
+
   continueButtonClicked() {
     this.dispatchEvent(new SimulatorInstructionsNextEvent());
   }
@@ -88,7 +110,7 @@ export class SimulatorInstructionsCard extends LitElement {
   }
 
   getHeaderContents() {
-    return html` <h1>Welcome to XR Blocks!</h1> `;
+    return html` <h1>${xb.i18n.t('simulator.instructions.welcome')}</h1> `;
   }
 
   getImageContents() {
@@ -106,7 +128,7 @@ export class SimulatorInstructionsCard extends LitElement {
       <div class="image-div">${this.getImageContents()}</div>
       <div class="description-div">${this.getDescriptionContents()}</div>
       <button type="button" @click=${this.continueButtonClicked}>
-        Continue
+        ${xb.i18n.t('simulator.instructions.continue')}
       </button>
     `;
   }
@@ -14,28 +14,30 @@ export class UserInstructions extends SimulatorInstructionsCard {
     return html`
       <video playsinline autoplay muted loop>
         <source src=${SIMULATOR_USER_VIDEO_PATH} type="video/webm" />
-        Your browser does not support the video tag.
+        ${xb.i18n.t('simulator.instructions.videoUnsupported')}
       </video>
     `;
   }
 
   getDescriptionContents() {
     return html`
-      <h2>User Mode</h2>
+      <h2>${xb.i18n.t('simulator.instructions.userMode.title')}</h2>
       <p>
-        The simulator starts in <strong>User Mode</strong> by default. This mode
-        is for moving the camera and interacting directly with scene objects.
+        ${this.translateMessage('simulator.instructions.userMode.description')}
       </p>
       <ul>
         <li>
-          <strong>Move Forward/Backward/Sideways:</strong> Use the W, A, S, D
-          keys.
+          ${this.translateMessage('simulator.instructions.userMode.move')}
         </li>
-        <li><strong>Move Up/Down:</strong> Use the Q and E keys.</li>
         <li>
-          <strong>Rotate Camera:</strong> Hold the right mouse button and drag.
+          ${this.translateMessage('simulator.instructions.userMode.elevate')}
+        </li>
+        <li>
+          ${this.translateMessage('simulator.instructions.userMode.rotate')}
+        </li>
+        <li>
+          ${this.translateMessage('simulator.instructions.userMode.select')}
         </li>
-        <li><strong>Select Object:</strong> Left-click the mouse.</li>
       </ul>
     `;
   }
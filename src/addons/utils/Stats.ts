@@ -10,9 +10,21 @@ export class Stats extends xb.Script {
   softHeadLockOffsetRotation = new THREE.Quaternion().setFromEuler(
     new THREE.Euler(0, 0.1 * Math.PI, 0)
   );
+  /**
+   * Mesh listing the slowest sections of `xb.core.profiler`, shown below the
+   * stats while the profiler is enabled.
+   */
+  profileMesh: THREE.Mesh<THREE.PlaneGeometry, THREE.MeshBasicMaterial>;
+  /** Number of profiler sections to list. */
+  profileEntryCount = 8;
+  /** Seconds between redraws of the profiler breakdown. */
+  profileRefreshInterval = 0.5;
   private targetPosition = new THREE.Vector3();
   private targetRotation = new THREE.Quaternion();
   private texture: THREE.CanvasTexture;
+  private profileCanvas = document.createElement('canvas');
+  private profileTexture: THREE.CanvasTexture;
+  private timeSinceProfileRefresh = Infinity;
 
   constructor() {
     super();
@@ -27,6 +39,20 @@ export class Stats extends xb.Script {
       })
     );
     this.add(this.mesh);
+
+    this.profileCanvas.width = 256;
+    this.profileCanvas.height = 16 * (this.profileEntryCount + 1);
+    this.profileTexture = new THREE.CanvasTexture(this.profileCanvas);
+    const profileHeight =
+      (0.15 * this.profileCanvas.height) / this.profileCanvas.width;
+    this.profileMesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.15, profileHeight),
+      new THREE.MeshBasicMaterial({map: this.profileTexture})
+    );
+    // Placed directly below the stats mesh.
+    this.profileMesh.position.y = -(0.09 + profileHeight) / 2;
+    this.profileMesh.visible = false;
+    this.add(this.profileMesh);
   }
 
   showPanel(panel: number) {
@@ -66,9 +92,46 @@ export class Stats extends xb.Script {
     this.softHeadLock = false;
   }
 
+  private drawProfile(profiler: xb.Profiler) {
+    const ctx = this.profileCanvas.getContext('2d');
+    if (!ctx) return;
+    const {width, height} = this.profileCanvas;
+    ctx.fillStyle = '#002';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = 'bold 11px Helvetica,Arial,sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#0ff';
+    ctx.fillText('Section', 4, 3);
+    ctx.textAlign = 'right';
+    ctx.fillText('avg ms', width - 52, 3);
+    ctx.fillText('max ms', width - 4, 3);
+    profiler.getEntries(this.profileEntryCount).forEach((entry, i) => {
+      const y = 16 * (i + 1) + 3;
+      ctx.fillStyle = '#fff';
+      ctx.textAlign = 'left';
+      ctx.fillText(entry.label, 4, y, width - 112);
+      ctx.textAlign = 'right';
+      ctx.fillText(entry.averageMs.toFixed(2), width - 52, y);
+      ctx.fillText(entry.maxMs.toFixed(2), width - 4, y);
+    });
+    this.profileTexture.needsUpdate = true;
+  }
+
+  private updateProfile() {
+    const profiler = xb.core.profiler;
+    this.profileMesh.visible = profiler.enabled;
+    if (!profiler.enabled) return;
+    this.timeSinceProfileRefresh += xb.getDeltaTime();
+    if (this.timeSinceProfileRefresh >= this.profileRefreshInterval) {
+      this.timeSinceProfileRefresh = 0;
+      this.drawProfile(profiler);
+    }
+  }
+
   override update() {
     this.texture.needsUpdate = true;
     this.stats.update();
+    this.updateProfile();
     if (this.softHeadLock) {
       this.updateSoftHeadlock();
     }
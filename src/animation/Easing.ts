@@ -0,0 +1,55 @@
+/**
+ * Maps linear progress in [0, 1] to eased progress. Most curves start at 0 and
+ * end at 1, but may overshoot in between, e.g. `backOut`.
+ */
+export type EasingFunction = (t: number) => number;
+
+const BACK_OVERSHOOT = 1.70158;
+
+function bounceOut(t: number) {
+  const n = 7.5625;
+  const d = 2.75;
+  if (t < 1 / d) {
+    return n * t * t;
+  } else if (t < 2 / d) {
+    t -= 1.5 / d;
+    return n * t * t + 0.75;
+  } else if (t < 2.5 / d) {
+    t -= 2.25 / d;
+    return n * t * t + 0.9375;
+  }
+  t -= 2.625 / d;
+  return n * t * t + 0.984375;
+}
+
+/**
+ * Common easing curves for tweens, following the naming of
+ * https://easings.net.
+ */
+export const Easing = {
+  linear: (t: number) => t,
+  quadIn: (t: number) => t * t,
+  quadOut: (t: number) => t * (2 - t),
+  quadInOut: (t: number) =>
+    t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+  cubicIn: (t: number) => t * t * t,
+  cubicOut: (t: number) => 1 - Math.pow(1 - t, 3),
+  cubicInOut: (t: number) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  sineIn: (t: number) => 1 - Math.cos((t * Math.PI) / 2),
+  sineOut: (t: number) => Math.sin((t * Math.PI) / 2),
+  sineInOut: (t: number) => -(Math.cos(Math.PI * t) - 1) / 2,
+  backIn: (t: number) =>
+    (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t,
+  backOut: (t: number) =>
+    1 +
+    (BACK_OVERSHOOT + 1) * Math.pow(t - 1, 3) +
+    BACK_OVERSHOOT * Math.pow(t - 1, 2),
+  elasticOut: (t: number) =>
+    t === 0 || t === 1
+      ? t
+      : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) +
+        1,
+  bounceOut,
+  bounceIn: (t: number) => 1 - bounceOut(1 - t),
+} satisfies Record<string, EasingFunction>;
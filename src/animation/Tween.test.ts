@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+import {describe, expect, it, vi} from 'vitest';
+
+import {CancellationToken} from '../core/components/CancellationToken';
+import {Easing} from './Easing';
+import {Sequence, Tween} from './Tween';
+import {TweenManager} from './TweenManager';
+
+describe('TweenManager', () => {
+  it('animates numbers, vectors and colors in place', () => {
+    const tweens = new TweenManager();
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(),
+      new THREE.MeshBasicMaterial({color: 0x000000, transparent: true})
+    );
+    const position = mesh.position;
+    tweens.tween(mesh, {position: [2, 0, 0]}, {easing: Easing.linear});
+    tweens.tween(
+      mesh.material,
+      {opacity: 0, color: 0xffffff},
+      {duration: 1, easing: Easing.linear}
+    );
+
+    tweens.update(0.15);
+    expect(mesh.position).toBe(position);
+    expect(mesh.position.x).toBeCloseTo(1);
+    expect(mesh.material.opacity).toBeCloseTo(0.85);
+
+    tweens.update(1);
+    expect(mesh.position.x).toBe(2);
+    expect(mesh.material.opacity).toBe(0);
+    expect(mesh.material.color.getHex()).toBe(0xffffff);
+  });
+
+  it('plays sequences and parallel groups', async () => {
+    const tweens = new TweenManager();
+    const uniform = {value: 0};
+    const scale = new THREE.Vector3(1, 1, 1);
+    const options = {duration: 1, easing: Easing.linear};
+    const sequence = tweens.sequence([
+      new Tween(uniform, {value: 1}, options),
+      0.5,
+      tweens.parallel([]),
+    ]);
+    const group = tweens.parallel([
+      new Tween(uniform, {value: 1}, options),
+      new Tween(scale, {x: 3}, {...options, duration: 2}),
+    ]);
+    group.stop();
+
+    tweens.update(1.25);
+    expect(uniform.value).toBe(1);
+    expect(sequence.isFinished).toBe(false);
+
+    tweens.update(0.25);
+    await sequence.finished;
+    expect(sequence.completed).toBe(true);
+    expect(group.completed).toBe(false);
+    expect(scale.x).toBe(1);
+  });
+
+  it('repeats and reverses with yoyo', () => {
+    const tweens = new TweenManager();
+    const target = {value: 0};
+    const tween = tweens.tween(
+      target,
+      {value: 1},
+      {duration: 1, repeat: 1, yoyo: true, easing: Easing.linear}
+    );
+
+    tweens.update(0.5);
+    expect(target.value).toBeCloseTo(0.5);
+    tweens.update(0.75);
+    expect(target.value).toBeCloseTo(0.75);
+    tweens.update(1);
+    expect(target.value).toBe(0);
+    expect(tween.completed).toBe(true);
+  });
+
+  it('stops tweens when their token is cancelled or while paused', () => {
+    const tweens = new TweenManager();
+    const token = new CancellationToken();
+    const target = {value: 0};
+    const onComplete = vi.fn();
+    const tween = tweens.tween(
+      target,
+      {value: 1},
+      {duration: 1, easing: Easing.linear, token, onComplete}
+    );
+
+    tweens.paused = true;
+    tweens.update(0.5);
+    expect(target.value).toBe(0);
+
+    tweens.paused = false;
+    tweens.update(0.5);
+    token.cancel();
+    tweens.update(1);
+
+    expect(target.value).toBeCloseTo(0.5);
+    expect(tween.isFinished).toBe(true);
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+
+  it('stops the animations of stopped groups', async () => {
+    const tweens = new TweenManager();
+    const token = new CancellationToken();
+    const target = {value: 0};
+    const first = new Tween(target, {value: 1}, {duration: 1});
+    const second = new Tween(target, {value: 2}, {duration: 1});
+    const nested = new Tween(target, {value: 3}, {duration: 1});
+    tweens.sequence([first, second]);
+    tweens.parallel([new Sequence([nested])], {token});
+
+    tweens.update(0.5);
+    token.cancel();
+    await nested.finished;
+    expect(nested.completed).toBe(false);
+    expect(first.isFinished).toBe(false);
+
+    tweens.stopAll();
+    await Promise.all([first.finished, second.finished]);
+    expect(first.completed).toBe(false);
+    expect(second.completed).toBe(false);
+  });
+});
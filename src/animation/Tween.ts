@@ -0,0 +1,399 @@
+import * as THREE from 'three';
+
+import type {CancellationToken} from '../core/components/CancellationToken';
+
+import {Easing, EasingFunction} from './Easing';
+
+export type TweenAnimationOptions = {
+  /** Stops the animation when cancelled, e.g. a script's `lifetime`. */
+  token?: CancellationToken;
+  /** Called once when the animation reaches its end. */
+  onComplete?: () => void;
+};
+
+/**
+ * The end value of a tweened property: a number, a color in any
+ * `THREE.ColorRepresentation`, or a vector, quaternion or euler either as an
+ * object of the same type or as an array.
+ */
+export type TweenValue<V> = V extends number
+  ? number
+  : V extends THREE.Color
+    ? THREE.ColorRepresentation
+    : V extends
+          | THREE.Vector2
+          | THREE.Vector3
+          | THREE.Vector4
+          | THREE.Quaternion
+          | THREE.Euler
+      ? V | number[]
+      : never;
+
+/**
+ * The properties of a target to tween and their end values.
+ */
+export type TweenProperties<T> = {[K in keyof T]?: TweenValue<T[K]>};
+
+export type TweenOptions = TweenAnimationOptions & {
+  /** Duration of one iteration in seconds. */
+  duration?: number;
+  /** Seconds to wait before starting. Start values are read after it. */
+  delay?: number;
+  easing?: EasingFunction;
+  /** Number of extra iterations. Use `Infinity` to loop forever. */
+  repeat?: number;
+  /** Whether every other iteration plays backwards. */
+  yoyo?: boolean;
+  /** Called after every update with the eased progress of the iteration. */
+  onUpdate?: (progress: number) => void;
+};
+
+type Interpolator = (t: number) => void;
+
+type VectorLike = THREE.Vector2 | THREE.Vector3 | THREE.Vector4;
+
+/**
+ * Base class of tweens and groups of them. An animation is advanced with
+ * `update`, usually by the `TweenManager` from the core frame loop.
+ */
+export abstract class TweenAnimation {
+  /** Seconds played so far. */
+  time = 0;
+  /** Whether the animation reached its end or was stopped. */
+  isFinished = false;
+  /** Whether the animation reached its end, as opposed to being stopped. */
+  completed = false;
+  /**
+   * Resolves when the animation reaches its end or is stopped. Check
+   * `completed` to tell the two apart.
+   */
+  readonly finished: Promise<void>;
+  onComplete?: () => void;
+
+  private resolveFinished!: () => void;
+
+  constructor({token, onComplete}: TweenAnimationOptions = {}) {
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+    this.onComplete = onComplete;
+    token?.onCancel(() => this.stop());
+  }
+
+  /** Total duration in seconds including delays and repeats. */
+  abstract readonly duration: number;
+
+  /**
+   * Sets the animated values to their state at a point in time.
+   * @param time - Seconds since the start, between 0 and `duration`. Must not
+   * decrease between calls.
+   */
+  protected abstract seek(time: number): void;
+
+  /**
+   * Advances the animation.
+   * @param deltaSeconds - The time to advance by.
+   * @returns Whether the animation is finished.
+   */
+  update(deltaSeconds: number) {
+    return this.advanceTo(this.time + deltaSeconds);
+  }
+
+  /**
+   * Advances the animation to a point in time, completing it once `time`
+   * reaches its duration.
+   * @param time - Seconds since the start.
+   * @returns Whether the animation is finished.
+   */
+  advanceTo(time: number) {
+    if (this.isFinished) return true;
+    this.time = Math.min(Math.max(time, this.time), this.duration);
+    this.seek(this.time);
+    if (this.time >= this.duration) {
+      this.finish(true);
+    }
+    return this.isFinished;
+  }
+
+  /**
+   * Jumps to the end of the animation and completes it. Not possible for
+   * infinitely repeating animations, which are stopped instead.
+   */
+  complete() {
+    if (this.duration === Infinity) {
+      this.stop();
+    } else {
+      this.advanceTo(this.duration);
+    }
+  }
+
+  /**
+   * Stops the animation, leaving animated values where they are.
+   */
+  stop() {
+    this.finish(false);
+  }
+
+  private finish(completed: boolean) {
+    if (this.isFinished) return;
+    this.isFinished = true;
+    this.completed = completed;
+    if (completed) {
+      try {
+        this.onComplete?.();
+      } catch (e) {
+        console.error(e);
+      }
+    }
+    this.resolveFinished();
+  }
+}
+
+/**
+ * Animates properties of any object, such as `position` or `scale` of an
+ * Object3D, `opacity` or `color` of a material, or `value` of a shader
+ * uniform. Vectors, quaternions and colors are updated in place.
+ * @example
+ * ```
+ * tweens.tween(mesh.scale, {x: 2}, {duration: 0.5, easing: Easing.backOut});
+ * tweens.tween(mesh, {position: [0, 1, -1]}, {duration: 1});
+ * tweens.tween(material.uniforms.uOpacity, {value: 0});
+ * ```
+ */
+export class Tween<T extends object = object> extends TweenAnimation {
+  /** Duration of one iteration in seconds. */
+  iterationDuration: number;
+  delay: number;
+  easing: EasingFunction;
+  repeat: number;
+  yoyo: boolean;
+  onUpdate?: (progress: number) => void;
+
+  private interpolators?: Interpolator[];
+
+  /**
+   * @param target - The object whose properties are animated.
+   * @param to - The end values of the animated properties.
+   * @param options - Timing and callbacks of the tween.
+   */
+  constructor(
+    readonly target: T,
+    readonly to: TweenProperties<T>,
+    options: TweenOptions = {}
+  ) {
+    super(options);
+    this.iterationDuration = options.duration ?? 0.3;
+    this.delay = options.delay ?? 0;
+    this.easing = options.easing ?? Easing.quadInOut;
+    this.repeat = options.repeat ?? 0;
+    this.yoyo = options.yoyo ?? false;
+    this.onUpdate = options.onUpdate;
+  }
+
+  get duration() {
+    return this.delay + this.iterationDuration * (this.repeat + 1);
+  }
+
+  protected seek(time: number) {
+    if (time < this.delay) return;
+    this.interpolators ??= this.createInterpolators();
+    const local = time - this.delay;
+    let iteration: number;
+    let progress: number;
+    if (time >= this.duration) {
+      iteration = this.repeat;
+      progress = 1;
+    } else if (this.iterationDuration <= 0) {
+      iteration = 0;
+      progress = 1;
+    } else {
+      iteration = Math.floor(local / this.iterationDuration);
+      progress = local / this.iterationDuration - iteration;
+    }
+    if (this.yoyo && iteration % 2 === 1) {
+      progress = 1 - progress;
+    }
+    const eased = this.easing(progress);
+    for (const interpolate of this.interpolators) {
+      interpolate(eased);
+    }
+    this.onUpdate?.(eased);
+  }
+
+  /**
+   * Reads the start values of all animated properties.
+   */
+  private createInterpolators() {
+    const values = this.target as Record<string, unknown>;
+    const interpolators: Interpolator[] = [];
+    for (const [key, end] of Object.entries(this.to)) {
+      const current = values[key];
+      if (typeof current === 'number') {
+        const start = current;
+        const target = end as number;
+        interpolators.push((t) => {
+          values[key] = start + (target - start) * t;
+        });
+      } else if (current instanceof THREE.Color) {
+        const start = current.clone();
+        const target = new THREE.Color(end as THREE.ColorRepresentation);
+        interpolators.push((t) => current.lerpColors(start, target, t));
+      } else if (current instanceof THREE.Quaternion) {
+        const start = current.clone();
+        const target = toTarget(current, end);
+        interpolators.push((t) => current.slerpQuaternions(start, target, t));
+      } else if (current instanceof THREE.Euler) {
+        const start = current.clone();
+        const target = toTarget(current, end);
+        interpolators.push((t) =>
+          current.set(
+            start.x + (target.x - start.x) * t,
+            start.y + (target.y - start.y) * t,
+            start.z + (target.z - start.z) * t
+          )
+        );
+      } else if (isVector(current)) {
+        const start = current.clone();
+        const target = toTarget(current, end);
+        interpolators.push((t) =>
+          (current as THREE.Vector4).lerpVectors(
+            start as THREE.Vector4,
+            target as THREE.Vector4,
+            t
+          )
+        );
+      } else {
+        console.warn(`Tween: Property "${key}" can not be animated.`);
+      }
+    }
+    return interpolators;
+  }
+}
+
+/**
+ * Plays animations one after another. Numbers are pauses in seconds.
+ * @example
+ * ```
+ * tweens.play(new Sequence([
+ *   new Tween(panel, {opacity: 1}),
+ *   2,
+ *   new Tween(panel, {opacity: 0}),
+ * ]));
+ * ```
+ */
+export class Sequence extends TweenAnimation {
+  readonly animations: TweenAnimation[];
+  private startTimes: number[] = [];
+  private currentIndex = 0;
+
+  /**
+   * @param animations - The animations to play, or pauses in seconds.
+   * @param options - Callbacks of the sequence.
+   */
+  constructor(
+    animations: (TweenAnimation | number)[],
+    options?: TweenAnimationOptions
+  ) {
+    super(options);
+    this.animations = animations.map((animation) =>
+      typeof animation === 'number' ? new Pause(animation) : animation
+    );
+    let startTime = 0;
+    for (const animation of this.animations) {
+      this.startTimes.push(startTime);
+      startTime += animation.duration;
+    }
+  }
+
+  get duration() {
+    return this.animations.reduce((sum, a) => sum + a.duration, 0);
+  }
+
+  protected seek(time: number) {
+    while (this.currentIndex < this.animations.length) {
+      const animation = this.animations[this.currentIndex];
+      if (!animation.advanceTo(time - this.startTimes[this.currentIndex])) {
+        break;
+      }
+      this.currentIndex++;
+    }
+  }
+
+  /**
+   * Stops the sequence along with its animations which have not finished.
+   */
+  override stop() {
+    for (const animation of this.animations) {
+      animation.stop();
+    }
+    super.stop();
+  }
+}
+
+/**
+ * Plays animations at the same time. Finishes with the longest one.
+ */
+export class Parallel extends TweenAnimation {
+  /**
+   * @param animations - The animations to play.
+   * @param options - Callbacks of the group.
+   */
+  constructor(
+    readonly animations: TweenAnimation[],
+    options?: TweenAnimationOptions
+  ) {
+    super(options);
+  }
+
+  get duration() {
+    return Math.max(0, ...this.animations.map((a) => a.duration));
+  }
+
+  protected seek(time: number) {
+    for (const animation of this.animations) {
+      animation.advanceTo(time);
+    }
+  }
+
+  /**
+   * Stops the group along with its animations which have not finished.
+   */
+  override stop() {
+    for (const animation of this.animations) {
+      animation.stop();
+    }
+    super.stop();
+  }
+}
+
+/**
+ * An animation which does nothing, used for pauses in sequences.
+ */
+class Pause extends TweenAnimation {
+  constructor(readonly duration: number) {
+    super();
+  }
+
+  protected seek() {}
+}
+
+function isVector(value: unknown): value is VectorLike {
+  return (
+    value instanceof THREE.Vector2 ||
+    value instanceof THREE.Vector3 ||
+    value instanceof THREE.Vector4
+  );
+}
+
+function toTarget<V extends VectorLike | THREE.Quaternion | THREE.Euler>(
+  current: V,
+  end: unknown
+): V {
+  const target = current.clone() as V;
+  if (Array.isArray(end)) {
+    (target as {fromArray(array: number[]): unknown}).fromArray(end);
+  } else {
+    target.copy(end as never);
+  }
+  return target;
+}
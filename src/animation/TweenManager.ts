@@ -0,0 +1,124 @@
+import {
+  Parallel,
+  Sequence,
+  Tween,
+  TweenAnimation,
+  TweenAnimationOptions,
+  TweenOptions,
+  TweenProperties,
+} from './Tween';
+
+/**
+ * Plays tweens and groups of them. Core updates it once per frame after the
+ * scripts' `update()` using the frame delta time, so animations pause along
+ * with the frame loop, including the simulator and manual stepping. Available
+ * as `xb.tweens` and through dependency injection.
+ * @example
+ * ```
+ * await xb.tweens.tween(balloon.scale, {x: 0, y: 0, z: 0}).finished;
+ * balloon.removeFromParent();
+ * ```
+ */
+export class TweenManager {
+  /** Whether animations are currently frozen. */
+  paused = false;
+  /** Multiplier for the frame delta time, e.g. 0.5 for slow motion. */
+  timeScale = 1;
+
+  private animations = new Set<TweenAnimation>();
+
+  /**
+   * Creates and plays a tween.
+   * @param target - The object whose properties are animated.
+   * @param to - The end values of the animated properties.
+   * @param options - Timing and callbacks of the tween.
+   */
+  tween<T extends object>(
+    target: T,
+    to: TweenProperties<T>,
+    options?: TweenOptions
+  ) {
+    return this.play(new Tween(target, to, options));
+  }
+
+  /**
+   * Creates and plays animations one after another.
+   * @param animations - The animations to play, or pauses in seconds. They
+   * must not be playing already.
+   * @param options - Callbacks of the sequence.
+   */
+  sequence(
+    animations: (TweenAnimation | number)[],
+    options?: TweenAnimationOptions
+  ) {
+    return this.play(new Sequence(animations, options));
+  }
+
+  /**
+   * Creates and plays animations at the same time.
+   * @param animations - The animations to play. They must not be playing
+   * already.
+   * @param options - Callbacks of the group.
+   */
+  parallel(animations: TweenAnimation[], options?: TweenAnimationOptions) {
+    return this.play(new Parallel(animations, options));
+  }
+
+  /**
+   * Plays an animation from the next frame on.
+   * @param animation - The animation to play.
+   * @returns The animation.
+   */
+  play<T extends TweenAnimation>(animation: T) {
+    if (!animation.isFinished) {
+      this.animations.add(animation);
+    }
+    return animation;
+  }
+
+  /**
+   * Stops all playing tweens of a target, e.g. before starting a new one.
+   * Tweens nested in groups are not affected.
+   * @param target - The animated object.
+   */
+  stopTweensOf(target: object) {
+    for (const animation of this.animations) {
+      if (animation instanceof Tween && animation.target === target) {
+        animation.stop();
+        this.animations.delete(animation);
+      }
+    }
+  }
+
+  /**
+   * Stops all playing animations.
+   */
+  stopAll() {
+    for (const animation of this.animations) {
+      animation.stop();
+    }
+    this.animations.clear();
+  }
+
+  /**
+   * Advances all playing animations. Called by Core every frame.
+   * @param deltaSeconds - The frame delta time.
+   */
+  update(deltaSeconds: number) {
+    if (this.paused) return;
+    const delta = Math.max(0, deltaSeconds) * this.timeScale;
+    for (const animation of Array.from(this.animations)) {
+      let finished: boolean;
+      try {
+        finished = animation.update(delta);
+      } catch (e) {
+        console.error(e);
+        animation.stop();
+        finished = true;
+      }
+      if (finished) {
+        this.animations.delete(animation);
+      }
+    }
+  }
+}
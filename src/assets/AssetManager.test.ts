@@ -0,0 +1,145 @@
+import {describe, expect, it, vi} from 'vitest';
+
+import {EventBus} from '../core/components/EventBus';
+import {AssetManager} from './AssetManager';
+import {AssetOptions} from './AssetOptions';
+
+type FakeAsset = {url: string};
+
+function createManager(options: Partial<AssetOptions> = {}) {
+  const events = new EventBus();
+  const assets = new AssetManager(events);
+  assets.init(Object.assign(new AssetOptions(), options));
+  const pending = new Map<
+    string,
+    {resolve: (asset: FakeAsset) => void; reject: (error: Error) => void}
+  >();
+  const started: string[] = [];
+  const disposed: string[] = [];
+  assets.registerLoader<FakeAsset>('fake', {
+    load: (url) =>
+      new Promise((resolve, reject) => {
+        started.push(url);
+        pending.set(url, {resolve, reject});
+      }),
+    dispose: (asset) => disposed.push(asset.url),
+  });
+  return {assets, events, pending, started, disposed};
+}
+
+describe('AssetManager', () => {
+  it('loads the manifest in the order of priority', async () => {
+    const {assets, started, pending} = createManager({maxConcurrentLoads: 1});
+    assets.register({
+      low: {url: 'low', type: 'fake'},
+      high: {url: 'high', type: 'fake', priority: 2},
+      medium: {url: 'medium', type: 'fake', priority: 1},
+    });
+
+    const preloaded = assets.preload();
+    // The first asset starts right away, the others by priority.
+    expect(started).toEqual(['low']);
+    pending.get('low')!.resolve({url: 'low'});
+    await vi.waitFor(() => expect(started).toEqual(['low', 'high']));
+    pending.get('high')!.resolve({url: 'high'});
+    await vi.waitFor(() => expect(started).toHaveLength(3));
+    pending.get('medium')!.resolve({url: 'medium'});
+    await preloaded;
+
+    expect(started).toEqual(['low', 'high', 'medium']);
+    expect(assets.get<FakeAsset>('medium')).toEqual({url: 'medium'});
+  });
+
+  it('shares and disposes assets by reference count', async () => {
+    const {assets, started, disposed, pending} = createManager();
+    assets.register({model: {url: 'model', type: 'fake'}});
+
+    const first = assets.load<FakeAsset>('model');
+    const second = assets.load<FakeAsset>('model');
+    pending.get('model')!.resolve({url: 'model'});
+
+    expect(await first).toBe(await second);
+    expect(started).toEqual(['model']);
+    assets.release('model');
+    expect(disposed).toEqual([]);
+    assets.release('model');
+    expect(disposed).toEqual(['model']);
+    expect(assets.get('model')).toBeUndefined();
+  });
+
+  it('retries failed loads and reports errors', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const {assets, events, started, pending} = createManager({
+      retries: 1,
+      retryDelay: 0,
+    });
+    const onError = vi.fn();
+    events.subscribe('assets/error', onError);
+    assets.register({
+      flaky: {url: 'flaky', type: 'fake'},
+      broken: {url: 'broken', type: 'fake', retries: 0},
+    });
+
+    const flaky = assets.load<FakeAsset>('flaky');
+    const broken = assets.load('broken');
+    pending.get('flaky')!.reject(new Error('Network error'));
+    pending.get('broken')!.reject(new Error('Not found'));
+    await expect(broken).rejects.toThrow('Not found');
+    await vi.waitFor(() => expect(started).toHaveLength(3));
+    pending.get('flaky')!.resolve({url: 'flaky'});
+
+    expect(await flaky).toEqual({url: 'flaky'});
+    expect(onError).toHaveBeenCalledExactlyOnceWith(
+      {key: 'broken', error: new Error('Not found')},
+      'assets/error'
+    );
+  });
+
+  it('stops retrying when disposed', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const {assets, events, started, pending} = createManager({
+      retries: 3,
+      retryDelay: 1,
+    });
+    const onError = vi.fn();
+    events.subscribe('assets/error', onError);
+    assets.register({flaky: {url: 'flaky', type: 'fake'}});
+
+    const flaky = assets.load('flaky');
+    pending.get('flaky')!.reject(new Error('Network error'));
+    await vi.advanceTimersByTimeAsync(0);
+    assets.dispose();
+
+    await expect(flaky).rejects.toThrow('disposed');
+    expect(vi.getTimerCount()).toBe(0);
+    await vi.advanceTimersByTimeAsync(10_000);
+    expect(started).toEqual(['flaky']);
+    expect(onError).not.toHaveBeenCalled();
+    vi.useRealTimers();
+  });
+
+  it('publishes the progress of the current batch', async () => {
+    const {assets, events, pending} = createManager();
+    const onProgress = vi.fn();
+    events.subscribe('assets/progress', onProgress);
+    assets.register({
+      a: {url: 'a', type: 'fake'},
+      b: {url: 'b', type: 'fake'},
+    });
+
+    const preloaded = assets.preload();
+    expect(assets.progress).toEqual({loaded: 0, total: 2, progress: 0});
+    pending.get('a')!.resolve({url: 'a'});
+    await vi.waitFor(() => expect(assets.progress.loaded).toBe(1));
+    expect(assets.progress.progress).toBe(0.5);
+    pending.get('b')!.resolve({url: 'b'});
+    await preloaded;
+
+    expect(onProgress).toHaveBeenLastCalledWith(
+      {loaded: 2, total: 2, progress: 1},
+      'assets/progress'
+    );
+  });
+});
@@ -0,0 +1,457 @@
+import * as THREE from 'three';
+import type {GLTF} from 'three/addons/loaders/GLTFLoader.js';
+
+import {EventBus} from '../core/components/EventBus';
+import {loadingSpinnerManager} from '../utils/LoadingSpinnerManager';
+import {ModelLoader} from '../utils/ModelLoader';
+
+import {AssetDescriptor, AssetManifest, AssetOptions} from './AssetOptions';
+
+/**
+ * Loads and disposes one type of asset.
+ */
+export type AssetLoader<T = unknown> = {
+  /**
+   * @param url - The URL of the asset.
+   * @param onProgress - Called with the fraction of the asset loaded so far.
+   */
+  load(url: string, onProgress: (fraction: number) => void): Promise<T>;
+  /** Releases the resources of an asset which is no longer referenced. */
+  dispose?(asset: T): void;
+};
+
+export type AssetProgress = {
+  /** Number of assets of the current batch which finished loading. */
+  loaded: number;
+  /** Number of assets in the current batch. */
+  total: number;
+  /** Fraction of the current batch loaded so far, in [0, 1]. */
+  progress: number;
+};
+
+type AssetEntry = {
+  key: string;
+  url: string;
+  type: string;
+  priority: number;
+  retries?: number;
+  references: number;
+  fraction: number;
+  promise?: Promise<unknown>;
+  asset?: unknown;
+  loaded: boolean;
+};
+
+const EXTENSION_TYPES: Record<string, string> = {
+  gltf: 'gltf',
+  glb: 'gltf',
+  ply: 'splat',
+  spz: 'splat',
+  splat: 'splat',
+  ksplat: 'splat',
+  png: 'texture',
+  jpg: 'texture',
+  jpeg: 'texture',
+  webp: 'texture',
+  gif: 'texture',
+  avif: 'texture',
+  mp3: 'audio',
+  ogg: 'audio',
+  opus: 'audio',
+  wav: 'audio',
+  m4a: 'audio',
+  aac: 'audio',
+  flac: 'audio',
+  json: 'json',
+};
+
+function guessType(url: string) {
+  const extension = url.split(/[?#]/)[0].split('.').pop()?.toLowerCase();
+  return (extension && EXTENSION_TYPES[extension]) || 'text';
+}
+
+function toFraction(event: ProgressEvent) {
+  return event.lengthComputable && event.total > 0
+    ? event.loaded / event.total
+    : 0;
+}
+
+function disposeObject(object: THREE.Object3D) {
+  object.traverse((child) => {
+    const mesh = child as THREE.Mesh;
+    mesh.geometry?.dispose();
+    const materials = Array.isArray(mesh.material)
+      ? mesh.material
+      : mesh.material
+        ? [mesh.material]
+        : [];
+    for (const material of materials) {
+      for (const value of Object.values(material)) {
+        if (value instanceof THREE.Texture) {
+          value.dispose();
+        }
+      }
+      material.dispose();
+    }
+  });
+}
+
+/**
+ * Central place to load models, textures, sounds and data. Apps declare their
+ * assets in a manifest, which Core preloads while showing the real progress
+ * in the loading spinner. Assets are cached by key and reference counted:
+ * every `load()` adds a reference and every `release()` removes one, and an
+ * asset is disposed once no references are left. Available as `core.assets`
+ * and through dependency injection.
+ * @example
+ * ```
+ * options.assets.manifest = {
+ *   robot: {url: 'models/robot.glb', priority: 1},
+ *   click: 'sounds/click.opus',
+ * };
+ * await xb.init(options);
+ * const gltf = await xb.core.assets.load<GLTF>('robot');
+ * ```
+ */
+export class AssetManager {
+  options = new AssetOptions();
+
+  private entries = new Map<string, AssetEntry>();
+  private queue: {entry: AssetEntry; run: () => Promise<void>}[] = [];
+  private activeLoads = 0;
+  // Entries requested since the manager was last idle, for progress.
+  private batch = new Set<AssetEntry>();
+  // Incremented by dispose() so that loads in flight are discarded.
+  private generation = 0;
+  // Pending retry delays and their resolvers, ended early by dispose().
+  private retryDelays = new Map<ReturnType<typeof setTimeout>, () => void>();
+  private loadingManager = new THREE.LoadingManager();
+  private renderer?: THREE.WebGLRenderer;
+  private loaders = new Map<string, AssetLoader>();
+
+  constructor(private events?: EventBus) {
+    this.registerDefaultLoaders();
+  }
+
+  /**
+   * Applies the options and declares the assets of their manifest. Only
+   * called by Core.
+   */
+  init(options: AssetOptions, renderer?: THREE.WebGLRenderer) {
+    this.options = options;
+    this.renderer = renderer;
+    this.register(options.manifest);
+  }
+
+  /**
+   * Adds or replaces the loader of an asset type.
+   * @param type - The type, e.g. 'hdr'.
+   * @param loader - The loader.
+   */
+  registerLoader<T>(type: string, loader: AssetLoader<T>) {
+    this.loaders.set(type, loader as AssetLoader);
+  }
+
+  /**
+   * Declares assets. Keys which are already declared keep their cached asset
+   * unless they now point to a different URL.
+   * @param manifest - The assets by key.
+   */
+  register(manifest: AssetManifest) {
+    for (const [key, value] of Object.entries(manifest)) {
+      const descriptor: AssetDescriptor =
+        typeof value === 'string' ? {url: value} : value;
+      const existing = this.entries.get(key);
+      if (existing && existing.url === descriptor.url) {
+        existing.priority = descriptor.priority ?? existing.priority;
+        existing.retries = descriptor.retries ?? existing.retries;
+        continue;
+      }
+      if (existing?.references) {
+        console.warn(
+          `AssetManager: "${key}" is in use and is not replaced by ` +
+            descriptor.url
+        );
+        continue;
+      }
+      this.entries.set(key, this.createEntry(key, descriptor));
+    }
+  }
+
+  /**
+   * Whether an asset is declared under a key.
+   * @param key - The key of the asset.
+   */
+  has(key: string) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Loads an asset, or returns it from the cache, and adds a reference to it.
+   * Call `release()` once it is no longer needed.
+   * @param key - The key of a declared asset, or a URL.
+   * @returns A promise which resolves with the asset, or rejects once all
+   * retries have failed.
+   */
+  load<T = unknown>(key: string): Promise<T> {
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = this.createEntry(key, {url: key});
+      this.entries.set(key, entry);
+    }
+    entry.references++;
+    if (!entry.promise) {
+      entry.promise = this.enqueue(entry);
+      // Failures are reported to the callers of load().
+      entry.promise.catch(() => {});
+    }
+    return entry.promise as Promise<T>;
+  }
+
+  /**
+   * Gets a loaded asset without adding a reference.
+   * @param key - The key of the asset.
+   * @returns The asset, or undefined if it is not loaded yet.
+   */
+  get<T = unknown>(key: string): T | undefined {
+    return this.entries.get(key)?.asset as T | undefined;
+  }
+
+  /**
+   * Removes a reference added by `load()`. The asset is disposed once no
+   * references are left, and is loaded again by a later `load()`.
+   * @param key - The key of the asset.
+   */
+  release(key: string) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.references === 0) return;
+    entry.references--;
+    if (entry.references === 0 && entry.loaded) {
+      this.disposeEntry(entry);
+    }
+  }
+
+  /**
+   * Loads assets in the order of their priority and keeps a reference to
+   * each of them until `unload()`.
+   * @param keys - The keys to load, all declared assets by default.
+   * @returns A promise which resolves once all assets are loaded, or rejects
+   * with the first error once all of them have finished.
+   */
+  async preload(keys = Array.from(this.entries.keys())) {
+    const results = await Promise.allSettled(keys.map((key) => this.load(key)));
+    const failure = results.find(
+      (result): result is PromiseRejectedResult => result.status === 'rejected'
+    );
+    if (failure) {
+      throw failure.reason;
+    }
+  }
+
+  /**
+   * Releases the references added by `preload()`.
+   * @param keys - The keys to release, all declared assets by default.
+   */
+  unload(keys = Array.from(this.entries.keys())) {
+    keys.forEach((key) => this.release(key));
+  }
+
+  /**
+   * The progress of the assets requested since the manager was last idle.
+   */
+  get progress(): AssetProgress {
+    const total = this.batch.size;
+    let loaded = 0;
+    let fraction = 0;
+    for (const entry of this.batch) {
+      loaded += entry.loaded ? 1 : 0;
+      fraction += entry.loaded ? 1 : entry.fraction;
+    }
+    return {loaded, total, progress: total ? fraction / total : 1};
+  }
+
+  /**
+   * Disposes all loaded assets and forgets all declared assets. Loads which
+   * are still in flight are discarded when they finish.
+   */
+  dispose() {
+    this.generation++;
+    for (const [timeout, resolve] of this.retryDelays) {
+      clearTimeout(timeout);
+      resolve();
+    }
+    this.retryDelays.clear();
+    for (const entry of this.entries.values()) {
+      if (entry.loaded) {
+        this.disposeEntry(entry);
+      }
+    }
+    this.entries.clear();
+    this.queue.length = 0;
+    this.activeLoads = 0;
+    this.batch.clear();
+    this.options = new AssetOptions();
+    this.renderer = undefined;
+  }
+
+  private createEntry(key: string, descriptor: AssetDescriptor): AssetEntry {
+    return {
+      key,
+      url: descriptor.url,
+      type: descriptor.type ?? guessType(descriptor.url),
+      priority: descriptor.priority ?? 0,
+      retries: descriptor.retries,
+      references: 0,
+      fraction: 0,
+      loaded: false,
+    };
+  }
+
+  private enqueue(entry: AssetEntry) {
+    return new Promise<unknown>((resolve, reject) => {
+      const generation = this.generation;
+      const run = async () => {
+        try {
+          const asset = await this.loadWithRetries(entry);
+          if (generation !== this.generation || entry.references === 0) {
+            // Released or disposed while loading.
+            this.loaders.get(entry.type)?.dispose?.(asset);
+            entry.promise = undefined;
+            reject(new Error(`AssetManager: "${entry.key}" was released.`));
+            return;
+          }
+          entry.asset = asset;
+          entry.loaded = true;
+          resolve(asset);
+        } catch (error) {
+          // The callers which got the error do not need to release it.
+          entry.promise = undefined;
+          entry.references = 0;
+          if (generation === this.generation) {
+            this.events?.publish('assets/error', {key: entry.key, error});
+          }
+          reject(error);
+        } finally {
+          if (generation === this.generation) {
+            this.activeLoads--;
+            this.onEntryFinished(entry);
+            this.startQueuedLoads();
+          }
+        }
+      };
+      this.queue.push({entry, run});
+      this.batch.add(entry);
+      this.reportProgress();
+      this.startQueuedLoads();
+    });
+  }
+
+  private startQueuedLoads() {
+    // Sorting is stable, so equal priorities load in request order.
+    this.queue.sort((a, b) => b.entry.priority - a.entry.priority);
+    while (
+      this.queue.length > 0 &&
+      this.activeLoads < Math.max(1, this.options.maxConcurrentLoads)
+    ) {
+      this.activeLoads++;
+      this.queue.shift()!.run();
+    }
+  }
+
+  private async loadWithRetries(entry: AssetEntry) {
+    const loader = this.loaders.get(entry.type);
+    if (!loader) {
+      throw new Error(`AssetManager: No loader for type "${entry.type}".`);
+    }
+    const retries = entry.retries ?? this.options.retries;
+    const generation = this.generation;
+    for (let attempt = 0; ; ++attempt) {
+      try {
+        return await loader.load(entry.url, (fraction) => {
+          entry.fraction = fraction;
+          this.reportProgress();
+        });
+      } catch (error) {
+        if (attempt >= retries) {
+          console.error(`AssetManager: Failed to load "${entry.key}".`, error);
+          throw error;
+        }
+        const delay = this.options.retryDelay * Math.pow(2, attempt);
+        console.warn(
+          `AssetManager: Retrying "${entry.key}" in ${delay} seconds.`,
+          error
+        );
+        await new Promise<void>((resolve) => {
+          const timeout = setTimeout(() => {
+            this.retryDelays.delete(timeout);
+            resolve();
+          }, delay * 1000);
+          this.retryDelays.set(timeout, resolve);
+        });
+      }
+      if (generation !== this.generation) {
+        throw new Error(`AssetManager: "${entry.key}" was disposed.`);
+      }
+    }
+  }
+
+  private onEntryFinished(entry: AssetEntry) {
+    entry.fraction = 1;
+    this.reportProgress();
+    if (this.activeLoads === 0 && this.queue.length === 0) {
+      this.batch.clear();
+    }
+  }
+
+  private reportProgress() {
+    const progress = this.progress;
+    loadingSpinnerManager.setProgress(progress.progress);
+    this.events?.publish('assets/progress', progress);
+  }
+
+  private disposeEntry(entry: AssetEntry) {
+    try {
+      this.loaders.get(entry.type)?.dispose?.(entry.asset);
+    } catch (e) {
+      console.error(e);
+    }
+    entry.asset = undefined;
+    entry.loaded = false;
+    entry.promise = undefined;
+    entry.fraction = 0;
+  }
+
+  private registerDefaultLoaders() {
+    const manager = this.loadingManager;
+    this.registerLoader<GLTF>('gltf', {
+      load: (url) =>
+        new ModelLoader(manager).loadGLTF({url, renderer: this.renderer}),
+      dispose: (gltf) => disposeObject(gltf.scene),
+    });
+    this.registerLoader<THREE.Object3D>('splat', {
+      load: (url) => new ModelLoader(manager).loadSplat({url}),
+      dispose: disposeObject,
+    });
+    this.registerLoader<THREE.Texture>('texture', {
+      load: (url, onProgress) =>
+        new THREE.TextureLoader(manager).loadAsync(url, (event) =>
+          onProgress(toFraction(event))
+        ),
+      dispose: (texture) => texture.dispose(),
+    });
+    this.registerLoader<AudioBuffer>('audio', {
+      load: (url, onProgress) =>
+        new THREE.AudioLoader(manager).loadAsync(url, (event) =>
+          onProgress(toFraction(event))
+        ),
+    });
+    for (const type of ['json', 'text']) {
+      this.registerLoader(type, {
+        load: (url, onProgress) =>
+          new THREE.FileLoader(manager)
+            .setResponseType(type)
+            .loadAsync(url, (event) => onProgress(toFraction(event))),
+      });
+    }
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Describes an asset in a manifest. Plain URL strings may be used instead
+ * when the defaults are fine.
+ */
+export type AssetDescriptor = {
+  /** The URL of the asset. */
+  url: string;
+  /**
+   * The loader to use, e.g. 'gltf', 'texture', 'audio' or 'json'. Guessed
+   * from the file extension when omitted.
+   */
+  type?: string;
+  /** Assets with a higher priority are loaded first. Defaults to 0. */
+  priority?: number;
+  /** Overrides `AssetOptions.retries` for this asset. */
+  retries?: number;
+};
+
+/** Assets by the key they are loaded with. */
+export type AssetManifest = Record<string, string | AssetDescriptor>;
+
+/**
+ * Options for the AssetManager.
+ */
+export class AssetOptions {
+  /** Assets which the app declares up front. */
+  manifest: AssetManifest = {};
+  /**
+   * Whether `Core.init()` loads all assets of the manifest, showing their
+   * progress, before the experience can be entered.
+   */
+  preload = true;
+  /** The maximum number of assets which are loaded at the same time. */
+  maxConcurrentLoads = 4;
+  /** How often loading an asset is retried after it failed. */
+  retries = 2;
+  /** Seconds to wait before the first retry, doubled for every retry. */
+  retryDelay = 0.5;
+}
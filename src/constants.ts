@@ -88,6 +88,12 @@ export const OCCLUDABLE_ITEMS_LAYER = 3;
  */
 export const UI_OVERLAY_LAYER = 4;
 
+/**
+ * The THREE.js layer of objects which `Locomotion` can teleport onto, such as
+ * the floor of a virtual scene.
+ */
+export const NAVIGABLE_LAYER = 6;
+
 // --- Camera ---
 
 /**
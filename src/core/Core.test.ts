@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import {describe, expect, it, vi} from 'vitest';
+
+// jsdom has neither WebGL nor Web Audio.
+vi.mock('three', async (importOriginal) => {
+  const three = await importOriginal<typeof import('three')>();
+  class FakeRenderer {
+    domElement = document.createElement('canvas');
+    xr = {
+      enabled: false,
+      isPresenting: false,
+      getSession: () => null,
+      setReferenceSpaceType() {},
+      addEventListener() {},
+      removeEventListener() {},
+    };
+    setPixelRatio() {}
+    setSize() {}
+    setAnimationLoop() {}
+    render() {}
+    dispose() {}
+  }
+  return {...three, WebGLRenderer: FakeRenderer};
+});
+
+class FakeAudioContext {
+  destination = {};
+  currentTime = 0;
+  createGain() {
+    return {
+      gain: {value: 1, setTargetAtTime() {}},
+      connect() {},
+      disconnect() {},
+    };
+  }
+}
+vi.stubGlobal('AudioContext', FakeAudioContext);
+
+import {HAND_JOINT_NAMES} from '../input/components/HandJointNames.js';
+import {Handedness, Hands} from '../input/Hands';
+
+import {SimulatorUser} from '../simulator/SimulatorUser';
+import {WalkTowardsPanelAction} from '../simulator/userActions/WalkTowardsPanelAction';
+
+import {Core} from './Core';
+import {Options} from './Options';
+import {Script} from './Script';
+
+class CountingScript extends Script {
+  deltas: number[] = [];
+  times: number[] = [];
+
+  update(time?: number) {
+    this.deltas.push(core.timer.getDelta());
+    this.times.push(time!);
+  }
+}
+
+const core = new Core();
+
+function createHand() {
+  const hand = new THREE.Group() as unknown as THREE.XRHandSpace;
+  const joints: Record<string, THREE.Group> = {};
+  for (const name of HAND_JOINT_NAMES) {
+    joints[name] = new THREE.Group();
+    hand.add(joints[name]);
+  }
+  hand.joints = joints as unknown as THREE.XRHandSpace['joints'];
+  return hand;
+}
+
+function createOptions() {
+  const options = new Options({manualTick: true});
+  options.controllers.enabled = false;
+  options.xrButton.enabled = false;
+  options.enableSimulator = false;
+  return options;
+}
+
+describe('Core.dispose', () => {
+  it('leaves nothing of the previous run for the next init', async () => {
+    const firstOptions = createOptions();
+    firstOptions.usePostprocessing = true;
+    await core.init(firstOptions);
+    const effects = core.effects!;
+    const disposeEffects = vi.spyOn(effects, 'dispose');
+    const root = new THREE.Group();
+    core.scene.add(root);
+    core.registry.createScope(root).register(new THREE.Timer());
+
+    core.dispose();
+    expect(disposeEffects).toHaveBeenCalled();
+    expect(core.effects).toBeUndefined();
+
+    const options = createOptions();
+    await core.init(options);
+    expect(core.registry.get(Options)).toBe(options);
+    expect(core.registry.getScopeFor(root)).toBe(core.registry);
+    expect(core.registry.getScopeFor(root).get(THREE.Timer)).toBe(core.timer);
+    root.removeFromParent();
+    core.dispose();
+  });
+
+  it('stops simulator journeys quietly', async () => {
+    await core.init(createOptions());
+    const user = new SimulatorUser();
+    core.scene.add(user);
+    const target = new THREE.Object3D();
+    target.position.set(0, 0, -10);
+    core.scene.add(target);
+    await core.step();
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const journey = user.loadJourney([new WalkTowardsPanelAction(target)]);
+    await core.step();
+    await core.step();
+
+    core.dispose();
+    await expect(journey).resolves.toBeUndefined();
+    expect(log).toHaveBeenLastCalledWith('Journey stopped');
+    log.mockRestore();
+    user.removeFromParent();
+    target.removeFromParent();
+  });
+
+  it('reports a failing session end', async () => {
+    await core.init(createOptions());
+    const error = new Error('Session already ended');
+    const session = {end: () => Promise.reject(error)};
+    vi.spyOn(core.renderer.xr, 'getSession').mockReturnValue(
+      session as unknown as XRSession
+    );
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    core.dispose();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(warn).toHaveBeenCalledWith(
+      'Core: Failed to end the XR session.',
+      error
+    );
+    vi.restoreAllMocks();
+  });
+});
+
+describe('Core.step', () => {
+  it('advances frames by exact deltas, also after re-initialization', async () => {
+    for (let run = 0; run < 2; ++run) {
+      await core.init(createOptions());
+      const script = new CountingScript();
+      core.scene.add(script);
+      // The first step initializes the script.
+      await core.step(20);
+      expect(core.timer.getDelta()).toBeCloseTo(0.02, 9);
+      expect(script.deltas).toEqual([]);
+      for (const dtMs of [10, 40, 16]) {
+        await core.step(dtMs);
+      }
+      expect(script.deltas).toHaveLength(3);
+      script.deltas.forEach((delta, index) =>
+        expect(delta).toBeCloseTo([0.01, 0.04, 0.016][index], 9)
+      );
+      expect(script.times).toEqual([30, 70, 86]);
+      expect(core.timer.getElapsed()).toBeCloseTo(0.086, 9);
+      script.removeFromParent();
+      core.dispose();
+    }
+  });
+
+  it('records hands on the stepped clock', async () => {
+    await core.init(createOptions());
+    // Grabbing pinches with the controllers, which are disabled here.
+    vi.spyOn(core.user, 'updateGrabState').mockImplementation(() => {});
+    const right = createHand();
+    core.user.hands = new Hands([createHand(), right]);
+    const history = core.user.hands.getHistory(Handedness.RIGHT);
+    const velocity = new THREE.Vector3();
+    for (let frame = 0; frame < 6; ++frame) {
+      right.joints['wrist'].position.x = frame * 0.01;
+      await core.step(10);
+      expect(history.getSample(0)!.time).toBeCloseTo(
+        core.timer.getElapsed(),
+        9
+      );
+    }
+    core.user.hands.getJointVelocity('wrist', Handedness.RIGHT, velocity);
+    expect(velocity.x).toBeCloseTo(1, 6);
+    vi.restoreAllMocks();
+    core.dispose();
+  });
+
+  it('requires manual ticking', async () => {
+    await expect(core.step()).rejects.toThrow('manualTick');
+  });
+});
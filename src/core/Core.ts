@@ -2,10 +2,17 @@ import * as THREE from 'three';
 
 import {AI} from '../ai/AI';
 import {AIOptions} from '../ai/AIOptions';
+import {AssetManager} from '../assets/AssetManager';
+import {AssetOptions} from '../assets/AssetOptions';
+import {i18n} from '../i18n/I18n';
+import {I18nOptions} from '../i18n/I18nOptions';
+import {TweenManager} from '../animation/TweenManager';
 import {XRDeviceCamera} from '../camera/XRDeviceCamera';
 import {UI_OVERLAY_LAYER} from '../constants';
 import {Depth} from '../depth/Depth';
 import {DepthOptions} from '../depth/DepthOptions';
+import {ActionMap} from '../input/ActionMap';
+import {ActionMapOptions} from '../input/ActionMapOptions';
 import {Hands} from '../input/Hands';
 import {GestureRecognition} from '../input/gestures/GestureRecognition';
 import {GestureRecognitionOptions} from '../input/gestures/GestureRecognitionOptions.js';
@@ -25,8 +32,12 @@ import {World} from '../world/World';
 import {WorldOptions} from '../world/WorldOptions';
 import {MeshDetectionOptions} from '../world/mesh/MeshDetectionOptions';
 
+import {EventBus} from './components/EventBus';
+import {Profiler} from './components/Profiler';
 import {Registry} from './components/Registry';
+import {SceneJson, SceneSerializer} from './components/SceneSerializer';
 import {ScreenshotSynthesizer} from './components/ScreenshotSynthesizer';
+import {ScriptErrorPanel} from './components/ScriptErrorPanel';
 import {ScriptsManager} from './components/ScriptsManager';
 import {WaitFrame} from './components/WaitFrame';
 import {
@@ -58,6 +69,19 @@ export class Core {
    * Component responsible for waiting for the next frame.
    */
   waitFrame = new WaitFrame();
+  /**
+   * Publish/subscribe channel for scripts and subsystems, see
+   * `EventBusTopics` for the topics published by XR Blocks.
+   */
+  events = new EventBus();
+  /** Plays tweens, updated every frame after the scripts' `update()`. */
+  tweens = new TweenManager();
+  /** Loads, caches and disposes models, textures, sounds and data. */
+  assets = new AssetManager(this.events);
+  /** Maps named actions to the inputs which trigger them. */
+  actions = new ActionMap();
+  /** Translates the built-in strings and the messages of apps. */
+  i18n = i18n;
   /**
    * Registry used for dependency injection on existing subsystems.
    */
@@ -90,6 +114,10 @@ export class Core {
   xrSystemsGroup = new XRSystems();
 
   private renderSceneBound = this.renderScene.bind(this);
+  private physicsStepBound = this.physicsStep.bind(this);
+  private onWindowResizeBound = this.onWindowResize.bind(this);
+  /** The container created for the canvas when none was provided. */
+  private xrContainer?: HTMLDivElement;
 
   /** Manages the desktop XR simulator. */
   simulator = new Simulator(this.renderSceneBound);
@@ -100,7 +128,10 @@ export class Core {
   /** Manages drag-and-drop interactions. */
   world = new World();
 
-  /** A shared texture loader. */
+  /**
+   * A shared texture loader.
+   * @deprecated Use `assets.load()`, which caches and disposes textures.
+   */
   textureLoader = new THREE.TextureLoader();
 
   private webXRSettings: XRSessionInit = {};
@@ -119,13 +150,23 @@ export class Core {
   ai = new AI();
   gestureRecognition?: GestureRecognition;
   transition?: XRTransition;
+  /** Shows errors thrown by scripts, created on the first error. */
+  scriptErrorPanel?: ScriptErrorPanel;
   currentFrame?: XRFrame;
+  /** Per-frame timings of subsystems and scripts, see `options.profiling`. */
+  profiler = new Profiler();
   scriptsManager = new ScriptsManager(async (script: Script) => {
-    await callInitWithDependencyInjection(script, this.registry, this);
+    await callInitWithDependencyInjection(
+      script,
+      this.registry.getScopeFor(script),
+      this
+    );
     if (this.physics) {
       await script.initPhysics(this.physics);
     }
-  });
+  }, this.profiler);
+  /** Saves and loads registered scripts, see `saveScene` and `loadScene`. */
+  sceneSerializer = new SceneSerializer(this.scriptsManager);
   renderSceneOverride?: (
     renderer: THREE.WebGLRenderer,
     scene: THREE.Scene,
@@ -134,6 +175,15 @@ export class Core {
   webXRSessionManager?: WebXRSessionManager;
   permissionsManager = new PermissionsManager();
 
+  /** Whether `init()` was called without a subsequent `dispose()`. */
+  private initialized = false;
+  /** The synthetic clock in milliseconds used by `step()`. */
+  private manualTime = 0;
+  /** The timer's timestamp at which the synthetic clock starts. */
+  private manualTimeOrigin = 0;
+  /** Resolves when the scripts found in the latest frame are initialized. */
+  private scriptsSyncPromise?: Promise<PromiseSettledResult<void>[]>;
+
   /**
    * Core is a singleton manager that manages all XR "blocks".
    * It initializes core components and abstractions like the scene, camera,
@@ -156,14 +206,29 @@ export class Core {
       this.world
     );
 
+    this.registerCoreComponents();
+    this.scriptsManager.onScriptError = this.onScriptError.bind(this);
+  }
+
+  /**
+   * Registers the subsystems which live for the whole lifetime of Core.
+   */
+  private registerCoreComponents() {
     this.registry.register(this.registry);
     this.registry.register(this.waitFrame);
+    this.registry.register(this.tweens);
+    this.registry.register(this.assets);
+    this.registry.register(this.i18n);
+    this.registry.register(this.actions);
+    this.registry.register(this.events);
+    this.registry.register(this.profiler);
     this.registry.register(this.scene);
     this.registry.register(this.timer);
     this.registry.register(this.input);
     this.registry.register(this.user);
     this.registry.register(this.ui);
     this.registry.register(this.sound);
+    this.registry.register(this.sound.soundSynthesizer);
     this.registry.register(this.dragManager);
     this.registry.register(this.user);
     this.registry.register(this.simulator);
@@ -181,6 +246,10 @@ export class Core {
    * session.
    */
   async init(options = new Options()) {
+    if (this.initialized) {
+      throw new Error('Core is already initialized. Call dispose() first.');
+    }
+    this.initialized = true;
     loadingSpinnerManager.showSpinner();
 
     this.registry.register(options, Options);
@@ -227,12 +296,26 @@ export class Core {
     this.renderer.xr.setReferenceSpaceType(options.referenceSpaceType);
 
     if (!options.canvas) {
-      const xrContainer = document.createElement('div');
-      document.body.appendChild(xrContainer);
-      xrContainer.appendChild(this.renderer.domElement);
+      this.xrContainer = document.createElement('div');
+      document.body.appendChild(this.xrContainer);
+      this.xrContainer.appendChild(this.renderer.domElement);
     }
 
     this.options = options;
+    this.profiler.enabled = options.profiling;
+
+    this.registry.register(options.i18n, I18nOptions);
+    this.i18n.init(options.i18n);
+
+    // Starts loading the declared assets while the other subsystems are set
+    // up.
+    this.registry.register(options.assets, AssetOptions);
+    this.assets.init(options.assets, this.renderer);
+    const assetsPreloaded = options.assets.preload
+      ? this.assets.preload().catch((error) => {
+          console.error('Core: Some assets failed to preload.', error);
+        })
+      : undefined;
 
     // Sets up controllers.
     if (options.controllers.enabled) {
@@ -250,7 +333,20 @@ export class Core {
       this.input.bindSqueeze(this.scriptsManager.callSqueezeBound);
       this.input.bindKeyDown(this.scriptsManager.callKeyDownBound);
       this.input.bindKeyUp(this.scriptsManager.callKeyUpBound);
-    }
+      this.input.bindButtonDown(this.scriptsManager.callButtonDownBound);
+      this.input.bindButtonUp(this.scriptsManager.callButtonUpBound);
+      this.input.bindThumbstick(this.scriptsManager.callThumbstickBound);
+    }
+    this.registry.register(options.actions, ActionMapOptions);
+    this.actions.init({
+      input: this.input,
+      events: this.events,
+      options: options.actions,
+    });
+    this.actions.addEventListener(
+      'action',
+      this.scriptsManager.callActionBound
+    );
 
     // Sets up device camera.
     if (options.deviceCamera?.enabled) {
@@ -259,7 +355,9 @@ export class Core {
       this.registry.register(this.deviceCamera);
     }
 
-    const webXRRequiredFeatures: string[] = options.webxrRequiredFeatures;
+    // Copied so that initializing again with the same options does not add
+    // duplicate features.
+    const webXRRequiredFeatures: string[] = [...options.webxrRequiredFeatures];
     // Use camera-access when the browser supports it.
     if (options.deviceCamera?.enabled) {
       if (!this.webXRSettings.optionalFeatures) {
@@ -290,7 +388,7 @@ export class Core {
     }
     if (options.hands.enabled) {
       webXRRequiredFeatures.push('hand-tracking');
-      this.user.hands = new Hands(this.input.hands);
+      this.user.hands = new Hands(this.input.hands, options.hands);
       if (options.gestures.enabled) {
         this.gestureRecognition = new GestureRecognition();
         this.xrSystemsGroup.add(this.gestureRecognition);
@@ -344,6 +442,10 @@ export class Core {
       this.onXRSessionEnded.bind(this)
     );
 
+    // Shows the real progress of the declared assets before the experience
+    // can be entered.
+    await assetsPreloaded;
+
     // Sets up xrButton.
     let shouldAutostartSimulator =
       this.options.xrButton.alwaysAutostartSimulator;
@@ -393,12 +495,12 @@ export class Core {
     await this.scriptsManager.syncScriptsWithScene(this.scene);
 
     // For desktop only:
-    window.addEventListener('resize', this.onWindowResize.bind(this));
+    window.addEventListener('resize', this.onWindowResizeBound);
 
-    this.renderer.setAnimationLoop(this.update.bind(this));
-
-    if (this.physics) {
-      setInterval(this.physicsStep.bind(this), 1000 * this.physics.timestep);
+    if (options.manualTick) {
+      this.startManualClock();
+    } else {
+      this.renderer.setAnimationLoop(this.update.bind(this));
     }
 
     if (this.options.reticles.enabled) {
@@ -421,18 +523,27 @@ export class Core {
    * Order:
    * 1. Depth
    * 2. World Perception
-   * 3. Input / Reticles / UIs
-   * 4. Scripts
+   * 3. Scripts (earlyUpdate)
+   * 4. Input / Reticles / UIs
+   * 5. Physics (fixed timestep)
+   * 6. Scripts (update), tweens, scripts (lateUpdate, onBeforeSceneRender)
+   * 7. Render
+   *
+   * When `profiler.enabled` is set, each step is timed in `profiler`.
    * @param time - The current time in milliseconds.
    * @param frame - The WebXR frame object, if in an XR session.
    */
   private update(time: number, frame: XRFrame) {
+    const profiler = this.profiler;
+    const frameStart = profiler.begin();
     this.currentFrame = frame;
-    this.timer.update(time);
+    this.timer.update(this.manualTimeOrigin + time);
     if (this.simulatorRunning) {
       this.simulator.simulatorUpdate();
     }
+    let start = profiler.begin();
     this.depth.update(frame);
+    profiler.end('Depth', start);
 
     // Update XR camera fallback textures.
     if (this.deviceCamera?.isUsingXRCameraAccess) {
@@ -440,63 +551,232 @@ export class Core {
     }
 
     if (this.lighting) {
+      start = profiler.begin();
       this.lighting.update();
+      profiler.end('Lighting', start);
     }
 
     // Traverse the scene to find all scripts.
-    this.scriptsManager.syncScriptsWithScene(this.scene);
+    this.scriptsSyncPromise = this.scriptsManager.syncScriptsWithScene(
+      this.scene
+    );
+
+    this.scriptsManager.callEarlyUpdate(time, frame);
 
     // Updates reticles and UIs.
     for (const script of this.scriptsManager.scripts) {
       script.ux.reset();
     }
+    start = profiler.begin();
     this.input.update();
+    profiler.end('Input', start);
 
     // Updates scripts with user interactions.
     for (const controller of this.input.controllers) {
       if (controller.userData.selected) {
-        for (const script of this.scriptsManager.scripts) {
-          script.onSelecting({target: controller});
-        }
+        this.scriptsManager.callSelecting({target: controller});
       }
     }
 
     for (const controller of this.input.controllers) {
       if (controller.userData.squeezing) {
-        for (const script of this.scriptsManager.scripts) {
-          script.onSqueezing({target: controller});
-        }
+        this.scriptsManager.callSqueezing({target: controller});
       }
     }
 
+    // Steps physics with a fixed timestep.
+    if (this.physics) {
+      start = profiler.begin();
+      this.physics.advance(this.timer.getDelta(), this.physicsStepBound);
+      profiler.end('Physics', start);
+    }
+
     // Run callbacks that use wait frame.
-    this.waitFrame.onFrame();
+    this.waitFrame.onFrame(this.timer.getDelta());
 
     // Updates renderings.
-    for (const script of this.scriptsManager.scripts) {
-      script.update(time, frame);
-    }
-
+    this.scriptsManager.callUpdate(time, frame);
+    start = profiler.begin();
+    this.tweens.update(this.timer.getDelta());
+    profiler.end('Tweens', start);
+    this.scriptsManager.callLateUpdate(time, frame);
+    this.scriptsManager.callBeforeSceneRender(time, frame);
+
+    start = profiler.begin();
     this.renderSimulatorAndScene();
+    profiler.end('Render', start);
+    start = profiler.begin();
     this.screenshotSynthesizer.onAfterRender(
       this.renderer,
       this.renderSceneBound,
       this.deviceCamera
     );
+    profiler.end('ScreenshotSynthesizer', start);
     if (this.simulatorRunning) {
       this.simulator.renderSimulatorScene();
     }
+    profiler.end('Frame', frameStart);
+    profiler.endFrame();
   }
 
   /**
-   * Advances the physics simulation by a fixed timestep and calls the
-   * corresponding physics update on all active scripts.
+   * Releases everything set up by `init()`: the animation loop, the resize
+   * listener, the XR session, DOM elements, GPU resources and registry
+   * entries. All scripts are uninitialized, so scripts left in the scene are
+   * initialized again by a later `init()`, which may use different options.
    */
-  private physicsStep() {
-    this.physics!.physicsStep();
-    for (const script of this.scriptsManager.scripts) {
-      script.physicsStep();
+  dispose() {
+    if (!this.initialized) return;
+    this.initialized = false;
+    this.renderer.setAnimationLoop(null);
+    window.removeEventListener('resize', this.onWindowResizeBound);
+    this.renderer.xr
+      .getSession()
+      ?.end()
+      .catch((error) => {
+        console.warn('Core: Failed to end the XR session.', error);
+      });
+
+    this.scriptsManager.uninitAllScripts();
+    this.waitFrame.cancelAll();
+    this.tweens.stopAll();
+    this.assets.dispose();
+    this.events.clear();
+    this.simulator.removeFromParent();
+    this.simulatorRunning = false;
+    this.ai.removeFromParent();
+    this.gestureRecognition?.removeFromParent();
+    this.transition?.removeFromParent();
+    this.scriptErrorPanel?.removeFromParent();
+
+    this.input.unbindKeyDown(this.scriptsManager.callKeyDownBound);
+    this.input.unbindKeyUp(this.scriptsManager.callKeyUpBound);
+    this.actions.removeEventListener(
+      'action',
+      this.scriptsManager.callActionBound
+    );
+    this.actions.dispose();
+    this.input.dispose();
+    this.user.hands = undefined;
+    this.depth.dispose();
+    this.lighting?.dispose();
+    this.physics?.dispose();
+    this.deviceCamera?.dispose();
+    this.effects?.dispose();
+
+    this.xrButton?.dispose();
+    this.renderer.dispose();
+    this.xrContainer?.remove();
+
+    this.registry.clear();
+    this.registerCoreComponents();
+
+    this.xrContainer = undefined;
+    this.xrButton = undefined;
+    this.webXRSessionManager = undefined;
+    this.webXRSettings = {};
+    this.deviceCamera = undefined;
+    this.lighting = undefined;
+    this.physics = undefined;
+    this.effects = undefined;
+    this.simulator.effects = undefined;
+    this.gestureRecognition = undefined;
+    this.transition = undefined;
+    this.scriptErrorPanel = undefined;
+    this.currentFrame = undefined;
+    this.manualTime = 0;
+    this.manualTimeOrigin = 0;
+    this.profiler.enabled = false;
+    this.profiler.reset();
+  }
+
+  /**
+   * Handles an error thrown by a script according to `options.scriptErrors`.
+   * The error has already been logged by the ScriptsManager.
+   */
+  private onScriptError(error: unknown, script: Script, callback: string) {
+    if (!this.initialized) return;
+    const options = this.options.scriptErrors;
+    if (
+      options.disableScript &&
+      callback !== 'init' &&
+      callback !== 'dispose'
+    ) {
+      script.enabled = false;
+    }
+    if (!options.showPanel || script === this.scriptErrorPanel) return;
+    if (!this.scriptErrorPanel?.parent) {
+      this.scriptErrorPanel = new ScriptErrorPanel();
+      this.xrSystemsGroup.add(this.scriptErrorPanel);
+    }
+    this.scriptErrorPanel.addError(error, script, callback);
+  }
+
+  /**
+   * Saves the scripts in the scene whose types are registered with
+   * `SceneSerializer.registerType`, such as `ModelViewer` and `SpatialPanel`,
+   * along with their transforms. Core subsystems are not saved.
+   * @returns A JSON-compatible representation of the scene.
+   */
+  saveScene(): SceneJson {
+    return this.sceneSerializer.save(this.scene, [this.xrSystemsGroup]);
+  }
+
+  /**
+   * Rebuilds scripts saved with `saveScene` and initializes them.
+   * @param json - The JSON produced by `saveScene`.
+   * @param parent - The object to attach the loaded scripts to.
+   * @returns The loaded top-level scripts.
+   */
+  loadScene(json: SceneJson, parent: THREE.Object3D = this.scene) {
+    return this.sceneSerializer.load(json, parent);
+  }
+
+  /**
+   * Advances the engine by a single frame using a synthetic clock. Only
+   * available when `options.manualTick` is enabled, in which case the
+   * renderer's animation loop is never started.
+   *
+   * The frame runs through the same `update()` path as the animation loop, so
+   * depth, lighting, script syncing, input, `waitFrame` and script updates
+   * happen in the usual order.
+   * @param dtMs - Milliseconds to advance the synthetic clock by.
+   * @param frameOverrides - Optional fake XRFrame passed to subsystems and
+   * scripts in place of a real WebXR frame.
+   * @returns A promise which resolves once scripts found during this frame
+   * have finished initializing.
+   */
+  async step(dtMs = 1000 / 60, frameOverrides?: Partial<XRFrame>) {
+    if (!this.initialized || !this.options.manualTick) {
+      throw new Error(
+        'Core.step() requires Core.init() with options.manualTick enabled.'
+      );
     }
+    this.manualTime += dtMs;
+    this.update(this.manualTime, frameOverrides as XRFrame);
+    await this.scriptsSyncPromise;
+  }
+
+  /**
+   * Restarts the timer at the synthetic clock's zero, so that the first
+   * `step()` gets a delta of exactly `dtMs` and the elapsed time starts at 0.
+   */
+  private startManualClock() {
+    this.manualTime = 0;
+    // THREE.Timer measures timestamps from its creation and accumulates its
+    // deltas, so align it with the synthetic clock, then rewind the elapsed
+    // time it gathered.
+    this.timer.update(0);
+    this.manualTimeOrigin = -this.timer.getElapsed() * 1000;
+    this.timer.update(this.manualTimeOrigin);
+  }
+
+  /**
+   * Calls the physics update on all active scripts after each fixed physics
+   * step.
+   */
+  private physicsStep() {
+    this.scriptsManager.callPhysicsStep();
   }
 
   /**
@@ -509,6 +789,7 @@ export class Core {
       await this.deviceCamera!.init();
     }
     this.scriptsManager.onXRSessionStarted(session);
+    this.events.publish('xr/sessionStarted', {session});
   }
 
   private async startSimulator() {
@@ -524,6 +805,7 @@ export class Core {
    */
   private onXRSessionEnded() {
     this.scriptsManager.onXRSessionEnded();
+    this.events.publish('xr/sessionEnded', {});
   }
 
   /**
@@ -536,6 +818,7 @@ export class Core {
     if (this.lighting) {
       this.lighting.simulatorRunning = true;
     }
+    this.events.publish('simulator/started', {});
   }
 
   /**
@@ -546,11 +829,11 @@ export class Core {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     if (!this.renderer.xr.isPresenting) {
-        try {
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-        } catch (e) {
-            // Suppress warning: Can't change size while VR device is presenting
-        }
+      try {
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+      } catch (_e) {
+        // Suppress warning: Can't change size while VR device is presenting
+      }
     }
   }
 
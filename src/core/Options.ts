@@ -1,10 +1,13 @@
 import {AIOptions} from '../ai/AIOptions';
+import {AssetOptions} from '../assets/AssetOptions';
 import {
   DeviceCameraOptions,
   xrDeviceCameraEnvironmentOptions,
   xrDeviceCameraUserOptions,
 } from '../camera/CameraOptions.js';
 import {DepthOptions, xrDepthMeshOptions} from '../depth/DepthOptions.js';
+import {I18nOptions} from '../i18n/I18nOptions';
+import {ActionMapOptions} from '../input/ActionMapOptions';
 import {HandsOptions} from '../input/HandsOptions.js';
 import {GestureRecognitionOptions} from '../input/gestures/GestureRecognitionOptions.js';
 import {LightingOptions} from '../lighting/LightingOptions.js';
@@ -33,6 +36,12 @@ export class InputOptions {
   visualizeRays = false;
   /** Whether to perform raycast on update. This is needed for the reticle to work properly. */
   performRaycastOnUpdate = true;
+  /**
+   * Radius of the center region of thumbsticks and touchpads in which their
+   * axes read as zero, from 0 to 1. Axes outside of it are rescaled to start
+   * at zero.
+   */
+  thumbstickDeadzone = 0.15;
 }
 
 /**
@@ -60,6 +69,20 @@ export class XRTransitionOptions {
   defaultBackgroundColor = 0xffffff;
 }
 
+/**
+ * Options for handling errors thrown by scripts. Errors are always logged to
+ * the console with their full details.
+ */
+export class ScriptErrorOptions {
+  /**
+   * Whether to disable a script after it throws from a lifecycle method, so
+   * that it does not throw again on every frame.
+   */
+  disableScript = true;
+  /** Whether to show errors in a dismissible panel in front of the user. */
+  showPanel = true;
+}
+
 const FORM_FACTORS = ['auto', 'xr', 'hud', 'vr', 'desktop', 'mobile'] as const;
 export type FormFactor = (typeof FORM_FACTORS)[number];
 
@@ -101,6 +124,7 @@ export class Options {
   referenceSpaceType: XRReferenceSpaceType = 'local-floor';
 
   controllers = new InputOptions();
+  actions = new ActionMapOptions();
   depth = new DepthOptions();
   lighting = new LightingOptions();
   deviceCamera = new DeviceCameraOptions();
@@ -113,6 +137,9 @@ export class Options {
   world = new WorldOptions();
   physics = new PhysicsOptions();
   transition = new XRTransitionOptions();
+  scriptErrors = new ScriptErrorOptions();
+  assets = new AssetOptions();
+  i18n = new I18nOptions();
   camera = {
     near: 0.01,
     far: 500,
@@ -126,16 +153,29 @@ export class Options {
   enableSimulator = true;
 
   /**
-   * Configuration for the XR session button.
+   * Whether frames are advanced manually with `core.step()` instead of the
+   * renderer's animation loop. Useful for deterministic tests of Scripts.
+   */
+  manualTick = false;
+
+  /**
+   * Whether to measure the time spent in subsystems and scripts every frame.
+   * Results are available from `core.profiler`.
+   */
+  profiling = false;
+
+  /**
+   * Configuration for the XR session button. Texts which are not set are
+   * translated from the `xrButton.*` messages of `i18n`.
    */
   xrButton = {
     appTitle: '',
     appDescription: '',
     enabled: true,
-    startText: 'Enter XR',
-    endText: 'Exit XR',
-    invalidText: 'XR Not Supported',
-    startSimulatorText: 'Enter Simulator',
+    startText: undefined as string | undefined,
+    endText: undefined as string | undefined,
+    invalidText: undefined as string | undefined,
+    startSimulatorText: undefined as string | undefined,
     showEnterSimulatorButton: false,
     // Whether to autostart the simulator even if WebXR is available.
     alwaysAutostartSimulator: false,
@@ -224,6 +264,15 @@ export class Options {
     return this;
   }
 
+  /**
+   * Enables per-frame timing of subsystems and scripts in `core.profiler`.
+   * @returns The instance for chaining.
+   */
+  enableProfiler() {
+    this.profiling = true;
+    return this;
+  }
+
   /**
    * Enables depth sensing in WebXR with default options.
    * @returns The instance for chaining.
@@ -1,11 +1,14 @@
 import * as THREE from 'three';
 
-import type {Controller} from '../input/Controller';
+import type {ActionEvent, ActionPhase} from '../input/ActionMap';
+import type {Controller, GamepadButtonName} from '../input/Controller';
 import type {Physics} from '../physics/Physics';
 import type {Injectable} from '../utils/DependencyInjection';
 import type {Constructor} from '../utils/Types';
 import {UX} from '../ux/UX';
 
+import {CancellationToken} from './components/CancellationToken';
+
 export interface SelectEvent {
   target: Controller;
 }
@@ -18,12 +21,43 @@ export interface ObjectTouchEvent {
 export interface ObjectGrabEvent {
   handIndex: number;
   hand: THREE.Object3D;
+  /**
+   * The velocity of the wrist when the object is released, in meters per
+   * second, e.g. to throw it. Only set on grab end.
+   */
+  velocity?: THREE.Vector3;
+  /**
+   * The angular velocity of the wrist when the object is released, as an axis
+   * scaled by radians per second. Only set on grab end.
+   */
+  angularVelocity?: THREE.Vector3;
 }
 
 export interface KeyEvent {
   code: string;
 }
 
+export interface ButtonEvent {
+  type: 'buttondown' | 'buttonup';
+  target: Controller;
+  /** The index of the button in `Gamepad.buttons`. */
+  button: number;
+  /** The name of the button in the 'xr-standard' mapping, e.g. 'a'. */
+  name?: GamepadButtonName;
+  /** How far the button is pressed, from 0 to 1. */
+  value: number;
+}
+
+export interface ThumbstickEvent {
+  type: 'thumbstick';
+  target: Controller;
+  stick: 'thumbstick' | 'touchpad';
+  /** Right is positive, from -1 to 1 after the deadzone is applied. */
+  x: number;
+  /** Down is positive, from -1 to 1 after the deadzone is applied. */
+  y: number;
+}
+
 /**
  * The Script class facilities development by providing useful life cycle
  * functions similar to MonoBehaviors in Unity.
@@ -53,6 +87,26 @@ export function ScriptMixin<TBase extends Constructor<THREE.Object3D>>(
     ux = new UX(this);
     isXRScript = true;
 
+    /**
+     * Whether the script receives lifecycle and input callbacks. Disabled
+     * scripts stay in the scene and keep their state, but are skipped by
+     * `ScriptsManager` until re-enabled.
+     */
+    enabled = true;
+
+    /**
+     * Scripts with a lower execution order receive their callbacks first.
+     * Scripts sharing the same order run in the order they were initialized.
+     */
+    executionOrder = 0;
+
+    /**
+     * Cancelled when the script is uninitialized, e.g. removed from the scene,
+     * and replaced with a new token. Pass it to `WaitFrame` waits and timers so
+     * that they stop with the script.
+     */
+    lifetime = new CancellationToken();
+
     /**
      * Initializes an instance with XR controllers, grips, hands, raycaster, and
      * default options. We allow all scripts to quickly access its user (e.g.,
@@ -62,11 +116,29 @@ export function ScriptMixin<TBase extends Constructor<THREE.Object3D>>(
      */
     init(_?: object): void | Promise<void> {}
 
+    /**
+     * Runs per frame before input is processed and before any `update()`.
+     */
+    earlyUpdate(_time?: number, _frame?: XRFrame) {}
+
     /**
      * Runs per frame.
      */
     update(_time?: number, _frame?: XRFrame) {}
 
+    /**
+     * Runs per frame after all scripts have been updated, e.g. for cameras
+     * which follow objects moved in `update()`.
+     */
+    lateUpdate(_time?: number, _frame?: XRFrame) {}
+
+    /**
+     * Runs per frame right before the scene is rendered. Named differently
+     * from THREE.Object3D.onBeforeRender, which is called per renderable
+     * object by the renderer.
+     */
+    onBeforeSceneRender(_time?: number, _frame?: XRFrame) {}
+
     /**
      * Enables depth-aware interactions with physics. See /demos/ballpit
      */
@@ -110,6 +182,34 @@ export function ScriptMixin<TBase extends Constructor<THREE.Object3D>>(
     onKeyDown(_event: KeyEvent) {}
     onKeyUp(_event: KeyEvent) {}
 
+    /**
+     * Called when an action of `core.actions` starts or ends, whichever of
+     * its bound inputs caused it.
+     * @param _name - The name of the action, e.g. 'confirm'.
+     * @param _phase - 'start' when the first bound input is pressed, 'end'
+     * when the last one is released.
+     * @param _event - The binding, controller and hand which caused it.
+     */
+    onAction(_name: string, _phase: ActionPhase, _event: ActionEvent) {}
+
+    /**
+     * Called when a gamepad button of a controller is pressed, globally.
+     * @param _event - Holds the controller, button index and name.
+     */
+    onButtonDown(_event: ButtonEvent) {}
+    /**
+     * Called when a gamepad button of a controller is released, globally.
+     * @param _event - Holds the controller, button index and name.
+     */
+    onButtonUp(_event: ButtonEvent) {}
+
+    /**
+     * Called every frame while a thumbstick or touchpad is pushed beyond the
+     * deadzone, and once with zero when it returns to the center.
+     * @param _event - Holds the controller, stick and axes.
+     */
+    onThumbstick(_event: ThumbstickEvent) {}
+
     /**
      * Called whenever gamepad trigger starts, globally.
      * @param _event - event.target holds its controller.
@@ -190,6 +290,21 @@ export function ScriptMixin<TBase extends Constructor<THREE.Object3D>>(
      */
     onObjectGrabEnd(_event: ObjectGrabEvent) {}
 
+    /**
+     * Called when the script is saved with `core.saveScene()` to collect
+     * JSON-compatible state in addition to its serializable properties. The
+     * returned object is passed to the constructor and to `onDeserialize` when
+     * the scene is loaded.
+     */
+    onSerialize(): Record<string, unknown> | void {}
+
+    /**
+     * Called when the script is loaded with `core.loadScene()`, after its
+     * serializable properties are restored and before it is initialized.
+     * @param _data - The object returned by `onSerialize`.
+     */
+    onDeserialize(_data: Record<string, unknown>): void | Promise<void> {}
+
     /**
      * Called when the script is removed from the scene. Opposite of init.
      */
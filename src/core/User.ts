@@ -3,18 +3,40 @@ import * as THREE from 'three';
 import {Controller} from '../input/Controller';
 import {Hands} from '../input/Hands';
 import {Input} from '../input/Input';
+import {SoundSynthesizer} from '../sound/SoundSynthesizer';
 import {View} from '../ui/core/View';
+import {PokeEventType, PokeInteraction} from '../ux/PokeInteraction';
+import {optional} from '../utils/DependencyInjection';
 import {objectIsDescendantOf} from '../utils/SceneGraphUtils';
 
+import {
+  ScriptsManager,
+  ScriptsManagerEventMap,
+} from './components/ScriptsManager';
 import {ObjectGrabEvent, ObjectTouchEvent, Script, SelectEvent} from './Script';
 
-type MaybeXRScript = THREE.Object3D & {isXRScript?: boolean};
+type MaybeXRScript = THREE.Object3D & {isXRScript?: boolean; enabled?: boolean};
+
+/**
+ * Whether an object is a script which should receive interaction callbacks.
+ */
+function isEnabledScript(obj: THREE.Object3D) {
+  return (
+    (obj as MaybeXRScript).isXRScript === true &&
+    (obj as MaybeXRScript).enabled !== false
+  );
+}
 type MaybeView = THREE.Object3D & {isView?: boolean};
 type MaybeHasIgnoreReticleRaycast = {
   ignoreReticleRaycast?: boolean;
 };
 
 const tempBox = new THREE.Box3();
+const tempMatrix = new THREE.Matrix4();
+const tempPosition = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const tempScale = new THREE.Vector3();
+const pokeFingertips: (THREE.Vector3 | undefined)[] = [];
 
 /**
  * User is an embodied instance to manage hands, controllers, speech, and
@@ -23,11 +45,20 @@ const tempBox = new THREE.Box3();
  * In the long run, User is to manages avatars, hands, and everything of Human
  * I/O. In third-person view simulation, it should come with an low-poly avatar.
  * To support multi-user social XR planned for future iterations.
+ *
+ * The pose of the User is the rig the viewer, controllers and hands are
+ * tracked in: moving or turning the User, e.g. with `Locomotion`, moves them
+ * through the scene without moving the scene itself.
  */
 export class User extends Script {
   static dependencies = {
     input: Input,
     scene: THREE.Scene,
+    renderer: THREE.WebGLRenderer,
+    camera: THREE.Camera,
+    soundSynthesizer: optional(SoundSynthesizer),
+    scriptsManager: optional(ScriptsManager),
+    timer: THREE.Timer,
   };
 
   /**
@@ -106,6 +137,22 @@ export class User extends Script {
   input!: Input;
   scene!: THREE.Scene;
   controllers!: Controller[];
+  private renderer?: THREE.WebGLRenderer;
+  private camera?: THREE.Camera;
+  private soundSynthesizer?: SoundSynthesizer;
+  private scriptsManager?: ScriptsManager;
+  private timer!: THREE.Timer;
+  /** The initialized views which hands can poke. */
+  private pokeableViews = new Set<View>();
+  /** The views being pushed by fingertips, with their poke state. */
+  private pokedViews = new Map<View, PokeInteraction>();
+  private onScriptInitializedBound = this.onScriptInitialized.bind(this);
+  private onScriptUninitializedBound = this.onScriptUninitialized.bind(this);
+
+  // The rig pose which was last applied to the tracking space.
+  private appliedRigMatrix = new THREE.Matrix4();
+  // The reference space of the XR session before the rig was applied.
+  private baseReferenceSpace?: XRReferenceSpace;
 
   /**
    * Constructs a new User.
@@ -117,10 +164,152 @@ export class User extends Script {
   /**
    * Initializes the User.
    */
-  init({input, scene}: {input: Input; scene: THREE.Scene}) {
+  init({
+    input,
+    scene,
+    renderer,
+    camera,
+    soundSynthesizer,
+    scriptsManager,
+    timer,
+  }: {
+    input: Input;
+    scene: THREE.Scene;
+    renderer?: THREE.WebGLRenderer;
+    camera?: THREE.Camera;
+    soundSynthesizer?: SoundSynthesizer;
+    scriptsManager?: ScriptsManager;
+    timer: THREE.Timer;
+  }) {
     this.input = input;
     this.controllers = input.controllers;
     this.scene = scene;
+    this.renderer = renderer;
+    this.camera = camera;
+    this.soundSynthesizer = soundSynthesizer;
+    this.scriptsManager = scriptsManager;
+    this.timer = timer;
+    if (scriptsManager) {
+      scriptsManager.addEventListener(
+        'scriptinitialized',
+        this.onScriptInitializedBound
+      );
+      scriptsManager.addEventListener(
+        'scriptuninitialized',
+        this.onScriptUninitializedBound
+      );
+      // Views may have been initialized before the user.
+      for (const script of scriptsManager.scripts) {
+        this.onScriptInitialized({script});
+      }
+    }
+  }
+
+  private onScriptInitialized({
+    script,
+  }: ScriptsManagerEventMap['scriptinitialized']) {
+    if ((script as MaybeView).isView) {
+      (script as View).registerPokeable(this.pokeableViews);
+    }
+  }
+
+  private onScriptUninitialized({
+    script,
+  }: ScriptsManagerEventMap['scriptuninitialized']) {
+    if ((script as MaybeView).isView) {
+      (script as View).registerPokeable(undefined);
+    }
+  }
+
+  /**
+   * The camera of the viewer, which is the XR camera during XR sessions.
+   */
+  get viewer(): THREE.Camera | undefined {
+    const xr = this.renderer?.xr;
+    return xr?.isPresenting ? xr.getCamera() : this.camera;
+  }
+
+  /**
+   * Moves the rig so that the viewer stands at a point, keeping the viewer's
+   * height above the rig.
+   * @param point - The point in world space, usually on the floor.
+   */
+  teleportTo(point: THREE.Vector3) {
+    const viewer = this.getViewerPosition(tempPosition);
+    this.position.x += point.x - viewer.x;
+    this.position.z += point.z - viewer.z;
+    this.position.y = point.y;
+    this.updateRig();
+  }
+
+  /**
+   * Turns the rig around the vertical axis through the viewer.
+   * @param angle - The angle in radians, counter-clockwise from above.
+   */
+  turn(angle: number) {
+    const viewer = this.getViewerPosition(tempPosition);
+    tempQuaternion.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, angle);
+    this.position.sub(viewer).applyQuaternion(tempQuaternion).add(viewer);
+    this.quaternion.premultiply(tempQuaternion);
+    this.updateRig();
+  }
+
+  /**
+   * Applies changes of the User's pose to the tracking space. On device, the
+   * reference space of the session is offset by the pose. Otherwise, e.g. in
+   * the simulator, the camera is moved by the change. Called every frame and
+   * after `teleportTo()` and `turn()`.
+   */
+  updateRig() {
+    this.updateMatrixWorld();
+    if (this.matrixWorld.equals(this.appliedRigMatrix)) return;
+    const xr = this.renderer?.xr;
+    if (xr?.isPresenting) {
+      this.baseReferenceSpace ??= xr.getReferenceSpace() ?? undefined;
+      if (!this.baseReferenceSpace) return;
+      tempMatrix
+        .copy(this.matrixWorld)
+        .invert()
+        .decompose(tempPosition, tempQuaternion, tempScale);
+      xr.setReferenceSpace(
+        this.baseReferenceSpace.getOffsetReferenceSpace(
+          new XRRigidTransform(tempPosition, tempQuaternion)
+        )
+      );
+    } else if (this.camera) {
+      this.camera.updateMatrix();
+      tempMatrix
+        .copy(this.appliedRigMatrix)
+        .invert()
+        .premultiply(this.matrixWorld)
+        .multiply(this.camera.matrix)
+        .decompose(
+          this.camera.position,
+          this.camera.quaternion,
+          this.camera.scale
+        );
+      this.camera.updateMatrixWorld();
+    }
+    this.appliedRigMatrix.copy(this.matrixWorld);
+  }
+
+  onXRSessionStarted() {
+    // Sessions start in their own reference space, to which the rig is
+    // applied again.
+    this.baseReferenceSpace = undefined;
+    this.appliedRigMatrix.identity();
+  }
+
+  onXRSessionEnded() {
+    this.baseReferenceSpace = undefined;
+    this.appliedRigMatrix.identity();
+  }
+
+  private getViewerPosition(target: THREE.Vector3) {
+    const viewer = this.viewer;
+    return viewer
+      ? viewer.getWorldPosition(target)
+      : target.copy(this.position);
   }
 
   /**
@@ -358,6 +547,8 @@ export class User extends Script {
    * controllers.
    */
   update() {
+    this.updateRig();
+    this.hands?.update(this.timer.getElapsed());
     if (this.input.controllersEnabled) {
       for (const controller of this.input.controllers) {
         this.updateForController(controller);
@@ -365,6 +556,8 @@ export class User extends Script {
     }
     // Direct touch detection.
     this.updateTouchState();
+    // Pressing views with fingertips.
+    this.updatePokeState();
     // Direct grab detection.
     this.updateGrabState();
   }
@@ -410,6 +603,11 @@ export class User extends Script {
 
       for (const mesh of releasedMeshes) {
         const grabEvent = previouslyGrabbedMeshesMap.get(mesh);
+        grabEvent.velocity = this.hands.getJointVelocity('wrist', i);
+        grabEvent.angularVelocity = this.hands.getJointAngularVelocity(
+          'wrist',
+          i
+        );
         this.callObjectGrabEnd(grabEvent, mesh);
         previouslyGrabbedMeshesMap.delete(mesh);
       }
@@ -489,6 +687,71 @@ export class User extends Script {
     }
   }
 
+  /**
+   * Pushes pokeable views with the index fingertips of the hands, triggering
+   * them when pressed.
+   */
+  updatePokeState() {
+    if (!this.hands) return;
+    for (let i = 0; i < this.numHands; i++) {
+      const indexTip = this.hands.getIndexTip(i);
+      pokeFingertips[i] =
+        indexTip && this.hands.hands[i]?.visible !== false
+          ? indexTip.getWorldPosition(pokeFingertips[i] ?? new THREE.Vector3())
+          : undefined;
+    }
+    pokeFingertips.length = this.numHands;
+
+    // Releases views which can no longer be poked, e.g. hidden ones.
+    for (const [view, poke] of this.pokedViews) {
+      if (
+        view.poke === poke &&
+        this.pokeableViews.has(view) &&
+        this.canPoke(view)
+      ) {
+        continue;
+      }
+      this.pokedViews.delete(view);
+      const wasPressed = poke.pressed;
+      poke.reset();
+      if (wasPressed) this.updatePoke(view, poke, 'release');
+    }
+    for (const view of this.pokeableViews) {
+      const poke = view.poke;
+      if (!poke || !this.canPoke(view)) continue;
+      this.pokedViews.set(view, poke);
+      this.updatePoke(view, poke, poke.update(pokeFingertips));
+    }
+  }
+
+  /**
+   * Whether a pokeable view can currently be poked, i.e. it is selectable,
+   * enabled and visible in the scene.
+   */
+  private canPoke(view: View) {
+    if (!view.selectable || !isEnabledScript(view)) return false;
+    let object: THREE.Object3D | null = view;
+    while (object) {
+      if (!object.visible) return false;
+      if (object === this.scene) return true;
+      object = object.parent;
+    }
+    return false;
+  }
+
+  private updatePoke(view: View, poke: PokeInteraction, event?: PokeEventType) {
+    if (event === 'press') {
+      if (poke.pressSound) {
+        this.soundSynthesizer?.playPresetTone(poke.pressSound);
+      }
+      this.callScript(view, 'onTriggered', () =>
+        view.onTriggered(poke.handIndex)
+      );
+    } else if (event === 'release' && poke.releaseSound) {
+      this.soundSynthesizer?.playPresetTone(poke.releaseSound);
+    }
+  }
+
   /**
    * Updates the hover state for a single controller.
    * @param controller - The controller to update.
@@ -517,8 +780,10 @@ export class User extends Script {
   callHoverExit(controller: Controller, target: THREE.Object3D | null) {
     if (target == null) return;
     if (
-      (target as MaybeXRScript).isXRScript &&
-      (target as Script).onHoverExit(controller)
+      isEnabledScript(target) &&
+      this.callScript(target as Script, 'onHoverExit', () =>
+        (target as Script).onHoverExit(controller)
+      )
     ) {
       // The event was handled already so do not propagate up.
       return;
@@ -534,8 +799,10 @@ export class User extends Script {
   callHoverEnter(controller: Controller, target: THREE.Object3D | null) {
     if (target == null) return;
     if (
-      (target as MaybeXRScript).isXRScript &&
-      (target as Script).onHoverEnter(controller)
+      isEnabledScript(target) &&
+      this.callScript(target as Script, 'onHoverEnter', () =>
+        (target as Script).onHoverEnter(controller)
+      )
     ) {
       // The event was handled already so do not propagate up.
       return;
@@ -551,8 +818,10 @@ export class User extends Script {
   callOnHovering(controller: Controller, target: THREE.Object3D | null) {
     if (target == null) return;
     if (
-      (target as MaybeXRScript).isXRScript &&
-      (target as Script).onHovering(controller)
+      isEnabledScript(target) &&
+      this.callScript(target as Script, 'onHovering', () =>
+        (target as Script).onHovering(controller)
+      )
     ) {
       // The event was handled already so do not propagate up.
       return;
@@ -568,8 +837,10 @@ export class User extends Script {
   callObjectSelectStart(event: SelectEvent, target: THREE.Object3D | null) {
     if (target == null) return;
     if (
-      (target as MaybeXRScript).isXRScript &&
-      (target as Script).onObjectSelectStart(event)
+      isEnabledScript(target) &&
+      this.callScript(target as Script, 'onObjectSelectStart', () =>
+        (target as Script).onObjectSelectStart(event)
+      )
     ) {
       // The event was handled already so do not propagate up.
       return;
@@ -586,8 +857,10 @@ export class User extends Script {
   callObjectSelectEnd(event: SelectEvent, target: THREE.Object3D | null) {
     if (target == null) return;
     if (
-      (target as MaybeXRScript).isXRScript &&
-      (target as Script).onObjectSelectEnd(event)
+      isEnabledScript(target) &&
+      this.callScript(target as Script, 'onObjectSelectEnd', () =>
+        (target as Script).onObjectSelectEnd(event)
+      )
     ) {
       // The event was handled already so do not propagate up.
       return;
@@ -602,8 +875,10 @@ export class User extends Script {
    */
   callObjectTouchStart(event: ObjectTouchEvent, target: THREE.Object3D | null) {
     if (target == null) return;
-    if ((target as MaybeXRScript).isXRScript) {
-      (target as Script).onObjectTouchStart(event);
+    if (isEnabledScript(target)) {
+      this.callScript(target as Script, 'onObjectTouchStart', () =>
+        (target as Script).onObjectTouchStart(event)
+      );
     }
     this.callObjectTouchStart(event, target.parent);
   }
@@ -615,8 +890,10 @@ export class User extends Script {
    */
   callObjectTouching(event: ObjectTouchEvent, target: THREE.Object3D | null) {
     if (target == null) return;
-    if ((target as MaybeXRScript).isXRScript) {
-      (target as Script).onObjectTouching(event);
+    if (isEnabledScript(target)) {
+      this.callScript(target as Script, 'onObjectTouching', () =>
+        (target as Script).onObjectTouching(event)
+      );
     }
     this.callObjectTouching(event, target.parent);
   }
@@ -628,8 +905,10 @@ export class User extends Script {
    */
   callObjectTouchEnd(event: ObjectTouchEvent, target: THREE.Object3D | null) {
     if (target == null) return;
-    if ((target as MaybeXRScript).isXRScript) {
-      (target as Script).onObjectTouchEnd(event);
+    if (isEnabledScript(target)) {
+      this.callScript(target as Script, 'onObjectTouchEnd', () =>
+        (target as Script).onObjectTouchEnd(event)
+      );
     }
     this.callObjectTouchEnd(event, target.parent);
   }
@@ -641,8 +920,10 @@ export class User extends Script {
    */
   callObjectGrabStart(event: ObjectGrabEvent, target: THREE.Object3D | null) {
     if (target == null) return;
-    if ((target as MaybeXRScript).isXRScript) {
-      (target as Script).onObjectGrabStart(event);
+    if (isEnabledScript(target)) {
+      this.callScript(target as Script, 'onObjectGrabStart', () =>
+        (target as Script).onObjectGrabStart(event)
+      );
     }
     this.callObjectGrabStart(event, target.parent);
   }
@@ -654,8 +935,10 @@ export class User extends Script {
    */
   callObjectGrabbing(event: ObjectGrabEvent, target: THREE.Object3D | null) {
     if (target == null) return;
-    if ((target as MaybeXRScript).isXRScript) {
-      (target as Script).onObjectGrabbing(event);
+    if (isEnabledScript(target)) {
+      this.callScript(target as Script, 'onObjectGrabbing', () =>
+        (target as Script).onObjectGrabbing(event)
+      );
     }
     this.callObjectGrabbing(event, target.parent);
   }
@@ -667,12 +950,25 @@ export class User extends Script {
    */
   callObjectGrabEnd(event: ObjectGrabEvent, target: THREE.Object3D | null) {
     if (target == null) return;
-    if ((target as MaybeXRScript).isXRScript) {
-      (target as Script).onObjectGrabEnd(event);
+    if (isEnabledScript(target)) {
+      this.callScript(target as Script, 'onObjectGrabEnd', () =>
+        (target as Script).onObjectGrabEnd(event)
+      );
     }
     this.callObjectGrabEnd(event, target.parent);
   }
 
+  /**
+   * Calls an interaction method of a script. An error it throws is reported
+   * by the ScriptsManager, like errors from lifecycle methods, instead of
+   * breaking the frame.
+   */
+  private callScript<T>(script: Script, callback: string, call: () => T) {
+    return this.scriptsManager
+      ? this.scriptsManager.callScript(script, callback, call)
+      : call();
+  }
+
   /**
    * Checks if a controller is selecting a specific object. Returns the
    * intersection details if true.
@@ -0,0 +1,79 @@
+/**
+ * The error which cancelled waits are rejected with.
+ */
+export class CancelledError extends Error {
+  constructor(message = 'The operation was cancelled.') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Signals that pending work should stop. Every script has one in
+ * `script.lifetime`, which is cancelled when the script is uninitialized, so
+ * waits and timers from `WaitFrame` stop when the script is removed.
+ */
+export class CancellationToken {
+  private _cancelled = false;
+  private listeners = new Set<() => void>();
+
+  /** Whether `cancel()` has been called. */
+  get cancelled() {
+    return this._cancelled;
+  }
+
+  /**
+   * Cancels the token and calls all listeners once.
+   */
+  cancel() {
+    if (this._cancelled) return;
+    this._cancelled = true;
+    const listeners = Array.from(this.listeners);
+    this.listeners.clear();
+    for (const listener of listeners) {
+      try {
+        listener();
+      } catch (e) {
+        console.error(e);
+      }
+    }
+  }
+
+  /**
+   * Adds a listener which is called when the token is cancelled, or right
+   * away if it already is.
+   * @param listener - The function to call.
+   * @returns A function which removes the listener.
+   */
+  onCancel(listener: () => void) {
+    if (this._cancelled) {
+      listener();
+      return () => {};
+    }
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Creates a token which is cancelled along with this one, but can also be
+   * cancelled on its own.
+   */
+  createChild() {
+    const child = new CancellationToken();
+    const removeListener = this.onCancel(() => child.cancel());
+    child.onCancel(removeListener);
+    return child;
+  }
+
+  /**
+   * Throws a `CancelledError` if the token is cancelled, for checks between
+   * steps of long running work.
+   */
+  throwIfCancelled() {
+    if (this._cancelled) {
+      throw new CancelledError();
+    }
+  }
+}
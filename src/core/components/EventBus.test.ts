@@ -0,0 +1,70 @@
+import {describe, expect, it, vi} from 'vitest';
+
+import {CancellationToken, CancelledError} from './CancellationToken';
+import {EventBus} from './EventBus';
+
+describe('EventBus', () => {
+  it('delivers payloads to exact and wildcard subscribers', () => {
+    const events = new EventBus();
+    const exact = vi.fn();
+    const segment = vi.fn();
+    const all = vi.fn();
+    events.subscribe('game/scored', exact);
+    events.subscribe('game/*', segment);
+    events.subscribe('**', all);
+
+    events.publish('game/scored', {points: 3});
+    events.publish('game/round/ended', {});
+
+    expect(exact).toHaveBeenCalledExactlyOnceWith({points: 3}, 'game/scored');
+    expect(segment).toHaveBeenCalledOnce();
+    expect(all).toHaveBeenCalledTimes(2);
+  });
+
+  it('replays the last payload of matching topics', () => {
+    const events = new EventBus();
+    events.publish('game/scored', {points: 1});
+    events.publish('game/scored', {points: 2});
+    events.publish('menu/opened', {});
+    const listener = vi.fn();
+
+    events.subscribe('game/*', listener, {replay: true});
+
+    expect(listener).toHaveBeenCalledExactlyOnceWith(
+      {points: 2},
+      'game/scored'
+    );
+  });
+
+  it('unsubscribes when the token is cancelled', async () => {
+    const events = new EventBus();
+    const token = new CancellationToken();
+    const listener = vi.fn();
+    events.subscribe('game/scored', listener, {token});
+    const next = events.once('game/scored', token);
+
+    token.cancel();
+    events.publish('game/scored', {points: 1});
+
+    expect(listener).not.toHaveBeenCalled();
+    await expect(next).rejects.toBeInstanceOf(CancelledError);
+  });
+
+  it('keeps notifying other listeners when one throws', () => {
+    const events = new EventBus();
+    const listener = vi.fn();
+    const consoleError = vi
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+    events.subscribe('game/scored', () => {
+      throw new Error('broken listener');
+    });
+    events.subscribe('game/scored', listener);
+
+    events.publish('game/scored', {});
+
+    expect(listener).toHaveBeenCalledOnce();
+    expect(consoleError).toHaveBeenCalledOnce();
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,211 @@
+import type {AssetProgress} from '../../assets/AssetManager';
+import type {GestureEventDetail} from '../../input/gestures/GestureEvents';
+import type {DetectedObject} from '../../world/objects/DetectedObject';
+import type {DetectedPlane} from '../../world/planes/DetectedPlane';
+
+import {CancellationToken, CancelledError} from './CancellationToken';
+
+/**
+ * Payload types of the topics published by XR Blocks. Apps can add their own
+ * topics with declaration merging:
+ * ```
+ * declare module 'xrblocks' {
+ *   interface EventBusTopics {
+ *     'game/scored': {points: number};
+ *   }
+ * }
+ * ```
+ * Topics which are not listed here can still be used, with `unknown`
+ * payloads.
+ */
+export interface EventBusTopics {
+  'assets/progress': AssetProgress;
+  'assets/error': {key: string; error: unknown};
+  'xr/sessionStarted': {session: XRSession};
+  'xr/sessionEnded': object;
+  'simulator/started': object;
+  'world/planeAdded': {plane: DetectedPlane};
+  'world/objectDetected': {object: DetectedObject<unknown>};
+  'gestures/started': GestureEventDetail;
+  'gestures/ended': GestureEventDetail;
+}
+
+export type EventBusPayload<T extends string> = T extends keyof EventBusTopics
+  ? EventBusTopics[T]
+  : unknown;
+
+export type EventBusListener<T extends string> = (
+  payload: EventBusPayload<T>,
+  topic: string
+) => void;
+
+export type EventBusSubscribeOptions = {
+  /**
+   * Whether to call the listener right away with the last payload of every
+   * matching topic which was published before subscribing.
+   */
+  replay?: boolean;
+  /** Unsubscribes when cancelled, e.g. a script's `lifetime`. */
+  token?: CancellationToken;
+};
+
+type Subscription = {
+  /** The topic, or a regular expression for patterns with wildcards. */
+  matcher: string | RegExp;
+  listener: (payload: unknown, topic: string) => void;
+};
+
+/**
+ * Compiles a topic pattern with wildcards. `*` matches one `/` separated
+ * segment and `**` matches any number of segments.
+ */
+function compilePattern(pattern: string): string | RegExp {
+  if (!pattern.includes('*')) {
+    return pattern;
+  }
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (segment === '**') return '.*';
+      if (segment === '*') return '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/')
+    // Lets `a/**` match `a` itself.
+    .replace(/\/\.\*$/, '(?:/.*)?');
+  return new RegExp(`^${source}$`);
+}
+
+function matches(matcher: string | RegExp, topic: string) {
+  return typeof matcher === 'string' ? matcher === topic : matcher.test(topic);
+}
+
+/**
+ * A publish/subscribe channel for communication between scripts and core
+ * subsystems without holding references to each other. Available through
+ * dependency injection and as `core.events`. Core publishes the topics listed
+ * in `EventBusTopics`.
+ * @example
+ * ```
+ * class PlaneCounter extends Script {
+ *   static dependencies = {events: EventBus};
+ *   count = 0;
+ *
+ *   init({events}) {
+ *     events.subscribe('world/planeAdded', () => this.count++, {
+ *       replay: true,
+ *       token: this.lifetime,
+ *     });
+ *   }
+ * }
+ * ```
+ */
+export class EventBus {
+  private subscriptions = new Set<Subscription>();
+  private lastPayloads = new Map<string, unknown>();
+
+  /**
+   * Sends a payload to all listeners of a topic and remembers it for
+   * subscribers which request a replay.
+   * @param topic - The topic, e.g. `'world/planeAdded'`.
+   * @param payload - The data to send.
+   */
+  publish<T extends string>(topic: T, payload: EventBusPayload<T>) {
+    this.lastPayloads.set(topic, payload);
+    for (const subscription of Array.from(this.subscriptions)) {
+      if (
+        this.subscriptions.has(subscription) &&
+        matches(subscription.matcher, topic)
+      ) {
+        this.callListener(subscription, payload, topic);
+      }
+    }
+  }
+
+  /**
+   * Listens to a topic or a pattern of topics, e.g. `'world/*'` or `'**'`.
+   * @param pattern - The topic or pattern to listen to.
+   * @param listener - Called with the payload and the published topic.
+   * @param options - Replay and lifetime of the subscription.
+   * @returns A function which unsubscribes the listener.
+   */
+  subscribe<T extends string>(
+    pattern: T,
+    listener: EventBusListener<T>,
+    {replay = false, token}: EventBusSubscribeOptions = {}
+  ) {
+    const subscription: Subscription = {
+      matcher: compilePattern(pattern),
+      listener: listener as Subscription['listener'],
+    };
+    const unsubscribe = () => {
+      this.subscriptions.delete(subscription);
+    };
+    if (token?.cancelled) {
+      return unsubscribe;
+    }
+    this.subscriptions.add(subscription);
+    token?.onCancel(unsubscribe);
+    if (replay) {
+      for (const [topic, payload] of this.lastPayloads) {
+        if (
+          this.subscriptions.has(subscription) &&
+          matches(subscription.matcher, topic)
+        ) {
+          this.callListener(subscription, payload, topic);
+        }
+      }
+    }
+    return unsubscribe;
+  }
+
+  /**
+   * Listens to the next payload of a topic or pattern.
+   * @param pattern - The topic or pattern to listen to.
+   * @param token - Optional token to stop waiting.
+   * @returns A promise which resolves with the payload, or rejects with a
+   * `CancelledError` if the token is cancelled first.
+   */
+  once<T extends string>(pattern: T, token?: CancellationToken) {
+    return new Promise<EventBusPayload<T>>((resolve, reject) => {
+      const subscription = token?.createChild() ?? new CancellationToken();
+      subscription.onCancel(() => reject(new CancelledError()));
+      this.subscribe<T>(
+        pattern,
+        (payload) => {
+          resolve(payload);
+          subscription.cancel();
+        },
+        {token: subscription}
+      );
+    });
+  }
+
+  /**
+   * Gets the last payload published on a topic.
+   * @param topic - The topic.
+   */
+  getLast<T extends string>(topic: T): EventBusPayload<T> | undefined {
+    return this.lastPayloads.get(topic) as EventBusPayload<T> | undefined;
+  }
+
+  /**
+   * Removes all subscriptions and remembered payloads.
+   */
+  clear() {
+    this.subscriptions.clear();
+    this.lastPayloads.clear();
+  }
+
+  private callListener(
+    subscription: Subscription,
+    payload: unknown,
+    topic: string
+  ) {
+    try {
+      subscription.listener(payload, topic);
+    } catch (e) {
+      console.error(e);
+    }
+  }
+}
@@ -1,3 +1,5 @@
+import {i18n} from '../../i18n/I18n';
+
 /**
  * Interface representing the result of a permission request.
  */
@@ -25,7 +27,7 @@ export class PermissionsManager {
       return {
         granted: false,
         status: 'error',
-        error: 'Geolocation is not supported by this browser.',
+        error: i18n.t('permissions.geolocationUnsupported'),
       };
     }
 
@@ -35,16 +37,16 @@ export class PermissionsManager {
           resolve({granted: true, status: 'granted'});
         },
         (error) => {
-          let errorMsg = 'Unknown error';
+          let errorMsg = i18n.t('permissions.locationUnknownError');
           switch (error.code) {
             case error.PERMISSION_DENIED:
-              errorMsg = 'User denied the request.';
+              errorMsg = i18n.t('permissions.locationDenied');
               break;
             case error.POSITION_UNAVAILABLE:
-              errorMsg = 'Location information is unavailable.';
+              errorMsg = i18n.t('permissions.locationUnavailable');
               break;
             case error.TIMEOUT:
-              errorMsg = 'The request to get user location timed out.';
+              errorMsg = i18n.t('permissions.locationTimeout');
               break;
           }
           resolve({granted: false, status: 'denied', error: errorMsg});
@@ -92,7 +94,7 @@ export class PermissionsManager {
       return {
         granted: false,
         status: 'error',
-        error: 'Media Devices API is not supported by this browser.',
+        error: i18n.t('permissions.mediaDevicesUnsupported'),
       };
     }
 
@@ -110,7 +112,7 @@ export class PermissionsManager {
 
       // Handle common getUserMedia errors
       const status: PermissionState = 'denied';
-      let errorMessage = 'Permission denied';
+      let errorMessage = i18n.t('permissions.denied');
 
       if (err instanceof Error) {
         if (
@@ -120,7 +122,7 @@ export class PermissionsManager {
           return {
             granted: false,
             status: 'error',
-            error: 'Hardware not found.',
+            error: i18n.t('permissions.hardwareNotFound'),
           };
         }
         errorMessage = err.message || errorMessage;
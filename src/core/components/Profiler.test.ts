@@ -0,0 +1,68 @@
+import {describe, expect, it} from 'vitest';
+
+import {Script} from '../Script';
+import {Profiler} from './Profiler';
+import {ScriptsManager} from './ScriptsManager';
+
+class SlowScript extends Script {
+  update() {
+    const start = performance.now();
+    while (performance.now() - start < 2) {
+      // Busy wait.
+    }
+  }
+}
+
+describe('Profiler', () => {
+  it('accumulates sections within a frame and sorts by average', () => {
+    const profiler = new Profiler();
+    profiler.enabled = true;
+    profiler.smoothing = 1;
+
+    profiler.record('Depth', 1);
+    profiler.record('Render', 2);
+    profiler.record('Depth', 3);
+    profiler.endFrame();
+
+    expect(profiler.getEntries().map((entry) => entry.name)).toEqual([
+      'Depth',
+      'Render',
+    ]);
+    expect(profiler.get('Depth')).toMatchObject({lastMs: 4, maxMs: 4});
+
+    profiler.endFrame();
+    expect(profiler.get('Depth')).toMatchObject({lastMs: 0, maxMs: 4});
+  });
+
+  it('does nothing while disabled', () => {
+    const profiler = new Profiler();
+
+    profiler.end('Depth', profiler.begin());
+    profiler.endFrame();
+
+    expect(profiler.getEntries()).toEqual([]);
+  });
+
+  it('times script callbacks per script instance', async () => {
+    const profiler = new Profiler();
+    profiler.enabled = true;
+    const manager = new ScriptsManager(async (script) => {
+      await script.init();
+    }, profiler);
+    const named = new SlowScript();
+    named.name = 'slow';
+    const unnamed = new SlowScript();
+    await manager.initScript(named);
+    await manager.initScript(unnamed);
+
+    manager.callUpdate();
+    profiler.endFrame();
+
+    for (const name of ['slow.update', `${unnamed.uuid}.update`]) {
+      const entry = profiler.get(name)!;
+      expect(entry.label).toBe('SlowScript.update');
+      expect(entry.lastMs).toBeGreaterThanOrEqual(2);
+    }
+    expect(profiler.get('SlowScript.update')).toBeUndefined();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Timing statistics of one profiled section, in milliseconds.
+ */
+export type ProfilerEntry = {
+  /**
+   * The section name, e.g. `'Depth'`. Script callbacks are measured per
+   * script, named after the script's `name` or, if it has none, its `uuid`,
+   * e.g. `'spawner.update'`.
+   */
+  name: string;
+  /**
+   * The name to display, e.g. `'MyScript.update'` for script callbacks, which
+   * are labeled with their class. Equals `name` for other sections.
+   */
+  label: string;
+  /** Total time spent in the section during the last frame. */
+  lastMs: number;
+  /** Exponential moving average of the time per frame. */
+  averageMs: number;
+  /** Largest time per frame since the last `reset()`. */
+  maxMs: number;
+  /** Time accumulated during the current frame. */
+  frameMs: number;
+};
+
+/**
+ * Opt-in timing instrumentation for the frame loop. Core measures its
+ * subsystems (depth, lighting, input, physics, render and screenshots) and
+ * the ScriptsManager measures each script callback per script instance.
+ * Instrumentation only runs while `enabled` is set, either with
+ * `options.enableProfiler()` or at runtime.
+ */
+export class Profiler {
+  /** Whether sections are currently being measured. */
+  enabled = false;
+  /** Weight of the latest frame in `averageMs`, between 0 and 1. */
+  smoothing = 0.05;
+
+  private entries = new Map<string, ProfilerEntry>();
+
+  /**
+   * Starts measuring a section.
+   * @returns The start time to pass to `end`, or 0 when disabled.
+   */
+  begin() {
+    return this.enabled ? performance.now() : 0;
+  }
+
+  /**
+   * Stops measuring a section and adds the elapsed time to its total for the
+   * current frame. Sections may be measured several times per frame.
+   * @param name - The section name.
+   * @param start - The value returned by `begin`.
+   */
+  end(name: string, start: number) {
+    if (!this.enabled) return;
+    this.record(name, performance.now() - start);
+  }
+
+  /**
+   * Adds a duration to a section's total for the current frame.
+   * @param name - The section name.
+   * @param durationMs - The duration in milliseconds.
+   * @param label - The name to display, defaults to `name`.
+   */
+  record(name: string, durationMs: number, label = name) {
+    let entry = this.entries.get(name);
+    if (!entry) {
+      entry = {
+        name,
+        label,
+        lastMs: 0,
+        averageMs: durationMs,
+        maxMs: 0,
+        frameMs: 0,
+      };
+      this.entries.set(name, entry);
+    }
+    entry.frameMs += durationMs;
+  }
+
+  /**
+   * Folds the totals of the current frame into the statistics. Called by Core
+   * at the end of every frame.
+   */
+  endFrame() {
+    if (!this.enabled) return;
+    for (const entry of this.entries.values()) {
+      entry.lastMs = entry.frameMs;
+      entry.averageMs += (entry.frameMs - entry.averageMs) * this.smoothing;
+      entry.maxMs = Math.max(entry.maxMs, entry.frameMs);
+      entry.frameMs = 0;
+    }
+  }
+
+  /**
+   * Gets the statistics of a section.
+   * @param name - The section name.
+   */
+  get(name: string): Readonly<ProfilerEntry> | undefined {
+    return this.entries.get(name);
+  }
+
+  /**
+   * Gets the statistics of all sections, slowest first.
+   * @param limit - The maximum number of entries to return.
+   */
+  getEntries(limit = Infinity): Readonly<ProfilerEntry>[] {
+    return Array.from(this.entries.values())
+      .sort((a, b) => b.averageMs - a.averageMs)
+      .slice(0, limit);
+  }
+
+  /**
+   * Clears all statistics.
+   */
+  reset() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import {describe, expect, it} from 'vitest';
+
+import {
+  callInitWithDependencyInjection,
+  named,
+  optional,
+} from '../../utils/DependencyInjection';
+import {Registry} from './Registry';
+
+class Service {}
+class MissingService {}
+
+describe('Registry', () => {
+  it('keeps named instances separate from the default instance', () => {
+    const registry = new Registry();
+    const music = new Service();
+    const effects = new Service();
+    const fallback = new Service();
+    registry.register(music, Service, 'music');
+    registry.register(effects, Service, 'effects');
+    registry.register(fallback);
+
+    expect(registry.get(Service, 'music')).toBe(music);
+    expect(registry.get(Service, 'effects')).toBe(effects);
+    expect(registry.get(Service)).toBe(fallback);
+
+    registry.unregister(Service, 'music');
+    expect(registry.get(Service, 'music')).toBeUndefined();
+    expect(registry.get(Service)).toBe(fallback);
+  });
+
+  it('resolves from child registries before their parents', () => {
+    const parent = new Registry();
+    const parentService = new Service();
+    parent.register(parentService);
+    const child = parent.createChild();
+
+    expect(child.get(Service)).toBe(parentService);
+    expect(child.get(Registry)).toBe(child);
+
+    const childService = new Service();
+    child.register(childService);
+    expect(child.get(Service)).toBe(childService);
+    expect(parent.get(Service)).toBe(parentService);
+  });
+
+  it('clears default and named instances', () => {
+    const registry = new Registry();
+    registry.register(new Service());
+    registry.register(new Service(), Service, 'music');
+
+    registry.clear();
+
+    expect(registry.get(Service)).toBeUndefined();
+    expect(registry.get(Service, 'music')).toBeUndefined();
+  });
+
+  it('finds the scope of the nearest scoped ancestor', () => {
+    const registry = new Registry();
+    const root = new THREE.Group();
+    const nestedRoot = new THREE.Group();
+    const leaf = new THREE.Object3D();
+    const outside = new THREE.Object3D();
+    root.add(nestedRoot);
+    nestedRoot.add(leaf);
+
+    const scope = registry.createScope(root);
+    const nestedScope = scope.createScope(nestedRoot);
+
+    expect(registry.getScopeFor(leaf)).toBe(nestedScope);
+    expect(registry.getScopeFor(root)).toBe(scope);
+    expect(registry.getScopeFor(outside)).toBe(registry);
+
+    registry.removeScope(nestedRoot);
+    expect(registry.getScopeFor(leaf)).toBe(scope);
+
+    registry.clear();
+    expect(registry.getScopeFor(leaf)).toBe(registry);
+  });
+});
+
+describe('callInitWithDependencyInjection', () => {
+  it('injects optional and named dependencies', async () => {
+    const registry = new Registry();
+    const music = new Service();
+    registry.register(music, Service, 'music');
+    let injected: object | undefined;
+    const script = {
+      init(deps: object) {
+        injected = deps;
+      },
+    };
+    script.constructor = Object.assign(function () {}, {
+      dependencies: {
+        music: named(Service, 'music'),
+        missing: optional(MissingService),
+      },
+    });
+
+    await callInitWithDependencyInjection(script, registry, undefined);
+
+    expect(injected).toEqual({music, missing: undefined});
+  });
+
+  it('throws for missing required dependencies', async () => {
+    const registry = new Registry();
+    const script = {init() {}};
+    script.constructor = Object.assign(function () {}, {
+      dependencies: {music: named(Service, 'music')},
+    });
+
+    await expect(
+      callInitWithDependencyInjection(script, registry, undefined)
+    ).rejects.toThrow('Dependency not found for key: Service (name: music)');
+  });
+});
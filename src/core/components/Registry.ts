@@ -1,7 +1,24 @@
+import type * as THREE from 'three';
+
 import type {Constructor} from '../../utils/Types';
 
 export class Registry {
   private instances = new Map<Constructor, object>();
+  private namedInstances = new Map<Constructor, Map<string, object>>();
+  /**
+   * Scoped registries keyed by the root of their scene subtree. Shared by a
+   * registry and all of its descendants.
+   */
+  private scopes: WeakMap<THREE.Object3D, Registry>;
+
+  /**
+   * @param parent - Registry to fall back to for types which are not
+   * registered in this one. Use `createChild` or `createScope` instead of
+   * passing this directly.
+   */
+  constructor(readonly parent?: Registry) {
+    this.scopes = parent ? parent.scopes : new WeakMap();
+  }
 
   /**
    * Registers an new instanceof a given type.
@@ -10,12 +27,16 @@ export class Registry {
    * @param instance - The instance to register.
    * @param type - Type to register the instance as. Will default to
    * `instance.constructor` if not defined.
+   * @param name - Optional key to register the instance under, which allows
+   * multiple instances of the same type to be registered side by side.
    */
-  register<T extends object>(instance: T, type?: Constructor<T>) {
+  register<T extends object>(
+    instance: T,
+    type?: Constructor<T>,
+    name?: string
+  ) {
     const registrationType = type ?? (instance.constructor as Constructor<T>);
-    if (instance instanceof registrationType) {
-      this.instances.set(registrationType, instance);
-    } else {
+    if (!(instance instanceof registrationType)) {
       throw new Error(
         `Instance of type '${
           instance.constructor.name
@@ -24,15 +45,31 @@ export class Registry {
         }'.`
       );
     }
+    if (name === undefined) {
+      this.instances.set(registrationType, instance);
+      return;
+    }
+    let named = this.namedInstances.get(registrationType);
+    if (!named) {
+      named = new Map();
+      this.namedInstances.set(registrationType, named);
+    }
+    named.set(name, instance);
   }
 
   /**
-   * Gets an existing instance of a registered type.
+   * Gets an existing instance of a registered type. Falls back to the parent
+   * registry if the type is not registered in this one.
    * @param type - The constructor function of the type to retrieve.
+   * @param name - Optional key the instance was registered under.
    * @returns The instance of the requested type.
    */
-  get<T extends object>(type: Constructor<T>): T | undefined {
-    return this.instances.get(type) as T | undefined;
+  get<T extends object>(type: Constructor<T>, name?: string): T | undefined {
+    const instance =
+      name === undefined
+        ? this.instances.get(type)
+        : this.namedInstances.get(type)?.get(name);
+    return (instance as T | undefined) ?? this.parent?.get(type, name);
   }
 
   /**
@@ -41,10 +78,15 @@ export class Registry {
    * @param type - The constructor function of the type to retrieve.
    * @param factory - A function that creates a new instance of the type if it
    * doesn't already exist.
+   * @param name - Optional key to retrieve or register the instance under.
    * @returns The instance of the requested type.
    */
-  getOrCreate<T extends object>(type: Constructor<T>, factory: () => T): T {
-    let instance = this.get(type);
+  getOrCreate<T extends object>(
+    type: Constructor<T>,
+    factory: () => T,
+    name?: string
+  ): T {
+    let instance = this.get(type, name);
     if (instance === undefined) {
       instance = factory();
       if (!(instance instanceof type)) {
@@ -57,7 +99,7 @@ export class Registry {
         );
       }
       // Register the new instance with the requested type.
-      this.register(instance, type);
+      this.register(instance, type, name);
     }
     return instance;
   }
@@ -65,8 +107,80 @@ export class Registry {
   /**
    * Unregisters an instance of a given type.
    * @param type - The type to unregister.
+   * @param name - Optional key the instance was registered under.
+   */
+  unregister(type: Constructor, name?: string): void {
+    if (name === undefined) {
+      this.instances.delete(type);
+      return;
+    }
+    const named = this.namedInstances.get(type);
+    named?.delete(name);
+    if (named?.size === 0) {
+      this.namedInstances.delete(type);
+    }
+  }
+
+  /**
+   * Unregisters all instances, including named ones. Clearing a root registry
+   * also removes the scopes created from it and its descendants.
+   */
+  clear(): void {
+    this.instances.clear();
+    this.namedInstances.clear();
+    if (!this.parent) {
+      this.scopes = new WeakMap();
+    }
+  }
+
+  /**
+   * Creates a child registry which resolves its own registrations first and
+   * falls back to this registry for everything else. The child registers
+   * itself as its `Registry`.
+   * @returns The child registry.
+   */
+  createChild() {
+    const child = new Registry(this);
+    child.register(child);
+    return child;
+  }
+
+  /**
+   * Creates a child registry scoped to a subtree of the scene. Scripts under
+   * `root` are initialized with dependencies from the scoped registry, see
+   * `getScopeFor`.
+   * @param root - The root of the scene subtree.
+   * @returns The scoped registry.
+   */
+  createScope(root: THREE.Object3D) {
+    const scope = this.createChild();
+    this.scopes.set(root, scope);
+    return scope;
+  }
+
+  /**
+   * Removes the scoped registry of a scene subtree.
+   * @param root - The root passed to `createScope`.
    */
-  unregister(type: Constructor): void {
-    this.instances.delete(type);
+  removeScope(root: THREE.Object3D) {
+    this.scopes.delete(root);
+  }
+
+  /**
+   * Finds the registry of the nearest scoped ancestor of an object, including
+   * the object itself.
+   * @param object - The object to find the registry for.
+   * @returns The nearest scoped registry, or this registry if there is none.
+   */
+  getScopeFor(object: THREE.Object3D): Registry {
+    let current: THREE.Object3D | null = object;
+    while (current) {
+      const scope = this.scopes.get(current);
+      if (scope) {
+        return scope;
+      }
+      current = current.parent;
+    }
+    return this;
   }
 }
@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+import {describe, expect, it} from 'vitest';
+
+import {TextButton} from '../../ui/components/TextButton';
+import {TextView} from '../../ui/components/TextView';
+import {Row} from '../../ui/layouts/Row';
+import {SpatialPanel} from '../../ui/layouts/SpatialPanel';
+// Sets up the layout classes of grids.
+import '../../ui/UI';
+import {Script} from '../Script';
+import {User} from '../User';
+import {SceneSerializer, serializable} from './SceneSerializer';
+import {ScriptsManager} from './ScriptsManager';
+
+class Spinner extends Script {
+  @serializable speed = 1;
+  @serializable axis = new THREE.Vector3(0, 1, 0);
+  label: string;
+  initialized = false;
+
+  constructor({label = ''}: {label?: string} = {}) {
+    super();
+    this.label = label;
+  }
+
+  init() {
+    this.initialized = true;
+    // Default placement which loading should override.
+    this.position.set(0, 0, -1);
+  }
+
+  onSerialize() {
+    return {label: this.label};
+  }
+}
+
+class LegacySpinner extends Script {
+  static serializedProperties = ['speed'];
+  speed = 1;
+}
+
+SceneSerializer.registerType('Spinner', Spinner);
+SceneSerializer.registerType('LegacySpinner', LegacySpinner);
+
+function createSerializer() {
+  const manager = new ScriptsManager(async (script) => {
+    await script.init();
+  });
+  return {manager, serializer: new SceneSerializer(manager)};
+}
+
+describe('SceneSerializer', () => {
+  it('saves registered scripts and restores them through initScript', async () => {
+    const {manager, serializer} = createSerializer();
+    const scene = new THREE.Scene();
+    const spinner = new Spinner({label: 'fan'});
+    spinner.name = 'Fan';
+    spinner.speed = 3;
+    spinner.axis.set(1, 0, 0);
+    spinner.position.set(1, 2, 3);
+    scene.add(spinner);
+
+    const json = JSON.parse(JSON.stringify(serializer.save(scene)));
+    const target = new THREE.Scene();
+    const [loaded] = (await serializer.load(json, target)) as Spinner[];
+
+    expect(loaded).toBeInstanceOf(Spinner);
+    expect(loaded.parent).toBe(target);
+    expect(loaded.name).toBe('Fan');
+    expect(loaded.label).toBe('fan');
+    expect(loaded.speed).toBe(3);
+    expect(loaded.axis.toArray()).toEqual([1, 0, 0]);
+    expect(loaded.position.toArray()).toEqual([1, 2, 3]);
+    expect(loaded.initialized).toBe(true);
+    expect(manager.scripts.has(loaded)).toBe(true);
+  });
+
+  it('keeps nested scripts relative to their saved ancestor', async () => {
+    const {serializer} = createSerializer();
+    const scene = new THREE.Scene();
+    const parent = new Spinner();
+    parent.position.set(0, 1, 0);
+    const group = new THREE.Group();
+    group.position.set(1, 0, 0);
+    const child = new LegacySpinner();
+    child.speed = 5;
+    child.position.set(0, 0, 1);
+    group.add(child);
+    parent.add(group);
+    scene.add(parent, new THREE.Mesh());
+
+    const json = serializer.save(scene);
+
+    expect(json.objects).toHaveLength(1);
+    const [childNode] = json.objects[0].children!;
+    expect(childNode.type).toBe('LegacySpinner');
+    expect(childNode.position).toEqual([1, 0, 1]);
+    expect(childNode.properties).toEqual({speed: 5});
+
+    const [loaded] = await serializer.load(json, new THREE.Scene());
+    const loadedChild = loaded.children[0] as LegacySpinner;
+    expect(loadedChild).toBeInstanceOf(LegacySpinner);
+    expect(loadedChild.speed).toBe(5);
+  });
+
+  it('saves the views of spatial panels', async () => {
+    const manager = new ScriptsManager(async (script) => {
+      await script.init({user: new User(), timer: new THREE.Timer()});
+    });
+    const serializer = new SceneSerializer(manager);
+    const scene = new THREE.Scene();
+    const panel = new SpatialPanel({backgroundColor: '#ff000080'});
+    panel.position.set(0, 1.5, -1);
+    const grid = panel.addGrid();
+    grid.addRow({weight: 0.25}).addText({text: 'Title', fontColor: '#ffff00'});
+    grid.addRow({weight: 0.75}).addTextButton({text: 'OK', pokeable: true});
+    scene.add(panel);
+
+    const json = JSON.parse(JSON.stringify(serializer.save(scene)));
+    const [loaded] = (await serializer.load(
+      json,
+      new THREE.Scene()
+    )) as SpatialPanel[];
+
+    expect(loaded.backgroundColor).toBe('#ff000080');
+    expect(loaded.position.toArray()).toEqual([0, 1.5, -1]);
+    const [titleRow, buttonRow] = loaded.children[1].children as Row[];
+    expect(titleRow).toBeInstanceOf(Row);
+    expect(buttonRow.topWeight).toBe(0.25);
+    expect(buttonRow.height).toBe(0.75);
+    const title = titleRow.children[0] as TextView;
+    expect(title).toBeInstanceOf(TextView);
+    expect(title.text).toBe('Title');
+    expect(title.fontColor).toBe('#ffff00');
+    const button = buttonRow.children[0] as TextButton;
+    expect(button).toBeInstanceOf(TextButton);
+    expect(button.text).toBe('OK');
+    expect(button.pokeable).toBe(true);
+    // Laying the panel out again keeps the saved layout.
+    loaded.updateLayouts();
+    const saved = grid.children[1].children[0] as TextButton;
+    expect(button.position.distanceTo(saved.position)).toBeCloseTo(0, 9);
+    expect(button.scale.distanceTo(saved.scale)).toBeCloseTo(0, 9);
+  });
+
+  it('skips excluded subtrees', () => {
+    const {serializer} = createSerializer();
+    const scene = new THREE.Scene();
+    const systems = new THREE.Group();
+    systems.add(new Spinner());
+    scene.add(systems);
+
+    expect(serializer.save(scene, [systems]).objects).toEqual([]);
+  });
+});
@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+
+import type {Script} from '../Script';
+
+import type {ScriptsManager} from './ScriptsManager';
+
+/**
+ * A constructor of a script which can be saved and loaded. It receives the
+ * object returned by `onSerialize` as its only argument.
+ */
+export type SerializableConstructor = (new (
+  data: Record<string, unknown>
+) => Script) & {
+  serializedProperties?: string[];
+};
+
+export type SceneJsonNode = {
+  type: string;
+  name?: string;
+  position: THREE.Vector3Tuple;
+  quaternion: THREE.Vector4Tuple;
+  scale: THREE.Vector3Tuple;
+  properties?: Record<string, unknown>;
+  data?: Record<string, unknown>;
+  children?: SceneJsonNode[];
+};
+
+export type SceneJson = {
+  version: number;
+  objects: SceneJsonNode[];
+};
+
+export const SCENE_JSON_VERSION = 1;
+
+type MaybeScript = THREE.Object3D & {isXRScript?: boolean};
+type ArrayConvertible = {
+  toArray(): number[];
+  fromArray(array: ArrayLike<number>): unknown;
+};
+
+// Temporary variables.
+const parentInverse = new THREE.Matrix4();
+const relativeMatrix = new THREE.Matrix4();
+const position = new THREE.Vector3();
+const quaternion = new THREE.Quaternion();
+const scale = new THREE.Vector3();
+
+/**
+ * Marks a property of a script to be saved by `core.saveScene()` and restored
+ * by `core.loadScene()`. Without decorators, list the property names in a
+ * static `serializedProperties` array instead.
+ * @example
+ * ```
+ * class Spinner extends Script {
+ *   @serializable speed = 1;
+ * }
+ * ```
+ */
+export function serializable(target: object, propertyKey: string) {
+  const constructor = target.constructor as SerializableConstructor;
+  if (
+    !Object.prototype.hasOwnProperty.call(constructor, 'serializedProperties')
+  ) {
+    constructor.serializedProperties = [];
+  }
+  constructor.serializedProperties!.push(propertyKey);
+}
+
+/**
+ * Collects the serializable property names of a class and its base classes.
+ */
+function getSerializedProperties(constructor: SerializableConstructor) {
+  const properties = new Set<string>();
+  let current: SerializableConstructor | null = constructor;
+  while (current && current !== Function.prototype) {
+    if (Object.prototype.hasOwnProperty.call(current, 'serializedProperties')) {
+      for (const property of current.serializedProperties!) {
+        properties.add(property);
+      }
+    }
+    current = Object.getPrototypeOf(current);
+  }
+  return properties;
+}
+
+function isArrayConvertible(value: unknown): value is ArrayConvertible {
+  return (
+    value != null &&
+    typeof (value as ArrayConvertible).toArray === 'function' &&
+    typeof (value as ArrayConvertible).fromArray === 'function'
+  );
+}
+
+/**
+ * Saves scripts in a scene to JSON and rebuilds them from it. Only scripts
+ * whose class is registered with `SceneSerializer.registerType` are saved,
+ * along with their transforms relative to the closest saved ancestor.
+ */
+export class SceneSerializer {
+  /**
+   * A static registry mapping string identifiers to serializable script
+   * classes, similar to `UI.ComponentRegistry`.
+   */
+  static TypeRegistry = new Map<string, SerializableConstructor>();
+
+  private static typeNames = new Map<SerializableConstructor, string>();
+
+  /**
+   * Registers a script class with a string key, making it available to
+   * `saveScene` and `loadScene`.
+   * @param typeName - The key to use in the JSON.
+   * @param scriptClass - The class constructor of the script.
+   */
+  static registerType(typeName: string, scriptClass: SerializableConstructor) {
+    if (SceneSerializer.TypeRegistry.has(typeName)) {
+      console.warn(`SceneSerializer: Type "${typeName}" is being overwritten.`);
+    }
+    SceneSerializer.TypeRegistry.set(typeName, scriptClass);
+    SceneSerializer.typeNames.set(scriptClass, typeName);
+  }
+
+  constructor(private scriptsManager: ScriptsManager) {}
+
+  /**
+   * Saves all registered scripts under a root object.
+   * @param root - The object to search for scripts.
+   * @param exclude - Subtrees to skip, e.g. the XR systems group.
+   * @returns The JSON representation of the scripts.
+   */
+  save(root: THREE.Object3D, exclude: THREE.Object3D[] = []): SceneJson {
+    root.updateMatrixWorld(true);
+    return {
+      version: SCENE_JSON_VERSION,
+      objects: this.saveChildren(root, root, new Set(exclude)),
+    };
+  }
+
+  /**
+   * Rebuilds scripts from JSON and attaches them to a parent object. Each
+   * script is initialized through `ScriptsManager.initScript` before its saved
+   * transform is applied.
+   * @param json - The JSON produced by `save`.
+   * @param parent - The object to attach the loaded scripts to.
+   * @returns The loaded top-level scripts.
+   */
+  async load(json: SceneJson, parent: THREE.Object3D): Promise<Script[]> {
+    if (json.version !== SCENE_JSON_VERSION) {
+      throw new Error(
+        `SceneSerializer: Unsupported scene version ${json.version}.`
+      );
+    }
+    const scripts: Script[] = [];
+    for (const node of json.objects) {
+      const script = await this.loadNode(node, parent);
+      if (script) {
+        scripts.push(script);
+      }
+    }
+    return scripts;
+  }
+
+  private saveChildren(
+    object: THREE.Object3D,
+    savedAncestor: THREE.Object3D,
+    exclude: Set<THREE.Object3D>
+  ): SceneJsonNode[] {
+    const nodes: SceneJsonNode[] = [];
+    for (const child of object.children) {
+      if (exclude.has(child)) continue;
+      const typeName = (child as MaybeScript).isXRScript
+        ? SceneSerializer.typeNames.get(
+            child.constructor as SerializableConstructor
+          )
+        : undefined;
+      if (typeName) {
+        nodes.push(
+          this.saveNode(child as Script, typeName, savedAncestor, exclude)
+        );
+      } else {
+        nodes.push(...this.saveChildren(child, savedAncestor, exclude));
+      }
+    }
+    return nodes;
+  }
+
+  private saveNode(
+    script: Script,
+    typeName: string,
+    savedAncestor: THREE.Object3D,
+    exclude: Set<THREE.Object3D>
+  ): SceneJsonNode {
+    parentInverse.copy(savedAncestor.matrixWorld).invert();
+    relativeMatrix.multiplyMatrices(parentInverse, script.matrixWorld);
+    relativeMatrix.decompose(position, quaternion, scale);
+
+    const node: SceneJsonNode = {
+      type: typeName,
+      position: position.toArray(),
+      quaternion: quaternion.toArray(),
+      scale: scale.toArray(),
+    };
+    if (script.name) {
+      node.name = script.name;
+    }
+
+    const properties = getSerializedProperties(
+      script.constructor as SerializableConstructor
+    );
+    if (properties.size > 0) {
+      node.properties = {};
+      const values = script as unknown as Record<string, unknown>;
+      for (const property of properties) {
+        const value = values[property];
+        node.properties[property] = isArrayConvertible(value)
+          ? value.toArray()
+          : structuredClone(value);
+      }
+    }
+
+    const data = script.onSerialize();
+    if (data) {
+      node.data = data;
+    }
+
+    const children = this.saveChildren(script, script, exclude);
+    if (children.length > 0) {
+      node.children = children;
+    }
+    return node;
+  }
+
+  private async loadNode(
+    node: SceneJsonNode,
+    parent: THREE.Object3D
+  ): Promise<Script | null> {
+    const ScriptClass = SceneSerializer.TypeRegistry.get(node.type);
+    if (!ScriptClass) {
+      console.error(
+        `SceneSerializer: Unknown type "${node.type}". Make sure it's registered.`
+      );
+      return null;
+    }
+
+    const data = node.data ?? {};
+    const script = new ScriptClass(data);
+    if (node.name) {
+      script.name = node.name;
+    }
+    const values = script as unknown as Record<string, unknown>;
+    for (const [property, value] of Object.entries(node.properties ?? {})) {
+      const current = values[property];
+      if (isArrayConvertible(current) && Array.isArray(value)) {
+        current.fromArray(value);
+      } else {
+        values[property] = value;
+      }
+    }
+    await script.onDeserialize(data);
+
+    parent.add(script);
+    await this.scriptsManager.initScript(script);
+    // Applied after init so that default placement in init is overridden.
+    script.position.fromArray(node.position);
+    script.quaternion.fromArray(node.quaternion);
+    script.scale.fromArray(node.scale);
+
+    for (const child of node.children ?? []) {
+      await this.loadNode(child, script);
+    }
+    return script;
+  }
+}
@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+
+import type {TextView} from '../../ui/components/TextView';
+import {SpatialPanel} from '../../ui/layouts/SpatialPanel';
+import type {Script} from '../Script';
+import {User} from '../User';
+
+// Temporary variables.
+const cameraPosition = new THREE.Vector3();
+const cameraDirection = new THREE.Vector3();
+
+/**
+ * A dismissible panel listing errors thrown by scripts, so that a failing
+ * script is visible in a headset rather than leaving the user in front of a
+ * frozen scene. Core creates it on the first error when
+ * `options.scriptErrors.showPanel` is enabled.
+ */
+export class ScriptErrorPanel extends SpatialPanel {
+  static dependencies = {user: User, timer: THREE.Timer, camera: THREE.Camera};
+
+  /** Called when the dismiss button is pressed. */
+  onDismiss = () => {
+    this.removeFromParent();
+  };
+
+  private messageView: TextView;
+  private errorCount = 0;
+
+  constructor() {
+    super({
+      backgroundColor: '#3c1414F0',
+      width: 1.0,
+      height: 0.5,
+      showEdge: true,
+    });
+    const grid = this.addGrid();
+    grid.addRow({weight: 0.25}).addText({
+      textKey: 'scriptErrors.title',
+      fontSize: 0.08,
+      fontColor: '#ff8a80',
+    });
+    this.messageView = grid.addRow({weight: 0.45}).addText({
+      text: '',
+      fontSize: 0.04,
+      fontColor: '#ffffff',
+    });
+    const dismissButton = grid.addRow({weight: 0.3}).addTextButton({
+      textKey: 'scriptErrors.dismiss',
+      fontColor: '#ffffff',
+      backgroundColor: '#b3261e',
+      fontSize: 0.3,
+    });
+    dismissButton.onTriggered = () => {
+      this.onDismiss();
+    };
+  }
+
+  /**
+   * Places the panel in front of the camera.
+   */
+  override init({
+    user,
+    timer,
+    camera,
+  }: {
+    user: User;
+    timer: THREE.Timer;
+    camera: THREE.Camera;
+  }) {
+    super.init({user, timer});
+    camera.getWorldPosition(cameraPosition);
+    camera.getWorldDirection(cameraDirection);
+    this.position
+      .copy(cameraPosition)
+      .addScaledVector(cameraDirection, user.panelDistance);
+    this.parent?.worldToLocal(this.position);
+    this.lookAt(cameraPosition);
+  }
+
+  /**
+   * Shows the latest error. Earlier errors remain available in the console.
+   * @param error - The thrown error.
+   * @param script - The script which threw.
+   * @param callback - The lifecycle method which threw.
+   */
+  addError(error: unknown, script: Script, callback: string) {
+    this.errorCount++;
+    this.messageView.setTextKey('scriptErrors.message', {
+      count: this.errorCount,
+      earlier: this.errorCount - 1,
+      source: `${script.constructor.name}.${callback}()`,
+      message: error instanceof Error ? error.message : String(error),
+    });
+  }
+}
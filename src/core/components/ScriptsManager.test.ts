@@ -0,0 +1,212 @@
+import * as THREE from 'three';
+import {describe, expect, it, vi} from 'vitest';
+
+import {Script} from '../Script';
+import {ScriptsManager} from './ScriptsManager';
+
+class RecordingScript extends Script {
+  constructor(
+    private label: string,
+    private calls: string[]
+  ) {
+    super();
+  }
+
+  earlyUpdate() {
+    this.calls.push(`early:${this.label}`);
+  }
+
+  update() {
+    this.calls.push(`update:${this.label}`);
+  }
+
+  lateUpdate() {
+    this.calls.push(`late:${this.label}`);
+  }
+}
+
+function createManager() {
+  return new ScriptsManager(async (script) => {
+    await script.init();
+  });
+}
+
+describe('ScriptsManager', () => {
+  it('runs scripts by execution order and keeps init order for ties', async () => {
+    const calls: string[] = [];
+    const manager = createManager();
+    const camera = new RecordingScript('camera', calls);
+    camera.executionOrder = 100;
+    const physics = new RecordingScript('physics', calls);
+    physics.executionOrder = -10;
+    const other = new RecordingScript('other', calls);
+    const another = new RecordingScript('another', calls);
+
+    for (const script of [camera, physics, other, another]) {
+      await manager.initScript(script);
+    }
+    manager.callUpdate();
+
+    expect(calls).toEqual([
+      'update:physics',
+      'update:other',
+      'update:another',
+      'update:camera',
+    ]);
+  });
+
+  it('picks up execution order changes at runtime', async () => {
+    const calls: string[] = [];
+    const manager = createManager();
+    const a = new RecordingScript('a', calls);
+    const b = new RecordingScript('b', calls);
+    await manager.initScript(a);
+    await manager.initScript(b);
+
+    a.executionOrder = 1;
+    manager.callUpdate();
+
+    expect(calls).toEqual(['update:b', 'update:a']);
+  });
+
+  it('calls early, regular and late updates as separate phases', async () => {
+    const calls: string[] = [];
+    const manager = createManager();
+    await manager.initScript(new RecordingScript('a', calls));
+    await manager.initScript(new RecordingScript('b', calls));
+
+    manager.callEarlyUpdate();
+    manager.callUpdate();
+    manager.callLateUpdate();
+
+    expect(calls).toEqual([
+      'early:a',
+      'early:b',
+      'update:a',
+      'update:b',
+      'late:a',
+      'late:b',
+    ]);
+  });
+
+  it('skips disabled scripts without disposing them', async () => {
+    const calls: string[] = [];
+    const manager = createManager();
+    const script = new RecordingScript('a', calls);
+    let disposed = false;
+    script.dispose = () => {
+      disposed = true;
+    };
+    const scene = new THREE.Scene();
+    scene.add(script);
+    await manager.syncScriptsWithScene(scene);
+
+    script.enabled = false;
+    await manager.syncScriptsWithScene(scene);
+    manager.callUpdate();
+    expect(calls).toEqual([]);
+    expect(disposed).toBe(false);
+    expect(manager.scripts.has(script)).toBe(true);
+
+    script.enabled = true;
+    manager.callUpdate();
+    expect(calls).toEqual(['update:a']);
+  });
+
+  it('keeps calling other scripts when one throws', async () => {
+    const calls: string[] = [];
+    const manager = createManager();
+    const broken = new RecordingScript('broken', calls);
+    const error = new Error('broken update');
+    broken.update = () => {
+      throw error;
+    };
+    await manager.initScript(broken);
+    await manager.initScript(new RecordingScript('other', calls));
+    const reported: unknown[][] = [];
+    manager.onScriptError = (...args) => reported.push(args);
+    const consoleError = vi
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    manager.callUpdate();
+
+    expect(calls).toEqual(['update:other']);
+    expect(reported).toEqual([[error, broken, 'update']]);
+    expect(consoleError).toHaveBeenCalledOnce();
+    consoleError.mockRestore();
+  });
+
+  it('reports errors thrown from init and allows retrying', async () => {
+    const error = new Error('broken init');
+    let failing = true;
+    const manager = new ScriptsManager(async () => {
+      if (failing) throw error;
+    });
+    const script = new Script();
+    const reported: unknown[][] = [];
+    manager.onScriptError = (...args) => reported.push(args);
+    const consoleError = vi
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    await expect(manager.initScript(script)).rejects.toBe(error);
+
+    expect(reported).toEqual([[error, script, 'init']]);
+    expect(manager.scripts.has(script)).toBe(false);
+
+    failing = false;
+    await manager.initScript(script);
+    expect(manager.scripts.has(script)).toBe(true);
+    consoleError.mockRestore();
+  });
+
+  it('reports errors thrown from interaction callbacks', () => {
+    const manager = createManager();
+    const script = new Script();
+    const error = new Error('broken hover');
+    const reported: unknown[][] = [];
+    manager.onScriptError = (...args) => reported.push(args);
+    const consoleError = vi
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    expect(manager.callScript(script, 'onHoverEnter', () => true)).toBe(true);
+    expect(
+      manager.callScript(script, 'onHoverEnter', () => {
+        throw error;
+      })
+    ).toBeUndefined();
+
+    expect(reported).toEqual([[error, script, 'onHoverEnter']]);
+    consoleError.mockRestore();
+  });
+
+  it('reports rejections of async callbacks', async () => {
+    const manager = createManager();
+    const script = new Script();
+    const updateError = new Error('broken async update');
+    const selectError = new Error('broken async select');
+    script.update = async () => {
+      throw updateError;
+    };
+    await manager.initScript(script);
+    const reported: unknown[][] = [];
+    manager.onScriptError = (...args) => reported.push(args);
+    const consoleError = vi
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    manager.callUpdate();
+    manager.callScript(script, 'onSelectStart', () =>
+      Promise.reject(selectError)
+    );
+    await new Promise((resolve) => setTimeout(resolve));
+
+    expect(reported).toEqual([
+      [updateError, script, 'update'],
+      [selectError, script, 'onSelectStart'],
+    ]);
+    consoleError.mockRestore();
+  });
+});
@@ -1,10 +1,66 @@
 import * as THREE from 'three';
 
-import {KeyEvent, Script, SelectEvent} from '../Script';
+import type {ActionEvent} from '../../input/ActionMap';
+import {
+  ButtonEvent,
+  KeyEvent,
+  Script,
+  SelectEvent,
+  ThumbstickEvent,
+} from '../Script';
+
+import {CancellationToken, CancelledError} from './CancellationToken';
+import type {Profiler} from './Profiler';
 
 type MaybeScript = THREE.Object3D & {isXRScript?: boolean};
 
-export class ScriptsManager {
+/** The lifecycle methods which `ScriptsManager` calls on every script. */
+type ScriptCallback =
+  | 'earlyUpdate'
+  | 'update'
+  | 'lateUpdate'
+  | 'onBeforeSceneRender'
+  | 'physicsStep'
+  | 'onSelecting'
+  | 'onSqueezing'
+  | 'onSelectStart'
+  | 'onSelectEnd'
+  | 'onSelect'
+  | 'onSqueezeStart'
+  | 'onSqueezeEnd'
+  | 'onSqueeze'
+  | 'onKeyDown'
+  | 'onKeyUp'
+  | 'onAction'
+  | 'onButtonDown'
+  | 'onButtonUp'
+  | 'onThumbstick'
+  | 'onXRSessionStarted'
+  | 'onXRSessionEnded'
+  | 'onSimulatorStarted';
+
+/**
+ * Receives errors thrown by scripts.
+ * @param error - The thrown error.
+ * @param script - The script which threw.
+ * @param callback - The name of the lifecycle method which threw, e.g.
+ * `'update'` or `'init'`.
+ */
+export type ScriptErrorHandler = (
+  error: unknown,
+  script: Script,
+  callback: string
+) => void;
+
+/** Events dispatched by `ScriptsManager`. */
+export type ScriptsManagerEventMap = {
+  /** A script finished initializing and now receives callbacks. */
+  scriptinitialized: {script: Script};
+  /** An initialized script was uninitialized, e.g. removed from the scene. */
+  scriptuninitialized: {script: Script};
+};
+
+export class ScriptsManager extends THREE.EventDispatcher<ScriptsManagerEventMap> {
   /** The set of all currently initialized scripts. */
   scripts = new Set<Script>();
 
@@ -16,45 +72,164 @@ export class ScriptsManager {
   callSqueezeBound = this.callSqueeze.bind(this);
   callKeyDownBound = this.callKeyDown.bind(this);
   callKeyUpBound = this.callKeyUp.bind(this);
+  callActionBound = this.callAction.bind(this);
+  callButtonDownBound = this.callButtonDown.bind(this);
+  callButtonUpBound = this.callButtonUp.bind(this);
+  callThumbstickBound = this.callThumbstick.bind(this);
+
+  /**
+   * Called after an error thrown by a script has been logged. Errors thrown
+   * from one script never prevent other scripts from being called.
+   */
+  onScriptError?: ScriptErrorHandler;
 
-  /** The set of scripts currently being initialized. */
-  private initializingScripts = new Set<Script>();
+  /** The scripts currently being initialized and their pending init. */
+  private initializingScripts = new Map<Script, Promise<void>>();
+
+  /** Scripts sorted by execution order, rebuilt whenever it goes stale. */
+  private orderedScripts: Script[] = [];
+  private orderedScriptsDirty = false;
 
   private seenScripts = new Set<Script>();
   private syncPromises: Promise<void>[] = [];
   private checkScriptBound = this.checkScript.bind(this);
 
-  constructor(private initScriptFunction: (script: Script) => Promise<void>) {}
+  /**
+   * @param initScriptFunction - Initializes a script, e.g. with dependency
+   * injection.
+   * @param profiler - Measures script callbacks while it is enabled.
+   */
+  constructor(
+    private initScriptFunction: (script: Script) => Promise<void>,
+    private profiler?: Profiler
+  ) {
+    super();
+  }
 
   /**
    * Initializes a script and adds it to the set of scripts which will receive
    * callbacks. This will be called automatically by Core when a script is found
    * in the scene but can also be called manually.
    * @param script - The script to initialize
-   * @returns A promise which resolves when the script is initialized.
+   * @returns A promise which resolves when the script is initialized. If the
+   * script is already being initialized, resolves with that initialization.
    */
   async initScript(script: Script) {
-    if (this.scripts.has(script) || this.initializingScripts.has(script)) {
+    if (this.scripts.has(script)) {
       return;
     }
-    this.initializingScripts.add(script);
-    await this.initScriptFunction(script);
-    this.scripts.add(script);
-    this.initializingScripts.delete(script);
+    let initialization = this.initializingScripts.get(script);
+    if (!initialization) {
+      initialization = this.runInitScript(script);
+      this.initializingScripts.set(script, initialization);
+    }
+    return initialization;
+  }
+
+  private async runInitScript(script: Script) {
+    // Waits started by init() stop with this lifetime, which uninitScript()
+    // cancels if the script is removed before init() finishes.
+    const lifetime = script.lifetime;
+    try {
+      await this.initScriptFunction(script);
+      if (lifetime.cancelled) {
+        this.callScript(script, 'dispose', () => script.dispose());
+        return;
+      }
+      this.scripts.add(script);
+      this.orderedScriptsDirty = true;
+      this.dispatchEvent({type: 'scriptinitialized', script});
+    } catch (error) {
+      if (lifetime.cancelled && error instanceof CancelledError) return;
+      this.reportError(error, script, 'init');
+      throw error;
+    } finally {
+      // Lets a script whose init failed be initialized again.
+      if (script.lifetime === lifetime) {
+        this.initializingScripts.delete(script);
+      }
+    }
   }
 
   /**
    * Uninitializes a script calling dispose and removes it from the set of
-   * scripts which will receive callbacks.
+   * scripts which will receive callbacks. Cancels the script's `lifetime`,
+   * which stops its pending waits and timers. A script which is still
+   * initializing is disposed once its init finishes.
    * @param script - The script to uninitialize.
    */
   uninitScript(script: Script) {
+    if (this.initializingScripts.delete(script)) {
+      this.cancelLifetime(script);
+      return;
+    }
     if (!this.scripts.has(script)) {
       return;
     }
-    script.dispose();
+    try {
+      script.dispose();
+    } catch (error) {
+      this.reportError(error, script, 'dispose');
+    }
     this.scripts.delete(script);
-    this.initializingScripts.delete(script);
+    this.orderedScriptsDirty = true;
+    this.cancelLifetime(script);
+    this.dispatchEvent({type: 'scriptuninitialized', script});
+  }
+
+  /**
+   * Uninitializes all scripts, including those still initializing.
+   */
+  uninitAllScripts() {
+    for (const script of Array.from(this.initializingScripts.keys())) {
+      this.uninitScript(script);
+    }
+    for (const script of Array.from(this.scripts)) {
+      this.uninitScript(script);
+    }
+  }
+
+  /**
+   * Replaces the script's `lifetime` with a new token and cancels the old one.
+   */
+  private cancelLifetime(script: Script) {
+    const lifetime = script.lifetime;
+    script.lifetime = new CancellationToken();
+    lifetime.cancel();
+  }
+
+  /**
+   * Gets all initialized scripts sorted by `executionOrder`. Scripts with the
+   * same order are kept in the order they were initialized. Changes to
+   * `executionOrder` are picked up on the next call.
+   * @returns The sorted scripts, including disabled ones.
+   */
+  getOrderedScripts(): readonly Script[] {
+    if (!this.orderedScriptsDirty) {
+      const scripts = this.orderedScripts;
+      for (let i = 1; i < scripts.length; i++) {
+        if (scripts[i - 1].executionOrder > scripts[i].executionOrder) {
+          this.orderedScriptsDirty = true;
+          break;
+        }
+      }
+    }
+    if (this.orderedScriptsDirty) {
+      // Rebuild into a new array so that in-flight iterations are unaffected.
+      this.orderedScripts = Array.from(this.scripts).sort(
+        (a, b) => a.executionOrder - b.executionOrder
+      );
+      this.orderedScriptsDirty = false;
+    }
+    return this.orderedScripts;
+  }
+
+  /**
+   * Whether a script should currently receive callbacks.
+   * @param script - The script to check.
+   */
+  private isActive(script: Script) {
+    return script.enabled && this.scripts.has(script);
   }
 
   /**
@@ -88,73 +263,186 @@ export class ScriptsManager {
         this.uninitScript(script);
       }
     }
+    for (const script of this.initializingScripts.keys()) {
+      if (!this.seenScripts.has(script)) {
+        this.uninitScript(script);
+      }
+    }
 
     return Promise.allSettled(this.syncPromises);
   }
 
+  callEarlyUpdate(time?: number, frame?: XRFrame) {
+    this.dispatch('earlyUpdate', true, time, frame);
+  }
+
+  callUpdate(time?: number, frame?: XRFrame) {
+    this.dispatch('update', true, time, frame);
+  }
+
+  callLateUpdate(time?: number, frame?: XRFrame) {
+    this.dispatch('lateUpdate', true, time, frame);
+  }
+
+  callBeforeSceneRender(time?: number, frame?: XRFrame) {
+    this.dispatch('onBeforeSceneRender', true, time, frame);
+  }
+
+  callPhysicsStep() {
+    this.dispatch('physicsStep', true);
+  }
+
+  callSelecting(event: SelectEvent) {
+    this.dispatch('onSelecting', true, event);
+  }
+
+  callSqueezing(event: SelectEvent) {
+    this.dispatch('onSqueezing', true, event);
+  }
+
   callSelectStart(event: SelectEvent) {
-    for (const script of this.scripts) {
-      script.onSelectStart(event);
-    }
+    this.dispatch('onSelectStart', true, event);
   }
 
   callSelectEnd(event: SelectEvent) {
-    for (const script of this.scripts) {
-      script.onSelectEnd(event);
-    }
+    this.dispatch('onSelectEnd', true, event);
   }
 
   callSelect(event: SelectEvent) {
-    for (const script of this.scripts) {
-      script.onSelect(event);
-    }
+    this.dispatch('onSelect', true, event);
   }
 
   callSqueezeStart(event: SelectEvent) {
-    for (const script of this.scripts) {
-      script.onSqueezeStart(event);
-    }
+    this.dispatch('onSqueezeStart', true, event);
   }
 
   callSqueezeEnd(event: SelectEvent) {
-    for (const script of this.scripts) {
-      script.onSqueezeEnd(event);
-    }
+    this.dispatch('onSqueezeEnd', true, event);
   }
 
   callSqueeze(event: SelectEvent) {
-    for (const script of this.scripts) {
-      script.onSqueeze(event);
-    }
+    this.dispatch('onSqueeze', true, event);
   }
 
   callKeyDown(event: KeyEvent) {
-    for (const script of this.scripts) {
-      script.onKeyDown(event);
-    }
+    this.dispatch('onKeyDown', true, event);
   }
 
   callKeyUp(event: KeyEvent) {
-    for (const script of this.scripts) {
-      script.onKeyUp(event);
-    }
+    this.dispatch('onKeyUp', true, event);
+  }
+
+  callAction(event: ActionEvent) {
+    this.dispatch('onAction', true, event.name, event.phase, event);
+  }
+
+  callButtonDown(event: ButtonEvent) {
+    this.dispatch('onButtonDown', true, event);
+  }
+
+  callButtonUp(event: ButtonEvent) {
+    this.dispatch('onButtonUp', true, event);
   }
 
+  callThumbstick(event: ThumbstickEvent) {
+    this.dispatch('onThumbstick', true, event);
+  }
+
+  // Session lifecycle callbacks also reach disabled scripts so that they
+  // are up to date once re-enabled.
   onXRSessionStarted(session: XRSession) {
-    for (const script of this.scripts) {
-      script.onXRSessionStarted(session);
-    }
+    this.dispatch('onXRSessionStarted', false, session);
   }
 
   onXRSessionEnded() {
-    for (const script of this.scripts) {
-      script.onXRSessionEnded();
-    }
+    this.dispatch('onXRSessionEnded', false);
   }
 
   onSimulatorStarted() {
-    for (const script of this.scripts) {
-      script.onSimulatorStarted();
+    this.dispatch('onSimulatorStarted', false);
+  }
+
+  /**
+   * Calls a lifecycle method on all scripts in execution order. An error
+   * thrown by one script is reported and does not prevent the remaining
+   * scripts from being called. Rejections of async methods are reported too.
+   * @param callback - The name of the method to call.
+   * @param activeOnly - Whether to skip disabled scripts.
+   */
+  private dispatch(
+    callback: ScriptCallback,
+    activeOnly: boolean,
+    arg0?: unknown,
+    arg1?: unknown,
+    arg2?: unknown
+  ) {
+    const profiling = this.profiler?.enabled;
+    for (const script of this.getOrderedScripts()) {
+      if (activeOnly && !this.isActive(script)) continue;
+      const start = profiling ? performance.now() : 0;
+      try {
+        const result = (
+          script[callback] as (
+            arg0?: unknown,
+            arg1?: unknown,
+            arg2?: unknown
+          ) => unknown
+        ).call(script, arg0, arg1, arg2);
+        this.reportRejection(result, script, callback);
+      } catch (error) {
+        this.reportError(error, script, callback);
+      }
+      if (profiling) {
+        this.profiler!.record(
+          `${script.name || script.uuid}.${callback}`,
+          performance.now() - start,
+          `${script.constructor.name}.${callback}`
+        );
+      }
     }
   }
+
+  /**
+   * Calls a method of a single script, e.g. an interaction callback, reporting
+   * an error it throws like errors thrown from lifecycle methods. If the
+   * method returns a promise, its rejection is reported the same way.
+   * @param script - The script to call.
+   * @param callback - The name of the method, used when reporting errors.
+   * @param call - Calls the method.
+   * @returns What the method returned, or undefined if it threw.
+   */
+  callScript<T>(script: Script, callback: string, call: () => T) {
+    try {
+      const result = call();
+      this.reportRejection(result, script, callback);
+      return result;
+    } catch (error) {
+      this.reportError(error, script, callback);
+      return undefined;
+    }
+  }
+
+  /**
+   * Reports the rejection of a promise returned by a script method, which
+   * would otherwise surface as an unhandled rejection.
+   */
+  private reportRejection(result: unknown, script: Script, callback: string) {
+    if (typeof (result as PromiseLike<unknown>)?.then === 'function') {
+      Promise.resolve(result).catch((error) =>
+        this.reportError(error, script, callback)
+      );
+    }
+  }
+
+  /**
+   * Logs an error thrown by a script with its full details and forwards it to
+   * `onScriptError`.
+   */
+  private reportError(error: unknown, script: Script, callback: string) {
+    console.error(
+      `ScriptsManager: ${script.constructor.name}.${callback}() threw:`,
+      error
+    );
+    this.onScriptError?.(error, script, callback);
+  }
 }
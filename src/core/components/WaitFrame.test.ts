@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+import {describe, expect, it, vi} from 'vitest';
+
+import {Script} from '../Script';
+import {CancellationToken, CancelledError} from './CancellationToken';
+import {ScriptsManager} from './ScriptsManager';
+import {WaitFrame} from './WaitFrame';
+
+describe('WaitFrame', () => {
+  it('resolves waitSeconds once enough frame time has passed', async () => {
+    const waitFrame = new WaitFrame();
+    const resolved = vi.fn();
+    waitFrame.waitSeconds(0.5).then(resolved);
+
+    waitFrame.onFrame(0.3);
+    await Promise.resolve();
+    expect(resolved).not.toHaveBeenCalled();
+
+    waitFrame.onFrame(0.3);
+    await Promise.resolve();
+    expect(resolved).toHaveBeenCalledOnce();
+  });
+
+  it('resolves waitUntil when the predicate becomes true', async () => {
+    const waitFrame = new WaitFrame();
+    let ready = false;
+    const resolved = vi.fn();
+    waitFrame.waitUntil(() => ready).then(resolved);
+
+    waitFrame.onFrame();
+    await Promise.resolve();
+    expect(resolved).not.toHaveBeenCalled();
+
+    ready = true;
+    waitFrame.onFrame();
+    await Promise.resolve();
+    expect(resolved).toHaveBeenCalledOnce();
+  });
+
+  it('resolves waitForEvent with the dispatched event', async () => {
+    const waitFrame = new WaitFrame();
+    const dispatcher = new THREE.EventDispatcher<{ping: {value: number}}>();
+    const event = waitFrame.waitForEvent<{value: number}>(dispatcher, 'ping');
+
+    dispatcher.dispatchEvent({type: 'ping', value: 3});
+
+    await expect(event).resolves.toMatchObject({value: 3});
+  });
+
+  it('repeats timers until their token is cancelled', () => {
+    const waitFrame = new WaitFrame();
+    const callback = vi.fn();
+    const timer = waitFrame.setTimer(callback, 1, {repeat: true});
+
+    waitFrame.onFrame(1);
+    waitFrame.onFrame(1);
+    expect(callback).toHaveBeenCalledTimes(2);
+
+    timer.cancel();
+    waitFrame.onFrame(1);
+    expect(callback).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects waits when their token is cancelled', async () => {
+    const waitFrame = new WaitFrame();
+    const token = new CancellationToken();
+    const wait = waitFrame.waitSeconds(1, token);
+
+    token.cancel();
+
+    await expect(wait).rejects.toBeInstanceOf(CancelledError);
+  });
+
+  it('cancels waits and timers of uninitialized scripts', async () => {
+    const waitFrame = new WaitFrame();
+    const manager = new ScriptsManager(async (script) => {
+      await script.init();
+    });
+    const script = new Script();
+    await manager.initScript(script);
+    const callback = vi.fn();
+    waitFrame.setTimer(callback, 1, {token: script.lifetime});
+    const wait = waitFrame.waitSeconds(1, script.lifetime);
+
+    manager.uninitScript(script);
+    waitFrame.onFrame(1);
+
+    expect(callback).not.toHaveBeenCalled();
+    await expect(wait).rejects.toBeInstanceOf(CancelledError);
+    expect(script.lifetime.cancelled).toBe(false);
+  });
+
+  it('rejects all pending waits on cancelAll, also those without a token', async () => {
+    const waitFrame = new WaitFrame();
+    const frame = waitFrame.waitFrame();
+    const seconds = waitFrame.waitSeconds(1);
+
+    waitFrame.cancelAll();
+
+    await expect(frame).rejects.toBeInstanceOf(CancelledError);
+    await expect(seconds).rejects.toBeInstanceOf(CancelledError);
+  });
+
+  it('cancels waits of scripts removed while initializing', async () => {
+    const waitFrame = new WaitFrame();
+    const manager = new ScriptsManager(async (script) => {
+      await script.init();
+    });
+    let initWait: Promise<void> | undefined;
+    class SlowScript extends Script {
+      init() {
+        initWait = waitFrame.waitSeconds(1, this.lifetime);
+        return initWait;
+      }
+    }
+    const script = new SlowScript();
+    const dispose = vi.spyOn(script, 'dispose');
+    const scene = new THREE.Scene();
+    scene.add(script);
+    const initialization = manager.syncScriptsWithScene(scene);
+
+    script.removeFromParent();
+    await manager.syncScriptsWithScene(scene);
+
+    await expect(initWait).rejects.toBeInstanceOf(CancelledError);
+    await initialization;
+    expect(manager.scripts.has(script)).toBe(false);
+    // The init never finished, so there is nothing to dispose.
+    expect(dispose).not.toHaveBeenCalled();
+
+    // The script can be added again.
+    scene.add(script);
+    const retry = manager.syncScriptsWithScene(scene);
+    waitFrame.onFrame(1);
+    await retry;
+    expect(manager.scripts.has(script)).toBe(true);
+  });
+});
@@ -1,26 +1,200 @@
+import {CancellationToken, CancelledError} from './CancellationToken';
+
+/**
+ * Anything with `addEventListener` and `removeEventListener`, such as DOM
+ * elements, `XRSession` or a `THREE.EventDispatcher`.
+ */
+export type EventSource<TEvent> = {
+  addEventListener(type: string, listener: (event: TEvent) => void): void;
+  removeEventListener(type: string, listener: (event: TEvent) => void): void;
+};
+
+export type TimerOptions = {
+  /** Whether to call the callback every `seconds` instead of once. */
+  repeat?: boolean;
+  /** Stops the timer when cancelled, e.g. a script's `lifetime`. */
+  token?: CancellationToken;
+};
+
+/**
+ * A pending wait or timer, checked once per frame until `poll` returns true.
+ */
+type Task = {
+  poll: () => boolean;
+  cancel: () => void;
+};
+
+/**
+ * Schedules work on the frame loop: waiting for frames, seconds, conditions or
+ * events, and timers. All waits accept an optional `CancellationToken`, such as
+ * `script.lifetime`, which rejects them with a `CancelledError` when cancelled.
+ * Time only advances while the frame loop runs, so waits pause with it.
+ */
 export class WaitFrame {
-  private callbacks: (() => void)[] = [];
+  private tasks = new Set<Task>();
+  private time = 0;
+
+  /**
+   * Seconds of frame time elapsed since the WaitFrame was created.
+   */
+  get elapsedTime() {
+    return this.time;
+  }
 
   /**
-   * Executes all registered callbacks and clears the list.
+   * Advances the pending waits and timers.
+   * @param deltaSeconds - The frame time which passed since the last call.
    */
-  onFrame() {
-    this.callbacks.forEach((callback) => {
-      try {
-        callback();
-      } catch (e) {
-        console.error(e);
+  onFrame(deltaSeconds = 0) {
+    this.time += Math.max(0, deltaSeconds);
+    for (const task of Array.from(this.tasks)) {
+      if (this.tasks.has(task) && task.poll()) {
+        this.tasks.delete(task);
       }
-    });
-    this.callbacks.length = 0;
+    }
   }
 
   /**
    * Wait for the next frame.
+   * @param token - Optional token to cancel the wait.
+   */
+  waitFrame(token?: CancellationToken) {
+    return this.waitUntil(() => true, token);
+  }
+
+  /**
+   * Waits until an amount of frame time has passed.
+   * @param seconds - The time to wait.
+   * @param token - Optional token to cancel the wait.
+   */
+  waitSeconds(seconds: number, token?: CancellationToken) {
+    const endTime = this.time + seconds;
+    return this.waitUntil(() => this.time >= endTime, token);
+  }
+
+  /**
+   * Waits until a predicate returns true. The predicate is checked once per
+   * frame, starting with the next frame. If it throws, the wait is rejected
+   * with the error.
+   * @param predicate - The condition to wait for.
+   * @param token - Optional token to cancel the wait.
+   */
+  waitUntil(predicate: () => boolean, token?: CancellationToken) {
+    return new Promise<void>((resolve, reject) => {
+      if (token?.cancelled) {
+        reject(new CancelledError());
+        return;
+      }
+      const task: Task = {
+        poll: () => {
+          let done: boolean;
+          try {
+            done = predicate();
+          } catch (error) {
+            removeCancelListener?.();
+            reject(error);
+            return true;
+          }
+          if (done) {
+            removeCancelListener?.();
+            resolve();
+          }
+          return done;
+        },
+        cancel: () => {
+          this.tasks.delete(task);
+          reject(new CancelledError());
+        },
+      };
+      const removeCancelListener = token?.onCancel(task.cancel);
+      this.tasks.add(task);
+    });
+  }
+
+  /**
+   * Waits until an event is dispatched on a target.
+   * @param target - The object to listen to.
+   * @param type - The event type, e.g. `'select'`.
+   * @param token - Optional token to cancel the wait.
+   * @returns The dispatched event.
    */
-  async waitFrame() {
-    return new Promise<void>((resolve) => {
-      this.callbacks.push(resolve);
+  waitForEvent<TEvent = Event>(
+    target: EventSource<TEvent>,
+    type: string,
+    token?: CancellationToken
+  ) {
+    return new Promise<TEvent>((resolve, reject) => {
+      if (token?.cancelled) {
+        reject(new CancelledError());
+        return;
+      }
+      const listener = (event: TEvent) => {
+        target.removeEventListener(type, listener);
+        removeCancelListener?.();
+        resolve(event);
+      };
+      const removeCancelListener = token?.onCancel(() => {
+        target.removeEventListener(type, listener);
+        reject(new CancelledError());
+      });
+      target.addEventListener(type, listener);
     });
   }
+
+  /**
+   * Calls a function after an amount of frame time, optionally repeating.
+   * Unlike `setTimeout`, the timer pauses with the frame loop and stops when
+   * its token is cancelled. Errors thrown by the callback are logged.
+   * @param callback - The function to call.
+   * @param seconds - The delay, and the interval when repeating.
+   * @param options - Whether to repeat and the token to stop the timer with.
+   * @returns A token which stops the timer when cancelled.
+   */
+  setTimer(
+    callback: () => void,
+    seconds: number,
+    {repeat = false, token}: TimerOptions = {}
+  ) {
+    const timer = token ? token.createChild() : new CancellationToken();
+    if (timer.cancelled) {
+      return timer;
+    }
+    let nextTime = this.time + seconds;
+    const task: Task = {
+      poll: () => {
+        if (this.time < nextTime) {
+          return false;
+        }
+        try {
+          callback();
+        } catch (e) {
+          console.error(e);
+        }
+        if (repeat && !timer.cancelled) {
+          // Fires at most once per frame for intervals shorter than a frame.
+          nextTime = Math.max(nextTime + seconds, this.time);
+          return false;
+        }
+        timer.cancel();
+        return true;
+      },
+      cancel: () => {
+        this.tasks.delete(task);
+      },
+    };
+    timer.onCancel(task.cancel);
+    this.tasks.add(task);
+    return timer;
+  }
+
+  /**
+   * Cancels all pending waits and timers, e.g. when Core is disposed. Waits
+   * are rejected with a `CancelledError`, also those without a token.
+   */
+  cancelAll() {
+    for (const task of Array.from(this.tasks)) {
+      task.cancel();
+    }
+    this.tasks.clear();
+  }
 }
@@ -1,3 +1,5 @@
+import {i18n} from '../../i18n/I18n';
+
 import {PermissionsManager} from './PermissionsManager';
 import {
   WebXRSessionEventType,
@@ -12,15 +14,20 @@ export class XRButton {
   public simulatorButtonElement = document.createElement('button');
   public xrButtonElement = document.createElement('button');
 
+  // The message shown by the XR button, re-translated when the locale
+  // changes.
+  private xrButtonText?: () => string;
+  private onLocaleChangeBound = this.updateTexts.bind(this);
+
   constructor(
     private sessionManager: WebXRSessionManager,
     private permissionsManager: PermissionsManager,
     private appTitle = '',
     private appDescription = '',
-    private startText = 'ENTER XR',
-    private endText = 'END XR',
-    private invalidText = 'XR NOT SUPPORTED',
-    private startSimulatorText = 'START SIMULATOR',
+    private startText?: string,
+    private endText?: string,
+    private invalidText?: string,
+    private startSimulatorText?: string,
     showEnterSimulatorButton = false,
     public startSimulator = () => {},
     private permissions = {
@@ -53,11 +60,49 @@ export class XRButton {
       WebXRSessionEventType.SESSION_END,
       this.onSessionEnded.bind(this)
     );
+    i18n.addEventListener('localechange', this.onLocaleChangeBound);
+  }
+
+  /**
+   * Removes the button from the page.
+   */
+  dispose() {
+    i18n.removeEventListener('localechange', this.onLocaleChangeBound);
+    this.domElement.remove();
+  }
+
+  private getStartText() {
+    return this.startText ?? i18n.t('xrButton.start');
+  }
+
+  private getEndText() {
+    return this.endText ?? i18n.t('xrButton.end');
+  }
+
+  private getInvalidText() {
+    return this.invalidText ?? i18n.t('xrButton.unsupported');
+  }
+
+  private getStartSimulatorText() {
+    return this.startSimulatorText ?? i18n.t('xrButton.startSimulator');
+  }
+
+  private setXRButtonText(text: () => string) {
+    this.xrButtonText = text;
+    // Custom texts may contain markup, e.g. an icon.
+    this.xrButtonElement.innerHTML = text();
+  }
+
+  private updateTexts() {
+    this.simulatorButtonElement.innerText = this.getStartSimulatorText();
+    if (this.xrButtonText) {
+      this.setXRButtonText(this.xrButtonText);
+    }
   }
 
   private createSimulatorButton() {
     this.simulatorButtonElement.classList.add(XRBUTTON_CLASS);
-    this.simulatorButtonElement.innerText = this.startSimulatorText;
+    this.simulatorButtonElement.innerText = this.getStartSimulatorText();
     this.simulatorButtonElement.onclick = () => {
       this.domElement.remove();
       this.startSimulator();
@@ -93,7 +138,7 @@ export class XRButton {
   private onSessionReady() {
     const button = this.xrButtonElement;
     button.style.display = '';
-    button.innerHTML = this.startText;
+    this.setXRButtonText(() => this.getStartText());
     button.disabled = false;
 
     const allowsVideoFallback = this.sessionManager
@@ -109,23 +154,26 @@ export class XRButton {
           if (result.granted) {
             this.sessionManager.startSession();
           } else {
-            this.xrButtonElement.textContent =
-              'Error:' + result.error + '\nPlease try again.';
+            this.xrButtonText = undefined;
+            this.xrButtonElement.textContent = i18n.t(
+              'xrButton.permissionError',
+              {error: result.error ?? ''}
+            );
           }
         });
     };
   }
 
   private showXRNotSupported() {
-    this.xrButtonElement.textContent = this.invalidText;
+    this.setXRButtonText(() => this.getInvalidText());
     this.xrButtonElement.disabled = true;
   }
 
   private async onSessionStarted() {
-    this.xrButtonElement.innerHTML = this.endText;
+    this.setXRButtonText(() => this.getEndText());
   }
 
   private onSessionEnded() {
-    this.xrButtonElement.innerHTML = this.startText;
+    this.setXRButtonText(() => this.getStartText());
   }
 }
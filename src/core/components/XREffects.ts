@@ -67,6 +67,21 @@ export class XREffects {
     }
   }
 
+  /**
+   * Releases the passes and render targets.
+   */
+  dispose() {
+    for (const pass of this.passes) {
+      pass.dispose();
+    }
+    this.passes = [];
+    for (const renderTarget of this.renderTargets) {
+      renderTarget.depthTexture?.dispose();
+      renderTarget.dispose();
+    }
+    this.renderTargets = [];
+  }
+
   /**
    * Renders the XR effects.
    */
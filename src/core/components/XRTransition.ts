@@ -106,6 +106,8 @@ export class XRTransition extends MeshScript<
     } else {
       this.sceneCamera.getWorldPosition(this.position);
     }
+    // The mesh is a child of the user, which moves with locomotion.
+    this.parent?.worldToLocal(this.position);
 
     const currentOpacity = this.material.opacity;
     if (currentOpacity !== this.targetAlpha) {
@@ -2,6 +2,7 @@ import {describe, it, expect, vi} from 'vitest';
 import * as THREE from 'three';
 
 import {Depth} from './Depth';
+import {DepthTextures} from './DepthTextures';
 
 describe('Depth', () => {
   /**
@@ -143,4 +144,29 @@ describe('Depth', () => {
       vi.restoreAllMocks();
     });
   });
+
+  describe('dispose', () => {
+    it('disposes the depth textures and clears the singleton', () => {
+      const depth = createDepth();
+      const depthTextures = new DepthTextures(depth.options);
+      depthTextures.updateData(
+        {
+          width: 2,
+          height: 2,
+          data: new Uint16Array(4).buffer,
+        } as unknown as XRCPUDepthInformation,
+        0
+      );
+      const texture = depthTextures.get(0);
+      const disposeTexture = vi.spyOn(texture, 'dispose');
+      (depth as unknown as {depthTextures: DepthTextures}).depthTextures =
+        depthTextures;
+
+      depth.dispose();
+      expect(disposeTexture).toHaveBeenCalled();
+      expect(depthTextures.get(0)).toBeUndefined();
+      expect(Depth.instance).toBeUndefined();
+      expect(new Depth()).not.toBe(depth);
+    });
+  });
 });
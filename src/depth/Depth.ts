@@ -115,6 +115,35 @@ export class Depth {
     }
   }
 
+  /**
+   * Removes the depth mesh and releases GPU resources so that the depth
+   * manager can be initialized again.
+   */
+  dispose() {
+    if (this.depthMesh) {
+      this.depthMesh.removeFromParent();
+      this.depthMesh.geometry.dispose();
+      const materials = Array.isArray(this.depthMesh.material)
+        ? this.depthMesh.material
+        : [this.depthMesh.material];
+      materials.forEach((material) => material.dispose());
+      this.depthMesh = undefined;
+    }
+    this.occlusionPass?.dispose();
+    this.occlusionPass = undefined;
+    this.depthTextures?.dispose();
+    this.depthTextures = undefined;
+    this.occludableShaders.clear();
+    this.view.length = 0;
+    this.cpuDepthData.length = 0;
+    this.gpuDepthData.length = 0;
+    this.depthArray.length = 0;
+    this.enabled = false;
+    if (Depth.instance === this) {
+      Depth.instance = undefined;
+    }
+  }
+
   /**
    * Retrieves the depth at normalized coordinates (u, v).
    * Note: The UV coordinates are with respect to the user's view, not the depth camera view.
@@ -92,4 +92,17 @@ export class DepthTextures {
 
     return this.nativeTextures[viewId];
   }
+
+  /**
+   * Disposes the depth textures and drops the depth buffers.
+   */
+  dispose() {
+    this.dataTextures.forEach((texture) => texture.dispose());
+    this.nativeTextures.forEach((texture) => texture.dispose());
+    this.dataTextures.length = 0;
+    this.nativeTextures.length = 0;
+    this.float32Arrays.length = 0;
+    this.uint8Arrays.length = 0;
+    this.depthData.length = 0;
+  }
 }
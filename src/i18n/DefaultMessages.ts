@@ -0,0 +1,92 @@
+import type {MessageCatalog} from './I18nOptions';
+
+/**
+ * The built-in English messages. Apps translate them by adding catalogs with
+ * the same keys to `options.i18n.messages`.
+ */
+export const DEFAULT_MESSAGES: MessageCatalog = {
+  'xrButton.start': 'Enter XR',
+  'xrButton.end': 'Exit XR',
+  'xrButton.unsupported': 'XR Not Supported',
+  'xrButton.startSimulator': 'Enter Simulator',
+  'xrButton.permissionError': 'Error: {error}\nPlease try again.',
+
+  'permissions.geolocationUnsupported':
+    'Geolocation is not supported by this browser.',
+  'permissions.locationDenied': 'User denied the request.',
+  'permissions.locationUnavailable': 'Location information is unavailable.',
+  'permissions.locationTimeout': 'The request to get user location timed out.',
+  'permissions.locationUnknownError': 'Unknown error',
+  'permissions.mediaDevicesUnsupported':
+    'Media Devices API is not supported by this browser.',
+  'permissions.denied': 'Permission denied',
+  'permissions.hardwareNotFound': 'Hardware not found.',
+
+  'scriptErrors.title': 'Script error',
+  'scriptErrors.message': {
+    '=1': '{source}: {message}',
+    other: '{source}: {message}\n({earlier} earlier, see the console)',
+  },
+  'scriptErrors.dismiss': 'Dismiss',
+
+  'simulator.instructions.welcome': 'Welcome to XR Blocks!',
+  'simulator.instructions.continue': 'Continue',
+  'simulator.instructions.videoUnsupported':
+    'Your browser does not support the video tag.',
+  'simulator.instructions.userMode.title': 'User Mode',
+  'simulator.instructions.userMode.description':
+    'The simulator starts in <strong>User Mode</strong> by default. This ' +
+    'mode is for moving the camera and interacting directly with scene ' +
+    'objects.',
+  'simulator.instructions.userMode.move':
+    '<strong>Move Forward/Backward/Sideways:</strong> Use the W, A, S, D keys.',
+  'simulator.instructions.userMode.elevate':
+    '<strong>Move Up/Down:</strong> Use the Q and E keys.',
+  'simulator.instructions.userMode.rotate':
+    '<strong>Rotate Camera:</strong> Hold the right mouse button and drag.',
+  'simulator.instructions.userMode.select':
+    '<strong>Select Object:</strong> Left-click the mouse.',
+  'simulator.instructions.navigationMode.title': 'Navigation Mode',
+  'simulator.instructions.navigationMode.description':
+    'Press <strong>Left Shift</strong> to toggle Navigation Mode. In this ' +
+    'mode, virtual hands appear and the mouse controls the camera view.',
+  'simulator.instructions.navigationMode.move':
+    '<strong>Move Forward/Backward/Sideways:</strong> Use the W, A, S, D keys.',
+  'simulator.instructions.navigationMode.elevate':
+    '<strong>Move Up/Down:</strong> Use the Q and E keys.',
+  'simulator.instructions.navigationMode.rotate':
+    '<strong>Rotate Camera:</strong> Click and drag the mouse.',
+  'simulator.instructions.handsMode.title': 'Hands Mode',
+  'simulator.instructions.handsMode.description':
+    'From Navigation Mode, press <strong>Left Shift</strong> to enter ' +
+    '<strong>Hands Mode</strong>. This mode allows for precise manipulation ' +
+    'of virtual hands.',
+  'simulator.instructions.handsMode.move':
+    '<strong>Move Hand:</strong> Use the W, A, S, D keys to move it forward, ' +
+    'left, backward, and right.',
+  'simulator.instructions.handsMode.elevate':
+    '<strong>Elevate Hand:</strong> Use the Q (up) and E (down) keys.',
+  'simulator.instructions.handsMode.switch':
+    '<strong>Switch Active Hand:</strong> Press the T key to toggle between ' +
+    'hands.',
+  'simulator.instructions.handsMode.pinch':
+    '<strong>Simulate Pinch:</strong> Press the Spacebar.',
+  'simulator.instructions.handsMode.gamepad':
+    '<strong>Simulate Gamepad:</strong> Use the arrow keys to push the ' +
+    'thumbstick, and the Z (A/X) and X (B/Y) keys to press the buttons.',
+  'simulator.instructions.handsMode.gestures':
+    '<strong>Simulate Gestures:</strong> Press 3 to 6 to swipe left, right, ' +
+    'up and down, 7 to wave, 8 and 9 to draw a circle counterclockwise and ' +
+    'clockwise, 0 to double-pinch, G to pinch and drag, and F to flip the ' +
+    'palm.',
+  'simulator.instructions.gazeMode.title': 'Gaze Mode',
+  'simulator.instructions.gazeMode.description':
+    'From Hands Mode, press <strong>Left Shift</strong> to enter ' +
+    '<strong>Gaze Mode</strong>. The mouse stands in for the eyes of the ' +
+    'user.',
+  'simulator.instructions.gazeMode.gaze':
+    '<strong>Select Object:</strong> Rest the mouse on it until the reticle ' +
+    'fills.',
+  'simulator.instructions.gazeMode.rotate':
+    '<strong>Rotate Camera:</strong> Hold the right mouse button and drag.',
+};
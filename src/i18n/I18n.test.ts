@@ -0,0 +1,117 @@
+import {afterEach, describe, expect, it, vi} from 'vitest';
+
+import {I18n} from './I18n';
+import {I18nOptions} from './I18nOptions';
+
+function createI18n(options: Partial<I18nOptions> = {}) {
+  const i18n = new I18n();
+  i18n.init(Object.assign(new I18nOptions(), options));
+  return i18n;
+}
+
+describe('I18n', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('falls back from the locale to its language and to English', () => {
+    const i18n = createI18n({
+      locale: 'de-AT',
+      messages: {
+        de: {'xrButton.start': 'XR starten', 'app.hello': 'Hallo'},
+        'de-AT': {'app.hello': 'Servus'},
+      },
+    });
+
+    expect(i18n.locale).toBe('de-AT');
+    expect(i18n.t('app.hello')).toBe('Servus');
+    expect(i18n.t('xrButton.start')).toBe('XR starten');
+    expect(i18n.t('xrButton.end')).toBe('Exit XR');
+    expect(i18n.t('app.missing')).toBe('app.missing');
+  });
+
+  it('selects plural forms and formats placeholders', () => {
+    const i18n = createI18n({
+      locale: 'ru',
+      messages: {
+        en: {
+          'app.files': {
+            '=0': 'No files',
+            one: '{count} file in {folder}',
+            other: '{count} files in {folder}',
+          },
+        },
+        ru: {
+          'app.files': {
+            one: '{count} файл',
+            few: '{count} файла',
+            many: '{count} файлов',
+            other: '{count} файла',
+          },
+        },
+      },
+    });
+
+    expect(i18n.t('app.files', {count: 1})).toBe('1 файл');
+    expect(i18n.t('app.files', {count: 3})).toBe('3 файла');
+    expect(i18n.t('app.files', {count: 5})).toBe('5 файлов');
+
+    i18n.setLocale('en-US');
+    expect(i18n.t('app.files', {count: 0})).toBe('No files');
+    expect(i18n.t('app.files', {count: 1, folder: 'Models'})).toBe(
+      '1 file in Models'
+    );
+    expect(i18n.t('app.files', {count: 1200})).toBe('1,200 files in {folder}');
+  });
+
+  it('detects the preferred locale which has messages', () => {
+    vi.stubGlobal('navigator', {languages: ['ja-JP', 'fr-CA', 'en-US']});
+    const i18n = createI18n({messages: {fr: {'app.hello': 'Bonjour'}}});
+
+    expect(i18n.locale).toBe('fr-CA');
+    expect(i18n.t('app.hello')).toBe('Bonjour');
+  });
+
+  it('notifies listeners when the locale or its messages change', () => {
+    const i18n = createI18n({locale: 'en'});
+    const onLocaleChange = vi.fn();
+    i18n.addEventListener('localechange', onLocaleChange);
+
+    i18n.setLocale('es');
+    i18n.setLocale('es');
+    i18n.addMessages('it', {'app.hello': 'Ciao'});
+    i18n.addMessages('es', {'app.hello': 'Hola'});
+
+    expect(onLocaleChange).toHaveBeenCalledTimes(2);
+    expect(onLocaleChange.mock.calls[1][0]).toMatchObject({locale: 'es'});
+    expect(() => i18n.setLocale('not a locale')).toThrow(RangeError);
+  });
+
+  it('notifies listeners when init replaces the messages of the locale', () => {
+    const i18n = createI18n({locale: 'de'});
+    const onLocaleChange = vi.fn();
+    i18n.addEventListener('localechange', onLocaleChange);
+
+    i18n.init(
+      Object.assign(new I18nOptions(), {
+        locale: 'de',
+        messages: {de: {'app.hello': 'Hallo'}},
+      })
+    );
+
+    expect(onLocaleChange).toHaveBeenCalledOnce();
+    expect(i18n.t('app.hello')).toBe('Hallo');
+  });
+
+  it('detects the locale when set to auto', () => {
+    vi.stubGlobal('navigator', {languages: ['fr-CA']});
+    const i18n = createI18n({
+      locale: 'en',
+      messages: {fr: {'app.hello': 'Bonjour'}},
+    });
+
+    i18n.setLocale('auto');
+
+    expect(i18n.locale).toBe('fr-CA');
+  });
+});
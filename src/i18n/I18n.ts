@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+
+import {getUrlParameter} from '../utils/utils';
+
+import {DEFAULT_MESSAGES} from './DefaultMessages';
+import {
+  I18nOptions,
+  Message,
+  MessageCatalog,
+  MessageParams,
+  PluralMessage,
+} from './I18nOptions';
+
+export interface I18nEventMap {
+  localechange: {locale: string};
+}
+
+/**
+ * Translates the built-in strings of XR Blocks and of apps. Messages are
+ * looked up in the catalog of the locale, then of its language, e.g. 'de' for
+ * 'de-AT', and finally of the fallback locale. They may contain `{name}`
+ * placeholders and depend on a `count` through the plural rules of the
+ * locale. A `localechange` event is dispatched whenever the locale or its
+ * messages change, which `TextView`s bound to a message key listen to.
+ * @example
+ * ```
+ * i18n.addMessages('de', {
+ *   'xrButton.start': 'XR starten',
+ *   'app.items': {one: '{count} Objekt', other: '{count} Objekte'},
+ * });
+ * i18n.setLocale('de-DE');
+ * i18n.t('app.items', {count: 3}); // '3 Objekte'
+ * ```
+ */
+export class I18n extends THREE.EventDispatcher<I18nEventMap> {
+  options = new I18nOptions();
+
+  private currentLocale = 'en';
+  // Catalogs by lowercase locale.
+  private catalogs = new Map<string, MessageCatalog>();
+  private pluralRules = new Map<string, Intl.PluralRules>();
+  private numberFormats = new Map<string, Intl.NumberFormat>();
+
+  constructor() {
+    super();
+    this.mergeMessages('en', DEFAULT_MESSAGES);
+  }
+
+  /**
+   * Replaces the catalogs with the built-in and the given messages and sets
+   * the locale. Dispatches `localechange` once, also if the locale stays the
+   * same, since its messages were replaced. Only called by Core.
+   */
+  init(options: I18nOptions) {
+    this.options = options;
+    this.catalogs.clear();
+    this.mergeMessages('en', DEFAULT_MESSAGES);
+    for (const [locale, catalog] of Object.entries(options.messages)) {
+      this.mergeMessages(locale, catalog);
+    }
+    const previousLocale = this.currentLocale;
+    this.setLocale(options.locale);
+    if (this.currentLocale === previousLocale) {
+      this.dispatchEvent({type: 'localechange', locale: this.currentLocale});
+    }
+  }
+
+  /** The current locale, e.g. 'en-US'. */
+  get locale() {
+    return this.currentLocale;
+  }
+
+  /**
+   * Changes the locale and dispatches `localechange`.
+   * @param locale - A BCP 47 language tag, e.g. 'fr' or 'pt-BR', or 'auto' to
+   * use `detectLocale()`.
+   */
+  setLocale(locale: string) {
+    const [canonicalLocale] = Intl.getCanonicalLocales(
+      locale === 'auto' ? this.detectLocale() : locale
+    );
+    if (canonicalLocale === this.currentLocale) return;
+    this.currentLocale = canonicalLocale;
+    this.dispatchEvent({type: 'localechange', locale: canonicalLocale});
+  }
+
+  /**
+   * Finds the preferred locale with messages, from the `locale` URL parameter
+   * and the browser's languages.
+   * @returns The locale, or the fallback locale if none has messages.
+   */
+  detectLocale() {
+    const candidates = [
+      getUrlParameter('locale'),
+      ...(navigator.languages ?? [navigator.language]),
+    ];
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const language = candidate.split('-')[0].toLowerCase();
+      if (
+        this.catalogs.has(candidate.toLowerCase()) ||
+        this.catalogs.has(language)
+      ) {
+        return candidate;
+      }
+    }
+    return this.options.fallbackLocale;
+  }
+
+  /**
+   * Adds messages to the catalog of a locale, replacing existing messages
+   * with the same keys.
+   * @param locale - The locale of the messages.
+   * @param catalog - The messages by key.
+   */
+  addMessages(locale: string, catalog: MessageCatalog) {
+    const key = this.mergeMessages(locale, catalog);
+    if (this.getLocaleChain().includes(key)) {
+      this.dispatchEvent({type: 'localechange', locale: this.currentLocale});
+    }
+  }
+
+  /**
+   * Adds messages without dispatching `localechange`.
+   * @returns The key of the catalog.
+   */
+  private mergeMessages(locale: string, catalog: MessageCatalog) {
+    const key = locale.toLowerCase();
+    this.catalogs.set(key, {...this.catalogs.get(key), ...catalog});
+    return key;
+  }
+
+  /**
+   * Whether a message exists for a key in the current or fallback locale.
+   * @param key - The key of the message.
+   */
+  has(key: string) {
+    return this.findMessage(key) !== undefined;
+  }
+
+  /**
+   * Translates a message.
+   * @param key - The key of the message.
+   * @param params - Values for the placeholders. A numeric `count` selects
+   * the plural form.
+   * @returns The translated message, or the key if no catalog contains it.
+   */
+  t(key: string, params: MessageParams = {}) {
+    const found = this.findMessage(key);
+    if (!found) {
+      return key;
+    }
+    const {message, locale} = found;
+    const text =
+      typeof message === 'string'
+        ? message
+        : this.selectPluralForm(message, params.count, locale);
+    return text.replace(/\{(\w+)\}/g, (placeholder, name: string) => {
+      const value = params[name];
+      if (value === undefined) return placeholder;
+      return typeof value === 'number'
+        ? this.getNumberFormat(locale).format(value)
+        : value;
+    });
+  }
+
+  private findMessage(key: string) {
+    for (const locale of this.getLocaleChain()) {
+      const message: Message | undefined = this.catalogs.get(locale)?.[key];
+      if (message !== undefined) {
+        return {message, locale};
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * The lowercase locales to look messages up in, from the most specific.
+   */
+  private getLocaleChain() {
+    const chain: string[] = [];
+    for (const locale of [
+      this.currentLocale,
+      this.options.fallbackLocale,
+      'en',
+    ]) {
+      const lowercase = locale.toLowerCase();
+      for (const candidate of [lowercase, lowercase.split('-')[0]]) {
+        if (!chain.includes(candidate)) {
+          chain.push(candidate);
+        }
+      }
+    }
+    return chain;
+  }
+
+  private selectPluralForm(
+    message: PluralMessage,
+    count: string | number | undefined,
+    locale: string
+  ) {
+    if (typeof count !== 'number') {
+      return message.other;
+    }
+    const exact = message[`=${count}`];
+    if (exact !== undefined) {
+      return exact;
+    }
+    let rules = this.pluralRules.get(locale);
+    if (!rules) {
+      rules = new Intl.PluralRules(locale);
+      this.pluralRules.set(locale, rules);
+    }
+    return message[rules.select(count)] ?? message.other;
+  }
+
+  private getNumberFormat(locale: string) {
+    let format = this.numberFormats.get(locale);
+    if (!format) {
+      format = new Intl.NumberFormat(locale);
+      this.numberFormats.set(locale, format);
+    }
+    return format;
+  }
+}
+
+/**
+ * The shared instance used by Core, the built-in UI and apps.
+ */
+export const i18n = new I18n();
@@ -0,0 +1,34 @@
+/**
+ * A message which depends on a count, selected by the plural rules of the
+ * locale, e.g. `{one: '{count} file', other: '{count} files'}`. Keys like
+ * `'=0'` match an exact count and take precedence over the plural category.
+ */
+export type PluralMessage = {
+  [category in Intl.LDMLPluralRule | `=${number}`]?: string;
+} & {other: string};
+
+export type Message = string | PluralMessage;
+
+/** Messages by key, e.g. `'xrButton.start'`. */
+export type MessageCatalog = Record<string, Message>;
+
+/** Values for the `{name}` placeholders of a message. */
+export type MessageParams = Record<string, string | number>;
+
+/**
+ * Options for localization.
+ */
+export class I18nOptions {
+  /**
+   * The locale, e.g. 'de-DE', or 'auto' to use the `locale` URL parameter or
+   * the first of the browser's languages which has messages.
+   */
+  locale = 'auto';
+  /** The locale whose messages are used for keys missing in the locale. */
+  fallbackLocale = 'en';
+  /**
+   * Message catalogs by locale, which are merged over the built-in English
+   * messages.
+   */
+  messages: Record<string, MessageCatalog> = {};
+}
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import {describe, expect, it, vi} from 'vitest';
+
+import {EventBus} from '../core/components/EventBus';
+import {ScriptsManager} from '../core/components/ScriptsManager';
+import {Script} from '../core/Script';
+import {ActionEvent, ActionMap} from './ActionMap';
+import {ActionMapOptions} from './ActionMapOptions';
+import type {Controller} from './Controller';
+import {Input} from './Input';
+
+function createActionMap(bindings: Record<string, string[]> = {}) {
+  const input = new Input();
+  const left = new THREE.Group() as Controller;
+  left.inputSource = {handedness: 'left'};
+  const right = new THREE.Group() as Controller;
+  right.inputSource = {handedness: 'right'};
+  input.controllers.push(left, right, input.mouseController);
+  const events = new EventBus();
+  const actions = new ActionMap();
+  actions.init({
+    input,
+    events,
+    options: Object.assign(new ActionMapOptions(), {bindings}),
+  });
+  const received: string[] = [];
+  actions.addEventListener('action', (event: ActionEvent) => {
+    received.push(`${event.name}:${event.phase}:${event.binding}`);
+  });
+  return {actions, input, events, left, right, received};
+}
+
+describe('ActionMap', () => {
+  it('starts an action with the first input and ends it with the last', () => {
+    const {actions, input, left, right, received} = createActionMap({
+      confirm: ['pinch:left', 'click'],
+      grab: ['trigger', 'squeeze'],
+    });
+    right.gamepad = {buttons: []} as unknown as Gamepad;
+
+    input.dispatchEvent({type: 'selectstart', target: left});
+    input.dispatchEvent({type: 'selectstart', target: input.mouseController});
+    input.dispatchEvent({type: 'selectend', target: left});
+    input.dispatchEvent({type: 'selectend', target: input.mouseController});
+    input.dispatchEvent({type: 'selectstart', target: right});
+    input.dispatchEvent({type: 'squeezestart', target: right});
+    input.dispatchEvent({type: 'selectend', target: right});
+
+    expect(received).toEqual([
+      'confirm:start:pinch:left',
+      'confirm:end:click',
+      'grab:start:trigger',
+    ]);
+    actions.dispose();
+  });
+
+  it('maps keys and gestures and releases keys on blur', () => {
+    const {actions, events, received} = createActionMap({
+      menu: ['key:Escape', 'gesture:thumbs-up:right'],
+    });
+
+    window.dispatchEvent(new KeyboardEvent('keydown', {code: 'Escape'}));
+    window.dispatchEvent(
+      new KeyboardEvent('keydown', {code: 'Escape', repeat: true})
+    );
+    expect(actions.isActive('menu')).toBe(true);
+    window.dispatchEvent(new Event('blur'));
+    const detail = {name: 'thumbs-up', hand: 'left' as const, confidence: 1};
+    events.publish('gestures/started', detail);
+    events.publish('gestures/started', {...detail, hand: 'right'});
+    events.publish('gestures/ended', {...detail, hand: 'right'});
+    actions.dispose();
+
+    expect(received).toEqual([
+      'menu:start:key:Escape',
+      'menu:end:key:Escape',
+      'menu:start:gesture:thumbs-up:right',
+      'menu:end:gesture:thumbs-up:right',
+    ]);
+  });
+
+  it('maps gamepad buttons by name', () => {
+    const {actions, input, right, received} = createActionMap({
+      jump: ['gamepad:a:right'],
+    });
+    const buttons = Array.from({length: 6}, () => ({pressed: false}));
+    right.gamepad = {buttons, axes: []} as unknown as Gamepad;
+
+    input.updateGamepad(right);
+    buttons[4].pressed = true;
+    input.updateGamepad(right);
+    input.updateGamepad(right);
+    buttons[4].pressed = false;
+    input.updateGamepad(right);
+
+    expect(received).toEqual([
+      'jump:start:gamepad:a:right',
+      'jump:end:gamepad:a:right',
+    ]);
+    actions.dispose();
+  });
+
+  it('maps face buttons to the controller they are on', () => {
+    const {actions, input, left, right, received} = createActionMap({
+      menu: ['gamepad:x'],
+    });
+    for (const controller of [right, left]) {
+      const buttons = Array.from({length: 6}, () => ({pressed: false}));
+      controller.gamepad = {buttons, axes: []} as unknown as Gamepad;
+      input.updateGamepad(controller);
+      buttons[4].pressed = true;
+      input.updateGamepad(controller);
+    }
+
+    // Only the left X button, not the right A button on the same index.
+    expect(received).toEqual(['menu:start:gamepad:x']);
+    expect(() => actions.bind('menu', 'gamepad:a:left')).toThrow(
+      /right controller/
+    );
+    actions.dispose();
+  });
+
+  it('rebinds at runtime and captures the next binding', async () => {
+    const {actions, input, left, received} = createActionMap({
+      fire: ['select'],
+    });
+    input.dispatchEvent({type: 'selectstart', target: left});
+
+    const capture = actions.captureNextBinding();
+    window.dispatchEvent(new KeyboardEvent('keydown', {code: 'KeyF'}));
+    const binding = await capture;
+    actions.rebind('fire', [binding]);
+    input.dispatchEvent({type: 'selectend', target: left});
+    window.dispatchEvent(new KeyboardEvent('keyup', {code: 'KeyF'}));
+    window.dispatchEvent(new KeyboardEvent('keydown', {code: 'KeyF'}));
+
+    expect(binding).toBe('key:KeyF');
+    expect(actions.getBindings('fire')).toEqual(['key:KeyF']);
+    expect(received).toEqual([
+      'fire:start:select',
+      'fire:end:select',
+      'fire:start:key:KeyF',
+    ]);
+    expect(() => actions.bind('fire', 'gamepad:z')).toThrow(/gamepad button/);
+    expect(() => actions.bind('fire', 'wave')).toThrow(/Unknown binding/);
+    actions.dispose();
+  });
+
+  it('reaches scripts through onAction', async () => {
+    const {actions, input, left} = createActionMap({confirm: ['select']});
+    const scriptsManager = new ScriptsManager(async () => {});
+    const script = new Script();
+    const onAction = vi.spyOn(script, 'onAction');
+    await scriptsManager.initScript(script);
+    actions.addEventListener('action', scriptsManager.callActionBound);
+
+    input.dispatchEvent({type: 'selectstart', target: left});
+
+    expect(onAction).toHaveBeenCalledExactlyOnceWith(
+      'confirm',
+      'start',
+      expect.objectContaining({binding: 'select', controller: left})
+    );
+    actions.dispose();
+  });
+});
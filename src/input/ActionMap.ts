@@ -0,0 +1,463 @@
+import * as THREE from 'three';
+
+import {EventBus} from '../core/components/EventBus';
+import type {ButtonEvent, KeyEvent} from '../core/Script';
+
+import type {ActionMapOptions} from './ActionMapOptions';
+import type {Controller, ControllerEvent} from './Controller';
+import type {Input} from './Input';
+import {TouchController} from './TouchController';
+
+export type ActionPhase = 'start' | 'end';
+
+/**
+ * The kinds of input a binding can refer to. `select` matches `pinch`,
+ * `trigger`, `click` and `gaze`.
+ */
+export type ActionBindingSource =
+  | 'select'
+  | 'pinch'
+  | 'trigger'
+  | 'click'
+  | 'gaze'
+  | 'squeeze'
+  | 'key'
+  | 'gesture'
+  | 'gamepad';
+
+export type ActionHandedness = 'left' | 'right';
+
+export interface ActionEvent {
+  /** The name of the action, e.g. 'confirm'. */
+  name: string;
+  phase: ActionPhase;
+  /** The binding which started or ended the action, e.g. 'pinch:left'. */
+  binding: string;
+  /** The controller of `select`, `squeeze` and `gamepad` bindings. */
+  controller?: Controller;
+  handedness?: ActionHandedness;
+}
+
+export interface ActionMapEventMap {
+  action: ActionEvent;
+}
+
+type ParsedBinding = {
+  source: ActionBindingSource;
+  name?: string;
+  hand?: ActionHandedness;
+};
+
+/** An input which is currently pressed. */
+type RawInput = {
+  source: Exclude<ActionBindingSource, 'select'>;
+  name?: string;
+  handedness?: ActionHandedness;
+  controller?: Controller;
+};
+
+const SELECT_SOURCES = ['pinch', 'trigger', 'click', 'gaze'];
+
+const BINDING_SOURCES: ActionBindingSource[] = [
+  'select',
+  'pinch',
+  'trigger',
+  'click',
+  'gaze',
+  'squeeze',
+  'key',
+  'gesture',
+  'gamepad',
+];
+
+/**
+ * Button indices of the 'xr-standard' gamepad mapping, and the controller of
+ * the face buttons, which share indices 4 and 5 on both hands.
+ */
+const GAMEPAD_BUTTONS: Record<
+  string,
+  {index: number; hand?: ActionHandedness}
+> = {
+  trigger: {index: 0},
+  squeeze: {index: 1},
+  touchpad: {index: 2},
+  thumbstick: {index: 3},
+  a: {index: 4, hand: 'right'},
+  b: {index: 5, hand: 'right'},
+  x: {index: 4, hand: 'left'},
+  y: {index: 5, hand: 'left'},
+};
+
+/**
+ * Parses a binding such as 'pinch:left', 'key:Space', 'gesture:thumbs-up' or
+ * 'gamepad:a:right'.
+ * @param binding - The binding.
+ * @returns The parsed binding.
+ */
+function parseBinding(binding: string): ParsedBinding {
+  const parts = binding.split(':');
+  const source = parts.shift() as ActionBindingSource;
+  if (!BINDING_SOURCES.includes(source)) {
+    throw new Error(`ActionMap: Unknown binding source in "${binding}".`);
+  }
+  let hand: ActionHandedness | undefined;
+  const last = parts[parts.length - 1];
+  if (source !== 'key' && (last === 'left' || last === 'right')) {
+    hand = last;
+    parts.pop();
+  }
+  let name = parts.length > 0 ? parts.join(':') : undefined;
+  if (source === 'key' || source === 'gesture' || source === 'gamepad') {
+    if (!name) {
+      throw new Error(`ActionMap: Missing name in "${binding}".`);
+    }
+    if (source === 'gamepad') {
+      const button = GAMEPAD_BUTTONS[name.toLowerCase()];
+      name = String(button?.index ?? Number(name));
+      if (name === 'NaN') {
+        throw new Error(`ActionMap: Unknown gamepad button in "${binding}".`);
+      }
+      if (button?.hand) {
+        if (hand && hand !== button.hand) {
+          throw new Error(
+            `ActionMap: The gamepad button in "${binding}" is on the ` +
+              `${button.hand} controller.`
+          );
+        }
+        hand = button.hand;
+      }
+    }
+  }
+  return {source, name, hand};
+}
+
+/**
+ * Maps named actions such as 'confirm', 'menu' or 'grab' to the inputs which
+ * trigger them, so that scripts behave the same with hands, controllers, the
+ * mouse, gaze, keyboard and gestures, on device and in the simulator. Scripts
+ * receive `onAction(name, phase, event)` when an action starts, i.e. the
+ * first of its bindings is pressed, and when it ends, i.e. the last one is
+ * released. Available as `core.actions` and through dependency injection.
+ *
+ * Bindings are strings of a source, an optional name and an optional hand:
+ * - `select`, `pinch`, `trigger`, `click`, `gaze`: a select of any kind, of a
+ *   hand, a tracked controller, the mouse or a touch, or gaze dwell. Hands
+ *   of the simulator count as pinches. E.g. 'pinch:left'.
+ * - `squeeze`: the grip of a controller, e.g. 'squeeze:right'.
+ * - `key:<code>`: a `KeyboardEvent.code`, e.g. 'key:Space'.
+ * - `gesture:<name>`: a recognized hand gesture, e.g. 'gesture:thumbs-up'.
+ * - `gamepad:<button>`: a button index or one of 'trigger', 'squeeze',
+ *   'touchpad', 'thumbstick', 'a', 'b', 'x' and 'y', e.g. 'gamepad:4:left'.
+ *   'a' and 'b' are on the right controller and 'x' and 'y' on the left.
+ * @example
+ * ```
+ * options.actions.bindings = {
+ *   confirm: ['select', 'key:Enter'],
+ *   menu: ['gamepad:b', 'gesture:thumbs-up', 'key:Escape'],
+ * };
+ *
+ * class Menu extends xb.Script {
+ *   onAction(name, phase) {
+ *     if (name === 'menu' && phase === 'start') this.toggle();
+ *   }
+ * }
+ * ```
+ */
+export class ActionMap extends THREE.EventDispatcher<ActionMapEventMap> {
+  private bindings = new Map<string, string[]>();
+  private parsedBindings = new Map<string, ParsedBinding>();
+  // Identifiers of the pressed inputs of each active action.
+  private activeInputs = new Map<string, Map<string, RawInput>>();
+  private input?: Input;
+  private unsubscribeGestures: (() => void)[] = [];
+  private bindingCaptures: ((binding: string) => void)[] = [];
+
+  private onSelectStartBound = this.onControllerEvent.bind(this, true);
+  private onSelectEndBound = this.onControllerEvent.bind(this, false);
+  private onKeyDownBound = this.onKey.bind(this, true);
+  private onKeyUpBound = this.onKey.bind(this, false);
+  private onButtonDownBound = this.onButton.bind(this, true);
+  private onButtonUpBound = this.onButton.bind(this, false);
+  private onBlurBound = this.releaseKeys.bind(this);
+
+  /**
+   * Listens to the inputs and applies the bindings of the options. Only
+   * called by Core.
+   */
+  init({
+    input,
+    events,
+    options,
+  }: {
+    input: Input;
+    events: EventBus;
+    options: ActionMapOptions;
+  }) {
+    this.input = input;
+    input.bindSelectStart(this.onSelectStartBound);
+    input.bindSelectEnd(this.onSelectEndBound);
+    input.bindSqueezeStart(this.onSelectStartBound);
+    input.bindSqueezeEnd(this.onSelectEndBound);
+    input.bindKeyDown(this.onKeyDownBound);
+    input.bindKeyUp(this.onKeyUpBound);
+    input.bindButtonDown(this.onButtonDownBound);
+    input.bindButtonUp(this.onButtonUpBound);
+    window.addEventListener('blur', this.onBlurBound);
+    this.unsubscribeGestures = [
+      events.subscribe('gestures/started', (detail) =>
+        this.setPressed(
+          {source: 'gesture', name: detail.name, handedness: detail.hand},
+          true
+        )
+      ),
+      events.subscribe('gestures/ended', (detail) =>
+        this.setPressed(
+          {source: 'gesture', name: detail.name, handedness: detail.hand},
+          false
+        )
+      ),
+    ];
+    for (const [action, bindings] of Object.entries(options.bindings)) {
+      this.rebind(action, bindings);
+    }
+  }
+
+  /**
+   * Stops listening to the inputs and removes all actions.
+   */
+  dispose() {
+    const input = this.input;
+    if (input) {
+      input.unbindListener('selectstart', this.onSelectStartBound);
+      input.unbindListener('selectend', this.onSelectEndBound);
+      input.unbindListener('squeezestart', this.onSelectStartBound);
+      input.unbindListener('squeezeend', this.onSelectEndBound);
+      input.unbindKeyDown(this.onKeyDownBound);
+      input.unbindKeyUp(this.onKeyUpBound);
+      input.unbindButtonDown(this.onButtonDownBound);
+      input.unbindButtonUp(this.onButtonUpBound);
+    }
+    window.removeEventListener('blur', this.onBlurBound);
+    this.unsubscribeGestures.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribeGestures = [];
+    this.input = undefined;
+    this.bindings.clear();
+    this.activeInputs.clear();
+    this.bindingCaptures = [];
+  }
+
+  /**
+   * The names of all actions with bindings.
+   */
+  get actions() {
+    return Array.from(this.bindings.keys());
+  }
+
+  /**
+   * Gets the bindings of an action.
+   * @param action - The name of the action.
+   */
+  getBindings(action: string): readonly string[] {
+    return this.bindings.get(action) ?? [];
+  }
+
+  /**
+   * Adds bindings to an action, creating it if needed.
+   * @param action - The name of the action.
+   * @param bindings - The bindings to add, e.g. 'pinch' or 'key:Space'.
+   */
+  bind(action: string, ...bindings: string[]) {
+    this.rebind(action, [...this.getBindings(action), ...bindings]);
+  }
+
+  /**
+   * Removes a binding from an action, or all of its bindings.
+   * @param action - The name of the action.
+   * @param binding - The binding to remove, all bindings if omitted.
+   */
+  unbind(action: string, binding?: string) {
+    this.rebind(
+      action,
+      binding === undefined
+        ? []
+        : this.getBindings(action).filter((b) => b !== binding)
+    );
+  }
+
+  /**
+   * Replaces the bindings of an action, e.g. from a settings menu. If the
+   * action is active, it ends.
+   * @param action - The name of the action.
+   * @param bindings - The new bindings. An empty list removes the action.
+   */
+  rebind(action: string, bindings: string[]) {
+    for (const binding of bindings) {
+      if (!this.parsedBindings.has(binding)) {
+        this.parsedBindings.set(binding, parseBinding(binding));
+      }
+    }
+    const activeInputs = this.activeInputs.get(action);
+    if (activeInputs?.size) {
+      const [id, input] = activeInputs.entries().next().value!;
+      activeInputs.clear();
+      this.dispatchAction(action, 'end', id.split('|')[0], input);
+    }
+    if (bindings.length > 0) {
+      this.bindings.set(action, [...bindings]);
+    } else {
+      this.bindings.delete(action);
+      this.activeInputs.delete(action);
+    }
+  }
+
+  /**
+   * Whether any binding of an action is currently pressed.
+   * @param action - The name of the action.
+   */
+  isActive(action: string) {
+    return (this.activeInputs.get(action)?.size ?? 0) > 0;
+  }
+
+  /**
+   * Waits for the next pressed input, e.g. to let users choose a binding.
+   * @returns A promise which resolves with the binding of the input, e.g.
+   * 'key:KeyE' or 'gamepad:4:right'.
+   */
+  captureNextBinding() {
+    return new Promise<string>((resolve) => {
+      this.bindingCaptures.push(resolve);
+    });
+  }
+
+  private onControllerEvent(pressed: boolean, event: ControllerEvent) {
+    const controller = event.target;
+    const isSqueeze =
+      event.type === 'squeezestart' || event.type === 'squeezeend';
+    const handedness = (event.data?.handedness ??
+      this.getHandedness(controller)) as ActionHandedness | undefined;
+    this.setPressed(
+      {
+        source: isSqueeze ? 'squeeze' : this.getSelectSource(event),
+        handedness,
+        controller,
+      },
+      pressed
+    );
+  }
+
+  private getSelectSource(event: ControllerEvent): RawInput['source'] {
+    const controller = event.target;
+    if (
+      controller === this.input?.mouseController ||
+      controller instanceof TouchController
+    ) {
+      return 'click';
+    }
+    if (controller === this.input?.gazeController) return 'gaze';
+    if (event.data?.hand || controller.inputSource?.hand) return 'pinch';
+    // Simulated hands have neither an XRHand nor a gamepad.
+    return controller.gamepad ? 'trigger' : 'pinch';
+  }
+
+  private getHandedness(controller: Controller) {
+    const handedness = controller.inputSource?.handedness;
+    return handedness === 'left' || handedness === 'right'
+      ? handedness
+      : undefined;
+  }
+
+  private onButton(pressed: boolean, event: ButtonEvent) {
+    this.setPressed(
+      {
+        source: 'gamepad',
+        name: String(event.button),
+        handedness: this.getHandedness(event.target),
+        controller: event.target,
+      },
+      pressed
+    );
+  }
+
+  private onKey(pressed: boolean, event: KeyEvent & {repeat?: boolean}) {
+    if (event.repeat) return;
+    this.setPressed({source: 'key', name: event.code}, pressed);
+  }
+
+  /**
+   * Releases all keys, whose keyup is lost when the window loses focus.
+   */
+  private releaseKeys() {
+    for (const inputs of Array.from(this.activeInputs.values())) {
+      for (const input of Array.from(inputs.values())) {
+        if (input.source === 'key') {
+          this.setPressed(input, false);
+        }
+      }
+    }
+  }
+
+  private setPressed(input: RawInput, pressed: boolean) {
+    if (pressed && this.bindingCaptures.length > 0) {
+      const binding = [input.source, input.name, input.handedness]
+        .filter((part) => part !== undefined)
+        .join(':');
+      this.bindingCaptures.forEach((resolve) => resolve(binding));
+      this.bindingCaptures = [];
+    }
+    const id = [
+      input.source,
+      input.name ?? '',
+      input.handedness ?? '',
+      input.controller?.id ?? '',
+    ].join(':');
+    for (const [action, bindings] of Array.from(this.bindings)) {
+      const binding = bindings.find((binding) =>
+        this.matches(this.parsedBindings.get(binding)!, input)
+      );
+      if (!binding) continue;
+      let activeInputs = this.activeInputs.get(action);
+      if (!activeInputs) {
+        activeInputs = new Map();
+        this.activeInputs.set(action, activeInputs);
+      }
+      const key = `${binding}|${id}`;
+      if (pressed && !activeInputs.has(key)) {
+        activeInputs.set(key, input);
+        if (activeInputs.size === 1) {
+          this.dispatchAction(action, 'start', binding, input);
+        }
+      } else if (!pressed && activeInputs.delete(key)) {
+        if (activeInputs.size === 0) {
+          this.dispatchAction(action, 'end', binding, input);
+        }
+      }
+    }
+  }
+
+  private matches(binding: ParsedBinding, input: RawInput) {
+    const sourceMatches =
+      binding.source === input.source ||
+      (binding.source === 'select' && SELECT_SOURCES.includes(input.source));
+    return (
+      sourceMatches &&
+      (binding.name === undefined || binding.name === input.name) &&
+      (binding.hand === undefined || binding.hand === input.handedness)
+    );
+  }
+
+  private dispatchAction(
+    name: string,
+    phase: ActionPhase,
+    binding: string,
+    input: RawInput
+  ) {
+    this.dispatchEvent({
+      type: 'action',
+      name,
+      phase,
+      binding,
+      controller: input.controller,
+      handedness: input.handedness,
+    });
+  }
+}
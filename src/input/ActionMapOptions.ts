@@ -0,0 +1,11 @@
+/**
+ * Options for the ActionMap.
+ */
+export class ActionMapOptions {
+  /**
+   * Bindings by action name, e.g.
+   * `{confirm: ['select', 'key:Enter'], grab: ['squeeze', 'gesture:fist']}`.
+   * See `ActionMap` for the binding syntax.
+   */
+  bindings: Record<string, string[]> = {};
+}
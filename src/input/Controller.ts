@@ -24,3 +24,45 @@ export interface ControllerEvent {
   target: Controller;
   data?: Partial<XRInputSource>;
 }
+
+/**
+ * Names of the buttons of the 'xr-standard' gamepad mapping. The face buttons
+ * are 'x' and 'y' on left controllers and 'a' and 'b' otherwise.
+ */
+export type GamepadButtonName =
+  | 'trigger'
+  | 'squeeze'
+  | 'touchpad'
+  | 'thumbstick'
+  | 'a'
+  | 'b'
+  | 'x'
+  | 'y';
+
+/**
+ * Gets the name of a button of the 'xr-standard' gamepad mapping.
+ * @param button - The index of the button.
+ * @param handedness - The handedness of the controller.
+ * @returns The name, or undefined for buttons without a standard name.
+ */
+export function getGamepadButtonName(
+  button: number,
+  handedness?: XRHandedness
+): GamepadButtonName | undefined {
+  const left = handedness === 'left';
+  switch (button) {
+    case 0:
+      return 'trigger';
+    case 1:
+      return 'squeeze';
+    case 2:
+      return 'touchpad';
+    case 3:
+      return 'thumbstick';
+    case 4:
+      return left ? 'x' : 'a';
+    case 5:
+      return left ? 'y' : 'b';
+  }
+  return undefined;
+}
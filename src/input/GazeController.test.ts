@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+import {describe, expect, it} from 'vitest';
+
+import {Options} from '../core/Options';
+import type {Controller} from './Controller';
+import type {HasGazeDwellTime} from './GazeController';
+import {Input} from './Input';
+
+function createGaze(renderer?: THREE.WebGLRenderer) {
+  const camera = new THREE.PerspectiveCamera(90, 1);
+  camera.position.set(0, 1.6, 0);
+  const input = new Input();
+  input.options = new Options();
+  const gaze = input.gazeController;
+  gaze.init({camera, renderer});
+  gaze.clock = {getDelta: () => 0.5} as THREE.Clock;
+  input.controllers.push(gaze);
+  input.bindSelectStart(input.defaultOnSelectStart.bind(input));
+  input.bindSelectEnd(input.defaultOnSelectEnd.bind(input));
+  input.bindListener('connected', input.defaultOnConnected.bind(input));
+  input.enableGazeController();
+  const selects: string[] = [];
+  input.bindSelectStart(() => selects.push('start'));
+  input.bindSelectEnd(() => selects.push('end'));
+  return {gaze, camera, selects};
+}
+
+function createSession() {
+  const session = new EventTarget() as EventTarget & {
+    inputSources: XRInputSource[];
+  };
+  session.inputSources = [];
+  const frame = {
+    session,
+    getPose: () => ({
+      transform: {
+        position: {x: 0.1, y: 1.5, z: 0},
+        orientation: {x: 0, y: 0, z: 0, w: 1},
+      },
+    }),
+  } as unknown as XRFrame;
+  const renderer = {
+    xr: {
+      isPresenting: true,
+      getSession: () => session,
+      getFrame: () => frame,
+      getReferenceSpace: () => ({}),
+    },
+  } as unknown as THREE.WebGLRenderer;
+  const select = (type: string, inputSource: XRInputSource) =>
+    session.dispatchEvent(
+      Object.assign(new Event(type), {inputSource, frame}) as Event
+    );
+  return {session, renderer, select};
+}
+
+describe('GazeController', () => {
+  it('selects after the dwell time of the object looked at', () => {
+    const {gaze, selects} = createGaze();
+    const group = new THREE.Group() as THREE.Group & HasGazeDwellTime;
+    group.gazeDwellTime = 0.5;
+    const button = new THREE.Mesh();
+    group.add(button);
+    gaze.reticle.targetObject = button;
+
+    gaze.update();
+    expect(selects).toEqual([]);
+    gaze.update();
+    expect(selects).toEqual(['start']);
+    expect(gaze.source).toBe('head');
+
+    group.gazeDwellTime = Infinity;
+    gaze.reticle.targetObject = group;
+    gaze.update();
+    gaze.update();
+    gaze.update();
+    expect(selects).toEqual(['start', 'end']);
+  });
+
+  it('selects with untracked transient pointers instead of dwelling', () => {
+    const {renderer, select} = createSession();
+    const {gaze, selects} = createGaze(renderer);
+    const tracked = new THREE.Group() as Controller;
+    tracked.inputSource = {targetRayMode: 'transient-pointer'};
+    gaze.trackedControllers = [tracked];
+    const pointer = {
+      targetRayMode: 'transient-pointer',
+    } as unknown as XRInputSource;
+
+    gaze.update();
+    select('selectstart', tracked.inputSource as XRInputSource);
+    expect(selects).toEqual([]);
+    select('selectstart', pointer);
+    expect(selects).toEqual(['start']);
+    gaze.update();
+    gaze.update();
+    expect(gaze.source).toBe('transient-pointer');
+    expect(gaze.position.toArray()).toEqual([0.1, 1.5, 0]);
+    expect(gaze.activationAmount.value).toBe(0);
+    select('selectend', pointer);
+    expect(selects).toEqual(['start', 'end']);
+    expect(gaze.userData.selected).toBe(false);
+  });
+
+  it('gazes at the screen position, e.g. the mouse in the simulator', () => {
+    const {gaze, camera} = createGaze();
+    window.innerWidth = 100;
+    window.innerHeight = 100;
+    camera.updateMatrixWorld();
+    gaze.updateScreenPositionFromEvent({
+      clientX: 100,
+      clientY: 50,
+    } as MouseEvent);
+
+    gaze.update();
+
+    expect(gaze.source).toBe('pointer');
+    const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(
+      gaze.quaternion
+    );
+    expect(direction.x).toBeCloseTo(Math.SQRT1_2);
+    expect(direction.z).toBeCloseTo(-Math.SQRT1_2);
+  });
+});
@@ -16,23 +16,47 @@ const PRESS_MOVEMENT_THRESHOLD = 0.2;
 interface GazeControllerEventMap extends THREE.Object3DEventMap {
   connected: {target: GazeController};
   disconnected: {target: GazeController};
-  selectstart: {target: GazeController};
-  selectend: {target: GazeController};
+  selectstart: {target: GazeController; data?: XRInputSource};
+  selectend: {target: GazeController; data?: XRInputSource};
+}
+
+/**
+ * Where the gaze ray of a GazeController comes from, in order of preference:
+ * - `transient-pointer`: a gaze-and-pinch input source, which follows the eyes
+ *   while the user pinches.
+ * - `gaze`: a gaze input source exposed by the XR session.
+ * - `pointer`: a point on the screen, e.g. the mouse in the simulator's Gaze
+ *   Mode.
+ * - `head`: the center of the field of view.
+ */
+export type GazeSource = 'transient-pointer' | 'gaze' | 'pointer' | 'head';
+
+/**
+ * Objects, or their ancestors, with a `gazeDwellTime` override how long the
+ * user must look at them to select them, in seconds. `Infinity` disables dwell
+ * selection on them.
+ */
+export interface HasGazeDwellTime {
+  gazeDwellTime: number;
 }
 
 /**
  * Implements a gaze-based controller for XR interactions.
  * This allows users to select objects by looking at them for a set duration.
- * It functions as a virtual controller that is always aligned with the user's
- * camera (head pose).
- * WebXR Eye Tracking is not yet available. This API simulates a reticle
- * at the center of the field of view for simulating gaze-based interaction.
+ * The gaze ray follows the eyes where the XR session exposes them, with
+ * `transient-pointer` input sources such as gaze-and-pinch, or `gaze` input
+ * sources. Transient pointers select when the user pinches rather than after a
+ * dwell. Without those, the ray falls back to the center of the field of view
+ * (head gaze), or to `screenPosition` when set.
  */
 export class GazeController
   extends Script<GazeControllerEventMap>
   implements Controller
 {
-  static dependencies = {camera: THREE.Camera};
+  static dependencies = {
+    camera: THREE.Camera,
+    renderer: THREE.WebGLRenderer,
+  };
 
   /**
    * User data for the controller, including its connection status, unique ID,
@@ -47,6 +71,7 @@ export class GazeController
 
   /**
    * The time in seconds the user must gaze at an object to trigger a selection.
+   * Objects may override it with `gazeDwellTime`.
    */
   activationTimeSeconds = 1.5;
 
@@ -73,38 +98,145 @@ export class GazeController
    */
   clock = new THREE.Clock();
 
+  /** Where the gaze ray came from in the last update. */
+  source: GazeSource = 'head';
+
+  /**
+   * When set, the gaze ray goes from the camera through this point in
+   * normalized device coordinates instead of the center of the view, unless
+   * the XR session exposes the eyes.
+   */
+  screenPosition?: THREE.Vector2;
+
+  /**
+   * Controllers which track XR input sources themselves. Their transient
+   * pointers are left to them, so that a pinch does not select twice.
+   */
+  trackedControllers: Controller[] = [];
+
   camera!: THREE.Camera;
+  renderer?: THREE.WebGLRenderer;
+
+  private raycaster = new THREE.Raycaster();
+  private forwardVector = new THREE.Vector3(0, 0, -1);
+  private session?: XRSession;
+  private transientPointer?: XRInputSource;
+  private dwellTarget?: THREE.Object3D;
 
-  init({camera}: {camera: THREE.Camera}) {
+  init({
+    camera,
+    renderer,
+  }: {
+    camera: THREE.Camera;
+    renderer?: THREE.WebGLRenderer;
+  }) {
     this.camera = camera;
+    this.renderer = renderer;
   }
 
   /**
    * The main update loop, called every frame by the core engine.
-   * It handles syncing the controller with the camera and manages the gaze
+   * It handles syncing the controller with the gaze ray and manages the gaze
    * selection logic.
    */
   update() {
     super.update();
-    this.position.copy(this.camera.position);
-    this.quaternion.copy(this.camera.quaternion);
-    this.updateMatrixWorld();
+    this.bindSession(this.renderer?.xr.getSession() ?? undefined);
+    this.updatePose();
     const delta = this.clock.getDelta();
+    if (this.source === 'transient-pointer') {
+      // The pinch selects, so there is nothing to dwell on.
+      this.activationAmount.value = 0.0;
+    } else {
+      this.updateDwell(delta);
+    }
+    this.updateReticleScale();
+    this.lastReticlePosition.copy(this.reticle.position);
+  }
+
+  /**
+   * Sets the controller's pose to the gaze ray of the most preferred
+   * `GazeSource` available this frame.
+   */
+  updatePose() {
+    const xr = this.renderer?.xr;
+    const frame = xr?.isPresenting ? xr.getFrame() : undefined;
+    const referenceSpace = xr?.getReferenceSpace();
+    const inputSource = frame ? this.findGazeInputSource(frame.session) : null;
+    const pose =
+      inputSource && referenceSpace
+        ? frame!.getPose(inputSource.targetRaySpace, referenceSpace)
+        : undefined;
+    if (pose) {
+      this.source = inputSource!.targetRayMode as GazeSource;
+      this.setPoseFromTransform(pose.transform);
+    } else if (this.screenPosition) {
+      this.source = 'pointer';
+      this.position.copy(this.camera.position);
+      this.raycaster.setFromCamera(this.screenPosition, this.camera);
+      this.quaternion.setFromUnitVectors(
+        this.forwardVector,
+        this.raycaster.ray.direction
+      );
+    } else {
+      this.source = 'head';
+      this.position.copy(this.camera.position);
+      this.quaternion.copy(this.camera.quaternion);
+    }
+    this.updateMatrixWorld();
+  }
+
+  /**
+   * Moves `screenPosition` to the position of a pointer event, e.g. to gaze
+   * with the mouse in the simulator.
+   * @param event - The mouse or pointer event.
+   */
+  updateScreenPositionFromEvent(event: MouseEvent) {
+    this.screenPosition ??= new THREE.Vector2();
+    this.screenPosition.set(
+      (event.clientX / window.innerWidth) * 2 - 1,
+      -(event.clientY / window.innerHeight) * 2 + 1
+    );
+  }
+
+  /**
+   * Fills the activation timer while the gaze rests on the same object, and
+   * selects once it is full. Moving the gaze quickly or to another object
+   * resets it.
+   * @param delta - The time since the last update, in seconds.
+   */
+  private updateDwell(delta: number) {
+    const target = this.reticle.targetObject;
+    this.activationAmount.speed =
+      1.0 / Math.max(this.getDwellTime(target), Number.EPSILON);
     this.activationAmount.update(delta);
     const movement =
       this.lastReticlePosition.distanceTo(this.reticle.position) / delta;
-    if (movement > PRESS_MOVEMENT_THRESHOLD) {
+    if (movement > PRESS_MOVEMENT_THRESHOLD || target !== this.dwellTarget) {
       this.activationAmount.value = 0.0;
       if (this.userData.selected) {
         this.callSelectEnd();
       }
       this.userData.selected = false;
     }
+    this.dwellTarget = target;
     if (this.activationAmount.value == 1.0 && !this.userData.selected) {
       this.callSelectStart();
     }
-    this.updateReticleScale();
-    this.lastReticlePosition.copy(this.reticle.position);
+  }
+
+  /**
+   * Gets the dwell time of an object, from the first `gazeDwellTime` of it or
+   * its ancestors, or `activationTimeSeconds`.
+   * @param target - The object the user looks at.
+   */
+  getDwellTime(target?: THREE.Object3D | null) {
+    while (target) {
+      const dwellTime = (target as Partial<HasGazeDwellTime>).gazeDwellTime;
+      if (dwellTime !== undefined) return dwellTime;
+      target = target.parent;
+    }
+    return this.activationTimeSeconds;
   }
 
   /**
@@ -120,16 +252,16 @@ export class GazeController
    * Dispatches a 'selectstart' event, signaling that a gaze selection has been
    * initiated.
    */
-  callSelectStart() {
-    this.dispatchEvent({type: 'selectstart', target: this});
+  callSelectStart(data?: XRInputSource) {
+    this.dispatchEvent({type: 'selectstart', target: this, data});
   }
 
   /**
    * Dispatches a 'selectend' event, signaling that a gaze selection has been
    * released (e.g., by moving gaze).
    */
-  callSelectEnd() {
-    this.dispatchEvent({type: 'selectend', target: this});
+  callSelectEnd(data?: XRInputSource) {
+    this.dispatchEvent({type: 'selectend', target: this, data});
   }
 
   /**
@@ -143,6 +275,98 @@ export class GazeController
    * Disconnects the gaze controller from the input system.
    */
   disconnect() {
+    this.releaseTransientPointer();
     this.dispatchEvent({type: 'disconnected', target: this});
   }
+
+  dispose() {
+    this.bindSession(undefined);
+    super.dispose();
+  }
+
+  /**
+   * Finds the input source of the eyes: a transient pointer, or else a gaze
+   * input source.
+   * @param session - The current XR session.
+   */
+  private findGazeInputSource(session: XRSession) {
+    if (this.transientPointer) return this.transientPointer;
+    for (const inputSource of session.inputSources) {
+      if (inputSource.targetRayMode === 'gaze') return inputSource;
+    }
+    return null;
+  }
+
+  private setPoseFromTransform(transform: XRRigidTransform) {
+    const {position, orientation} = transform;
+    this.position.set(position.x, position.y, position.z);
+    this.quaternion.set(
+      orientation.x,
+      orientation.y,
+      orientation.z,
+      orientation.w
+    );
+  }
+
+  /**
+   * Listens to the selects of transient pointers in a new XR session.
+   * @param session - The current XR session, if any.
+   */
+  private bindSession(session?: XRSession) {
+    if (session === this.session) return;
+    this.releaseTransientPointer();
+    this.session?.removeEventListener('selectstart', this.onSessionSelectStart);
+    this.session?.removeEventListener('selectend', this.onSessionSelectEnd);
+    this.session = session;
+    session?.addEventListener('selectstart', this.onSessionSelectStart);
+    session?.addEventListener('selectend', this.onSessionSelectEnd);
+  }
+
+  private isUntrackedTransientPointer(inputSource: XRInputSource) {
+    return (
+      inputSource.targetRayMode === 'transient-pointer' &&
+      !this.trackedControllers.some(
+        (controller) => controller.inputSource === inputSource
+      )
+    );
+  }
+
+  private onSessionSelectStart = (event: XRInputSourceEvent) => {
+    if (
+      !this.userData.connected ||
+      this.transientPointer ||
+      !this.isUntrackedTransientPointer(event.inputSource)
+    ) {
+      return;
+    }
+    this.transientPointer = event.inputSource;
+    const referenceSpace = this.renderer?.xr.getReferenceSpace();
+    const pose =
+      referenceSpace &&
+      event.frame.getPose(event.inputSource.targetRaySpace, referenceSpace);
+    if (pose) {
+      this.source = 'transient-pointer';
+      this.setPoseFromTransform(pose.transform);
+      this.updateMatrixWorld();
+    }
+    if (this.userData.selected) {
+      this.callSelectEnd();
+      this.userData.selected = false;
+    }
+    this.callSelectStart(event.inputSource);
+  };
+
+  private onSessionSelectEnd = (event: XRInputSourceEvent) => {
+    if (event.inputSource === this.transientPointer) {
+      this.releaseTransientPointer();
+    }
+  };
+
+  private releaseTransientPointer() {
+    const inputSource = this.transientPointer;
+    if (!inputSource) return;
+    this.transientPointer = undefined;
+    this.callSelectEnd(inputSource);
+    this.userData.selected = false;
+  }
 }
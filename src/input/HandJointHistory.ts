@@ -0,0 +1,213 @@
+import * as THREE from 'three';
+
+import {HAND_JOINT_NAMES} from './components/HandJointNames.js';
+
+export type HandJointName = (typeof HAND_JOINT_NAMES)[number];
+
+const JOINT_INDICES = new Map<string, number>(
+  HAND_JOINT_NAMES.map((name, index) => [name, index])
+);
+
+// Temporary variables.
+const _vector3 = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+
+/**
+ * The poses of all joints of a hand at one point in time, in world space.
+ */
+export interface HandJointSample {
+  /** The time of the sample, in seconds. */
+  time: number;
+  /** The joint positions, in the order of `HAND_JOINT_NAMES`. */
+  positions: THREE.Vector3[];
+  /** The joint orientations, in the order of `HAND_JOINT_NAMES`. */
+  quaternions: THREE.Quaternion[];
+}
+
+/**
+ * A ring buffer of the recent joint poses of a hand. Velocities are computed
+ * over a time window rather than between two frames, so that they do not
+ * depend on the frame rate or jitter with it.
+ */
+export class HandJointHistory {
+  private samples: HandJointSample[];
+  private start = 0;
+  private count = 0;
+
+  /**
+   * @param capacity - The maximum number of samples kept.
+   */
+  constructor(readonly capacity = 32) {
+    this.samples = Array.from({length: capacity}, () => ({
+      time: 0,
+      positions: HAND_JOINT_NAMES.map(() => new THREE.Vector3()),
+      quaternions: HAND_JOINT_NAMES.map(() => new THREE.Quaternion()),
+    }));
+  }
+
+  /** The number of samples kept. */
+  get length() {
+    return this.count;
+  }
+
+  /**
+   * Records the current world poses of the joints of a hand. Hands without
+   * joints, e.g. while not tracked, clear the history.
+   * @param hand - The hand to record.
+   * @param time - The current time, in seconds.
+   */
+  push(hand: THREE.XRHandSpace | undefined, time: number) {
+    const joints = hand?.joints;
+    if (!joints || !joints['wrist'] || hand.visible === false) {
+      this.clear();
+      return;
+    }
+    if (this.count > 0 && time <= this.getSample(0)!.time) return;
+    hand.updateWorldMatrix(true, true);
+    const index = (this.start + this.count) % this.capacity;
+    if (this.count < this.capacity) {
+      ++this.count;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+    const sample = this.samples[index];
+    sample.time = time;
+    HAND_JOINT_NAMES.forEach((name, i) => {
+      joints[name]?.matrixWorld.decompose(
+        sample.positions[i],
+        sample.quaternions[i],
+        _scale
+      );
+    });
+  }
+
+  /** Removes all samples. */
+  clear() {
+    this.start = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Gets a sample by age.
+   * @param age - 0 for the latest sample, 1 for the one before, and so on.
+   * @returns The sample, or undefined if there are not that many.
+   */
+  getSample(age: number): HandJointSample | undefined {
+    if (age < 0 || age >= this.count) return undefined;
+    return this.samples[(this.start + this.count - 1 - age) % this.capacity];
+  }
+
+  /**
+   * Gets the linear velocity of a joint, in meters per second, over the last
+   * `window` seconds.
+   * @param jointName - The joint.
+   * @param target - The vector to write the velocity to.
+   * @param window - The time span to average over, in seconds.
+   * @returns The target, or undefined without enough samples.
+   */
+  getVelocity(jointName: HandJointName, target: THREE.Vector3, window = 0.05) {
+    const span = this.getSpan(window);
+    if (!span) return undefined;
+    const joint = JOINT_INDICES.get(jointName)!;
+    const [latest, oldest] = span;
+    return target
+      .subVectors(latest.positions[joint], oldest.positions[joint])
+      .divideScalar(latest.time - oldest.time);
+  }
+
+  /**
+   * Gets the angular velocity of a joint, as a world-space axis scaled by
+   * radians per second, over the last `window` seconds.
+   * @param jointName - The joint.
+   * @param target - The vector to write the angular velocity to.
+   * @param window - The time span to average over, in seconds.
+   * @returns The target, or undefined without enough samples.
+   */
+  getAngularVelocity(
+    jointName: HandJointName,
+    target: THREE.Vector3,
+    window = 0.05
+  ) {
+    const span = this.getSpan(window);
+    if (!span) return undefined;
+    const joint = JOINT_INDICES.get(jointName)!;
+    const [latest, oldest] = span;
+    _quaternion
+      .copy(oldest.quaternions[joint])
+      .invert()
+      .premultiply(latest.quaternions[joint]);
+    // Takes the shorter way around.
+    if (_quaternion.w < 0) {
+      _quaternion.set(
+        -_quaternion.x,
+        -_quaternion.y,
+        -_quaternion.z,
+        -_quaternion.w
+      );
+    }
+    const angle = 2 * Math.acos(Math.min(_quaternion.w, 1));
+    const sin = Math.sqrt(1 - _quaternion.w * _quaternion.w);
+    if (sin < 1e-6) return target.set(0, 0, 0);
+    return target
+      .set(_quaternion.x, _quaternion.y, _quaternion.z)
+      .multiplyScalar(angle / sin / (latest.time - oldest.time));
+  }
+
+  /**
+   * Gets the acceleration of a joint, in meters per second squared, from the
+   * change in velocity between the two halves of the last `window` seconds.
+   * @param jointName - The joint.
+   * @param target - The vector to write the acceleration to.
+   * @param window - The time span to average over, in seconds.
+   * @returns The target, or undefined without enough samples.
+   */
+  getAcceleration(
+    jointName: HandJointName,
+    target: THREE.Vector3,
+    window = 0.1
+  ) {
+    const span = this.getSpan(window);
+    if (!span) return undefined;
+    const [latest, oldest] = span;
+    const middleTime = (latest.time + oldest.time) / 2;
+    let middle: HandJointSample | undefined;
+    for (let age = 1; age < this.count; ++age) {
+      const sample = this.getSample(age)!;
+      if (sample.time <= middleTime) {
+        middle = sample;
+        break;
+      }
+    }
+    if (!middle || middle === oldest) return undefined;
+    const joint = JOINT_INDICES.get(jointName)!;
+    // Velocities at the centers of both halves.
+    const recentTime = (latest.time + middle.time) / 2;
+    const earlierTime = (middle.time + oldest.time) / 2;
+    _vector3
+      .subVectors(middle.positions[joint], oldest.positions[joint])
+      .divideScalar(middle.time - oldest.time);
+    return target
+      .subVectors(latest.positions[joint], middle.positions[joint])
+      .divideScalar(latest.time - middle.time)
+      .sub(_vector3)
+      .divideScalar(recentTime - earlierTime);
+  }
+
+  /**
+   * Finds the latest sample and the oldest one within `window` seconds of
+   * it, falling back to the previous sample for a window shorter than a
+   * frame.
+   */
+  private getSpan(window: number): [HandJointSample, HandJointSample] | null {
+    const latest = this.getSample(0);
+    let oldest = this.getSample(1);
+    if (!latest || !oldest) return null;
+    for (let age = 2; age < this.count; ++age) {
+      const sample = this.getSample(age)!;
+      if (latest.time - sample.time > window) break;
+      oldest = sample;
+    }
+    return [latest, oldest];
+  }
+}
@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+import {describe, expect, it} from 'vitest';
+
+import {HAND_JOINT_NAMES} from './components/HandJointNames.js';
+import {Handedness, Hands} from './Hands';
+
+function createHand() {
+  const hand = new THREE.Group() as unknown as THREE.XRHandSpace;
+  const joints: Record<string, THREE.Group> = {};
+  for (const name of HAND_JOINT_NAMES) {
+    joints[name] = new THREE.Group();
+    hand.add(joints[name]);
+  }
+  hand.joints = joints as unknown as THREE.XRHandSpace['joints'];
+  return hand;
+}
+
+function createHands() {
+  const left = createHand();
+  const right = createHand();
+  return {hands: new Hands([left, right]), left, right};
+}
+
+/** Lays out a finger along -z, bending by `angle` at each joint. */
+function poseFinger(hand: THREE.XRHandSpace, prefix: string, angle: number) {
+  const direction = new THREE.Vector3(0, 0, -1);
+  const position = new THREE.Vector3();
+  for (const bone of [
+    'metacarpal',
+    'phalanx-proximal',
+    'phalanx-intermediate',
+    'phalanx-distal',
+    'tip',
+  ]) {
+    hand.joints[`${prefix}-${bone}` as XRHandJoint].position.copy(position);
+    if (bone !== 'metacarpal') {
+      direction.applyAxisAngle(new THREE.Vector3(1, 0, 0), -angle);
+    }
+    position.addScaledVector(direction, 0.03);
+  }
+}
+
+describe('Hands', () => {
+  it('computes joint velocities independent of the frame rate', () => {
+    const {hands, left, right} = createHands();
+    left.visible = false;
+    const tip = right.joints['index-finger-tip']!;
+    const wrist = right.joints['wrist']!;
+    let time = 0;
+    for (let frame = 0; frame < 12; ++frame) {
+      time += frame % 2 ? 1 / 90 : 1 / 30;
+      tip.position.set(time, 0, time * time);
+      wrist.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), 2 * time);
+      hands.update(time);
+    }
+
+    const velocity = hands.getJointVelocity('index-finger-tip')!;
+    expect(velocity.x).toBeCloseTo(1);
+    const angularVelocity = hands.getJointAngularVelocity('wrist')!;
+    expect(angularVelocity.y).toBeCloseTo(2);
+    expect(angularVelocity.x).toBeCloseTo(0);
+    const acceleration = hands.getJointAcceleration('index-finger-tip')!;
+    expect(acceleration.x).toBeCloseTo(0);
+    expect(acceleration.z).toBeCloseTo(2);
+    expect(
+      hands.getJointVelocity('index-finger-tip', Handedness.LEFT)
+    ).toBeUndefined();
+  });
+
+  it('forgets the history while a hand is not tracked', () => {
+    const {hands, right} = createHands();
+    hands.update(0);
+    hands.update(0.1);
+    expect(hands.getHistory().length).toBe(2);
+    right.visible = false;
+    hands.update(0.2);
+    expect(hands.getHistory().length).toBe(0);
+  });
+
+  it('measures finger curl, pinch strength and the palm pose', () => {
+    const {hands, right} = createHands();
+    poseFinger(right, 'index-finger', 0);
+    poseFinger(right, 'middle-finger', Math.PI / 2);
+    right.joints['thumb-tip']!.position.set(0, 0, -0.0825);
+    right.joints['wrist']!.position.set(0, 0, 0.06);
+    right.updateMatrixWorld();
+
+    expect(hands.getFingerCurl('index')).toBeCloseTo(0);
+    expect(hands.getFingerCurl('middle')).toBeCloseTo(1);
+    expect(hands.getFingerCurls(Handedness.RIGHT).middle).toBeCloseTo(1);
+    // 0.0375 between the thumb and index tips is halfway to open.
+    expect(hands.getPinchStrength()).toBeCloseTo(0.5);
+    const palm = hands.getPalmPose()!;
+    expect(palm.position.z).toBeCloseTo(0.015);
+    expect(palm.normal.toArray()).toEqual([0, -1, 0]);
+  });
+});
@@ -1,8 +1,75 @@
 import * as THREE from 'three';
 
 import {HAND_JOINT_NAMES} from './components/HandJointNames.js';
+import {HandJointHistory, HandJointName} from './HandJointHistory';
+import {HandsOptions} from './HandsOptions';
 
-type JointName = (typeof HAND_JOINT_NAMES)[number];
+type JointName = HandJointName;
+
+export type FingerName = 'thumb' | 'index' | 'middle' | 'ring' | 'pinky';
+
+const FINGER_JOINTS: Record<FingerName, JointName[]> = {
+  thumb: [
+    'thumb-metacarpal',
+    'thumb-phalanx-proximal',
+    'thumb-phalanx-distal',
+    'thumb-tip',
+  ],
+  index: [
+    'index-finger-metacarpal',
+    'index-finger-phalanx-proximal',
+    'index-finger-phalanx-intermediate',
+    'index-finger-phalanx-distal',
+    'index-finger-tip',
+  ],
+  middle: [
+    'middle-finger-metacarpal',
+    'middle-finger-phalanx-proximal',
+    'middle-finger-phalanx-intermediate',
+    'middle-finger-phalanx-distal',
+    'middle-finger-tip',
+  ],
+  ring: [
+    'ring-finger-metacarpal',
+    'ring-finger-phalanx-proximal',
+    'ring-finger-phalanx-intermediate',
+    'ring-finger-phalanx-distal',
+    'ring-finger-tip',
+  ],
+  pinky: [
+    'pinky-finger-metacarpal',
+    'pinky-finger-phalanx-proximal',
+    'pinky-finger-phalanx-intermediate',
+    'pinky-finger-phalanx-distal',
+    'pinky-finger-tip',
+  ],
+};
+
+// The sum of the bend angles of a fully curled finger, in radians.
+const MAX_THUMB_CURL = Math.PI * 0.75;
+const MAX_FINGER_CURL = Math.PI * 1.5;
+
+// Distances between the thumb and index tips, in meters, at which the pinch
+// strength is 1 and 0.
+const PINCH_CLOSED_DISTANCE = 0.015;
+const PINCH_OPEN_DISTANCE = 0.06;
+
+// Temporary variables.
+const _positions = Array.from({length: 5}, () => new THREE.Vector3());
+const _bone = new THREE.Vector3();
+const _previousBone = new THREE.Vector3();
+
+/**
+ * The pose of the palm of a hand, in world space.
+ */
+export interface PalmPose {
+  /** The center of the palm. */
+  position: THREE.Vector3;
+  /** The orientation of the middle finger metacarpal. */
+  quaternion: THREE.Quaternion;
+  /** The direction the palm faces. */
+  normal: THREE.Vector3;
+}
 
 /**
  * Utility class for managing WebXR hand tracking data based on
@@ -25,10 +92,200 @@ export enum Handedness {
 export class Hands {
   dominant = Handedness.RIGHT;
 
+  /**
+   * The recent joint poses of the left and right hand, recorded by `update`.
+   */
+  histories: HandJointHistory[];
+
   /**
    * @param hands - An array containing XRHandSpace objects from Three.js.
+   * @param options - The hands options, for the size of the joint histories
+   *     and the time window of velocities.
+   */
+  constructor(
+    public hands: THREE.XRHandSpace[],
+    public options = new HandsOptions()
+  ) {
+    this.histories = [
+      new HandJointHistory(options.historySize),
+      new HandJointHistory(options.historySize),
+    ];
+  }
+
+  /**
+   * Records the current joint poses of both hands. Called every frame by the
+   * User with the core timer's elapsed time, so that velocities follow the
+   * frame clock, including manually stepped frames.
+   * @param time - The current time, in seconds.
+   */
+  update(time: number) {
+    this.histories[Handedness.LEFT].push(this.hands[Handedness.LEFT], time);
+    this.histories[Handedness.RIGHT].push(this.hands[Handedness.RIGHT], time);
+  }
+
+  /**
+   * Gets the joint history of a hand.
+   * @param handedness - The hand, defaults to the dominant hand.
+   */
+  getHistory(handedness = Handedness.NONE) {
+    return this.histories[this.resolveHandedness(handedness)];
+  }
+
+  /**
+   * Gets the velocity of a joint in meters per second, averaged over
+   * `options.velocityWindow` seconds so that it does not depend on the frame
+   * rate.
+   * @param jointName - The joint, e.g. 'index-finger-tip'.
+   * @param handedness - The hand, defaults to the dominant hand.
+   * @param target - The vector to write the velocity to.
+   * @returns The target, or undefined until the hand was tracked for two
+   *     frames.
+   */
+  getJointVelocity(
+    jointName: JointName,
+    handedness = Handedness.NONE,
+    target = new THREE.Vector3()
+  ) {
+    return this.getHistory(handedness).getVelocity(
+      jointName,
+      target,
+      this.options.velocityWindow
+    );
+  }
+
+  /**
+   * Gets the angular velocity of a joint, as an axis in world space scaled by
+   * radians per second.
+   * @param jointName - The joint, e.g. 'wrist'.
+   * @param handedness - The hand, defaults to the dominant hand.
+   * @param target - The vector to write the angular velocity to.
+   * @returns The target, or undefined until the hand was tracked for two
+   *     frames.
    */
-  constructor(public hands: THREE.XRHandSpace[]) {}
+  getJointAngularVelocity(
+    jointName: JointName,
+    handedness = Handedness.NONE,
+    target = new THREE.Vector3()
+  ) {
+    return this.getHistory(handedness).getAngularVelocity(
+      jointName,
+      target,
+      this.options.velocityWindow
+    );
+  }
+
+  /**
+   * Gets the acceleration of a joint in meters per second squared, over twice
+   * `options.velocityWindow` seconds.
+   * @param jointName - The joint, e.g. 'index-finger-tip'.
+   * @param handedness - The hand, defaults to the dominant hand.
+   * @param target - The vector to write the acceleration to.
+   * @returns The target, or undefined without enough history.
+   */
+  getJointAcceleration(
+    jointName: JointName,
+    handedness = Handedness.NONE,
+    target = new THREE.Vector3()
+  ) {
+    return this.getHistory(handedness).getAcceleration(
+      jointName,
+      target,
+      2 * this.options.velocityWindow
+    );
+  }
+
+  /**
+   * Gets the pose of the palm of a hand.
+   * @param handedness - The hand, defaults to the dominant hand.
+   * @param target - The pose to write to.
+   * @returns The target, or undefined if the hand is not tracked.
+   */
+  getPalmPose(
+    handedness = Handedness.NONE,
+    target: PalmPose = {
+      position: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+      normal: new THREE.Vector3(),
+    }
+  ) {
+    const wrist = this.getJoint('wrist', handedness);
+    const base = this.getJoint('middle-finger-phalanx-proximal', handedness);
+    const metacarpal = this.getJoint('middle-finger-metacarpal', handedness);
+    if (!wrist || !base || !metacarpal) return undefined;
+    target.position
+      .setFromMatrixPosition(wrist.matrixWorld)
+      .add(_bone.setFromMatrixPosition(base.matrixWorld))
+      .multiplyScalar(0.5);
+    metacarpal.getWorldQuaternion(target.quaternion);
+    // WebXR joints point -y into the palm.
+    target.normal.set(0, -1, 0).applyQuaternion(target.quaternion);
+    return target;
+  }
+
+  /**
+   * Gets how strongly a hand pinches, from 0 with the thumb and index tips
+   * apart to 1 with them touching.
+   * @param handedness - The hand, defaults to the dominant hand.
+   * @returns The pinch strength, or 0 if the hand is not tracked.
+   */
+  getPinchStrength(handedness = Handedness.NONE) {
+    const thumb = this.getThumbTip(handedness);
+    const index = this.getIndexTip(handedness);
+    if (!thumb || !index) return 0;
+    const distance = _bone
+      .setFromMatrixPosition(thumb.matrixWorld)
+      .distanceTo(_previousBone.setFromMatrixPosition(index.matrixWorld));
+    return THREE.MathUtils.clamp(
+      (PINCH_OPEN_DISTANCE - distance) /
+        (PINCH_OPEN_DISTANCE - PINCH_CLOSED_DISTANCE),
+      0,
+      1
+    );
+  }
+
+  /**
+   * Gets how much a finger is curled, from the bend angles between its bones,
+   * from 0 for a straight finger to 1 for a fully curled one.
+   * @param finger - The finger.
+   * @param handedness - The hand, defaults to the dominant hand.
+   * @returns The curl, or 0 if the hand is not tracked.
+   */
+  getFingerCurl(finger: FingerName, handedness = Handedness.NONE) {
+    const jointNames = FINGER_JOINTS[finger];
+    for (let i = 0; i < jointNames.length; ++i) {
+      const joint = this.getJoint(jointNames[i], handedness);
+      if (!joint) return 0;
+      _positions[i].setFromMatrixPosition(joint.matrixWorld);
+    }
+    let angle = 0;
+    _previousBone.subVectors(_positions[1], _positions[0]);
+    for (let i = 2; i < jointNames.length; ++i) {
+      _bone.subVectors(_positions[i], _positions[i - 1]);
+      if (_bone.lengthSq() > 0 && _previousBone.lengthSq() > 0) {
+        angle += _bone.angleTo(_previousBone);
+      }
+      _previousBone.copy(_bone);
+    }
+    const maxCurl = finger === 'thumb' ? MAX_THUMB_CURL : MAX_FINGER_CURL;
+    return THREE.MathUtils.clamp(angle / maxCurl, 0, 1);
+  }
+
+  /**
+   * Gets the curl of all fingers of a hand.
+   * @param handedness - The hand, defaults to the dominant hand.
+   * @returns The curl of each finger, from 0 to 1.
+   */
+  getFingerCurls(handedness = Handedness.NONE) {
+    const curls = {} as Record<FingerName, number>;
+    for (const finger of Object.keys(FINGER_JOINTS) as FingerName[]) {
+      curls[finger] = this.getFingerCurl(finger, handedness);
+    }
+    return curls;
+  }
+
+  private resolveHandedness(handedness: Handedness) {
+    return handedness === Handedness.NONE ? this.dominant : handedness;
+  }
 
   /**
    * Retrieves a specific joint object for a given hand.
@@ -13,6 +13,14 @@ export class HandsOptions {
 
   debugging = false;
 
+  /** The number of recent joint poses kept per hand. */
+  historySize = 32;
+  /**
+   * The time span over which joint velocities are averaged, in seconds.
+   * Longer windows are smoother but lag behind.
+   */
+  velocityWindow = 0.05;
+
   constructor(options?: DeepReadonly<DeepPartial<HandsOptions>>) {
     deepMerge(this, options);
   }
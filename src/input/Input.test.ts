@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+import {describe, expect, it, vi} from 'vitest';
+
+import {ScriptsManager} from '../core/components/ScriptsManager';
+import {Options} from '../core/Options';
+import {ButtonEvent, Script, ThumbstickEvent} from '../core/Script';
+import type {Controller} from './Controller';
+import {Input} from './Input';
+
+function createInput() {
+  const input = new Input();
+  input.options = new Options();
+  const controller = new THREE.Group() as Controller;
+  controller.inputSource = {handedness: 'left'};
+  const buttons = Array.from({length: 6}, () => ({pressed: false, value: 0}));
+  const axes = [0, 0, 0, 0];
+  controller.gamepad = {buttons, axes} as unknown as Gamepad;
+  input.controllers.push(controller);
+  return {input, controller, buttons, axes};
+}
+
+describe('Input gamepads', () => {
+  it('dispatches button changes with standard names', () => {
+    const {input, controller, buttons} = createInput();
+    const received: string[] = [];
+    const listener = (event: ButtonEvent) =>
+      received.push(`${event.type}:${event.button}:${event.name}`);
+    input.bindButtonDown(listener);
+    input.bindButtonUp(listener);
+
+    input.updateGamepad(controller);
+    buttons[4].pressed = true;
+    buttons[5].pressed = true;
+    input.updateGamepad(controller);
+    buttons[5].pressed = false;
+    input.updateGamepad(controller);
+    delete controller.gamepad;
+    input.updateGamepad(controller);
+    input.unbindButtonDown(listener);
+    input.unbindButtonUp(listener);
+
+    expect(received).toEqual([
+      'buttondown:4:x',
+      'buttondown:5:y',
+      'buttonup:5:y',
+      'buttonup:4:x',
+    ]);
+  });
+
+  it('applies the deadzone to thumbsticks', () => {
+    const {input, controller, axes} = createInput();
+    input.options.controllers.thumbstickDeadzone = 0.2;
+    const listener = vi.fn();
+    input.bindThumbstick(listener);
+
+    axes[2] = 0.1;
+    input.updateGamepad(controller);
+    expect(listener).not.toHaveBeenCalled();
+
+    axes[2] = 0.6;
+    input.updateGamepad(controller);
+    input.updateGamepad(controller);
+    expect(listener).toHaveBeenCalledTimes(2);
+    const event: ThumbstickEvent = listener.mock.calls[0][0];
+    expect(event.stick).toBe('thumbstick');
+    expect(event.x).toBeCloseTo(0.5);
+    expect(event.y).toBe(0);
+
+    axes[2] = 0;
+    input.updateGamepad(controller);
+    input.updateGamepad(controller);
+    expect(listener).toHaveBeenCalledTimes(3);
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({x: 0, y: 0})
+    );
+  });
+
+  it('reaches scripts through onButtonDown and onThumbstick', async () => {
+    const {input, controller, buttons, axes} = createInput();
+    const scriptsManager = new ScriptsManager(async () => {});
+    const script = new Script();
+    const onButtonDown = vi.spyOn(script, 'onButtonDown');
+    const onThumbstick = vi.spyOn(script, 'onThumbstick');
+    await scriptsManager.initScript(script);
+    input.bindButtonDown(scriptsManager.callButtonDownBound);
+    input.bindThumbstick(scriptsManager.callThumbstickBound);
+
+    buttons[0].pressed = true;
+    buttons[0].value = 1;
+    axes[3] = -1;
+    input.update();
+
+    expect(onButtonDown).toHaveBeenCalledOnce();
+    expect(onButtonDown.mock.calls[0][0]).toMatchObject({
+      target: controller,
+      name: 'trigger',
+      value: 1,
+    });
+    expect(onThumbstick).toHaveBeenCalledOnce();
+    expect(onThumbstick.mock.calls[0][0]).toMatchObject({
+      stick: 'thumbstick',
+      x: 0,
+      y: -1,
+    });
+  });
+});
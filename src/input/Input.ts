@@ -4,18 +4,20 @@ import {XRHandModelFactory} from 'three/addons/webxr/XRHandModelFactory.js';
 
 import {NUM_HANDS} from '../constants';
 import {Options} from '../core/Options.js';
-import {KeyEvent, Script} from '../core/Script';
+import {ButtonEvent, KeyEvent, Script, ThumbstickEvent} from '../core/Script';
 import {Reticle} from '../ui/core/Reticle.js';
 import {Raycaster} from '../core/components/Raycaster';
 
 import {ControllerRayVisual} from './components/ControllerRayVisual';
-import type {
-  Controller,
-  ControllerEvent,
-  ControllerEventMap,
+import {
+  getGamepadButtonName,
+  type Controller,
+  type ControllerEvent,
+  type ControllerEventMap,
 } from './Controller';
 import {GazeController} from './GazeController';
 import {MouseController} from './MouseController';
+import {TouchController} from './TouchController';
 import {XRSystems} from '../core/components/XRSystems';
 
 export class ActiveControllers extends THREE.Group {
@@ -33,6 +35,20 @@ export type HasIgnoreReticleRaycast = {
 };
 export type MaybeHasIgnoreReticleRaycast = Partial<HasIgnoreReticleRaycast>;
 
+export type GamepadEvent = ButtonEvent | ThumbstickEvent;
+
+/** The button and stick state of a gamepad in the previous frame. */
+type GamepadState = {
+  pressed: boolean[];
+  activeSticks: Set<ThumbstickEvent['stick']>;
+};
+
+/** Axes of the sticks in the 'xr-standard' gamepad mapping. */
+const GAMEPAD_STICKS = [
+  {stick: 'touchpad', xAxis: 0, yAxis: 1},
+  {stick: 'thumbstick', xAxis: 2, yAxis: 3},
+] as const;
+
 // Reusable objects for performance.
 const MATRIX4 = new THREE.Matrix4();
 
@@ -50,6 +66,8 @@ export class Input {
   pivotsEnabled = false;
   gazeController = new GazeController();
   mouseController = new MouseController();
+  /** One controller per simultaneous touch on touch screens. */
+  touchControllers = [new TouchController(4), new TouchController(5)];
   controllersEnabled = true;
   listeners = new Map();
   intersectionsForController = new Map<Controller, THREE.Intersection[]>();
@@ -59,6 +77,7 @@ export class Input {
   rightController?: Controller;
   reticles = new Reticles();
   scene?: THREE.Scene;
+  private gamepadStates = new Map<Controller, GamepadState>();
 
   /**
    * Initializes an instance with XR controllers, grips, hands, raycaster, and
@@ -91,8 +110,11 @@ export class Input {
       this.activeControllers.add(this.controllers[i]);
     }
     controllers.push(this.gazeController);
+    this.gazeController.trackedControllers = controllers.slice(0, NUM_HANDS);
     controllers.push(this.mouseController);
     this.activeControllers.add(this.mouseController);
+    controllers.push(...this.touchControllers);
+    this.activeControllers.add(...this.touchControllers);
 
     for (const controller of controllers) {
       this.intersectionsForController.set(controller, []);
@@ -162,6 +184,32 @@ export class Input {
     this.bindListener('disconnected', this.defaultOnDisconnected.bind(this));
   }
 
+  /**
+   * Unbinds all controller listeners and removes the controllers and reticles
+   * from the scene so that input can be initialized again.
+   */
+  dispose() {
+    for (const [listenerName, listeners] of this.listeners) {
+      for (const listener of listeners) {
+        for (const controller of this.controllers) {
+          controller.removeEventListener(listenerName, listener);
+        }
+      }
+    }
+    this.listeners.clear();
+    this.gamepadStates.clear();
+    this.activeControllers.removeFromParent();
+    this.activeControllers.clear();
+    this.reticles.removeFromParent();
+    this.reticles.clear();
+    this.controllers.length = 0;
+    this.controllerGrips.length = 0;
+    this.hands.length = 0;
+    this.intersectionsForController.clear();
+    this.leftController = undefined;
+    this.rightController = undefined;
+  }
+
   /**
    * Retrieves the controller object by its ID.
    * @param id - The ID of the controller.
@@ -310,7 +358,7 @@ export class Input {
     }
   }
 
-  dispatchEvent(event: ControllerEvent) {
+  dispatchEvent(event: ControllerEvent | GamepadEvent) {
     if (this.listeners.has(event.type)) {
       for (const listener of this.listeners.get(event.type)) {
         listener(event);
@@ -380,6 +428,69 @@ export class Input {
     window.removeEventListener('keyup', event);
   }
 
+  /**
+   * Binds an event listener to handle gamepad buttons being pressed on any
+   * controller.
+   * @param event - The event listener function.
+   */
+  bindButtonDown(event: (event: ButtonEvent) => void) {
+    this.bindGamepadListener('buttondown', event);
+  }
+
+  /**
+   * Binds an event listener to handle gamepad buttons being released on any
+   * controller.
+   * @param event - The event listener function.
+   */
+  bindButtonUp(event: (event: ButtonEvent) => void) {
+    this.bindGamepadListener('buttonup', event);
+  }
+
+  /**
+   * Binds an event listener to handle thumbsticks and touchpads of any
+   * controller. Called every frame while a stick is outside of the deadzone,
+   * and once with zero when it returns.
+   * @param event - The event listener function.
+   */
+  bindThumbstick(event: (event: ThumbstickEvent) => void) {
+    this.bindGamepadListener('thumbstick', event);
+  }
+
+  unbindButtonDown(event: (event: ButtonEvent) => void) {
+    this.unbindGamepadListener('buttondown', event);
+  }
+
+  unbindButtonUp(event: (event: ButtonEvent) => void) {
+    this.unbindGamepadListener('buttonup', event);
+  }
+
+  unbindThumbstick(event: (event: ThumbstickEvent) => void) {
+    this.unbindGamepadListener('thumbstick', event);
+  }
+
+  // Gamepad events are dispatched by polling rather than by the controllers,
+  // so their listeners are only kept in the map.
+  private bindGamepadListener<T extends GamepadEvent>(
+    type: T['type'],
+    listener: (event: T) => void
+  ) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(listener);
+  }
+
+  private unbindGamepadListener<T extends GamepadEvent>(
+    type: T['type'],
+    listener: (event: T) => void
+  ) {
+    const listeners = this.listeners.get(type);
+    const index = listeners?.indexOf(listener) ?? -1;
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
   /**
    * Finds intersections between a controller's ray and a specified object.
    * @param controller - The controller casting the ray.
@@ -432,8 +543,82 @@ export class Input {
     if (this.controllersEnabled) {
       for (const controller of this.controllers) {
         this.updateController(controller);
+        this.updateGamepad(controller);
+      }
+    }
+  }
+
+  /**
+   * Polls the gamepad of a controller and dispatches 'buttondown',
+   * 'buttonup' and 'thumbstick' events for the changes since the previous
+   * frame. Buttons still pressed when the gamepad goes away are released.
+   * @param controller - The controller to poll.
+   */
+  updateGamepad(controller: Controller) {
+    const gamepad = controller.gamepad;
+    let state = this.gamepadStates.get(controller);
+    if (!gamepad) {
+      if (state) {
+        state.pressed.forEach((pressed, button) => {
+          if (pressed) this.dispatchButton(controller, button, false, 0);
+        });
+        state.activeSticks.forEach((stick) =>
+          this.dispatchEvent({
+            type: 'thumbstick',
+            target: controller,
+            stick,
+            x: 0,
+            y: 0,
+          })
+        );
+        this.gamepadStates.delete(controller);
       }
+      return;
+    }
+    if (!state) {
+      state = {pressed: [], activeSticks: new Set()};
+      this.gamepadStates.set(controller, state);
     }
+    gamepad.buttons.forEach((button, index) => {
+      if (button.pressed !== (state.pressed[index] ?? false)) {
+        state.pressed[index] = button.pressed;
+        this.dispatchButton(controller, index, button.pressed, button.value);
+      }
+    });
+    const deadzone = this.options?.controllers.thumbstickDeadzone ?? 0;
+    for (const {stick, xAxis, yAxis} of GAMEPAD_STICKS) {
+      if (gamepad.axes.length <= yAxis) continue;
+      let x = gamepad.axes[xAxis];
+      let y = gamepad.axes[yAxis];
+      const length = Math.hypot(x, y);
+      if (length <= deadzone) {
+        if (!state.activeSticks.delete(stick)) continue;
+        x = y = 0;
+      } else {
+        // Rescales the axes so that they start at zero at the deadzone.
+        const scale =
+          Math.min(1, (length - deadzone) / (1 - deadzone)) / length;
+        x *= scale;
+        y *= scale;
+        state.activeSticks.add(stick);
+      }
+      this.dispatchEvent({type: 'thumbstick', target: controller, stick, x, y});
+    }
+  }
+
+  private dispatchButton(
+    controller: Controller,
+    button: number,
+    pressed: boolean,
+    value: number
+  ) {
+    this.dispatchEvent({
+      type: pressed ? 'buttondown' : 'buttonup',
+      target: controller,
+      button,
+      name: getGamepadButtonName(button, controller.inputSource?.handedness),
+      value,
+    });
   }
 
   updateController(controller: Controller) {
@@ -492,6 +677,8 @@ export class Input {
       } else {
         reticle.visible = false;
       }
+      reticle.intersection = undefined;
+      reticle.targetObject = undefined;
       return;
     }
     reticle.visible = true;
@@ -507,11 +694,55 @@ export class Input {
     }
 
     reticle.intersection = intersection;
+    reticle.targetObject = intersection.object;
     reticle.direction.copy(this.raycaster.ray.direction).normalize();
     reticle.setPoseFromIntersection(intersection);
     reticle.setPressed(controller.userData.selected);
   }
 
+  /**
+   * Assigns a new touch to a free TouchController, which connects and starts
+   * selecting.
+   * @param event - The pointerdown event of the touch.
+   * @returns The controller, or undefined if all are in use.
+   */
+  startTouch(event: PointerEvent) {
+    const controller = this.touchControllers.find(
+      (controller) => controller.pointerId === undefined
+    );
+    controller?.startTouch(event);
+    return controller;
+  }
+
+  /**
+   * Moves the ray of the TouchController of a touch.
+   * @param event - The pointermove event of the touch.
+   * @returns The controller, or undefined if the touch is not tracked.
+   */
+  moveTouch(event: PointerEvent) {
+    const controller = this.getTouchController(event.pointerId);
+    controller?.updateTouchPositionFromEvent(event);
+    return controller;
+  }
+
+  /**
+   * Ends the selection of the TouchController of a touch and disconnects it.
+   * @param event - The pointerup or pointercancel event of the touch.
+   */
+  endTouch(event: PointerEvent) {
+    this.getTouchController(event.pointerId)?.endTouch();
+  }
+
+  /**
+   * Gets the TouchController tracking a touch.
+   * @param pointerId - The `PointerEvent.pointerId` of the touch.
+   */
+  getTouchController(pointerId: number) {
+    return this.touchControllers.find(
+      (controller) => controller.pointerId === pointerId
+    );
+  }
+
   enableGazeController() {
     this.activeControllers.add(this.gazeController);
     this.gazeController.connect();
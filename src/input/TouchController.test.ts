@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import {describe, expect, it} from 'vitest';
+
+import {Options} from '../core/Options';
+import {Draggable, DragManager, HasDraggingMode} from '../ux/DragManager';
+import {Input} from './Input';
+
+function touch(pointerId: number, clientX: number, clientY: number) {
+  return {pointerId, clientX, clientY, pointerType: 'touch'} as PointerEvent;
+}
+
+function createInput() {
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(90, 1);
+  camera.position.set(0, 0, 2);
+  camera.updateMatrixWorld();
+  const input = new Input();
+  input.options = new Options();
+  input.scene = scene;
+  for (const controller of input.touchControllers) {
+    controller.init({camera});
+    input.controllers.push(controller);
+    input.intersectionsForController.set(controller, []);
+  }
+  input.bindSelectStart(input.defaultOnSelectStart.bind(input));
+  input.bindSelectEnd(input.defaultOnSelectEnd.bind(input));
+  input.bindListener('connected', input.defaultOnConnected.bind(input));
+  input.bindListener('disconnected', input.defaultOnDisconnected.bind(input));
+  return {input, scene, camera};
+}
+
+describe('TouchController', () => {
+  it('turns each touch into a selecting controller', () => {
+    const {input} = createInput();
+    window.innerWidth = 100;
+    window.innerHeight = 100;
+    const received: string[] = [];
+    input.bindSelectStart((event) => received.push(`start:${event.target.id}`));
+    input.bindSelectEnd((event) => received.push(`end:${event.target.id}`));
+
+    const first = input.startTouch(touch(7, 50, 50))!;
+    const second = input.startTouch(touch(8, 100, 50))!;
+    expect(input.startTouch(touch(9, 0, 0))).toBeUndefined();
+    input.moveTouch(touch(8, 0, 50));
+    input.endTouch(touch(7, 50, 50));
+
+    expect(second.screenPosition.toArray()).toEqual([-1, 0]);
+    expect(first.userData.connected).toBe(false);
+    expect(second.userData).toMatchObject({connected: true, selected: true});
+    expect(received).toEqual([
+      `start:${first.id}`,
+      `start:${second.id}`,
+      `end:${first.id}`,
+    ]);
+  });
+
+  it('pinches to scale and twists to rotate draggable objects', () => {
+    const {input, scene, camera} = createInput();
+    window.innerWidth = 100;
+    window.innerHeight = 100;
+    const box = new THREE.Mesh(new THREE.BoxGeometry()) as THREE.Mesh &
+      Partial<Draggable & HasDraggingMode>;
+    box.draggable = true;
+    box.draggingMode = DragManager.TRANSLATING;
+    scene.add(box);
+    scene.updateMatrixWorld();
+    const dragManager = new DragManager();
+    dragManager.init({input, camera});
+    input.bindSelectStart((event) => dragManager.onSelectStart(event));
+    input.intersectionsForController.set(input.touchControllers[0], [
+      {object: box, point: new THREE.Vector3(0, 0, 0.5), distance: 1.5},
+    ]);
+
+    input.startTouch(touch(1, 50, 50));
+    input.startTouch(touch(2, 60, 50));
+    input.moveTouch(touch(2, 50, 30));
+    dragManager.update();
+
+    expect(box.scale.x).toBeCloseTo(2);
+    const euler = new THREE.Euler().setFromQuaternion(box.quaternion, 'YXZ');
+    expect(euler.y).toBeCloseTo(Math.PI / 2);
+  });
+});
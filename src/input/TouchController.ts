@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+
+import {Script} from '../core/Script.js';
+
+import {Controller} from './Controller.js';
+
+/** Defines the event map for the TouchController's custom events. */
+interface TouchControllerEventMap extends THREE.Object3DEventMap {
+  connected: {target: TouchController};
+  disconnected: {target: TouchController};
+  selectstart: {target: TouchController};
+  selectend: {target: TouchController};
+}
+
+/**
+ * Simulates an XR controller with a finger on a touch screen, e.g. in the
+ * mobile preview of XR apps. Each touch casts a ray from the camera through
+ * the touched point, and selects while the finger is down. `Input` holds one
+ * TouchController per simultaneous touch.
+ */
+export class TouchController
+  extends Script<TouchControllerEventMap>
+  implements Controller
+{
+  static dependencies = {
+    camera: THREE.Camera,
+  };
+  type = 'TouchController';
+  name = 'Touch Controller';
+  editorIcon = 'touch_app';
+
+  /**
+   * User data for the controller, including its connection status, unique ID,
+   * and selection state (finger down).
+   */
+  userData = {id: 4, connected: false, selected: false};
+
+  /** The `PointerEvent.pointerId` of the touch, while the finger is down. */
+  pointerId?: number;
+
+  /**
+   * The touched point in normalized device coordinates, from -1 to +1 with
+   * +y up.
+   */
+  screenPosition = new THREE.Vector2();
+
+  /** A THREE.Raycaster used to determine the 3D direction of the touch. */
+  raycaster = new THREE.Raycaster();
+
+  /** A normalized vector representing the default forward direction. */
+  forwardVector = new THREE.Vector3(0, 0, -1);
+
+  /** A reference to the main scene camera. */
+  camera?: THREE.Camera;
+
+  /**
+   * @param id - The unique ID of the controller in `Input.controllers`.
+   */
+  constructor(id = 4) {
+    super();
+    this.userData.id = id;
+  }
+
+  /**
+   * Initialize the TouchController
+   */
+  init({camera}: {camera: THREE.Camera}) {
+    this.camera = camera;
+  }
+
+  /**
+   * Keeps the ray through the touched point while the camera moves.
+   */
+  update() {
+    super.update();
+    if (this.userData.connected) {
+      this.updateRay();
+    }
+  }
+
+  /**
+   * Moves the touched point to the position of a pointer event.
+   * @param event - The pointer event of the touch.
+   */
+  updateTouchPositionFromEvent(event: PointerEvent) {
+    this.screenPosition.set(
+      (event.clientX / window.innerWidth) * 2 - 1,
+      -(event.clientY / window.innerHeight) * 2 + 1
+    );
+    this.updateRay();
+  }
+
+  /**
+   * Sets the controller's transform to the ray from the camera through the
+   * touched point.
+   */
+  updateRay() {
+    if (this.camera === undefined) {
+      return;
+    }
+    this.position.copy(this.camera.position);
+    this.raycaster.setFromCamera(this.screenPosition, this.camera);
+    this.quaternion.setFromUnitVectors(
+      this.forwardVector,
+      this.raycaster.ray.direction
+    );
+    this.updateMatrixWorld();
+  }
+
+  /**
+   * Starts tracking a touch: connects the controller and starts selecting.
+   * @param event - The pointerdown event of the touch.
+   */
+  startTouch(event: PointerEvent) {
+    this.pointerId = event.pointerId;
+    this.updateTouchPositionFromEvent(event);
+    this.dispatchEvent({type: 'connected', target: this});
+    this.dispatchEvent({type: 'selectstart', target: this});
+  }
+
+  /**
+   * Stops tracking the touch: ends the selection and disconnects.
+   */
+  endTouch() {
+    if (this.pointerId === undefined) return;
+    this.pointerId = undefined;
+    if (this.userData.selected) {
+      this.dispatchEvent({type: 'selectend', target: this});
+    }
+    this.dispatchEvent({type: 'disconnected', target: this});
+  }
+}
@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+import {describe, expect, it, vi} from 'vitest';
+
+import {EventBus} from '../../core/components/EventBus';
+import type {User} from '../../core/User';
+import {Handedness, Hands} from '../Hands';
+import type {Input} from '../Input';
+import {CameraHandTracker} from './CameraHandTracker';
+import {GestureEventDetail} from './GestureEvents';
+import {GestureRecognition} from './GestureRecognition';
+import {GestureRecognitionOptions} from './GestureRecognitionOptions';
+import {
+  DetectedHand,
+  HandLandmark,
+  HandLandmarkProvider,
+} from './providers/HandLandmarkProvider';
+
+const KNUCKLE_DISTANCE = 0.09;
+const TAN_HALF_FOV = Math.tan(Math.PI / 6);
+
+/**
+ * A right hand held up with its back to an outward-facing camera, 0.5 from
+ * it, as labelled by a model which assumes mirrored frames.
+ */
+function createDetectedHand(): DetectedHand {
+  const worldLandmarks: HandLandmark[] = [{x: 0, y: 0, z: 0}];
+  // The thumb, then the fingers from the index to the pinky; y is down.
+  for (let finger = 0; finger < 5; ++finger) {
+    const x = (finger - 2) * 0.015;
+    for (let joint = 0; joint < 4; ++joint) {
+      worldLandmarks.push({
+        x,
+        y: -KNUCKLE_DISTANCE - joint * 0.03 + (finger == 0 ? 0.06 : 0),
+        z: 0,
+      });
+    }
+  }
+  // Only the size of the hand from the wrist to the middle knuckle matters.
+  const imageSize = KNUCKLE_DISTANCE / (2 * 0.5 * TAN_HALF_FOV);
+  const landmarks = worldLandmarks.map((landmark) => ({
+    x: 0.5 + (landmark.x / KNUCKLE_DISTANCE) * imageSize,
+    y: 0.7 + (landmark.y / KNUCKLE_DISTANCE) * imageSize,
+    z: 0,
+  }));
+  return {handedness: 'left', score: 0.9, landmarks, worldLandmarks};
+}
+
+class FakeProvider implements HandLandmarkProvider {
+  hands: DetectedHand[] = [createDetectedHand()];
+  async init() {}
+  async detect() {
+    return this.hands;
+  }
+  dispose() {}
+}
+
+function createSource() {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 100;
+  return canvas;
+}
+
+function createHands() {
+  const hands = [new THREE.Group(), new THREE.Group()].map((hand) => {
+    (hand as unknown as THREE.XRHandSpace).joints = {};
+    return hand as unknown as THREE.XRHandSpace;
+  });
+  return new Hands(hands);
+}
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve));
+
+describe('CameraHandTracker', () => {
+  it('places and poses hands seen by the camera', async () => {
+    const options = new GestureRecognitionOptions().handTracking;
+    const tracker = new CameraHandTracker(new FakeProvider(), options);
+    tracker.setSource(createSource());
+    await tracker.init();
+    const camera = new THREE.Object3D();
+    camera.position.set(0, 1.6, 0);
+    tracker.update(camera);
+    await nextTask();
+
+    expect(tracker.getJointPositions('left')).toBeUndefined();
+    const joints = tracker.getJointPositions('right')!;
+    expect(joints.size).toBe(25);
+    const wrist = joints.get('wrist')!;
+    expect(wrist.z).toBeCloseTo(-0.5);
+    expect(wrist.y).toBeCloseTo(1.6 - 0.4 * 0.5 * TAN_HALF_FOV);
+    expect(joints.get('middle-finger-tip')!.y).toBeCloseTo(
+      wrist.y + KNUCKLE_DISTANCE + 0.09
+    );
+    // The thumb is on the left of a right hand seen from behind.
+    expect(joints.get('thumb-tip')!.x).toBeLessThan(wrist.x);
+
+    const hands = createHands();
+    tracker.driveHands(hands.hands);
+    hands.update(0);
+    expect(hands.hands[Handedness.LEFT].visible).toBe(false);
+    const palm = hands.getPalmPose(Handedness.RIGHT)!;
+    expect(palm.normal.z).toBeCloseTo(-1);
+    expect(palm.position.z).toBeCloseTo(-0.5);
+    tracker.dispose();
+  });
+
+  it('warns once about repeated detection failures', async () => {
+    const provider = new FakeProvider();
+    const error = new Error('Lost the GPU context.');
+    const detect = vi.spyOn(provider, 'detect').mockRejectedValue(error);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const tracker = new CameraHandTracker(
+      provider,
+      new GestureRecognitionOptions().handTracking
+    );
+    tracker.setSource(createSource());
+    await tracker.init();
+    const camera = new THREE.Object3D();
+    for (let i = 0; i < 3; ++i) {
+      tracker.update(camera, i);
+      await nextTask();
+    }
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(tracker.error).toBe(error);
+
+    detect.mockRestore();
+    tracker.update(camera, 3);
+    await nextTask();
+    expect(tracker.error).toBeUndefined();
+    expect(tracker.getJointPositions('right')).toBeDefined();
+    warn.mockRestore();
+  });
+
+  it('turns hands seen by a user-facing camera around', () => {
+    const options = new GestureRecognitionOptions().handTracking;
+    const tracker = new CameraHandTracker(new FakeProvider(), options);
+    tracker.setHands(
+      [createDetectedHand()],
+      createSource(),
+      new THREE.Matrix4()
+    );
+    const outward = tracker.getJointPositions('right')!.get('thumb-tip')!.x;
+    tracker.setSource(createSource(), true);
+    tracker.setHands(
+      [createDetectedHand()],
+      createSource(),
+      new THREE.Matrix4()
+    );
+    const joints = tracker.getJointPositions('right')!;
+    expect(joints.get('thumb-tip')!.x).toBeCloseTo(-outward);
+  });
+
+  it('emits gestures of hands tracked by a provider', async () => {
+    const options = new GestureRecognitionOptions({
+      enabled: true,
+      provider: 'mediapipe',
+      updateIntervalMs: 0,
+    });
+    const hands = createHands();
+    const user = {hands, viewer: new THREE.Object3D()} as unknown as User;
+    const recognition = new GestureRecognition();
+    recognition.setHandLandmarkProvider(new FakeProvider(), createSource());
+    await recognition.init({
+      options,
+      user,
+      input: {} as Input,
+      events: new EventBus(),
+    });
+    const started: GestureEventDetail[] = [];
+    recognition.addEventListener('gesturestart', (event) =>
+      started.push(event.detail)
+    );
+    await nextTask();
+    recognition.update();
+    await nextTask();
+    recognition.update();
+    expect(started).toContainEqual(
+      expect.objectContaining({name: 'open-palm', hand: 'right'})
+    );
+    recognition.dispose();
+  });
+});
@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+
+import type {XRDeviceCamera} from '../../camera/XRDeviceCamera';
+import {GestureRecognitionOptions} from './GestureRecognitionOptions';
+import {HandLabel, JointPositions} from './GestureTypes';
+import {
+  DetectedHand,
+  getHandJointPoses,
+  HandJointPoses,
+  HandLandmarkProvider,
+  HandLandmarkSource,
+} from './providers/HandLandmarkProvider';
+
+export type HandTrackingOptions = GestureRecognitionOptions['handTracking'];
+
+/** The range of distances from the camera hands are placed at, in meters. */
+const MIN_HAND_DEPTH = 0.1;
+const MAX_HAND_DEPTH = 2;
+
+/** The hand the model labels as each hand, as it assumes mirrored frames. */
+const UNMIRRORED_HAND: Record<HandLabel, HandLabel> = {
+  left: 'right',
+  right: 'left',
+};
+
+type TrackedHand = {
+  /** The joint poses in the camera's space. */
+  poses: HandJointPoses;
+  /** The pose of the camera when the frame was taken. */
+  cameraMatrix: THREE.Matrix4;
+  /** Whether the hand was seen in the latest frame. */
+  tracked: boolean;
+};
+
+const _wristPosition = new THREE.Vector3();
+
+/**
+ * Estimates where the wrist of a hand is in the camera's space, from the size
+ * of the hand in the frame.
+ */
+function getWristPosition(
+  hand: DetectedHand,
+  aspect: number,
+  fieldOfView: number,
+  facingUser: boolean
+) {
+  const [wrist, , , , , , , , , knuckle] = hand.landmarks;
+  const [worldWrist, , , , , , , , , worldKnuckle] = hand.worldLandmarks;
+  const size = Math.hypot(
+    worldWrist.x - worldKnuckle.x,
+    worldWrist.y - worldKnuckle.y,
+    worldWrist.z - worldKnuckle.z
+  );
+  const imageSize = Math.hypot(
+    (wrist.x - knuckle.x) * aspect,
+    wrist.y - knuckle.y
+  );
+  const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(fieldOfView) / 2);
+  const depth = THREE.MathUtils.clamp(
+    size / Math.max(2 * imageSize * tanHalfFov, 1e-6),
+    MIN_HAND_DEPTH,
+    MAX_HAND_DEPTH
+  );
+  const halfHeight = depth * tanHalfFov;
+  const x = (2 * wrist.x - 1) * halfHeight * aspect;
+  return _wristPosition.set(
+    facingUser ? -x : x,
+    (1 - 2 * wrist.y) * halfHeight,
+    -depth
+  );
+}
+
+function getSourceAspect(source: HandLandmarkSource) {
+  const width =
+    source instanceof HTMLVideoElement ? source.videoWidth : source.width;
+  const height =
+    source instanceof HTMLVideoElement ? source.videoHeight : source.height;
+  return width > 0 && height > 0 ? width / height : 1;
+}
+
+/**
+ * Tracks hands in the frames of a camera with a `HandLandmarkProvider`, as the
+ * 25 WebXR joints. Detection runs asynchronously; the latest hands are placed
+ * relative to the camera's pose when their frame was taken.
+ */
+export class CameraHandTracker {
+  /**
+   * The error of the latest detection if it failed. Only the first of
+   * consecutive failures is logged.
+   */
+  error?: unknown;
+  private source?: HandLandmarkSource;
+  private facingUser = false;
+  private webcamStream?: MediaStream;
+  private ready = false;
+  private detecting = false;
+  private lastVideoTime = -1;
+  private hands: Record<HandLabel, TrackedHand> = {
+    left: {poses: new Map(), cameraMatrix: new THREE.Matrix4(), tracked: false},
+    right: {
+      poses: new Map(),
+      cameraMatrix: new THREE.Matrix4(),
+      tracked: false,
+    },
+  };
+  private jointPositions: Record<HandLabel, JointPositions> = {
+    left: new Map(),
+    right: new Map(),
+  };
+  private drivenJoints = new WeakSet<THREE.Object3D>();
+
+  constructor(
+    public provider: HandLandmarkProvider,
+    private options: HandTrackingOptions
+  ) {}
+
+  /**
+   * Loads the model and opens the camera, unless a source was set.
+   * @param deviceCamera - The device camera, used if enabled and the source is
+   *     'device-camera'.
+   */
+  async init(deviceCamera?: XRDeviceCamera) {
+    await this.provider.init();
+    if (!this.source) {
+      if (this.options.source === 'device-camera' && deviceCamera) {
+        this.setSource(
+          deviceCamera.video,
+          deviceCamera.getCurrentTrackSettings()?.facingMode === 'user'
+        );
+      } else {
+        await this.openWebcam();
+      }
+    }
+    this.ready = true;
+  }
+
+  /**
+   * Sets the frames to track hands in.
+   * @param source - A video, canvas or image.
+   * @param facingUser - Whether the camera faces the user.
+   */
+  setSource(source: HandLandmarkSource, facingUser = false) {
+    this.source = source;
+    this.facingUser = this.options.facingUser ?? facingUser;
+    this.lastVideoTime = -1;
+  }
+
+  private async openWebcam() {
+    this.webcamStream = await navigator.mediaDevices.getUserMedia({
+      video: {facingMode: 'user'},
+    });
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = this.webcamStream;
+    await video.play();
+    this.setSource(video, true);
+  }
+
+  /**
+   * Detects the hands in the current frame, unless the previous detection is
+   * still running or the frame was seen already.
+   * @param camera - The camera the frames are seen from, e.g. the viewer.
+   * @param timestamp - The current time, in milliseconds.
+   */
+  update(camera: THREE.Object3D, timestamp = performance.now()) {
+    const source = this.source;
+    if (!this.ready || this.detecting || !source) return;
+    if (source instanceof HTMLVideoElement) {
+      if (
+        source.readyState < source.HAVE_CURRENT_DATA ||
+        source.currentTime === this.lastVideoTime
+      ) {
+        return;
+      }
+      this.lastVideoTime = source.currentTime;
+    }
+    camera.updateWorldMatrix(true, false);
+    const cameraMatrix = camera.matrixWorld.clone();
+    this.detecting = true;
+    Promise.resolve(this.provider.detect(source, timestamp))
+      .then((detected) => {
+        this.error = undefined;
+        this.setHands(detected, source, cameraMatrix);
+      })
+      .catch((error) => {
+        if (this.error === undefined) {
+          console.warn('CameraHandTracker:', error);
+        }
+        this.error = error;
+      })
+      .finally(() => {
+        this.detecting = false;
+      });
+  }
+
+  /**
+   * Sets the tracked hands from a detection.
+   * @param detected - The hands detected in a frame.
+   * @param source - The frame.
+   * @param cameraMatrix - The world pose of the camera when it was taken.
+   */
+  setHands(
+    detected: DetectedHand[],
+    source: HandLandmarkSource,
+    cameraMatrix: THREE.Matrix4
+  ) {
+    const aspect = getSourceAspect(source);
+    this.hands.left.tracked = this.hands.right.tracked = false;
+    for (const hand of detected) {
+      if (hand.score < this.options.minimumScore) continue;
+      const label = UNMIRRORED_HAND[hand.handedness];
+      const tracked = this.hands[label];
+      // Keeps the first of several hands with the same label.
+      if (!label || tracked.tracked) continue;
+      const wrist = getWristPosition(
+        hand,
+        aspect,
+        this.options.fieldOfView,
+        this.facingUser
+      );
+      getHandJointPoses(hand, label, wrist, this.facingUser, tracked.poses);
+      tracked.cameraMatrix.copy(cameraMatrix);
+      tracked.tracked = true;
+    }
+  }
+
+  /**
+   * Gets the world positions of the joints of a hand.
+   * @param handLabel - The hand.
+   * @returns The positions, or undefined if the hand is not tracked.
+   */
+  getJointPositions(handLabel: HandLabel) {
+    const hand = this.hands[handLabel];
+    if (!hand.tracked) return undefined;
+    const positions = this.jointPositions[handLabel];
+    for (const [name, pose] of hand.poses) {
+      let position = positions.get(name);
+      if (!position) {
+        position = new THREE.Vector3();
+        positions.set(name, position);
+      }
+      position.copy(pose.position).applyMatrix4(hand.cameraMatrix);
+    }
+    return positions;
+  }
+
+  /**
+   * Poses hands from the tracked hands, hiding them when not tracked. Hands
+   * with joints of their own, i.e. tracked by the XR device, are left alone.
+   * @param hands - The left and right hand.
+   */
+  driveHands(hands: THREE.XRHandSpace[]) {
+    (['left', 'right'] as HandLabel[]).forEach((label, index) => {
+      const hand = hands[index];
+      const wrist = hand?.joints['wrist'];
+      if (!hand || (wrist && !this.drivenJoints.has(wrist))) return;
+      const tracked = this.hands[label];
+      hand.visible = tracked.tracked;
+      if (!tracked.tracked) return;
+      tracked.cameraMatrix.decompose(
+        hand.position,
+        hand.quaternion,
+        hand.scale
+      );
+      for (const [name, pose] of tracked.poses) {
+        let joint = hand.joints[name];
+        if (!joint) {
+          joint = new THREE.Group() as THREE.XRJointSpace;
+          hand.joints[name] = joint;
+          hand.add(joint);
+          this.drivenJoints.add(joint);
+        }
+        joint.position.copy(pose.position);
+        joint.quaternion.copy(pose.quaternion);
+      }
+      hand.updateMatrixWorld(true);
+    });
+  }
+
+  dispose() {
+    this.ready = false;
+    this.provider.dispose();
+    this.webcamStream?.getTracks().forEach((track) => track.stop());
+    this.webcamStream = undefined;
+  }
+}
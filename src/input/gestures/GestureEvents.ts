@@ -7,7 +7,8 @@ export type GestureHandedness = 'left' | 'right';
 export interface GestureEventDetail {
   /**
    * The canonical gesture identifier. Built-in gestures map to
-   * `BuiltInGestureName` while custom providers may surface arbitrary strings.
+   * `BuiltInGestureName` while gesture templates and custom providers may
+   * surface arbitrary strings.
    */
   name: BuiltInGestureName | string;
   /** Which hand triggered the gesture. */
@@ -1,24 +1,47 @@
 import * as THREE from 'three';
 
+import {XRDeviceCamera} from '../../camera/XRDeviceCamera';
+import {optional} from '../../utils/DependencyInjection';
 import {Input} from '../Input';
 import {Handedness} from '../Hands';
 import {HAND_JOINT_NAMES} from '../components/HandJointNames.js';
+import {EventBus} from '../../core/components/EventBus';
 import {User} from '../../core/User';
 import {Script} from '../../core/Script';
+import {CameraHandTracker} from './CameraHandTracker';
 import {GestureEventDetail, GestureEventType} from './GestureEvents';
 import {
   BuiltInGestureName,
   GestureRecognitionOptions,
   GestureConfiguration,
+  TemporalGestureName,
 } from './GestureRecognitionOptions';
 import {
+  GestureTemplate,
+  GestureTemplateData,
+  GestureTemplateMatcher,
+  GestureTemplateOptions,
+  GestureTemplateRecorder,
+} from './GestureTemplates';
+import {
+  GestureDetectionResult,
   GestureDetector,
   GestureDetectorMap,
   HandContext,
   HandLabel,
   JointPositions,
 } from './GestureTypes';
+import {
+  HandLandmarkProvider,
+  HandLandmarkSource,
+} from './providers/HandLandmarkProvider';
 import {heuristicDetectors} from './providers/HeuristicGestureDetectors';
+import {MediaPipeHandLandmarkProvider} from './providers/MediaPipeHandLandmarkProvider';
+import {TfjsHandLandmarkProvider} from './providers/TfjsHandLandmarkProvider';
+import {
+  TemporalGestureRecognizer,
+  TemporalHandContext,
+} from './TemporalGestures';
 
 type ActiveGestureState = {
   confidence: number;
@@ -32,6 +55,8 @@ const HAND_INDEX_TO_LABEL: Record<number, HandLabel> = {
 
 const JOINT_TEMP_POOL = new Map<HandLabel, Map<string, THREE.Vector3>>();
 
+const viewerQuaternion = new THREE.Quaternion();
+
 type GestureScriptEvent = THREE.Event & {
   type: GestureEventType;
   target: GestureRecognition;
@@ -49,32 +74,56 @@ export class GestureRecognition extends Script<GestureRecognitionEventMap> {
     input: Input,
     user: User,
     options: GestureRecognitionOptions,
+    events: EventBus,
+    deviceCamera: optional(XRDeviceCamera),
   };
 
   private options!: GestureRecognitionOptions;
   private user!: User;
   private input!: Input;
+  private events!: EventBus;
+  private deviceCamera?: XRDeviceCamera;
   private activeGestures: Record<HandLabel, Map<string, ActiveGestureState>> = {
     left: new Map(),
     right: new Map(),
   };
   private lastEvaluation = 0;
   private detectors = new Map<BuiltInGestureName, GestureDetector>();
+  private temporalRecognizers: Record<HandLabel, TemporalGestureRecognizer> = {
+    left: new TemporalGestureRecognizer(),
+    right: new TemporalGestureRecognizer(),
+  };
+  private templates = new Map<string, GestureTemplate>();
+  private templateMatchers: Record<HandLabel, GestureTemplateMatcher> = {
+    left: new GestureTemplateMatcher(),
+    right: new GestureTemplateMatcher(),
+  };
+  private recorder?: GestureTemplateRecorder;
   private activeProvider: string | null = null;
   private providerWarned = false;
+  private landmarkProvider?: HandLandmarkProvider;
+  private landmarkSource?: HandLandmarkSource;
+  /** Tracks hands in camera frames for the 'mediapipe' and 'tfjs' providers. */
+  handTracker?: CameraHandTracker;
 
   async init({
     options,
     user,
     input,
+    events,
+    deviceCamera,
   }: {
     options: GestureRecognitionOptions;
     user: User;
     input: Input;
+    events: EventBus;
+    deviceCamera?: XRDeviceCamera;
   }) {
     this.options = options;
+    this.events = events;
     this.user = user;
     this.input = input;
+    this.deviceCamera = deviceCamera;
     this.configureProvider(true);
     if (!this.options.enabled) {
       console.info(
@@ -88,6 +137,9 @@ export class GestureRecognition extends Script<GestureRecognitionEventMap> {
     if (!this.user.hands?.isValid?.()) return;
 
     this.configureProvider();
+    if (this.handTracker && this.options.handTracking.driveHands) {
+      this.handTracker.driveHands(this.user.hands.hands);
+    }
 
     const now = performance.now();
     const interval =
@@ -97,15 +149,121 @@ export class GestureRecognition extends Script<GestureRecognitionEventMap> {
     }
     this.lastEvaluation = now;
 
+    if (this.handTracker && this.user.viewer) {
+      this.handTracker.update(this.user.viewer, now);
+    }
     this.evaluateHand(Handedness.LEFT);
     this.evaluateHand(Handedness.RIGHT);
   }
 
+  /**
+   * Sets the model the 'mediapipe' and 'tfjs' providers track hands with,
+   * e.g. to plug in another model. Hand tracking restarts with it.
+   * @param provider - The model, or undefined for the provider's own.
+   * @param source - The frames to track hands in, e.g. a video of an
+   *     outward-facing camera, defaults to `handTracking.source`.
+   */
+  setHandLandmarkProvider(
+    provider?: HandLandmarkProvider,
+    source?: HandLandmarkSource
+  ) {
+    this.landmarkProvider = provider;
+    this.landmarkSource = source;
+    if (this.handTracker) this.configureProvider(true);
+  }
+
+  /**
+   * Registers a user-defined gesture, replacing any other with the same name.
+   * While its hand matches the template, gesture events are emitted under
+   * the template's name.
+   * @param template - The template or its JSON form.
+   * @returns The registered template.
+   */
+  registerTemplate(template: GestureTemplate | GestureTemplateData | string) {
+    const registered =
+      template instanceof GestureTemplate
+        ? template
+        : GestureTemplate.fromJSON(template);
+    if (registered.name in this.options.gestures) {
+      throw new Error(
+        `GestureRecognition: '${registered.name}' is a built-in gesture.`
+      );
+    }
+    this.templates.set(registered.name, registered);
+    return registered;
+  }
+
+  /**
+   * Removes a user-defined gesture.
+   * @param name - The name of the template.
+   * @returns Whether the template was registered.
+   */
+  unregisterTemplate(name: string) {
+    return this.templates.delete(name);
+  }
+
+  /**
+   * Gets the registered user-defined gestures.
+   */
+  getTemplates() {
+    return Array.from(this.templates.values());
+  }
+
+  /**
+   * Records the current pose of a hand as a template. Register it with
+   * `registerTemplate()`, or save `JSON.stringify(template)` to register later.
+   * @param name - The name of the gesture.
+   * @param handedness - The hand to record.
+   * @param options - The hand and threshold of the template.
+   * @returns The template, or undefined if the hand is not tracked.
+   */
+  recordPose(
+    name: string,
+    handedness = Handedness.RIGHT,
+    options?: GestureTemplateOptions
+  ) {
+    if (!this.user.hands) return undefined;
+    return GestureTemplate.fromHandPose(
+      name,
+      this.user.hands,
+      handedness,
+      options
+    );
+  }
+
+  /**
+   * Starts recording the motion of a hand as a template, until
+   * `stopRecording()`. Recording requires the gesture recognition to be
+   * enabled.
+   * @param name - The name of the gesture.
+   * @param handedness - The hand to record.
+   * @param options - The hand and threshold of the template.
+   */
+  startRecording(
+    name: string,
+    handedness = Handedness.RIGHT,
+    options?: GestureTemplateOptions
+  ) {
+    this.recorder = new GestureTemplateRecorder(name, handedness, options);
+  }
+
+  /**
+   * Stops recording a motion.
+   * @returns The template, or undefined if the hand was not tracked long
+   *     enough.
+   */
+  stopRecording() {
+    const template = this.recorder?.finish();
+    this.recorder = undefined;
+    return template;
+  }
+
   private configureProvider(force = false) {
     const provider = this.options.provider;
     if (!force && provider === this.activeProvider) return;
 
     this.detectors.clear();
+    this.stopHandTracking();
     switch (provider) {
       case 'heuristics':
         this.assignDetectors(heuristicDetectors);
@@ -113,12 +271,15 @@ export class GestureRecognition extends Script<GestureRecognitionEventMap> {
         break;
       case 'mediapipe':
       case 'tfjs':
+        // Camera hands are evaluated with the heuristics, too.
         this.assignDetectors(heuristicDetectors);
-        if (!this.providerWarned) {
-          console.warn(
-            `GestureRecognition: provider '${provider}' is not yet implemented; falling back to heuristics.`
-          );
-          this.providerWarned = true;
+        this.providerWarned = false;
+        if (this.options.enabled) {
+          this.startHandTracking(provider);
+        } else {
+          // Starts once enabled, rather than opening the camera now.
+          this.activeProvider = null;
+          return;
         }
         break;
       default:
@@ -134,6 +295,37 @@ export class GestureRecognition extends Script<GestureRecognitionEventMap> {
     this.activeProvider = provider;
   }
 
+  private startHandTracking(provider: 'mediapipe' | 'tfjs') {
+    const {handTracking} = this.options;
+    const landmarkProvider =
+      this.landmarkProvider ??
+      (provider === 'mediapipe'
+        ? new MediaPipeHandLandmarkProvider({
+            ...handTracking.mediapipe,
+            numHands: handTracking.maxHands,
+            minHandDetectionConfidence: handTracking.minimumScore,
+          })
+        : new TfjsHandLandmarkProvider({
+            ...handTracking.tfjs,
+            maxHands: handTracking.maxHands,
+          }));
+    const tracker = new CameraHandTracker(landmarkProvider, handTracking);
+    this.handTracker = tracker;
+    if (this.landmarkSource) tracker.setSource(this.landmarkSource);
+    tracker.init(this.deviceCamera).catch((error) => {
+      console.warn(
+        `GestureRecognition: provider '${provider}' failed to start; falling back to heuristics.`,
+        error
+      );
+      if (this.handTracker === tracker) this.stopHandTracking();
+    });
+  }
+
+  private stopHandTracking() {
+    this.handTracker?.dispose();
+    this.handTracker = undefined;
+  }
+
   private assignDetectors(detectors: GestureDetectorMap) {
     for (const [name, detector] of Object.entries(detectors)) {
       if (!detector) continue;
@@ -147,6 +339,11 @@ export class GestureRecognition extends Script<GestureRecognitionEventMap> {
     if (!handLabel) return;
 
     const context = this.buildHandContext(handedness, handLabel);
+    const temporalContext = this.buildTemporalHandContext(handedness);
+    if (!temporalContext) {
+      this.temporalRecognizers[handLabel].reset();
+      this.templateMatchers[handLabel].reset();
+    }
     if (!context) {
       for (const [name] of activeMap.entries()) {
         this.emitGesture('gestureend', {name, hand: handLabel, confidence: 0});
@@ -155,46 +352,44 @@ export class GestureRecognition extends Script<GestureRecognitionEventMap> {
       return;
     }
 
+    const temporalResults = temporalContext
+      ? this.temporalRecognizers[handLabel].update(
+          temporalContext,
+          this.options.gestures
+        )
+      : new Map<TemporalGestureName, GestureDetectionResult>();
     const processed = new Set<string>();
     for (const [name, config] of Object.entries(this.options.gestures)) {
       const gestureName = name as BuiltInGestureName;
       if (!config?.enabled) continue;
       const detector = this.detectors.get(gestureName);
-      if (!detector) continue;
-
-      const result = detector(context, config as GestureConfiguration);
+      const result = detector
+        ? detector(context, config as GestureConfiguration)
+        : temporalResults.get(gestureName as TemporalGestureName);
       const isActive =
         result && result.confidence >= this.options.minimumConfidence;
       processed.add(gestureName);
-      const previousState = activeMap.get(gestureName);
+      this.updateGestureState(handLabel, gestureName, isActive ? result : null);
+    }
 
-      if (isActive) {
-        const detail: GestureEventDetail = {
-          name: gestureName,
-          hand: handLabel,
-          confidence: THREE.MathUtils.clamp(result.confidence, 0, 1),
-          data: result.data,
-        };
-        if (!previousState) {
-          activeMap.set(gestureName, {
-            confidence: detail.confidence,
-            data: detail.data,
-          });
-          this.emitGesture('gesturestart', detail);
-        } else {
-          previousState.confidence = detail.confidence;
-          previousState.data = detail.data;
-          this.emitGesture('gestureupdate', detail);
-        }
-      } else if (previousState) {
-        activeMap.delete(gestureName);
-        this.emitGesture('gestureend', {
-          name: gestureName,
-          hand: handLabel,
-          confidence: 0.0,
-        });
+    if (temporalContext && this.templates.size) {
+      // Templates are gated by their own thresholds instead.
+      const templateResults = this.templateMatchers[handLabel].update(
+        temporalContext,
+        this.templates.values()
+      );
+      for (const name of this.templates.keys()) {
+        processed.add(name);
+        this.updateGestureState(
+          handLabel,
+          name,
+          templateResults.get(name) ?? null
+        );
       }
     }
+    if (temporalContext) {
+      this.recorder?.update(temporalContext);
+    }
 
     for (const name of Array.from(activeMap.keys())) {
       if (!processed.has(name)) {
@@ -208,13 +403,72 @@ export class GestureRecognition extends Script<GestureRecognitionEventMap> {
     }
   }
 
+  /**
+   * Emits the events for a gesture of a hand being detected or not.
+   * @param handLabel - The hand.
+   * @param name - The gesture.
+   * @param result - The detection, or null if the gesture is not active.
+   */
+  private updateGestureState(
+    handLabel: HandLabel,
+    name: string,
+    result: GestureDetectionResult | null | undefined
+  ) {
+    const activeMap = this.activeGestures[handLabel];
+    const previousState = activeMap.get(name);
+    if (result) {
+      const detail: GestureEventDetail = {
+        name,
+        hand: handLabel,
+        confidence: THREE.MathUtils.clamp(result.confidence, 0, 1),
+        data: result.data,
+      };
+      if (!previousState) {
+        activeMap.set(name, {
+          confidence: detail.confidence,
+          data: detail.data,
+        });
+        this.emitGesture('gesturestart', detail);
+      } else {
+        previousState.confidence = detail.confidence;
+        previousState.data = detail.data;
+        this.emitGesture('gestureupdate', detail);
+      }
+    } else if (previousState) {
+      activeMap.delete(name);
+      this.emitGesture('gestureend', {
+        name,
+        hand: handLabel,
+        confidence: 0.0,
+      });
+    }
+  }
+
+  /**
+   * Builds the context of gestures over time from the motion history of a
+   * hand.
+   */
+  private buildTemporalHandContext(
+    handedness: Handedness
+  ): TemporalHandContext | null {
+    const hands = this.user.hands;
+    const latest = hands?.getHistory(handedness).getSample(0);
+    if (!hands || !latest) return null;
+    this.user.viewer?.getWorldQuaternion(viewerQuaternion);
+    return {handedness, hands, time: latest.time, viewerQuaternion};
+  }
+
   private buildHandContext(
     handedness: Handedness,
     handLabel: HandLabel
   ): HandContext | null {
+    if (this.handTracker && !this.options.handTracking.driveHands) {
+      const joints = this.handTracker.getJointPositions(handLabel);
+      return joints ? {handedness, handLabel, joints} : null;
+    }
     if (!this.user.hands) return null;
     const hand = this.user.hands.hands[handedness];
-    if (!hand?.joints) return null;
+    if (!hand?.joints || hand.visible === false) return null;
 
     let jointCache = JOINT_TEMP_POOL.get(handLabel);
     if (!jointCache) {
@@ -243,8 +497,18 @@ export class GestureRecognition extends Script<GestureRecognitionEventMap> {
     };
   }
 
+  dispose() {
+    this.stopHandTracking();
+    super.dispose();
+  }
+
   private emitGesture(type: GestureEventType, detail: GestureEventDetail) {
     const event: GestureScriptEvent = {type, detail, target: this};
     this.dispatchEvent(event);
+    if (type === 'gesturestart') {
+      this.events.publish('gestures/started', detail);
+    } else if (type === 'gestureend') {
+      this.events.publish('gestures/ended', detail);
+    }
   }
 }
@@ -3,13 +3,35 @@ import {DeepPartial, DeepReadonly} from '../../utils/Types';
 
 export type GestureProvider = 'heuristics' | 'mediapipe' | 'tfjs';
 
+/**
+ * The camera the 'mediapipe' and 'tfjs' providers track hands in: the
+ * `XRDeviceCamera` if it is enabled, else a webcam of their own.
+ */
+export type HandTrackingSource = 'device-camera' | 'webcam';
+
+const MEDIAPIPE_URL =
+  'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.9';
+const TFJS_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow';
+
+/**
+ * Gestures made of motion over time rather than a single hand pose.
+ */
+export type TemporalGestureName =
+  | 'swipe'
+  | 'wave'
+  | 'circle'
+  | 'double-pinch'
+  | 'pinch-and-drag'
+  | 'palm-flip';
+
 export type BuiltInGestureName =
   | 'pinch'
   | 'open-palm'
   | 'fist'
   | 'thumbs-up'
   | 'point'
-  | 'spread';
+  | 'spread'
+  | TemporalGestureName;
 
 export type GestureConfiguration = {
   enabled: boolean;
@@ -32,8 +54,10 @@ export class GestureRecognitionOptions {
   /**
    * Backing provider that extracts gesture information.
    *  - 'heuristics': WebXR joint heuristics only (no external ML dependency).
-   *  - 'mediapipe': MediaPipe Hands running via Web APIs / wasm.
-   *  - 'tfjs': TensorFlow.js hand-pose-detection models.
+   *  - 'mediapipe': MediaPipe hand landmarker on camera frames, via wasm.
+   *  - 'tfjs': TensorFlow.js hand-pose-detection models on camera frames.
+   * The camera providers detect gestures with the heuristics on the hands
+   * they track, configured by `handTracking`.
    */
   provider: GestureProvider = 'heuristics';
 
@@ -48,6 +72,50 @@ export class GestureRecognitionOptions {
    */
   updateIntervalMs = 33;
 
+  /**
+   * Hand tracking in camera frames for the 'mediapipe' and 'tfjs' providers.
+   * The modules and models load from a CDN by default; point the URLs at
+   * local copies to serve them yourself.
+   */
+  handTracking = {
+    source: 'device-camera' as HandTrackingSource,
+    /**
+     * Whether the camera faces the user, defaults to its facing mode. Hands
+     * seen by a user-facing camera are turned around to face the scene.
+     */
+    facingUser: undefined as boolean | undefined,
+    /** The vertical field of view of the camera in degrees, to place hands. */
+    fieldOfView: 60,
+    maxHands: 2,
+    /** Minimum score of a detected hand, from 0 to 1. */
+    minimumScore: 0.5,
+    /**
+     * Whether to pose the `Hands` from the tracked hands, on devices without
+     * hand tracking. Motion gestures and templates need it, as they track the
+     * `Hands` over time.
+     */
+    driveHands: false,
+    mediapipe: {
+      moduleUrl: `${MEDIAPIPE_URL}/+esm`,
+      wasmPath: `${MEDIAPIPE_URL}/wasm`,
+      modelAssetPath:
+        'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+      delegate: 'GPU' as 'GPU' | 'CPU',
+    },
+    tfjs: {
+      moduleUrl: `${TFJS_URL}-models/hand-pose-detection@2.0.1/+esm`,
+      backendModuleUrls: [
+        `${TFJS_URL}/tfjs-core@4.22.0/+esm`,
+        `${TFJS_URL}/tfjs-converter@4.22.0/+esm`,
+        `${TFJS_URL}/tfjs-backend-webgl@4.22.0/+esm`,
+      ],
+      modelType: 'full' as 'lite' | 'full',
+      /** Defaults to the models on TensorFlow Hub. */
+      detectorModelUrl: undefined as string | undefined,
+      landmarkModelUrl: undefined as string | undefined,
+    },
+  };
+
   /**
    * Default gesture catalogue.
    */
@@ -58,6 +126,14 @@ export class GestureRecognitionOptions {
     'thumbs-up': {enabled: true},
     point: {enabled: false},
     spread: {enabled: false, threshold: 0.04},
+    // Temporal gestures. For swipes the threshold is a minimum speed in meters
+    // per second; for pinch-and-drag a minimum distance in meters.
+    swipe: {enabled: false, threshold: 0.8},
+    wave: {enabled: false},
+    circle: {enabled: false},
+    'double-pinch': {enabled: false},
+    'pinch-and-drag': {enabled: false, threshold: 0.03},
+    'palm-flip': {enabled: false},
   };
 
   constructor(options?: DeepReadonly<DeepPartial<GestureRecognitionOptions>>) {
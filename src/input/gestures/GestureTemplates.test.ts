@@ -0,0 +1,196 @@
+import * as THREE from 'three';
+import {describe, expect, it} from 'vitest';
+
+import {EventBus} from '../../core/components/EventBus';
+import type {User} from '../../core/User';
+import {HAND_JOINT_NAMES} from '../components/HandJointNames.js';
+import {Handedness, Hands} from '../Hands';
+import type {Input} from '../Input';
+import {GestureEventDetail} from './GestureEvents';
+import {GestureRecognition} from './GestureRecognition';
+import {GestureRecognitionOptions} from './GestureRecognitionOptions';
+import {
+  GestureTemplate,
+  GestureTemplateMatcher,
+  GestureTemplateRecorder,
+  dynamicTimeWarping,
+} from './GestureTemplates';
+
+const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+const BONES = [
+  'metacarpal',
+  'phalanx-proximal',
+  'phalanx-intermediate',
+  'phalanx-distal',
+  'tip',
+];
+
+function createHand() {
+  const hand = new THREE.Group() as unknown as THREE.XRHandSpace;
+  const joints: Record<string, THREE.Group> = {};
+  for (const name of HAND_JOINT_NAMES) {
+    joints[name] = new THREE.Group();
+    hand.add(joints[name]);
+  }
+  hand.joints = joints as unknown as THREE.XRHandSpace['joints'];
+  return hand;
+}
+
+/**
+ * Lays out the fingers along -z from 0.06 in front of the wrist, with the
+ * fingers in `curled` bent by a quarter turn at each joint.
+ */
+function poseHand(hand: THREE.XRHandSpace, curled: string[], scale = 1) {
+  FINGERS.forEach((finger, index) => {
+    const prefix = finger == 'thumb' ? 'thumb' : `${finger}-finger`;
+    const angle = curled.includes(finger) ? Math.PI / 4 : 0;
+    const direction = new THREE.Vector3(0, 0, -1);
+    const position = new THREE.Vector3(
+      (index - 2) * 0.02,
+      0,
+      -0.06
+    ).multiplyScalar(scale);
+    for (const bone of BONES) {
+      const joint = hand.joints[`${prefix}-${bone}` as XRHandJoint];
+      joint?.position.copy(position);
+      if (bone !== 'metacarpal') {
+        direction.applyAxisAngle(new THREE.Vector3(1, 0, 0), -angle);
+      }
+      position.addScaledVector(direction, 0.03 * scale);
+    }
+  });
+  hand.updateMatrixWorld();
+}
+
+function createHands() {
+  const left = createHand();
+  const right = createHand();
+  poseHand(left, []);
+  poseHand(right, []);
+  return {hands: new Hands([left, right]), left, right};
+}
+
+function createContext(hands: Hands, time: number, handedness = 1) {
+  return {
+    handedness: handedness as Handedness,
+    hands,
+    time,
+    viewerQuaternion: new THREE.Quaternion(),
+  };
+}
+
+describe('GestureTemplate', () => {
+  it('matches poses of any hand size, place and side', () => {
+    const {hands, left, right} = createHands();
+    poseHand(right, ['middle', 'ring', 'pinky']);
+    const template = GestureTemplate.fromJSON(
+      JSON.stringify(
+        GestureTemplate.fromHandPose('gun', hands, Handedness.RIGHT, {
+          threshold: 0.1,
+        })
+      )
+    );
+    expect(template.type).toBe('pose');
+
+    const matcher = new GestureTemplateMatcher();
+    const match = (hand: THREE.XRHandSpace, handedness: Handedness) => {
+      hand.updateMatrixWorld();
+      return matcher
+        .update(createContext(hands, 0, handedness), [template])
+        .get('gun');
+    };
+    // Smaller, moved and turned.
+    poseHand(right, ['middle', 'ring', 'pinky'], 0.8);
+    right.position.set(0.3, 1.2, -0.4);
+    right.rotation.set(0.5, 1, 0);
+    expect(match(right, Handedness.RIGHT)?.confidence).toBeCloseTo(1);
+    // Mirrored on the left hand.
+    poseHand(left, ['middle', 'ring', 'pinky']);
+    for (const joint of Object.values(left.joints)) joint.position.x *= -1;
+    expect(match(left, Handedness.LEFT)?.confidence).toBeCloseTo(1);
+
+    poseHand(right, []);
+    expect(match(right, Handedness.RIGHT)).toBeUndefined();
+  });
+
+  it('matches motions at different speeds by dynamic time warping', () => {
+    expect(
+      dynamicTimeWarping([0, 1, 2, 3], [0, 0, 1, 2, 2, 3], (a, b) =>
+        Math.abs(a - b)
+      )
+    ).toBe(0);
+
+    // An L: right, then up.
+    const path = (t: number) =>
+      t < 0.5 ? new THREE.Vector3(t, 0, 0) : new THREE.Vector3(0.5, t - 0.5, 0);
+    const {hands, right} = createHands();
+    const recorder = new GestureTemplateRecorder('ell', Handedness.RIGHT);
+    for (let time = 0; time <= 1; time += 1 / 30) {
+      right.position.copy(path(time));
+      right.updateMatrixWorld();
+      recorder.update(createContext(hands, time));
+    }
+    const template = recorder.finish()!;
+    expect(template.duration).toBeCloseTo(1);
+
+    const perform = (duration: number, move: (t: number) => THREE.Vector3) => {
+      const matcher = new GestureTemplateMatcher();
+      let matched = false;
+      // Starts from a still hand.
+      for (let time = -0.5; time <= duration + 0.01; time += 1 / 60) {
+        right.position.copy(move(Math.max(0, time / duration))).x += 2;
+        right.updateMatrixWorld();
+        const results = matcher.update(createContext(hands, 5 + time), [
+          template,
+        ]);
+        matched ||= results.has('ell');
+      }
+      return matched;
+    };
+    expect(perform(1.2, path)).toBe(true);
+    expect(perform(0.8, path)).toBe(true);
+    // A straight line is not an L.
+    expect(perform(1, (t) => new THREE.Vector3(t, 0, 0))).toBe(false);
+  });
+
+  it('emits gesture events for registered templates', async () => {
+    const {hands, right} = createHands();
+    const options = new GestureRecognitionOptions({enabled: true});
+    const user = {hands, viewer: new THREE.Object3D()} as unknown as User;
+    const recognition = new GestureRecognition();
+    await recognition.init({
+      options,
+      user,
+      input: {} as Input,
+      events: new EventBus(),
+    });
+    const started: GestureEventDetail[] = [];
+    recognition.addEventListener('gesturestart', (event) =>
+      started.push(event.detail)
+    );
+    expect(() =>
+      recognition.registerTemplate({...template(), name: 'fist'})
+    ).toThrow();
+
+    poseHand(right, ['thumb', 'middle', 'ring', 'pinky']);
+    const pose = recognition.recordPose('aim')!;
+    recognition.registerTemplate(JSON.stringify(pose));
+    poseHand(right, []);
+    hands.update(0);
+    recognition.update();
+    poseHand(right, ['thumb', 'middle', 'ring', 'pinky']);
+    hands.update(0.1);
+    recognition.update();
+
+    expect(started.map((detail) => detail.name)).toContain('aim');
+    expect(recognition.getTemplates().map((t) => t.name)).toEqual(['aim']);
+
+    function template() {
+      return GestureTemplate.fromHandPose(
+        'unused',
+        hands,
+        Handedness.RIGHT
+      )!.toJSON();
+    }
+  });
+});
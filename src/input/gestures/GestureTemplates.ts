@@ -0,0 +1,445 @@
+import * as THREE from 'three';
+
+import {HAND_JOINT_NAMES} from '../components/HandJointNames.js';
+import {Handedness, Hands} from '../Hands';
+import {GestureHandedness} from './GestureEvents';
+import {GestureDetectionResult} from './GestureTypes';
+import {TemporalHandContext} from './TemporalGestures';
+
+export type GestureTemplateType = 'pose' | 'motion';
+
+/**
+ * One frame of a recorded gesture. All lengths are in units of the hand's
+ * size, the distance from the wrist to the base of the middle finger, so that
+ * templates match hands of any size.
+ */
+export type GestureTemplateFrame = {
+  /** The time since the start of the gesture, in seconds. */
+  time: number;
+  /**
+   * The joint positions relative to the wrist and in its space, as x, y and z
+   * for each of `HAND_JOINT_NAMES`. Left hands are mirrored to right hands.
+   */
+  joints: number[];
+  /**
+   * The wrist position relative to the start of the gesture, in the viewer's
+   * space.
+   */
+  position: number[];
+};
+
+/**
+ * The serializable form of a `GestureTemplate`.
+ */
+export type GestureTemplateData = {
+  name: string;
+  type: GestureTemplateType;
+  /** The hand the template applies to, or both if unset. */
+  hand?: GestureHandedness;
+  /**
+   * The largest distance from the template which still matches: the mean
+   * distance between joints for poses, and between the frames aligned by
+   * dynamic time warping for motions.
+   */
+  threshold?: number;
+  frames: GestureTemplateFrame[];
+};
+
+export type GestureTemplateOptions = Pick<
+  GestureTemplateData,
+  'hand' | 'threshold'
+>;
+
+export const DEFAULT_POSE_TEMPLATE_THRESHOLD = 0.15;
+export const DEFAULT_MOTION_TEMPLATE_THRESHOLD = 0.5;
+
+// Motions are compared as this many frames, evenly spaced in time.
+const MOTION_SAMPLES = 16;
+// Motions may be this much faster or slower than their template.
+const MOTION_TIME_SCALES = [0.7, 0.85, 1, 1.2, 1.4];
+
+// Temporary variables.
+const _wristInverse = new THREE.Matrix4();
+const _joint = new THREE.Vector3();
+const _inverseViewer = new THREE.Quaternion();
+
+/**
+ * A hand pose or motion recorded under a name, to be recognized by
+ * `GestureRecognition` like the built-in gestures.
+ */
+export class GestureTemplate {
+  name: string;
+  type: GestureTemplateType;
+  hand?: GestureHandedness;
+  threshold: number;
+  frames: GestureTemplateFrame[];
+  private samples?: GestureTemplateFrame[];
+
+  constructor(data: GestureTemplateData) {
+    if (!data.frames?.length) {
+      throw new Error(`GestureTemplate: '${data.name}' has no frames.`);
+    }
+    this.name = data.name;
+    this.type = data.type;
+    this.hand = data.hand;
+    this.threshold =
+      data.threshold ??
+      (data.type === 'pose'
+        ? DEFAULT_POSE_TEMPLATE_THRESHOLD
+        : DEFAULT_MOTION_TEMPLATE_THRESHOLD);
+    this.frames = data.frames;
+  }
+
+  /** The length of the motion, in seconds. */
+  get duration() {
+    return this.frames[this.frames.length - 1].time;
+  }
+
+  /**
+   * Records the current pose of a hand as a template.
+   * @param name - The name of the gesture.
+   * @param hands - The hands.
+   * @param handedness - The hand to record.
+   * @param options - The hand and threshold of the template.
+   * @returns The template, or undefined if the hand is not tracked.
+   */
+  static fromHandPose(
+    name: string,
+    hands: Hands,
+    handedness: Handedness,
+    options: GestureTemplateOptions = {}
+  ) {
+    const features = getHandFeatures(hands, handedness);
+    if (!features) return undefined;
+    return new GestureTemplate({
+      name,
+      type: 'pose',
+      ...options,
+      frames: [{time: 0, joints: features.joints, position: [0, 0, 0]}],
+    });
+  }
+
+  /**
+   * Creates a template from its JSON form.
+   * @param json - The JSON string or the parsed object.
+   */
+  static fromJSON(json: string | GestureTemplateData) {
+    return new GestureTemplate(
+      typeof json === 'string' ? JSON.parse(json) : json
+    );
+  }
+
+  toJSON(): GestureTemplateData {
+    return {
+      name: this.name,
+      type: this.type,
+      ...(this.hand ? {hand: this.hand} : {}),
+      threshold: this.threshold,
+      frames: this.frames,
+    };
+  }
+
+  /**
+   * Gets the distance of a pose from this template.
+   * @param joints - The joints, as in `GestureTemplateFrame`.
+   */
+  getPoseDistance(joints: number[]) {
+    return getPoseDistance(joints, this.frames[0].joints);
+  }
+
+  /**
+   * Gets the motion resampled to evenly spaced frames.
+   */
+  getSamples() {
+    this.samples ??= resampleFrames(
+      this.frames.map((frame) => frame.time),
+      (i) => this.frames[i].joints,
+      (i) => this.frames[i].position,
+      0,
+      this.duration
+    );
+    return this.samples;
+  }
+}
+
+/**
+ * Gets the joints of a hand relative to its wrist in units of its size.
+ * @param hands - The hands.
+ * @param handedness - The hand.
+ * @returns The joints as in `GestureTemplateFrame`, the world position of the
+ *     wrist and the size of the hand, or undefined if it is not tracked.
+ */
+export function getHandFeatures(hands: Hands, handedness: Handedness) {
+  const wrist = hands.getJoint('wrist', handedness);
+  const middle = hands.getJoint('middle-finger-phalanx-proximal', handedness);
+  if (!wrist || !middle) return undefined;
+  const wristPosition = new THREE.Vector3().setFromMatrixPosition(
+    wrist.matrixWorld
+  );
+  const size = _joint
+    .setFromMatrixPosition(middle.matrixWorld)
+    .distanceTo(wristPosition);
+  if (size < 1e-4) return undefined;
+  _wristInverse.copy(wrist.matrixWorld).invert();
+  const mirror = handedness === Handedness.LEFT ? -1 : 1;
+  const joints: number[] = [];
+  for (const jointName of HAND_JOINT_NAMES) {
+    const joint = hands.getJoint(jointName, handedness);
+    if (joint) {
+      _joint
+        .setFromMatrixPosition(joint.matrixWorld)
+        .applyMatrix4(_wristInverse)
+        .divideScalar(size);
+    } else {
+      _joint.set(0, 0, 0);
+    }
+    joints.push(mirror * _joint.x, _joint.y, _joint.z);
+  }
+  return {joints, wrist: wristPosition, size};
+}
+
+/**
+ * Gets the mean distance between the joints of two poses.
+ */
+export function getPoseDistance(a: number[], b: number[]) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 3) {
+    sum += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1], a[i + 2] - b[i + 2]);
+  }
+  return sum / (a.length / 3);
+}
+
+function getFrameDistance(a: GestureTemplateFrame, b: GestureTemplateFrame) {
+  const [ax, ay, az] = a.position;
+  const [bx, by, bz] = b.position;
+  return (
+    getPoseDistance(a.joints, b.joints) + Math.hypot(ax - bx, ay - by, az - bz)
+  );
+}
+
+/**
+ * Gets the distance between two sequences after aligning them in time by
+ * dynamic time warping, as the mean distance per element of `a`.
+ * @param a - The first sequence.
+ * @param b - The second sequence.
+ * @param distance - The distance between two elements.
+ */
+export function dynamicTimeWarping<T>(
+  a: T[],
+  b: T[],
+  distance: (a: T, b: T) => number
+) {
+  const n = a.length;
+  const m = b.length;
+  if (!n || !m) return Infinity;
+  let previous = new Array<number>(m).fill(Infinity);
+  let current = new Array<number>(m);
+  for (let i = 0; i < n; ++i) {
+    for (let j = 0; j < m; ++j) {
+      const best =
+        i == 0 && j == 0
+          ? 0
+          : Math.min(
+              previous[j],
+              j > 0 ? current[j - 1] : Infinity,
+              j > 0 ? previous[j - 1] : Infinity
+            );
+      current[j] = best + distance(a[i], b[j]);
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[m - 1] / n;
+}
+
+/**
+ * Resamples frames at evenly spaced times by linear interpolation.
+ */
+function resampleFrames(
+  times: number[],
+  getJoints: (index: number) => number[],
+  getPosition: (index: number) => number[],
+  start: number,
+  end: number
+) {
+  const samples: GestureTemplateFrame[] = [];
+  let index = 0;
+  for (let s = 0; s < MOTION_SAMPLES; ++s) {
+    const time = start + ((end - start) * s) / (MOTION_SAMPLES - 1);
+    while (index < times.length - 2 && times[index + 1] < time) ++index;
+    const next = Math.min(index + 1, times.length - 1);
+    const span = times[next] - times[index];
+    const t =
+      span > 0 ? THREE.MathUtils.clamp((time - times[index]) / span, 0, 1) : 0;
+    const lerp = (a: number[], b: number[]) =>
+      a.map((value, i) => value + (b[i] - value) * t);
+    samples.push({
+      time: time - start,
+      joints: lerp(getJoints(index), getJoints(next)),
+      position: lerp(getPosition(index), getPosition(next)),
+    });
+  }
+  return samples;
+}
+
+type LiveFrame = {
+  time: number;
+  joints: number[];
+  wrist: THREE.Vector3;
+};
+
+/**
+ * Matches the poses and recent motion of one hand against gesture templates.
+ */
+export class GestureTemplateMatcher {
+  private frames: LiveFrame[] = [];
+
+  /** Forgets all motion, e.g. when the hand is lost. */
+  reset() {
+    this.frames.length = 0;
+  }
+
+  /**
+   * Records the current frame and matches it against the templates.
+   * @param context - The hand and viewer.
+   * @param templates - The templates to match.
+   * @returns The matching templates by name, with their distance in `data`.
+   */
+  update(context: TemporalHandContext, templates: Iterable<GestureTemplate>) {
+    const results = new Map<string, GestureDetectionResult>();
+    const features = getHandFeatures(context.hands, context.handedness);
+    if (!features) {
+      this.reset();
+      return results;
+    }
+    const frames = this.frames;
+    frames.push({time: context.time, ...features});
+    let longest = 0;
+    const hand = context.handedness === Handedness.LEFT ? 'left' : 'right';
+    for (const template of templates) {
+      if (template.hand && template.hand !== hand) continue;
+      let distance: number;
+      if (template.type === 'pose') {
+        distance = template.getPoseDistance(features.joints);
+      } else {
+        longest = Math.max(longest, template.duration);
+        distance = this.getMotionDistance(context, template, features.size);
+      }
+      if (distance > template.threshold) continue;
+      results.set(template.name, {
+        confidence: 1 - distance / template.threshold,
+        data: {distance},
+      });
+    }
+    // Keeps enough frames for the slowest match of the longest motion.
+    const maxAge = longest * MOTION_TIME_SCALES[MOTION_TIME_SCALES.length - 1];
+    while (frames.length > 1 && context.time - frames[1].time > maxAge) {
+      frames.shift();
+    }
+    return results;
+  }
+
+  private getMotionDistance(
+    context: TemporalHandContext,
+    template: GestureTemplate,
+    size: number
+  ) {
+    const frames = this.frames;
+    const end = context.time;
+    const times = frames.map((frame) => frame.time);
+    _inverseViewer.copy(context.viewerQuaternion).invert();
+    const positions = frames.map((frame) =>
+      _joint
+        .subVectors(frame.wrist, frames[0].wrist)
+        .applyQuaternion(_inverseViewer)
+        .divideScalar(size)
+        .toArray()
+    );
+    let best = Infinity;
+    for (const scale of MOTION_TIME_SCALES) {
+      const start = end - template.duration * scale;
+      // Allows for a frame of slack.
+      if (times[0] > start + 0.05) continue;
+      const samples = resampleFrames(
+        times,
+        (i) => frames[i].joints,
+        (i) => positions[i],
+        start,
+        end
+      );
+      // Positions are relative to the start of the window.
+      const [x0, y0, z0] = samples[0].position;
+      for (const sample of samples) {
+        sample.position[0] -= x0;
+        sample.position[1] -= y0;
+        sample.position[2] -= z0;
+      }
+      best = Math.min(
+        best,
+        dynamicTimeWarping(template.getSamples(), samples, getFrameDistance)
+      );
+    }
+    return best;
+  }
+}
+
+/**
+ * Records the motion of a hand into a template.
+ */
+export class GestureTemplateRecorder {
+  private frames: GestureTemplateFrame[] = [];
+  private startTime?: number;
+  private startWrist = new THREE.Vector3();
+
+  /**
+   * @param name - The name of the gesture.
+   * @param handedness - The hand to record.
+   * @param options - The hand and threshold of the template.
+   */
+  constructor(
+    readonly name: string,
+    readonly handedness: Handedness,
+    readonly options: GestureTemplateOptions = {}
+  ) {}
+
+  /**
+   * Records the current frame. Frames while the hand is not tracked are
+   * skipped.
+   * @param context - The hand and viewer.
+   */
+  update(context: TemporalHandContext) {
+    if (context.handedness !== this.handedness) return;
+    const features = getHandFeatures(context.hands, context.handedness);
+    if (!features) return;
+    if (this.startTime === undefined) {
+      this.startTime = context.time;
+      this.startWrist.copy(features.wrist);
+    }
+    const time = context.time - this.startTime;
+    const previous = this.frames[this.frames.length - 1];
+    if (previous && time <= previous.time) return;
+    const position = features.wrist
+      .sub(this.startWrist)
+      .applyQuaternion(_inverseViewer.copy(context.viewerQuaternion).invert())
+      .divideScalar(features.size);
+    this.frames.push({
+      time,
+      joints: features.joints,
+      position: position.toArray(),
+    });
+  }
+
+  /**
+   * Finishes recording.
+   * @returns The template, or undefined if less than two frames were
+   *     recorded.
+   */
+  finish() {
+    if (this.frames.length < 2) return undefined;
+    return new GestureTemplate({
+      name: this.name,
+      type: 'motion',
+      ...this.options,
+      frames: this.frames,
+    });
+  }
+}
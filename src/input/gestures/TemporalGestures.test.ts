@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import {describe, expect, it} from 'vitest';
+
+import {SimulatorControllerState} from '../../simulator/SimulatorControllerState';
+import {
+  SimulatorGestureName,
+  SimulatorGestures,
+} from '../../simulator/SimulatorGestures';
+import type {SimulatorHands} from '../../simulator/SimulatorHands';
+import {HAND_JOINT_NAMES} from '../components/HandJointNames.js';
+import {Handedness, Hands} from '../Hands';
+import {TemporalGestureName} from './GestureRecognitionOptions';
+import {GestureDetectionResult} from './GestureTypes';
+import {TemporalGestureRecognizer} from './TemporalGestures';
+
+const FRAME_TIME = 1 / 60;
+
+const ALL_GESTURES = Object.fromEntries(
+  (
+    [
+      'swipe',
+      'wave',
+      'circle',
+      'double-pinch',
+      'pinch-and-drag',
+      'palm-flip',
+    ] as TemporalGestureName[]
+  ).map((name) => [name, {enabled: true}])
+);
+
+/** A right hand with the index tip 0.1 in front of the wrist. */
+function createHands() {
+  const createHand = () => {
+    const hand = new THREE.Group() as unknown as THREE.XRHandSpace;
+    const joints: Record<string, THREE.Group> = {};
+    for (const name of HAND_JOINT_NAMES) {
+      joints[name] = new THREE.Group();
+      hand.add(joints[name]);
+    }
+    hand.joints = joints as unknown as THREE.XRHandSpace['joints'];
+    return hand;
+  };
+  const left = createHand();
+  const right = createHand();
+  left.visible = false;
+  right.joints['middle-finger-metacarpal']!.position.set(0, 0, -0.03);
+  right.joints['middle-finger-phalanx-proximal']!.position.set(0, 0, -0.09);
+  right.joints['middle-finger-tip']!.position.set(0, 0, -0.18);
+  right.joints['index-finger-tip']!.position.set(0, 0, -0.1);
+  setPinching(right, false);
+  return {hands: new Hands([left, right]), hand: right};
+}
+
+function setPinching(hand: THREE.XRHandSpace, pinching: boolean) {
+  hand.joints['thumb-tip']!.position.set(pinching ? 0.01 : 0.08, 0, -0.1);
+}
+
+/**
+ * Runs a recognizer for a number of frames, moving the hand in `step`.
+ * @returns The gestures recognized in each frame.
+ */
+function run(
+  frames: number,
+  step: (time: number, hand: THREE.XRHandSpace) => void,
+  viewerQuaternion = new THREE.Quaternion()
+) {
+  const {hands, hand} = createHands();
+  const recognizer = new TemporalGestureRecognizer();
+  const results: Map<TemporalGestureName, GestureDetectionResult>[] = [];
+  for (let frame = 0; frame < frames; ++frame) {
+    const time = frame * FRAME_TIME;
+    step(time, hand);
+    hands.update(time);
+    results.push(
+      recognizer.update(
+        {handedness: Handedness.RIGHT, hands, time, viewerQuaternion},
+        ALL_GESTURES
+      )
+    );
+  }
+  return results;
+}
+
+function find(
+  results: Map<TemporalGestureName, GestureDetectionResult>[],
+  name: TemporalGestureName
+) {
+  return results.filter((result) => result.has(name)).map((r) => r.get(name)!);
+}
+
+describe('TemporalGestureRecognizer', () => {
+  it('recognizes swipes relative to the viewer once per swipe', () => {
+    const swipe = (time: number, hand: THREE.XRHandSpace) => {
+      hand.position.x = -1.5 * Math.min(time, 0.2);
+    };
+    const swipes = find(run(40, swipe), 'swipe');
+    expect(swipes.length).toBe(1);
+    expect(swipes[0].data).toMatchObject({direction: 'left'});
+    expect(swipes[0].data!.speed).toBeCloseTo(1.5);
+
+    // Facing the other way, the same motion goes to the right.
+    const turned = new THREE.Quaternion().setFromAxisAngle(
+      new THREE.Vector3(0, 1, 0),
+      Math.PI
+    );
+    expect(find(run(40, swipe, turned), 'swipe')[0].data).toMatchObject({
+      direction: 'right',
+    });
+  });
+
+  it('recognizes waves and circles', () => {
+    const waves = find(
+      run(90, (time, hand) => {
+        hand.rotation.y = 0.5 * Math.sin(4 * Math.PI * time);
+      }),
+      'wave'
+    );
+    expect(waves.length).toBeGreaterThan(0);
+    expect(waves[0].data!.frequency).toBeCloseTo(2, 0);
+
+    const circles = run(90, (time, hand) => {
+      const angle = -2 * Math.PI * time;
+      hand.position.set(0.1 * Math.cos(angle), 0.1 * Math.sin(angle), 0);
+    });
+    expect(find(circles, 'circle')[0].data).toMatchObject({
+      direction: 'clockwise',
+    });
+    expect(find(circles, 'wave')).toEqual([]);
+  });
+
+  it('recognizes double pinches and pinch-and-drag', () => {
+    const pinches = run(40, (time, hand) => {
+      setPinching(hand, time < 0.1 || (time > 0.2 && time < 0.3));
+    });
+    expect(find(pinches, 'double-pinch').length).toBe(1);
+
+    const drags = find(
+      run(40, (time, hand) => {
+        setPinching(hand, true);
+        hand.position.y = Math.max(0, time - 0.1) * 0.5;
+      }),
+      'pinch-and-drag'
+    );
+    expect(drags[0].data).toMatchObject({direction: 'up'});
+    expect(drags[drags.length - 1].data!.distance).toBeCloseTo(0.275);
+    expect(drags[drags.length - 1].data!.speed).toBeCloseTo(0.5);
+  });
+
+  it('recognizes palm flips', () => {
+    const flips = find(
+      run(40, (time, hand) => {
+        hand.rotation.z = Math.PI * Math.min(time / 0.3, 1);
+      }),
+      'palm-flip'
+    );
+    expect(flips.length).toBe(1);
+    expect(flips[0].data).toMatchObject({direction: 'up'});
+  });
+});
+
+describe('SimulatorGestures', () => {
+  const simulatedGestures: [SimulatorGestureName, TemporalGestureName][] = [
+    ['swipe-up', 'swipe'],
+    ['wave', 'wave'],
+    ['circle-counterclockwise', 'circle'],
+    ['palm-flip', 'palm-flip'],
+  ];
+  it.each(simulatedGestures)('plays %s as a %s', (simulated, expected) => {
+    const state = new SimulatorControllerState();
+    state.currentControllerIndex = 1;
+    const gestures = new SimulatorGestures(
+      state,
+      {} as unknown as SimulatorHands
+    );
+    gestures.play(simulated);
+    const results = run(120, (time, hand) => {
+      gestures.update(time);
+      hand.position.copy(state.localControllerPositions[1]);
+      hand.quaternion.copy(state.localControllerOrientations[1]);
+    });
+    expect(find(results, expected).length).toBeGreaterThan(0);
+    expect(gestures.current).toBeUndefined();
+  });
+});
@@ -0,0 +1,371 @@
+import * as THREE from 'three';
+
+import {HandJointName} from '../HandJointHistory';
+import {Handedness, Hands, PalmPose} from '../Hands';
+import {
+  GestureConfiguration,
+  TemporalGestureName,
+} from './GestureRecognitionOptions';
+import {GestureDetectionResult} from './GestureTypes';
+
+export const TEMPORAL_GESTURE_NAMES: readonly TemporalGestureName[] = [
+  'swipe',
+  'wave',
+  'circle',
+  'double-pinch',
+  'pinch-and-drag',
+  'palm-flip',
+];
+
+/** Directions relative to the viewer. */
+export type GestureDirection =
+  | 'left'
+  | 'right'
+  | 'up'
+  | 'down'
+  | 'forward'
+  | 'back';
+
+// Swipes: a fast, straight movement of the palm.
+const SWIPE_SPEED = 0.8;
+const SWIPE_STRAIGHTNESS = 0.7;
+const SWIPE_WINDOW = 0.1;
+const SWIPE_COOLDOWN = 0.5;
+// Waves: the fingers swinging sideways at least three times.
+const WAVE_SPEED = 0.25;
+const WAVE_REVERSALS = 3;
+const WAVE_WINDOW = 1.5;
+// Circles: the index tip turning by a full turn without stopping.
+const CIRCLE_SPEED = 0.15;
+const CIRCLE_PAUSE = 0.3;
+const CIRCLE_MAX_STEP = Math.PI / 2;
+// Pinches, with hysteresis.
+const PINCH_START_STRENGTH = 0.8;
+const PINCH_END_STRENGTH = 0.5;
+const DOUBLE_PINCH_INTERVAL = 0.5;
+const PINCH_DRAG_DISTANCE = 0.03;
+// Palm flips: the palm turning over quickly.
+const PALM_FLIP_ANGLE = (140 * Math.PI) / 180;
+const PALM_FLIP_WINDOW = 0.6;
+const PALM_FLIP_COOLDOWN = 0.8;
+
+const VELOCITY_WINDOW = 0.05;
+
+// Temporary variables.
+const _velocity = new THREE.Vector3();
+const _viewVelocity = new THREE.Vector3();
+const _inverseViewer = new THREE.Quaternion();
+const _position = new THREE.Vector3();
+const _direction = new THREE.Vector2();
+const _palm: PalmPose = {
+  position: new THREE.Vector3(),
+  quaternion: new THREE.Quaternion(),
+  normal: new THREE.Vector3(),
+};
+
+type PalmNormalSample = {time: number; normal: THREE.Vector3};
+
+/**
+ * Everything temporal gestures are recognized from: the motion history of a
+ * hand and the orientation of the viewer, to tell left from right.
+ */
+export type TemporalHandContext = {
+  handedness: Handedness;
+  hands: Hands;
+  /** The current time, in seconds. */
+  time: number;
+  /** The world orientation of the viewer. */
+  viewerQuaternion: THREE.Quaternion;
+};
+
+/**
+ * Gets the axis of the viewer along which a vector mostly points.
+ * @param vector - A vector in the viewer's space.
+ */
+export function getGestureDirection(vector: THREE.Vector3): GestureDirection {
+  const x = Math.abs(vector.x);
+  const y = Math.abs(vector.y);
+  const z = Math.abs(vector.z);
+  if (x >= y && x >= z) return vector.x < 0 ? 'left' : 'right';
+  if (y >= z) return vector.y < 0 ? 'down' : 'up';
+  return vector.z < 0 ? 'forward' : 'back';
+}
+
+/**
+ * Recognizes gestures made of motion over time, e.g. swipes and waves, for one
+ * hand. Unlike poses, they need state between frames, so there is one
+ * recognizer per hand, updated every frame. Gestures which happen at an
+ * instant, such as swipes, are reported in a single update.
+ */
+export class TemporalGestureRecognizer {
+  private swipeCooldownUntil = 0;
+  private waveSign = 0;
+  private waveReversals: number[] = [];
+  // The last direction of the fingertip, zero when not circling.
+  private circleDirection = new THREE.Vector2();
+  private circleAngle = 0;
+  private circleLastMoving = 0;
+  private pinching = false;
+  private lastPinchStart = -Infinity;
+  private pinchStart = new THREE.Vector3();
+  private palmNormals: PalmNormalSample[] = [];
+  // Samples which left the window, reused for new ones.
+  private unusedPalmNormals: PalmNormalSample[] = [];
+  private palmFlipCooldownUntil = 0;
+
+  /** Forgets all motion, e.g. when the hand is lost. */
+  reset() {
+    this.swipeCooldownUntil = 0;
+    this.waveSign = 0;
+    this.waveReversals.length = 0;
+    this.resetCircle();
+    this.pinching = false;
+    this.lastPinchStart = -Infinity;
+    this.clearPalmNormals();
+    this.palmFlipCooldownUntil = 0;
+  }
+
+  /**
+   * Updates the recognizer with the latest motion of the hand.
+   * @param context - The hand and viewer.
+   * @param gestures - The configuration of the gestures to recognize.
+   * @returns The gestures recognized in this update.
+   */
+  update(
+    context: TemporalHandContext,
+    gestures: Partial<Record<TemporalGestureName, GestureConfiguration>>
+  ) {
+    const results = new Map<TemporalGestureName, GestureDetectionResult>();
+    _inverseViewer.copy(context.viewerQuaternion).invert();
+    const pinchStarted = this.updatePinch(context);
+    const detectors: Record<
+      TemporalGestureName,
+      (config: GestureConfiguration) => GestureDetectionResult | undefined
+    > = {
+      swipe: (config) => this.detectSwipe(context, config),
+      wave: () => this.detectWave(context),
+      circle: () => this.detectCircle(context),
+      'double-pinch': () => this.detectDoublePinch(context, pinchStarted),
+      'pinch-and-drag': (config) => this.detectPinchAndDrag(context, config),
+      'palm-flip': () => this.detectPalmFlip(context),
+    };
+    for (const name of TEMPORAL_GESTURE_NAMES) {
+      const config = gestures[name];
+      if (!config?.enabled) continue;
+      const result = detectors[name](config);
+      if (result) results.set(name, result);
+    }
+    if (pinchStarted) this.lastPinchStart = context.time;
+    return results;
+  }
+
+  private updatePinch({hands, handedness}: TemporalHandContext) {
+    const strength = hands.getPinchStrength(handedness);
+    const wasPinching = this.pinching;
+    if (strength >= PINCH_START_STRENGTH) {
+      this.pinching = true;
+    } else if (strength < PINCH_END_STRENGTH) {
+      this.pinching = false;
+    }
+    const started = this.pinching && !wasPinching;
+    if (started) {
+      this.getJointPosition(hands, handedness, 'index-finger-tip');
+      this.pinchStart.copy(_position);
+    }
+    return started;
+  }
+
+  private getJointPosition(
+    hands: Hands,
+    handedness: Handedness,
+    jointName: HandJointName
+  ) {
+    const joint = hands.getJoint(jointName, handedness);
+    return joint
+      ? _position.setFromMatrixPosition(joint.matrixWorld)
+      : undefined;
+  }
+
+  /**
+   * Gets the velocity of a joint in the viewer's space.
+   */
+  private getViewVelocity(
+    {hands, handedness}: TemporalHandContext,
+    jointName: HandJointName,
+    window = VELOCITY_WINDOW
+  ) {
+    const velocity = hands
+      .getHistory(handedness)
+      .getVelocity(jointName, _velocity, window);
+    return velocity
+      ? _viewVelocity.copy(velocity).applyQuaternion(_inverseViewer)
+      : undefined;
+  }
+
+  private detectSwipe(
+    context: TemporalHandContext,
+    config: GestureConfiguration
+  ) {
+    if (this.pinching || context.time < this.swipeCooldownUntil) return;
+    const velocity = this.getViewVelocity(
+      context,
+      'middle-finger-metacarpal',
+      SWIPE_WINDOW
+    );
+    if (!velocity) return;
+    const speed = velocity.length();
+    if (speed < (config.threshold ?? SWIPE_SPEED)) return;
+    const along = Math.max(Math.abs(velocity.x), Math.abs(velocity.y));
+    const straightness = along / speed;
+    if (straightness < SWIPE_STRAIGHTNESS) return;
+    this.swipeCooldownUntil = context.time + SWIPE_COOLDOWN;
+    velocity.z = 0;
+    return {
+      confidence: straightness,
+      data: {direction: getGestureDirection(velocity), speed},
+    };
+  }
+
+  private detectWave(context: TemporalHandContext) {
+    const velocity = this.getViewVelocity(context, 'middle-finger-tip');
+    const reversals = this.waveReversals;
+    if (velocity && Math.abs(velocity.x) > WAVE_SPEED) {
+      const sign = Math.sign(velocity.x);
+      if (this.waveSign !== 0 && sign !== this.waveSign) {
+        reversals.push(context.time);
+      }
+      this.waveSign = sign;
+    }
+    while (reversals.length && context.time - reversals[0] > WAVE_WINDOW) {
+      reversals.shift();
+    }
+    if (reversals.length < WAVE_REVERSALS) return;
+    const duration = reversals[reversals.length - 1] - reversals[0];
+    return {
+      confidence: Math.min(1, reversals.length / (WAVE_REVERSALS + 1)),
+      data: {
+        speed: velocity ? Math.abs(velocity.x) : 0,
+        frequency: duration > 0 ? (reversals.length - 1) / (2 * duration) : 0,
+      },
+    };
+  }
+
+  private resetCircle() {
+    this.circleDirection.set(0, 0);
+    this.circleAngle = 0;
+  }
+
+  private detectCircle(context: TemporalHandContext) {
+    const velocity = this.getViewVelocity(context, 'index-finger-tip');
+    const speed = velocity ? Math.hypot(velocity.x, velocity.y) : 0;
+    if (!velocity || speed < CIRCLE_SPEED) {
+      if (context.time - this.circleLastMoving > CIRCLE_PAUSE) {
+        this.resetCircle();
+      }
+    } else {
+      this.circleLastMoving = context.time;
+      const direction = _direction
+        .set(velocity.x, velocity.y)
+        .divideScalar(speed);
+      if (this.circleDirection.lengthSq() > 0) {
+        const delta = Math.atan2(
+          this.circleDirection.cross(direction),
+          this.circleDirection.dot(direction)
+        );
+        // Turning back, or reversing as when waving, starts a new circle.
+        if (
+          Math.abs(delta) > CIRCLE_MAX_STEP ||
+          (delta * this.circleAngle < 0 && Math.abs(this.circleAngle) > 0.5)
+        ) {
+          this.circleAngle = 0;
+        } else {
+          this.circleAngle += delta;
+        }
+      }
+      this.circleDirection.copy(direction);
+    }
+    const turns = Math.abs(this.circleAngle) / (2 * Math.PI);
+    if (turns < 1) return;
+    return {
+      confidence: 1,
+      data: {
+        direction: this.circleAngle > 0 ? 'counterclockwise' : 'clockwise',
+        speed,
+        turns,
+      },
+    };
+  }
+
+  private detectDoublePinch(
+    context: TemporalHandContext,
+    pinchStarted: boolean
+  ) {
+    if (!pinchStarted) return;
+    const interval = context.time - this.lastPinchStart;
+    if (interval > DOUBLE_PINCH_INTERVAL) return;
+    // A third pinch starts a new double pinch.
+    this.lastPinchStart = -Infinity;
+    return {confidence: 1, data: {interval}};
+  }
+
+  private detectPinchAndDrag(
+    context: TemporalHandContext,
+    config: GestureConfiguration
+  ) {
+    if (!this.pinching) return;
+    const position = this.getJointPosition(
+      context.hands,
+      context.handedness,
+      'index-finger-tip'
+    );
+    if (!position) return;
+    const delta = position.sub(this.pinchStart);
+    const distance = delta.length();
+    if (distance < (config.threshold ?? PINCH_DRAG_DISTANCE)) return;
+    const velocity = this.getViewVelocity(context, 'index-finger-tip');
+    const data = {
+      delta: delta.toArray(),
+      distance,
+      direction: getGestureDirection(delta.applyQuaternion(_inverseViewer)),
+      speed: velocity?.length() ?? 0,
+    };
+    return {confidence: 1, data};
+  }
+
+  private clearPalmNormals() {
+    this.unusedPalmNormals.push(...this.palmNormals);
+    this.palmNormals.length = 0;
+  }
+
+  private detectPalmFlip(context: TemporalHandContext) {
+    const palm = context.hands.getPalmPose(context.handedness, _palm);
+    const normals = this.palmNormals;
+    if (!palm) {
+      this.clearPalmNormals();
+      return;
+    }
+    const time = context.time;
+    while (normals.length && time - normals[0].time > PALM_FLIP_WINDOW) {
+      this.unusedPalmNormals.push(normals.shift()!);
+    }
+    const sample = this.unusedPalmNormals.pop() ?? {
+      time,
+      normal: new THREE.Vector3(),
+    };
+    sample.time = time;
+    sample.normal.copy(palm.normal);
+    normals.push(sample);
+    if (time < this.palmFlipCooldownUntil) return;
+    const oldest = normals[0];
+    const angle = oldest.normal.angleTo(palm.normal);
+    if (angle < PALM_FLIP_ANGLE) return;
+    this.palmFlipCooldownUntil = time + PALM_FLIP_COOLDOWN;
+    const speed = angle / Math.max(time - oldest.time, 1e-3);
+    this.clearPalmNormals();
+    const facing = palm.normal.applyQuaternion(_inverseViewer);
+    return {
+      confidence: 1,
+      data: {direction: getGestureDirection(facing), speed},
+    };
+  }
+}
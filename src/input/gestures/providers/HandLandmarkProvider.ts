@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+
+import {HAND_JOINT_NAMES} from '../../components/HandJointNames.js';
+import {HandLabel} from '../GestureTypes';
+
+/** A point of a hand in a camera frame. */
+export type HandLandmark = {x: number; y: number; z: number};
+
+/**
+ * A hand detected in a camera frame, with the 21 landmarks of the MediaPipe
+ * hand model: the wrist, then four per finger from the thumb to the pinky.
+ */
+export type DetectedHand = {
+  /**
+   * The hand as labelled by the model, which assumes a mirrored (selfie)
+   * image. On an unmirrored camera frame, 'left' is the user's right hand.
+   */
+  handedness: HandLabel;
+  /** The confidence of the detection, from 0 to 1. */
+  score: number;
+  /**
+   * The landmarks in the image, with x and y from 0 to 1 across its width and
+   * height from the top left.
+   */
+  landmarks: HandLandmark[];
+  /**
+   * The landmarks in meters around the center of the hand, with x to the
+   * right, y down and z away from the camera.
+   */
+  worldLandmarks: HandLandmark[];
+};
+
+/** A frame hands can be detected in. */
+export type HandLandmarkSource =
+  | HTMLVideoElement
+  | HTMLCanvasElement
+  | HTMLImageElement
+  | ImageBitmap;
+
+/**
+ * A hand landmark model, e.g. MediaPipe or TensorFlow.js, which detects hands
+ * in camera frames. Implement it to plug another model into
+ * `GestureRecognition.setHandLandmarkProvider()`.
+ */
+export interface HandLandmarkProvider {
+  /** Loads the model. */
+  init(): Promise<void>;
+  /**
+   * Detects the hands in a frame.
+   * @param source - The frame.
+   * @param timestamp - The time of the frame in milliseconds, increasing.
+   */
+  detect(
+    source: HandLandmarkSource,
+    timestamp: number
+  ): Promise<DetectedHand[]> | DetectedHand[];
+  /** Releases the model. */
+  dispose(): void;
+}
+
+/**
+ * The WebXR joint of each landmark. Landmarks 0, 5, 9, 13 and 17 are the
+ * wrist and the knuckles; the finger metacarpals have no landmark.
+ */
+export const HAND_LANDMARK_JOINTS: readonly XRHandJoint[] = [
+  'wrist',
+  'thumb-metacarpal',
+  'thumb-phalanx-proximal',
+  'thumb-phalanx-distal',
+  'thumb-tip',
+  ...(['index', 'middle', 'ring', 'pinky'] as const).flatMap(
+    (finger) =>
+      [
+        `${finger}-finger-phalanx-proximal`,
+        `${finger}-finger-phalanx-intermediate`,
+        `${finger}-finger-phalanx-distal`,
+        `${finger}-finger-tip`,
+      ] as XRHandJoint[]
+  ),
+];
+
+/** How far from the wrist to its knuckle the metacarpal joints are. */
+const METACARPAL_FRACTION = 0.3;
+
+const _wrist = new THREE.Vector3();
+const _across = new THREE.Vector3();
+const _back = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _side = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+
+export type HandJointPose = {
+  position: THREE.Vector3;
+  quaternion: THREE.Quaternion;
+};
+
+export type HandJointPoses = Map<XRHandJoint, HandJointPose>;
+
+/**
+ * Converts the landmarks of a hand to the poses of the 25 WebXR hand joints,
+ * in meters in the space of the camera which took the frame.
+ * @param hand - The detected hand.
+ * @param handLabel - The hand, after correcting the model's label.
+ * @param wristPosition - Where to put the wrist, in the camera's space.
+ * @param mirror - Whether to turn the hand around the camera's up axis, so that
+ *     a hand facing a user-facing camera faces away from the user.
+ * @param target - The poses to write to.
+ */
+export function getHandJointPoses(
+  hand: DetectedHand,
+  handLabel: HandLabel,
+  wristPosition: THREE.Vector3,
+  mirror: boolean,
+  target: HandJointPoses = new Map()
+) {
+  const sign = mirror ? -1 : 1;
+  const world = hand.worldLandmarks;
+  _wrist.set(world[0].x, world[0].y, world[0].z);
+  const pose = (name: XRHandJoint) => {
+    let jointPose = target.get(name);
+    if (!jointPose) {
+      jointPose = {
+        position: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+      };
+      target.set(name, jointPose);
+    }
+    return jointPose;
+  };
+  HAND_LANDMARK_JOINTS.forEach((name, index) => {
+    const landmark = world[index];
+    // The camera's y points down and z away, unlike three.js.
+    pose(name).position.set(
+      sign * (landmark.x - _wrist.x),
+      _wrist.y - landmark.y,
+      sign * (_wrist.z - landmark.z)
+    );
+  });
+  for (const finger of ['index', 'middle', 'ring', 'pinky']) {
+    pose(`${finger}-finger-metacarpal` as XRHandJoint).position.lerpVectors(
+      pose('wrist').position,
+      pose(`${finger}-finger-phalanx-proximal` as XRHandJoint).position,
+      METACARPAL_FRACTION
+    );
+  }
+
+  // The back of the hand, from the knuckles of the index and pinky fingers.
+  _across
+    .copy(pose('pinky-finger-phalanx-proximal').position)
+    .sub(pose('index-finger-phalanx-proximal').position);
+  _forward.copy(pose('middle-finger-phalanx-proximal').position);
+  _back.crossVectors(_across, _forward).normalize();
+  if (handLabel === 'left') _back.negate();
+
+  // Joints point -z along their bone and -y into the palm.
+  for (let i = 0; i < HAND_JOINT_NAMES.length; ++i) {
+    const name = HAND_JOINT_NAMES[i];
+    const isTip = name.endsWith('tip');
+    const next =
+      name === 'wrist'
+        ? 'middle-finger-phalanx-proximal'
+        : HAND_JOINT_NAMES[i + 1];
+    const from = pose(isTip ? HAND_JOINT_NAMES[i - 1] : name).position;
+    const to = pose(isTip ? name : next).position;
+    _forward.subVectors(from, to).normalize();
+    _side.crossVectors(_back, _forward).normalize();
+    const up = _across.crossVectors(_forward, _side);
+    _matrix.makeBasis(_side, up, _forward);
+    pose(name).quaternion.setFromRotationMatrix(_matrix);
+  }
+
+  for (const jointPose of target.values()) {
+    jointPose.position.add(wristPosition);
+  }
+  return target;
+}
@@ -0,0 +1,89 @@
+import {HandLabel} from '../GestureTypes';
+import {
+  DetectedHand,
+  HandLandmark,
+  HandLandmarkProvider,
+  HandLandmarkSource,
+} from './HandLandmarkProvider';
+
+export type MediaPipeHandLandmarkOptions = {
+  /** The URL of the `@mediapipe/tasks-vision` module. */
+  moduleUrl: string;
+  /** The URL of the folder with the wasm files of the module. */
+  wasmPath: string;
+  /** The URL of the `hand_landmarker.task` model. */
+  modelAssetPath: string;
+  delegate: 'GPU' | 'CPU';
+  numHands: number;
+  minHandDetectionConfidence: number;
+};
+
+// The parts of `@mediapipe/tasks-vision` used here.
+type HandLandmarkerResult = {
+  landmarks: HandLandmark[][];
+  worldLandmarks: HandLandmark[][];
+  handedness: {categoryName: string; score: number}[][];
+};
+
+type HandLandmarker = {
+  detectForVideo(
+    source: HandLandmarkSource,
+    timestamp: number
+  ): HandLandmarkerResult;
+  close(): void;
+};
+
+type TasksVisionModule = {
+  FilesetResolver: {forVisionTasks(wasmPath: string): Promise<unknown>};
+  HandLandmarker: {
+    createFromOptions(
+      fileset: unknown,
+      options: Record<string, unknown>
+    ): Promise<HandLandmarker>;
+  };
+};
+
+/**
+ * Detects hands with the MediaPipe hand landmarker, loaded at runtime from
+ * `options.moduleUrl` so that it is only downloaded when used.
+ */
+export class MediaPipeHandLandmarkProvider implements HandLandmarkProvider {
+  private landmarker?: HandLandmarker;
+
+  constructor(private options: MediaPipeHandLandmarkOptions) {}
+
+  async init() {
+    const {FilesetResolver, HandLandmarker} = (await import(
+      /* @vite-ignore */ this.options.moduleUrl
+    )) as TasksVisionModule;
+    const fileset = await FilesetResolver.forVisionTasks(this.options.wasmPath);
+    this.landmarker = await HandLandmarker.createFromOptions(fileset, {
+      baseOptions: {
+        modelAssetPath: this.options.modelAssetPath,
+        delegate: this.options.delegate,
+      },
+      runningMode: 'VIDEO',
+      numHands: this.options.numHands,
+      minHandDetectionConfidence: this.options.minHandDetectionConfidence,
+    });
+  }
+
+  detect(source: HandLandmarkSource, timestamp: number): DetectedHand[] {
+    if (!this.landmarker) return [];
+    const result = this.landmarker.detectForVideo(source, timestamp);
+    return result.landmarks.map((landmarks, index) => {
+      const category = result.handedness[index]?.[0];
+      return {
+        handedness: category?.categoryName.toLowerCase() as HandLabel,
+        score: category?.score ?? 0,
+        landmarks,
+        worldLandmarks: result.worldLandmarks[index],
+      };
+    });
+  }
+
+  dispose() {
+    this.landmarker?.close();
+    this.landmarker = undefined;
+  }
+}
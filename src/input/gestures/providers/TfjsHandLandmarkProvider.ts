@@ -0,0 +1,108 @@
+import {HandLabel} from '../GestureTypes';
+import {
+  DetectedHand,
+  HandLandmark,
+  HandLandmarkProvider,
+  HandLandmarkSource,
+} from './HandLandmarkProvider';
+
+export type TfjsHandLandmarkOptions = {
+  /** The URL of the `@tensorflow-models/hand-pose-detection` module. */
+  moduleUrl: string;
+  /**
+   * The URLs of the TensorFlow.js modules to load first, e.g. the core,
+   * converter and WebGL backend.
+   */
+  backendModuleUrls: string[];
+  modelType: 'lite' | 'full';
+  /** The URLs of the palm detector and landmark models, to load them locally. */
+  detectorModelUrl?: string;
+  landmarkModelUrl?: string;
+  maxHands: number;
+};
+
+// The parts of `@tensorflow-models/hand-pose-detection` used here.
+type TfjsHand = {
+  keypoints: HandLandmark[];
+  keypoints3D?: HandLandmark[];
+  handedness: 'Left' | 'Right';
+  score: number;
+};
+
+type HandDetector = {
+  estimateHands(
+    source: HandLandmarkSource,
+    config: {flipHorizontal: boolean}
+  ): Promise<TfjsHand[]>;
+  dispose(): void;
+};
+
+type HandPoseDetectionModule = {
+  SupportedModels: {MediaPipeHands: unknown};
+  createDetector(
+    model: unknown,
+    config: Record<string, unknown>
+  ): Promise<HandDetector>;
+};
+
+function getSourceSize(source: HandLandmarkSource) {
+  if (source instanceof HTMLVideoElement) {
+    return {width: source.videoWidth, height: source.videoHeight};
+  }
+  if (source instanceof HTMLImageElement) {
+    return {width: source.naturalWidth, height: source.naturalHeight};
+  }
+  return {width: source.width, height: source.height};
+}
+
+/**
+ * Detects hands with the TensorFlow.js MediaPipe Hands model, loaded at
+ * runtime from `options.moduleUrl` so that it is only downloaded when used.
+ */
+export class TfjsHandLandmarkProvider implements HandLandmarkProvider {
+  private detector?: HandDetector;
+
+  constructor(private options: TfjsHandLandmarkOptions) {}
+
+  async init() {
+    for (const url of this.options.backendModuleUrls) {
+      await import(/* @vite-ignore */ url);
+    }
+    const {SupportedModels, createDetector} = (await import(
+      /* @vite-ignore */ this.options.moduleUrl
+    )) as HandPoseDetectionModule;
+    this.detector = await createDetector(SupportedModels.MediaPipeHands, {
+      runtime: 'tfjs',
+      modelType: this.options.modelType,
+      maxHands: this.options.maxHands,
+      detectorModelUrl: this.options.detectorModelUrl,
+      landmarkModelUrl: this.options.landmarkModelUrl,
+    });
+  }
+
+  async detect(source: HandLandmarkSource): Promise<DetectedHand[]> {
+    if (!this.detector) return [];
+    const hands = await this.detector.estimateHands(source, {
+      flipHorizontal: false,
+    });
+    const {width, height} = getSourceSize(source);
+    return hands
+      .filter((hand) => hand.keypoints3D)
+      .map((hand) => ({
+        handedness: hand.handedness.toLowerCase() as HandLabel,
+        score: hand.score,
+        // Keypoints are in pixels.
+        landmarks: hand.keypoints.map(({x, y}) => ({
+          x: x / width,
+          y: y / height,
+          z: 0,
+        })),
+        worldLandmarks: hand.keypoints3D!,
+      }));
+  }
+
+  dispose() {
+    this.detector?.dispose();
+    this.detector = undefined;
+  }
+}
@@ -188,6 +188,20 @@ export class Lighting {
     }
   }
 
+  /**
+   * Removes the lights from the scene and releases the shadow map. Also clears
+   * the singleton instance so that a new Lighting can be created.
+   */
+  dispose() {
+    this.lightGroup.removeFromParent();
+    this.xrLight?.removeFromParent();
+    this.xrLight = undefined;
+    this.dirLight.shadow.dispose();
+    if (Lighting.instance === this) {
+      Lighting.instance = undefined;
+    }
+  }
+
   /**
    * Logs current estimate light parameters for debugging.
    */
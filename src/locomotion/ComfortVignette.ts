@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+
+/**
+ * Darkens the edges of the view of each eye to reduce motion sickness while
+ * the user moves or turns smoothly. Drawn in clip space on top of the scene,
+ * so it stays fixed to the head without following the camera.
+ */
+export class ComfortVignette extends THREE.Mesh<
+  THREE.PlaneGeometry,
+  THREE.ShaderMaterial
+> {
+  name = 'ComfortVignette';
+  ignoreReticleRaycast = true;
+  renderOrder = 2000;
+  frustumCulled = false;
+
+  constructor() {
+    super(
+      new THREE.PlaneGeometry(2, 2),
+      new THREE.ShaderMaterial({
+        uniforms: {
+          uIntensity: {value: 0.0},
+          uColor: {value: new THREE.Color(0x000000)},
+        },
+        vertexShader: /* glsl */ `
+          varying vec2 vPosition;
+
+          void main() {
+            vPosition = position.xy;
+            gl_Position = vec4(position.xy, 0.0, 1.0);
+          }
+        `,
+        fragmentShader: /* glsl */ `
+          precision mediump float;
+          uniform float uIntensity;
+          uniform vec3 uColor;
+          varying vec2 vPosition;
+
+          void main() {
+            // The clear center shrinks as the intensity grows.
+            float radius = length(vPosition);
+            float inner = mix(1.4, 0.35, uIntensity);
+            float alpha = smoothstep(inner, inner + 0.35, radius);
+            gl_FragColor = vec4(uColor, alpha * step(0.001, uIntensity));
+          }
+        `,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+      })
+    );
+    this.visible = false;
+  }
+
+  /**
+   * How far the vignette closes in, from 0 (hidden) to 1.
+   */
+  get intensity(): number {
+    return this.material.uniforms.uIntensity.value;
+  }
+
+  set intensity(value: number) {
+    this.material.uniforms.uIntensity.value = THREE.MathUtils.clamp(
+      value,
+      0,
+      1
+    );
+    this.visible = value > 0;
+  }
+
+  // Ignore raycasts to the vignette.
+  raycast() {}
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+import {describe, expect, it} from 'vitest';
+
+import {NAVIGABLE_LAYER} from '../constants';
+import {User} from '../core/User';
+import type {Controller} from '../input/Controller';
+import {Input} from '../input/Input';
+import {Locomotion, LocomotionOptions} from './Locomotion';
+
+function createLocomotion(options: LocomotionOptions = {}) {
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera();
+  camera.position.set(0, 1.6, 0);
+  const input = new Input();
+  const right = new THREE.Group() as Controller;
+  right.inputSource = {handedness: 'right'};
+  right.position.set(0.2, 1.2, 0);
+  right.rotation.x = Math.PI / 8;
+  const left = new THREE.Group() as Controller;
+  left.inputSource = {handedness: 'left'};
+  input.controllers.push(left, right);
+  scene.add(right, left);
+  const user = new User();
+  user.init({input, scene, camera, timer: new THREE.Timer()});
+  scene.add(user);
+  const timer = {getDelta: () => 0.5} as THREE.Timer;
+  const locomotion = new Locomotion(options);
+  locomotion.init({
+    user,
+    scene,
+    timer,
+    depth: {} as Parameters<Locomotion['init']>[0]['depth'],
+    world: {} as Parameters<Locomotion['init']>[0]['world'],
+  });
+  scene.add(locomotion);
+  return {locomotion, scene, camera, user, left, right};
+}
+
+function addNavigable(scene: THREE.Scene, geometry: THREE.BufferGeometry) {
+  const mesh = new THREE.Mesh(geometry);
+  mesh.layers.set(NAVIGABLE_LAYER);
+  scene.add(mesh);
+  scene.updateMatrixWorld();
+  return mesh;
+}
+
+describe('Locomotion', () => {
+  it('teleports onto navigable floors with the thumbstick', () => {
+    const {locomotion, scene, camera, user, right} = createLocomotion();
+    addNavigable(
+      scene,
+      new THREE.PlaneGeometry(20, 20).rotateX(-Math.PI / 2).translate(0, 0.5, 0)
+    );
+
+    locomotion.onThumbstick({
+      type: 'thumbstick',
+      target: right,
+      stick: 'thumbstick',
+      x: 0,
+      y: -1,
+    });
+    locomotion.update();
+    expect(locomotion.aiming).toBe(true);
+    locomotion.onThumbstick({
+      type: 'thumbstick',
+      target: right,
+      stick: 'thumbstick',
+      x: 0,
+      y: 0,
+    });
+
+    expect(locomotion.aiming).toBe(false);
+    expect(user.position.y).toBeCloseTo(0.5);
+    expect(user.position.z).toBeLessThan(-3);
+    expect(camera.position.y).toBeCloseTo(2.1);
+    expect(camera.position.z).toBeCloseTo(user.position.z);
+  });
+
+  it('rejects surfaces which are too steep', () => {
+    const {locomotion, scene, user, right} = createLocomotion();
+    addNavigable(scene, new THREE.PlaneGeometry(20, 20).translate(0, 0, -2));
+
+    locomotion.startAiming(right);
+    locomotion.update();
+    locomotion.finishAiming();
+
+    expect(user.position.length()).toBe(0);
+  });
+
+  it('snap turns around the viewer once per push', () => {
+    const {locomotion, camera, user, right} = createLocomotion();
+    camera.position.set(1, 1.6, 0);
+    const push = (x: number) =>
+      locomotion.onThumbstick({
+        type: 'thumbstick',
+        target: right,
+        stick: 'thumbstick',
+        x,
+        y: 0,
+      });
+
+    push(1);
+    locomotion.update();
+    locomotion.update();
+    push(0);
+    locomotion.update();
+    push(1);
+    locomotion.update();
+
+    const euler = new THREE.Euler().setFromQuaternion(user.quaternion, 'YXZ');
+    expect(euler.y).toBeCloseTo(-Math.PI / 2);
+    expect(camera.position.x).toBeCloseTo(1);
+    expect(camera.position.z).toBeCloseTo(0);
+  });
+
+  it('moves where the user looks and shows the vignette', () => {
+    const {locomotion, camera, user, left} = createLocomotion({moveSpeed: 2});
+    camera.rotation.y = Math.PI / 2;
+    camera.updateMatrixWorld();
+
+    locomotion.onThumbstick({
+      type: 'thumbstick',
+      target: left,
+      stick: 'thumbstick',
+      x: 0,
+      y: -1,
+    });
+    locomotion.update();
+
+    expect(user.position.x).toBeCloseTo(-1);
+    expect(camera.position.x).toBeCloseTo(-1);
+    const vignette = locomotion.children.find(
+      (child) => child.name === 'ComfortVignette'
+    );
+    expect(vignette?.visible).toBe(true);
+  });
+});
@@ -0,0 +1,404 @@
+import * as THREE from 'three';
+
+import {NAVIGABLE_LAYER} from '../constants';
+import {Script, ThumbstickEvent} from '../core/Script';
+import {User} from '../core/User';
+import {Depth} from '../depth/Depth';
+import type {ActionEvent, ActionPhase} from '../input/ActionMap';
+import type {Controller} from '../input/Controller';
+import {World} from '../world/World';
+
+import {ComfortVignette} from './ComfortVignette';
+import {TeleportArc} from './TeleportArc';
+
+/**
+ * Surfaces `Locomotion` can teleport onto: horizontal detected planes, the
+ * depth mesh, and objects on `Locomotion.navigableLayer`.
+ */
+export type TeleportTarget = 'planes' | 'depthMesh' | 'layer';
+
+export type TurnMode = 'snap' | 'smooth' | 'none';
+
+export type LocomotionOptions = Partial<
+  Pick<
+    Locomotion,
+    | 'teleport'
+    | 'teleportTargets'
+    | 'navigableLayer'
+    | 'maxTeleportSlope'
+    | 'teleportSpeed'
+    | 'teleportAction'
+    | 'turnMode'
+    | 'snapTurnAngle'
+    | 'smoothTurnSpeed'
+    | 'smoothMove'
+    | 'moveSpeed'
+    | 'moveHand'
+    | 'turnHand'
+    | 'vignette'
+    | 'vignetteIntensity'
+    | 'vignetteFadeTime'
+  >
+>;
+
+/** Thumbstick deflection which starts snap turns and teleports. */
+const STICK_PRESS_THRESHOLD = 0.7;
+/** Thumbstick deflection below which the stick counts as released. */
+const STICK_RELEASE_THRESHOLD = 0.3;
+const GRAVITY = 9.8;
+const ARC_TIME_STEP = 0.03;
+const ARC_MAX_POINTS = 60;
+
+const forward = new THREE.Vector3();
+const right = new THREE.Vector3();
+const normal = new THREE.Vector3();
+const velocity = new THREE.Vector3();
+const segment = new THREE.Vector3();
+const direction = new THREE.Vector3();
+
+type Stick = {x: number; y: number};
+
+/**
+ * Moves the user through large virtual scenes, e.g. in `immersive-vr`, by
+ * moving the `User` rig rather than the scene:
+ * - Teleport: push the thumbstick of `turnHand` forward, or hold the
+ *   `teleportAction` of `core.actions`, to aim a parabolic arc, and release to
+ *   teleport to its target. Targets must be on one of the `teleportTargets`
+ *   and no steeper than `maxTeleportSlope`.
+ * - Turn: the thumbstick of `turnHand` turns in steps or smoothly.
+ * - Move: the thumbstick of `moveHand` moves in the direction the user looks,
+ *   while a comfort vignette darkens the edges of the view.
+ * @example
+ * ```
+ * floor.layers.enable(xb.NAVIGABLE_LAYER);
+ * xb.add(new xb.Locomotion({turnMode: 'smooth', vignetteIntensity: 0.8}));
+ * ```
+ */
+export class Locomotion extends Script {
+  static dependencies = {
+    user: User,
+    scene: THREE.Scene,
+    timer: THREE.Timer,
+    depth: Depth,
+    world: World,
+  };
+
+  /** Whether the user can teleport. */
+  teleport = true;
+  /** The surfaces the user can teleport onto. */
+  teleportTargets: TeleportTarget[] = ['planes', 'depthMesh', 'layer'];
+  /** The layer of navigable objects for the 'layer' teleport target. */
+  navigableLayer = NAVIGABLE_LAYER;
+  /** The steepest surface the user can teleport onto, in radians. */
+  maxTeleportSlope = THREE.MathUtils.degToRad(30);
+  /** The launch speed of the teleport arc in m/s, which sets its range. */
+  teleportSpeed = 8;
+  /** The action of `core.actions` which aims teleports while active. */
+  teleportAction = 'teleport';
+  /** How the thumbstick of `turnHand` turns the user. */
+  turnMode: TurnMode = 'snap';
+  /** The angle of a snap turn in radians. */
+  snapTurnAngle = THREE.MathUtils.degToRad(45);
+  /** The speed of smooth turns in radians per second. */
+  smoothTurnSpeed = THREE.MathUtils.degToRad(90);
+  /** Whether the thumbstick of `moveHand` moves the user. */
+  smoothMove = true;
+  /** The speed of smooth movement in m/s. */
+  moveSpeed = 2;
+  /** The controller whose thumbstick moves the user. */
+  moveHand: XRHandedness = 'left';
+  /** The controller whose thumbstick turns and teleports the user. */
+  turnHand: XRHandedness = 'right';
+  /** Whether to darken the edges of the view during smooth motion. */
+  vignette = true;
+  /** How far the vignette closes in at full speed, from 0 to 1. */
+  vignetteIntensity = 0.6;
+  /** The time in seconds for the vignette to fade in or out. */
+  vignetteFadeTime = 0.2;
+
+  private user!: User;
+  private scene!: THREE.Scene;
+  private timer!: THREE.Timer;
+  private depth!: Depth;
+  private world!: World;
+
+  private comfortVignette = new ComfortVignette();
+  private teleportArc = new TeleportArc(ARC_MAX_POINTS);
+  private navigableRaycaster = new THREE.Raycaster();
+  private surfaceRaycaster = new THREE.Raycaster();
+  private arcPoints = Array.from(
+    {length: ARC_MAX_POINTS},
+    () => new THREE.Vector3()
+  );
+  private sticks = new Map<XRHandedness, Stick>();
+  private snapTurnReady = true;
+  // The source of the arc while aiming, null to aim from the viewer.
+  private aimSource?: Controller | null;
+  private aimingWithStick = false;
+  private teleportTarget?: THREE.Vector3;
+
+  constructor(options: LocomotionOptions = {}) {
+    super();
+    Object.assign(this, options);
+    this.add(this.comfortVignette, this.teleportArc);
+  }
+
+  init({
+    user,
+    scene,
+    timer,
+    depth,
+    world,
+  }: {
+    user: User;
+    scene: THREE.Scene;
+    timer: THREE.Timer;
+    depth: Depth;
+    world: World;
+  }) {
+    this.user = user;
+    this.scene = scene;
+    this.timer = timer;
+    this.depth = depth;
+    this.world = world;
+  }
+
+  /** Whether the user is aiming a teleport. */
+  get aiming() {
+    return this.aimSource !== undefined;
+  }
+
+  onThumbstick(event: ThumbstickEvent) {
+    if (event.stick !== 'thumbstick') return;
+    const handedness = event.target.inputSource?.handedness;
+    if (!handedness) return;
+    if (event.x === 0 && event.y === 0) {
+      this.sticks.delete(handedness);
+    } else {
+      this.sticks.set(handedness, {x: event.x, y: event.y});
+    }
+    if (handedness === this.turnHand) {
+      this.updateTeleportStick(event);
+    }
+  }
+
+  onAction(name: string, phase: ActionPhase, event: ActionEvent) {
+    if (name !== this.teleportAction || !this.teleport) return;
+    if (phase === 'start') {
+      this.startAiming(event.controller ?? null);
+    } else {
+      this.finishAiming();
+    }
+  }
+
+  /**
+   * Starts aiming a teleport.
+   * @param source - The controller to aim with, or null to aim with the head.
+   */
+  startAiming(source: Controller | null) {
+    this.aimSource = source;
+    this.teleportTarget = undefined;
+  }
+
+  /**
+   * Teleports to the target of the arc, if it is valid, and stops aiming.
+   */
+  finishAiming() {
+    if (!this.aiming) return;
+    this.updateArc();
+    if (this.teleportTarget) {
+      this.user.teleportTo(this.teleportTarget);
+    }
+    this.cancelAiming();
+  }
+
+  /**
+   * Stops aiming without teleporting.
+   */
+  cancelAiming() {
+    this.aimSource = undefined;
+    this.aimingWithStick = false;
+    this.teleportTarget = undefined;
+    this.teleportArc.hide();
+  }
+
+  update() {
+    const deltaTime = this.timer.getDelta();
+    let motion = 0;
+    const moveStick = this.smoothMove && this.sticks.get(this.moveHand);
+    if (moveStick) {
+      this.move(moveStick, deltaTime);
+      motion = Math.min(1, Math.hypot(moveStick.x, moveStick.y));
+    }
+    const turnStick = this.sticks.get(this.turnHand);
+    if (!this.aimingWithStick) {
+      motion = Math.max(motion, this.turn(turnStick, deltaTime));
+    }
+    if (this.aiming) {
+      this.updateArc();
+    }
+    this.updateVignette(motion, deltaTime);
+  }
+
+  dispose() {
+    this.cancelAiming();
+    this.comfortVignette.dispose();
+    this.teleportArc.dispose();
+    super.dispose();
+  }
+
+  private updateTeleportStick(stick: Stick) {
+    if (!this.teleport) return;
+    const length = Math.hypot(stick.x, stick.y);
+    if (this.aimingWithStick) {
+      if (length < STICK_RELEASE_THRESHOLD) {
+        this.finishAiming();
+      }
+    } else if (
+      !this.aiming &&
+      -stick.y > STICK_PRESS_THRESHOLD &&
+      -stick.y > Math.abs(stick.x)
+    ) {
+      const controller = this.user.controllers?.find(
+        (controller) => controller.inputSource?.handedness === this.turnHand
+      );
+      this.startAiming(controller ?? null);
+      this.aimingWithStick = true;
+    }
+  }
+
+  /**
+   * Moves the user along the ground in the direction they look.
+   */
+  private move(stick: Stick, deltaTime: number) {
+    const viewer = this.user.viewer;
+    if (!viewer) return;
+    viewer.getWorldDirection(forward);
+    forward.y = 0;
+    if (forward.lengthSq() === 0) return;
+    forward.normalize();
+    right.crossVectors(forward, THREE.Object3D.DEFAULT_UP);
+    this.user.position
+      .addScaledVector(right, stick.x * this.moveSpeed * deltaTime)
+      .addScaledVector(forward, -stick.y * this.moveSpeed * deltaTime);
+    this.user.updateRig();
+  }
+
+  /**
+   * Turns the user with the thumbstick.
+   * @returns The amount of smooth turning from 0 to 1 for the vignette.
+   */
+  private turn(stick: Stick | undefined, deltaTime: number) {
+    const x = stick?.x ?? 0;
+    if (this.turnMode === 'snap') {
+      if (Math.abs(x) < STICK_RELEASE_THRESHOLD) {
+        this.snapTurnReady = true;
+      } else if (this.snapTurnReady && Math.abs(x) > STICK_PRESS_THRESHOLD) {
+        this.snapTurnReady = false;
+        this.user.turn(-Math.sign(x) * this.snapTurnAngle);
+      }
+    } else if (this.turnMode === 'smooth' && x !== 0) {
+      this.user.turn(-x * this.smoothTurnSpeed * deltaTime);
+      return Math.abs(x);
+    }
+    return 0;
+  }
+
+  private updateVignette(motion: number, deltaTime: number) {
+    const target = this.vignette ? motion * this.vignetteIntensity : 0;
+    const current = this.comfortVignette.intensity;
+    const step =
+      this.vignetteFadeTime > 0 ? deltaTime / this.vignetteFadeTime : 1;
+    this.comfortVignette.intensity =
+      current + THREE.MathUtils.clamp(target - current, -step, step);
+  }
+
+  /**
+   * Casts the teleport arc from the aim source and shows it.
+   */
+  private updateArc() {
+    const source = this.aimSource ?? this.user.viewer;
+    if (!source) return;
+    const points = this.arcPoints;
+    source.updateWorldMatrix(true, false);
+    source.getWorldPosition(points[0]);
+    // Controllers and cameras point along their negative z axis.
+    velocity
+      .set(0, 0, -1)
+      .transformDirection(source.matrixWorld)
+      .multiplyScalar(this.teleportSpeed);
+    const lowestY = points[0].y - 50;
+    let hit: THREE.Intersection | undefined;
+    let count = 1;
+    while (count < points.length && !hit) {
+      const previous = points[count - 1];
+      const next = points[count]
+        .copy(previous)
+        .addScaledVector(velocity, ARC_TIME_STEP);
+      next.y -= 0.5 * GRAVITY * ARC_TIME_STEP * ARC_TIME_STEP;
+      velocity.y -= GRAVITY * ARC_TIME_STEP;
+      segment.subVectors(next, previous);
+      hit = this.raycastTargets(previous, segment);
+      if (hit) {
+        next.copy(hit.point);
+      }
+      ++count;
+      if (next.y < lowestY) break;
+    }
+    const valid = hit !== undefined && this.isValidTarget(hit, segment);
+    this.teleportTarget = valid ? hit!.point : undefined;
+    this.teleportArc.show(points.slice(0, count), hit?.point, valid);
+  }
+
+  /**
+   * Finds the closest teleport target along a segment of the arc.
+   */
+  private raycastTargets(origin: THREE.Vector3, segment: THREE.Vector3) {
+    const far = segment.length();
+    direction.copy(segment).normalize();
+    const intersections: THREE.Intersection[] = [];
+    if (this.teleportTargets.includes('layer')) {
+      this.navigableRaycaster.set(origin, direction);
+      this.navigableRaycaster.far = far;
+      this.navigableRaycaster.layers.set(this.navigableLayer);
+      this.navigableRaycaster.intersectObject(this.scene, true, intersections);
+    }
+    const surfaces: THREE.Object3D[] = [];
+    if (this.teleportTargets.includes('planes')) {
+      for (const plane of this.world.planes?.get() ?? []) {
+        if (plane.orientation !== 'vertical') {
+          surfaces.push(plane);
+        }
+      }
+    }
+    if (this.teleportTargets.includes('depthMesh') && this.depth.depthMesh) {
+      surfaces.push(this.depth.depthMesh);
+    }
+    if (surfaces.length > 0) {
+      this.surfaceRaycaster.set(origin, direction);
+      this.surfaceRaycaster.far = far;
+      this.surfaceRaycaster.layers.enableAll();
+      this.surfaceRaycaster.intersectObjects(surfaces, false, intersections);
+    }
+    let closest: THREE.Intersection | undefined;
+    for (const intersection of intersections) {
+      if (!closest || intersection.distance < closest.distance) {
+        closest = intersection;
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Whether a surface hit by the arc is flat enough to stand on.
+   */
+  private isValidTarget(hit: THREE.Intersection, direction: THREE.Vector3) {
+    if (!hit.face) return true;
+    normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+    // Faces the normal towards the arc in case the surface is single-sided.
+    if (normal.dot(direction) > 0) {
+      normal.negate();
+    }
+    return normal.y >= Math.cos(this.maxTeleportSlope);
+  }
+}
@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+
+const VALID_COLOR = new THREE.Color(0x4caf50);
+const INVALID_COLOR = new THREE.Color(0xf44336);
+const worldToLocal = new THREE.Matrix4();
+const point = new THREE.Vector3();
+
+/**
+ * The curve of a teleport from the controller to the target, and a ring
+ * marking the target. Green for valid targets and red otherwise.
+ */
+export class TeleportArc extends THREE.Group {
+  name = 'TeleportArc';
+  ignoreReticleRaycast = true;
+
+  line: THREE.Line<THREE.BufferGeometry, THREE.LineBasicMaterial>;
+  marker: THREE.Mesh<THREE.RingGeometry, THREE.MeshBasicMaterial>;
+
+  /**
+   * @param maxPoints - The maximum number of points of the curve.
+   */
+  constructor(maxPoints: number) {
+    super();
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      'position',
+      new THREE.BufferAttribute(new Float32Array(maxPoints * 3), 3)
+    );
+    this.line = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({transparent: true, opacity: 0.8})
+    );
+    this.line.frustumCulled = false;
+    this.marker = new THREE.Mesh(
+      new THREE.RingGeometry(0.2, 0.25, 32).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({side: THREE.DoubleSide})
+    );
+    // Prevents the arc from blocking raycasts of controllers.
+    this.line.raycast = () => {};
+    this.marker.raycast = () => {};
+    this.add(this.line, this.marker);
+    this.visible = false;
+  }
+
+  /**
+   * Shows the curve through points in world space.
+   * @param points - The points of the curve.
+   * @param target - The point where the curve hit a surface, if any.
+   * @param valid - Whether the user can teleport to the target.
+   */
+  show(
+    points: THREE.Vector3[],
+    target: THREE.Vector3 | undefined,
+    valid: boolean
+  ) {
+    const position = this.line.geometry.attributes
+      .position as THREE.BufferAttribute;
+    this.updateWorldMatrix(true, false);
+    worldToLocal.copy(this.matrixWorld).invert();
+    const count = Math.min(points.length, position.count);
+    for (let i = 0; i < count; ++i) {
+      point.copy(points[i]).applyMatrix4(worldToLocal);
+      position.setXYZ(i, point.x, point.y, point.z);
+    }
+    position.needsUpdate = true;
+    this.line.geometry.setDrawRange(0, count);
+    const color = valid ? VALID_COLOR : INVALID_COLOR;
+    this.line.material.color.copy(color);
+    this.marker.material.color.copy(color);
+    this.marker.visible = target !== undefined;
+    if (target) {
+      this.marker.position.copy(target).applyMatrix4(worldToLocal);
+    }
+    this.visible = true;
+  }
+
+  hide() {
+    this.visible = false;
+  }
+
+  dispose() {
+    this.line.geometry.dispose();
+    this.line.material.dispose();
+    this.marker.geometry.dispose();
+    this.marker.material.dispose();
+  }
+}
@@ -0,0 +1,49 @@
+import {describe, expect, it, vi} from 'vitest';
+
+import {Physics} from './Physics';
+import {PhysicsOptions} from './PhysicsOptions';
+
+function createPhysics(fps: number, maxSubSteps: number) {
+  const physics = new Physics();
+  const options = new PhysicsOptions();
+  options.fps = fps;
+  options.maxSubSteps = maxSubSteps;
+  physics.options = options;
+  physics.fps = fps;
+  const step = vi.fn();
+  physics.blendedWorld = {step} as unknown as Physics['blendedWorld'];
+  return {physics, step};
+}
+
+describe('Physics', () => {
+  it('steps at a fixed rate independent of the frame rate', () => {
+    const {physics, step} = createPhysics(50, 4);
+    const onStep = vi.fn();
+
+    // 90Hz frames for one second.
+    let steps = 0;
+    for (let i = 0; i < 90; i++) {
+      steps += physics.advance(1 / 90, onStep);
+    }
+
+    expect(steps).toBeGreaterThanOrEqual(49);
+    expect(steps).toBeLessThanOrEqual(50);
+    expect(step).toHaveBeenCalledTimes(steps);
+    expect(onStep).toHaveBeenCalledTimes(steps);
+  });
+
+  it('exposes the remaining fraction of a step as interpolation alpha', () => {
+    const {physics} = createPhysics(10, 4);
+
+    expect(physics.advance(0.25)).toBe(2);
+    expect(physics.interpolationAlpha).toBeCloseTo(0.5);
+  });
+
+  it('caps sub-steps and drops the time it cannot simulate', () => {
+    const {physics} = createPhysics(10, 3);
+
+    expect(physics.advance(1.05)).toBe(3);
+    expect(physics.interpolationAlpha).toBeCloseTo(0.5);
+    expect(physics.advance(0.05)).toBe(1);
+  });
+});
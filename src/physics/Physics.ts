@@ -15,6 +15,15 @@ export class Physics {
   fps: number = 0;
   blendedWorld!: RAPIER.World;
   eventQueue!: RAPIER.EventQueue;
+  /**
+   * How far the current frame is between the last physics step and the next
+   * one, from 0 to 1. Use it to interpolate rendered transforms between the
+   * previous and current physics states.
+   */
+  interpolationAlpha = 0;
+
+  /** Time in seconds which has not been simulated yet. */
+  private accumulator = 0;
 
   get timestep() {
     return 1 / this.fps;
@@ -40,7 +49,8 @@ export class Physics {
   }
 
   /**
-   * Advances the physics simulation by one step.
+   * Advances the physics simulation by one step. Called by `advance` during
+   * the frame loop.
    */
   physicsStep() {
     if (this.options?.worldStep && this.blendedWorld) {
@@ -48,6 +58,32 @@ export class Physics {
     }
   }
 
+  /**
+   * Advances the fixed-timestep accumulator by a frame's duration and runs as
+   * many physics steps as fit, up to `options.maxSubSteps`.
+   * @param deltaSeconds - Time since the last frame in seconds.
+   * @param onStep - Called after each physics step.
+   * @returns The number of physics steps taken.
+   */
+  advance(deltaSeconds: number, onStep?: () => void) {
+    const timestep = this.timestep;
+    const maxSubSteps = this.options?.maxSubSteps ?? 1;
+    this.accumulator += Math.max(0, deltaSeconds);
+    let steps = 0;
+    while (this.accumulator >= timestep && steps < maxSubSteps) {
+      this.physicsStep();
+      onStep?.();
+      this.accumulator -= timestep;
+      steps++;
+    }
+    if (this.accumulator >= timestep) {
+      // Drop the time which could not be simulated within the sub-step cap.
+      this.accumulator %= timestep;
+    }
+    this.interpolationAlpha = this.accumulator / timestep;
+    return steps;
+  }
+
   /**
    * Frees the memory allocated by the RAPIER physics blendedWorld and event
    * queue. This is crucial for preventing memory leaks when the XR session
@@ -10,6 +10,12 @@ export class PhysicsOptions {
    */
   fps = 45;
 
+  /**
+   * The maximum number of physics steps per rendered frame. Time beyond this
+   * is dropped so that a slow frame does not cause a spiral of catch-up steps.
+   */
+  maxSubSteps = 4;
+
   /**
    * The global gravity vector applied to the physics world.
    */
@@ -17,7 +23,7 @@ export class PhysicsOptions {
 
   /**
    * If true, the `Physics` manager will automatically call `world.step()`
-   * on its fixed interval. Set to false if you want to control the
+   * on every fixed timestep. Set to false if you want to control the
    * simulation step manually.
    */
   worldStep = true;
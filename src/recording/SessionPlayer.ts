@@ -0,0 +1,378 @@
+import * as THREE from 'three';
+
+import {Script} from '../core/Script';
+import {Depth} from '../depth/Depth';
+import {HAND_JOINT_NAMES} from '../input/components/HandJointNames';
+import {Input} from '../input/Input';
+import {Simulator} from '../simulator/Simulator';
+import {World} from '../world/World';
+
+import {
+  applyRecordedPose,
+  parseSessionRecording,
+  RecordedDepth,
+  RecordedFrame,
+  RecordedHand,
+  RecordedInputEvent,
+  RecordedMesh,
+  RecordedPlane,
+  RecordedPose,
+  SessionRecording,
+} from './SessionRecording';
+
+/**
+ * Replays a recording of `SessionRecorder` in the simulator. Every frame, the
+ * recorded viewer pose, controllers and hand joints replace the simulated
+ * ones before input is processed, recorded select and squeeze events are
+ * dispatched through `Input`, and recorded depth, planes and meshes are fed
+ * into `Depth`, `PlaneDetector` and `MeshDetector`.
+ * @example
+ * ```
+ * const player = new SessionPlayer();
+ * xb.add(player);
+ * await player.loadFromUrl('recordings/session.json');
+ * player.play();
+ * ```
+ */
+export class SessionPlayer extends Script {
+  static dependencies = {
+    input: Input,
+    camera: THREE.Camera,
+    timer: THREE.Timer,
+    depth: Depth,
+    world: World,
+    simulator: Simulator,
+  };
+
+  /** Whether to restart from the beginning after the last frame. */
+  loop = false;
+  /** Multiplier for the playback speed. */
+  playbackRate = 1;
+  /** The latest recorded device camera snapshot as base64. */
+  cameraFrame?: string;
+  /** The viewer pose `cameraFrame` was taken from. */
+  cameraFramePose?: RecordedPose;
+
+  private input!: Input;
+  private camera!: THREE.Camera;
+  private timer!: THREE.Timer;
+  private depth!: Depth;
+  private world!: World;
+  private simulator!: Simulator;
+
+  private recording?: SessionRecording;
+  private isPlaying = false;
+  private currentTime = 0;
+  // Index of the first frame which has not been applied yet.
+  private nextFrameIndex = 0;
+  // Select and squeeze events which have started but not ended yet.
+  private activeEvents = new Map<string, RecordedInputEvent>();
+  private simulatorRenderDepthPass = false;
+
+  init({
+    input,
+    camera,
+    timer,
+    depth,
+    world,
+    simulator,
+  }: {
+    input: Input;
+    camera: THREE.Camera;
+    timer: THREE.Timer;
+    depth: Depth;
+    world: World;
+    simulator: Simulator;
+  }) {
+    this.input = input;
+    this.camera = camera;
+    this.timer = timer;
+    this.depth = depth;
+    this.world = world;
+    this.simulator = simulator;
+  }
+
+  /** Whether the recording is currently playing. */
+  get playing() {
+    return this.isPlaying;
+  }
+
+  /** The playback position in seconds. */
+  get time() {
+    return this.currentTime;
+  }
+
+  /** The length of the loaded recording in seconds. */
+  get duration() {
+    const frames = this.recording?.frames ?? [];
+    return frames.length ? frames[frames.length - 1].time : 0;
+  }
+
+  /**
+   * Loads a recording and moves to its beginning.
+   * @param recording - The recording, or its JSON.
+   */
+  load(recording: SessionRecording | string) {
+    this.stop();
+    this.recording =
+      typeof recording === 'string'
+        ? parseSessionRecording(recording)
+        : recording;
+  }
+
+  /**
+   * Fetches and loads a recording saved with `SessionRecorder.download()`.
+   * @param url - The URL of the recording.
+   */
+  async loadFromUrl(url: string) {
+    const response = await fetch(url);
+    this.load(await response.text());
+  }
+
+  /**
+   * Starts or resumes playback, from the beginning if the end was reached.
+   * While playing, the simulator's own depth rendering and hands are turned
+   * off.
+   */
+  play() {
+    if (!this.recording || this.isPlaying) return;
+    if (this.nextFrameIndex >= this.recording.frames.length) {
+      this.currentTime = 0;
+      this.nextFrameIndex = 0;
+    }
+    this.isPlaying = true;
+    this.simulatorRenderDepthPass = this.simulator.renderDepthPass;
+    this.simulator.renderDepthPass = false;
+    this.simulator.hands.leftController.visible = false;
+    this.simulator.hands.rightController.visible = false;
+  }
+
+  /**
+   * Pauses playback at the current frame.
+   */
+  pause() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    this.simulator.renderDepthPass = this.simulatorRenderDepthPass;
+    this.simulator.hands.leftController.visible = true;
+    this.simulator.hands.rightController.visible = true;
+  }
+
+  /**
+   * Stops playback and moves back to the beginning. Selections and squeezes
+   * which are still in progress are ended.
+   */
+  stop() {
+    this.pause();
+    this.releaseActiveEvents();
+    this.currentTime = 0;
+    this.nextFrameIndex = 0;
+  }
+
+  /**
+   * Moves to a time and applies the state recorded at that time. Events
+   * recorded before the time are not dispatched.
+   * @param time - The time in seconds.
+   */
+  seek(time: number) {
+    const frames = this.recording?.frames;
+    if (!frames?.length) return;
+    this.releaseActiveEvents();
+    this.currentTime = THREE.MathUtils.clamp(time, 0, this.duration);
+    let index = 0;
+    while (
+      index + 1 < frames.length &&
+      frames[index + 1].time <= this.currentTime
+    ) {
+      ++index;
+    }
+    this.applyFrames(frames.slice(0, index + 1), false);
+    this.nextFrameIndex = index + 1;
+  }
+
+  /**
+   * Advances playback, dispatching the events of all frames passed and
+   * applying the latest state. Called every frame while playing.
+   * @param deltaSeconds - The time to advance by.
+   */
+  advance(deltaSeconds: number) {
+    const frames = this.recording?.frames;
+    if (!this.isPlaying || !frames?.length) return;
+    this.currentTime += deltaSeconds * this.playbackRate;
+    const start = this.nextFrameIndex;
+    while (
+      this.nextFrameIndex < frames.length &&
+      frames[this.nextFrameIndex].time <= this.currentTime
+    ) {
+      ++this.nextFrameIndex;
+    }
+    if (this.nextFrameIndex > start) {
+      this.applyFrames(frames.slice(start, this.nextFrameIndex), true);
+    }
+    if (this.nextFrameIndex >= frames.length) {
+      if (this.loop) {
+        this.releaseActiveEvents();
+        this.currentTime = 0;
+        this.nextFrameIndex = 0;
+      } else {
+        this.pause();
+      }
+    }
+  }
+
+  earlyUpdate() {
+    if (this.isPlaying) {
+      this.advance(this.timer.getDelta());
+    }
+  }
+
+  dispose() {
+    this.stop();
+  }
+
+  /**
+   * Applies the latest poses and perception data of consecutive frames.
+   * @param frames - The frames in recorded order.
+   * @param dispatchEvents - Whether to dispatch their input events.
+   */
+  private applyFrames(frames: RecordedFrame[], dispatchEvents: boolean) {
+    let depth: RecordedDepth | undefined;
+    let planes: RecordedPlane[] | undefined;
+    let meshes: RecordedMesh[] | undefined;
+    for (const frame of frames) {
+      depth = frame.depth ?? depth;
+      planes = frame.planes ?? planes;
+      meshes = frame.meshes ?? meshes;
+      if (frame.cameraFrame) {
+        this.cameraFrame = frame.cameraFrame;
+        this.cameraFramePose = frame.cameraFramePose;
+      }
+      if (dispatchEvents) {
+        frame.events.forEach((event) => this.dispatchInputEvent(event));
+      }
+    }
+    const frame = frames[frames.length - 1];
+    applyRecordedPose(frame.viewer, this.camera);
+    frame.controllers.forEach((pose, i) => {
+      const controller = this.input.controllers[i];
+      if (pose && controller) {
+        applyRecordedPose(pose, controller);
+        controller.updateMatrix();
+      }
+    });
+    frame.hands.forEach((hand, i) => {
+      const handSpace = this.input.hands[i];
+      if (handSpace) {
+        this.applyHand(hand, handSpace);
+      }
+    });
+    if (depth && this.depth.enabled) {
+      this.applyDepth(depth);
+    }
+    if (planes && this.world.planes) {
+      this.world.planes.setSimulatorPlanes(
+        planes.map((plane) => {
+          const polygon: THREE.Vector2[] = [];
+          for (let i = 0; i + 1 < plane.polygon.length; i += 2) {
+            polygon.push(
+              new THREE.Vector2(plane.polygon[i], plane.polygon[i + 1])
+            );
+          }
+          return {
+            type: plane.orientation ?? 'horizontal',
+            label: plane.label,
+            area: Math.abs(THREE.ShapeUtils.area(polygon)),
+            position: new THREE.Vector3().fromArray(plane.pose.position),
+            quaternion: new THREE.Quaternion().fromArray(plane.pose.quaternion),
+            polygon,
+          };
+        })
+      );
+    }
+    if (meshes && this.world.meshes) {
+      this.world.meshes.setSimulatorMeshes(
+        meshes.map((mesh) => ({
+          semanticLabel: mesh.semanticLabel,
+          position: new THREE.Vector3().fromArray(mesh.pose.position),
+          quaternion: new THREE.Quaternion().fromArray(mesh.pose.quaternion),
+          vertices: mesh.vertices,
+          indices: mesh.indices,
+        }))
+      );
+    }
+  }
+
+  private applyHand(hand: RecordedHand | null, handSpace: THREE.XRHandSpace) {
+    handSpace.visible = hand !== null;
+    if (!hand) return;
+    applyRecordedPose(hand.pose, handSpace);
+    HAND_JOINT_NAMES.forEach((jointName, i) => {
+      if (!(jointName in handSpace.joints)) {
+        handSpace.joints[jointName] = new THREE.Group() as THREE.XRJointSpace;
+        handSpace.add(handSpace.joints[jointName]);
+      }
+      const joint = handSpace.joints[jointName]!;
+      joint.position.fromArray(hand.joints, i * 7);
+      joint.quaternion.fromArray(hand.joints, i * 7 + 3);
+    });
+    handSpace.updateMatrix();
+    handSpace.updateWorldMatrix(false, true);
+  }
+
+  private applyDepth(depth: RecordedDepth) {
+    // Converts the buffer to the format expected by the depth options.
+    let data = depth.data;
+    let rawValueToMeters = depth.rawValueToMeters;
+    if (this.depth.options.useFloat32 && data instanceof Uint16Array) {
+      data = Float32Array.from(data, (value) => value * rawValueToMeters);
+      rawValueToMeters = 1.0;
+    } else if (!this.depth.options.useFloat32 && data instanceof Float32Array) {
+      data = Uint16Array.from(data, (value) =>
+        Math.round((value * rawValueToMeters) / 0.001)
+      );
+      rawValueToMeters = 0.001;
+    }
+    const [x, y, z] = depth.transform.position;
+    const [qx, qy, qz, qw] = depth.transform.quaternion;
+    this.depth.updateCPUDepthData(
+      {
+        width: depth.width,
+        height: depth.height,
+        data: data.slice().buffer,
+        rawValueToMeters,
+        projectionMatrix: new Float32Array(depth.projectionMatrix),
+        transform: new XRRigidTransform(
+          {x, y, z},
+          {x: qx, y: qy, z: qz, w: qw}
+        ),
+      } as unknown as XRCPUDepthInformation,
+      0
+    );
+  }
+
+  private dispatchInputEvent(event: RecordedInputEvent) {
+    const target = this.input.controllers[event.controller];
+    if (!target) return;
+    const [action, phase] = event.type.split(/(start|end)$/);
+    const key = `${action}:${event.controller}`;
+    if (phase === 'start') {
+      this.activeEvents.set(key, event);
+    } else if (phase === 'end') {
+      this.activeEvents.delete(key);
+    }
+    this.input.dispatchEvent({
+      type: event.type,
+      target,
+      data: {handedness: event.handedness},
+    });
+  }
+
+  private releaseActiveEvents() {
+    for (const event of Array.from(this.activeEvents.values())) {
+      this.dispatchInputEvent({
+        ...event,
+        type: event.type === 'selectstart' ? 'selectend' : 'squeezeend',
+      });
+    }
+  }
+}
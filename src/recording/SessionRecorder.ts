@@ -0,0 +1,359 @@
+import * as THREE from 'three';
+
+import {XRDeviceCamera} from '../camera/XRDeviceCamera';
+import {NUM_HANDS} from '../constants';
+import {SelectEvent, Script} from '../core/Script';
+import {Depth} from '../depth/Depth';
+import {HAND_JOINT_NAMES} from '../input/components/HandJointNames';
+import {Input} from '../input/Input';
+import {optional} from '../utils/DependencyInjection';
+import {World} from '../world/World';
+
+import {
+  RecordedFrame,
+  RecordedHand,
+  RecordedInputEventType,
+  RecordedPose,
+  recordPose,
+  SESSION_RECORDING_VERSION,
+  serializeSessionRecording,
+  SessionRecording,
+} from './SessionRecording';
+
+export type SessionRecorderOptions = Partial<
+  Pick<
+    SessionRecorder,
+    | 'recordDepth'
+    | 'depthInterval'
+    | 'recordPlanes'
+    | 'recordMeshes'
+    | 'recordCameraFrames'
+    | 'cameraFrameInterval'
+  >
+>;
+
+/**
+ * Records the viewer pose, controllers, hand joints, input events and the
+ * perceived world of a session, so that it can be replayed with
+ * `SessionPlayer` in the simulator, e.g. to reproduce bugs which only happen
+ * on a headset.
+ * @example
+ * ```
+ * const recorder = new SessionRecorder({recordCameraFrames: true});
+ * xb.add(recorder);
+ * recorder.start();
+ * // ...
+ * recorder.stop();
+ * recorder.download();
+ * ```
+ */
+export class SessionRecorder extends Script {
+  static dependencies = {
+    input: Input,
+    camera: THREE.Camera,
+    renderer: THREE.WebGLRenderer,
+    timer: THREE.Timer,
+    depth: Depth,
+    world: World,
+    deviceCamera: optional(XRDeviceCamera),
+  };
+
+  /** Whether to record the CPU depth buffer. */
+  recordDepth = true;
+  /** Minimum seconds between recorded depth buffers. */
+  depthInterval = 0.1;
+  /** Whether to record detected planes when they change. */
+  recordPlanes = true;
+  /** Whether to record detected meshes when they change. */
+  recordMeshes = true;
+  /** Whether to record snapshots of the device camera. */
+  recordCameraFrames = false;
+  /** Minimum seconds between recorded camera snapshots. */
+  cameraFrameInterval = 0.5;
+
+  private input!: Input;
+  private camera!: THREE.Camera;
+  private renderer!: THREE.WebGLRenderer;
+  private timer!: THREE.Timer;
+  private depth!: Depth;
+  private world!: World;
+  private deviceCamera?: XRDeviceCamera;
+
+  private frames: RecordedFrame[] = [];
+  private pendingEvents: RecordedFrame['events'] = [];
+  private isRecording = false;
+  private startTime = 0;
+  private lastDepthTime = -Infinity;
+  private lastCameraFrameTime = -Infinity;
+  private lastPlanesKey = '';
+  private lastMeshesKey = '';
+
+  constructor(options: SessionRecorderOptions = {}) {
+    super();
+    Object.assign(this, options);
+  }
+
+  init({
+    input,
+    camera,
+    renderer,
+    timer,
+    depth,
+    world,
+    deviceCamera,
+  }: {
+    input: Input;
+    camera: THREE.Camera;
+    renderer: THREE.WebGLRenderer;
+    timer: THREE.Timer;
+    depth: Depth;
+    world: World;
+    deviceCamera?: XRDeviceCamera;
+  }) {
+    this.input = input;
+    this.camera = camera;
+    this.renderer = renderer;
+    this.timer = timer;
+    this.depth = depth;
+    this.world = world;
+    this.deviceCamera = deviceCamera;
+  }
+
+  /** Whether frames are currently being recorded. */
+  get recording() {
+    return this.isRecording;
+  }
+
+  /**
+   * Discards the previous recording and starts recording from the next frame.
+   */
+  start() {
+    this.frames = [];
+    this.pendingEvents = [];
+    this.startTime = this.timer.getElapsed();
+    this.lastDepthTime = -Infinity;
+    this.lastCameraFrameTime = -Infinity;
+    this.lastPlanesKey = '';
+    this.lastMeshesKey = '';
+    this.isRecording = true;
+  }
+
+  /**
+   * Stops recording.
+   * @returns The recording.
+   */
+  stop() {
+    this.isRecording = false;
+    return this.getRecording();
+  }
+
+  /**
+   * Gets the frames recorded so far.
+   */
+  getRecording(): SessionRecording {
+    return {version: SESSION_RECORDING_VERSION, frames: this.frames};
+  }
+
+  /**
+   * Saves the recording as a JSON file through the browser.
+   * @param filename - The name of the downloaded file.
+   */
+  download(filename = 'session.json') {
+    const blob = new Blob([serializeSessionRecording(this.getRecording())], {
+      type: 'application/json',
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  onSelectStart(event: SelectEvent) {
+    this.recordEvent('selectstart', event);
+  }
+
+  onSelectEnd(event: SelectEvent) {
+    this.recordEvent('selectend', event);
+  }
+
+  onSelect(event: SelectEvent) {
+    this.recordEvent('select', event);
+  }
+
+  onSqueezeStart(event: SelectEvent) {
+    this.recordEvent('squeezestart', event);
+  }
+
+  onSqueezeEnd(event: SelectEvent) {
+    this.recordEvent('squeezeend', event);
+  }
+
+  onSqueeze(event: SelectEvent) {
+    this.recordEvent('squeeze', event);
+  }
+
+  /**
+   * Records the frame before input is processed, which is also when
+   * `SessionPlayer` replays it.
+   * @param _time - The current time, unused.
+   * @param xrFrame - The XR frame, whose viewer pose is recorded. Without
+   * one, e.g. in the simulator, the camera pose is recorded instead.
+   */
+  earlyUpdate(_time?: number, xrFrame?: XRFrame) {
+    if (!this.isRecording) return;
+    const time = this.timer.getElapsed() - this.startTime;
+    const frame: RecordedFrame = {
+      time,
+      viewer: this.recordViewerPose(xrFrame),
+      controllers: [],
+      hands: [],
+      events: this.pendingEvents,
+    };
+    this.pendingEvents = [];
+    for (let i = 0; i < NUM_HANDS; ++i) {
+      const controller = this.input.controllers[i];
+      frame.controllers.push(
+        controller && controller.userData.connected !== false
+          ? recordPose(controller)
+          : null
+      );
+      frame.hands.push(this.recordHand(this.input.hands[i]));
+    }
+    if (this.recordDepth && time - this.lastDepthTime >= this.depthInterval) {
+      this.recordDepthFrame(frame, time);
+    }
+    if (this.recordPlanes) {
+      this.recordPlanesFrame(frame);
+    }
+    if (this.recordMeshes) {
+      this.recordMeshesFrame(frame);
+    }
+    if (
+      this.recordCameraFrames &&
+      time - this.lastCameraFrameTime >= this.cameraFrameInterval
+    ) {
+      this.recordCameraFrame(frame, time);
+    }
+    this.frames.push(frame);
+  }
+
+  private recordViewerPose(xrFrame?: XRFrame): RecordedPose {
+    const referenceSpace = this.renderer.xr.getReferenceSpace();
+    const pose = referenceSpace && xrFrame?.getViewerPose(referenceSpace);
+    if (!pose) return recordPose(this.camera);
+    const {position, orientation} = pose.transform;
+    return {
+      position: [position.x, position.y, position.z],
+      quaternion: [orientation.x, orientation.y, orientation.z, orientation.w],
+    };
+  }
+
+  private recordEvent(type: RecordedInputEventType, event: SelectEvent) {
+    if (!this.isRecording) return;
+    const controller = this.input.controllers.indexOf(event.target);
+    if (controller === -1) return;
+    this.pendingEvents.push({
+      type,
+      controller,
+      handedness: event.target.inputSource?.handedness,
+    });
+  }
+
+  private recordHand(hand?: THREE.XRHandSpace): RecordedHand | null {
+    if (!hand || !hand.visible || !hand.joints['wrist']) return null;
+    const joints = new Float32Array(HAND_JOINT_NAMES.length * 7);
+    HAND_JOINT_NAMES.forEach((jointName, i) => {
+      const joint = hand.joints[jointName];
+      if (joint) {
+        joint.position.toArray(joints, i * 7);
+        joint.quaternion.toArray(joints, i * 7 + 3);
+      }
+    });
+    return {pose: recordPose(hand), joints};
+  }
+
+  private recordDepthFrame(frame: RecordedFrame, time: number) {
+    const depth = this.depth;
+    const depthArray = depth.depthArray[0];
+    if (!depthArray || !depth.depthProjectionMatrices[0]) return;
+    this.lastDepthTime = time;
+    frame.depth = {
+      width: depth.width,
+      height: depth.height,
+      rawValueToMeters: depth.rawValueToMeters,
+      data: depthArray.slice(),
+      projectionMatrix: depth.depthProjectionMatrices[0].toArray(),
+      transform: {
+        position: depth.depthCameraPositions[0].toArray(),
+        quaternion: depth.depthCameraRotations[0].toArray(),
+      },
+    };
+  }
+
+  private recordPlanesFrame(frame: RecordedFrame) {
+    const planes = this.world.planes?.get() ?? [];
+    // Planes get a new geometry whenever they change.
+    const key = planes
+      .map((plane) => `${plane.uuid}:${plane.geometry.uuid}`)
+      .join();
+    if (key === this.lastPlanesKey) return;
+    this.lastPlanesKey = key;
+    frame.planes = planes.map((plane) => ({
+      label: plane.label,
+      orientation: plane.orientation,
+      pose: recordPose(plane),
+      polygon: plane.xrPlane
+        ? plane.xrPlane.polygon.flatMap((point) => [point.x, point.z])
+        : (plane.simulatorPlane?.polygon ?? []).flatMap((point) => [
+            point.x,
+            point.y,
+          ]),
+    }));
+  }
+
+  private recordMeshesFrame(frame: RecordedFrame) {
+    const meshDetector = this.world.meshes;
+    const meshes = meshDetector
+      ? [
+          ...meshDetector.xrMeshToThreeMesh.values(),
+          ...meshDetector.simulatorMeshes,
+        ]
+      : [];
+    // Meshes get a new geometry whenever they change.
+    const key = meshes
+      .map((mesh) => `${mesh.uuid}:${mesh.geometry.uuid}`)
+      .join();
+    if (key === this.lastMeshesKey) return;
+    this.lastMeshesKey = key;
+    frame.meshes = meshes.map((mesh) => ({
+      semanticLabel: mesh.semanticLabel,
+      pose: recordPose(mesh),
+      vertices: Float32Array.from(mesh.geometry.attributes.position.array),
+      indices: Uint32Array.from(mesh.geometry.getIndex()?.array ?? []),
+    }));
+  }
+
+  private recordCameraFrame(frame: RecordedFrame, time: number) {
+    // The snapshot resolves after this frame, so the pose is taken now.
+    const pose = frame.viewer;
+    const snapshot = this.deviceCamera?.getSnapshot({
+      outputFormat: 'base64',
+      mimeType: 'image/jpeg',
+      quality: 0.7,
+    });
+    if (!snapshot) return;
+    this.lastCameraFrameTime = time;
+    snapshot
+      .then((cameraFrame) => {
+        if (cameraFrame) {
+          frame.cameraFrame = cameraFrame;
+          frame.cameraFramePose = pose;
+        }
+      })
+      .catch(() => {
+        // Skips the snapshot, e.g. when the camera stream ended.
+      });
+  }
+}
@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+import {describe, expect, it, vi} from 'vitest';
+
+import type {Controller} from '../input/Controller';
+import {HAND_JOINT_NAMES} from '../input/components/HandJointNames';
+import {Input} from '../input/Input';
+import {SessionPlayer} from './SessionPlayer';
+import {SessionRecorder} from './SessionRecorder';
+import {
+  parseSessionRecording,
+  RecordedFrame,
+  serializeSessionRecording,
+  SESSION_RECORDING_VERSION,
+} from './SessionRecording';
+
+function createFrame(time: number, x: number): RecordedFrame {
+  return {
+    time,
+    viewer: {position: [x, 1.6, 0], quaternion: [0, 0, 0, 1]},
+    controllers: [{position: [x, 1, -0.3], quaternion: [0, 0, 0, 1]}, null],
+    hands: [null, null],
+    events: [],
+  };
+}
+
+function createPlayer() {
+  const input = new Input();
+  input.controllers.push(
+    new THREE.Group() as Controller,
+    new THREE.Group() as Controller
+  );
+  const hand = new THREE.Group() as unknown as THREE.XRHandSpace;
+  hand.joints = {};
+  input.hands.push(hand);
+  const camera = new THREE.PerspectiveCamera();
+  const simulator = {
+    renderDepthPass: true,
+    hands: {
+      leftController: new THREE.Object3D(),
+      rightController: new THREE.Object3D(),
+    },
+  };
+  const player = new SessionPlayer();
+  player.init({
+    input,
+    camera,
+    timer: new THREE.Timer(),
+    depth: {enabled: false},
+    world: {},
+    simulator,
+  } as unknown as Parameters<SessionPlayer['init']>[0]);
+  return {player, input, camera, hand, simulator};
+}
+
+describe('SessionRecording', () => {
+  it('serializes typed arrays as base64', () => {
+    const frame = createFrame(0, 0);
+    frame.depth = {
+      width: 2,
+      height: 1,
+      rawValueToMeters: 0.001,
+      data: new Uint16Array([1000, 65535]),
+      projectionMatrix: new THREE.Matrix4().toArray(),
+      transform: frame.viewer,
+    };
+    frame.hands[0] = {
+      pose: frame.viewer,
+      joints: new Float32Array(HAND_JOINT_NAMES.length * 7).fill(0.5),
+    };
+    const json = serializeSessionRecording({
+      version: SESSION_RECORDING_VERSION,
+      frames: [frame],
+    });
+
+    const recording = parseSessionRecording(json);
+
+    expect(json).not.toContain('65535');
+    expect(recording.frames[0].depth!.data).toEqual(
+      new Uint16Array([1000, 65535])
+    );
+    expect(recording.frames[0].hands[0]!.joints).toBeInstanceOf(Float32Array);
+    expect(recording.frames[0].hands[0]!.joints[7]).toBe(0.5);
+  });
+
+  it('rejects recordings of newer versions', () => {
+    const json = JSON.stringify({
+      version: SESSION_RECORDING_VERSION + 1,
+      frames: [],
+    });
+    expect(() => parseSessionRecording(json)).toThrow(/not supported/);
+    expect(() => parseSessionRecording('{}')).toThrow();
+  });
+});
+
+describe('SessionPlayer', () => {
+  it('replays poses, hand joints and input events', () => {
+    const {player, input, camera, hand, simulator} = createPlayer();
+    const dispatchEvent = vi.spyOn(input, 'dispatchEvent');
+    const frames = [
+      createFrame(0, 0),
+      createFrame(0.1, 1),
+      createFrame(0.2, 2),
+    ];
+    frames[1].events.push({
+      type: 'selectstart',
+      controller: 0,
+      handedness: 'left',
+    });
+    frames[2].hands[0] = {
+      pose: {position: [0, 1, 0], quaternion: [0, 0, 0, 1]},
+      joints: new Float32Array(HAND_JOINT_NAMES.length * 7).fill(0.25),
+    };
+    player.load({version: SESSION_RECORDING_VERSION, frames});
+
+    player.play();
+    expect(simulator.renderDepthPass).toBe(false);
+    player.advance(0.15);
+    expect(camera.position.x).toBe(1);
+    expect(input.controllers[0].position.x).toBe(1);
+    expect(dispatchEvent).toHaveBeenCalledExactlyOnceWith({
+      type: 'selectstart',
+      target: input.controllers[0],
+      data: {handedness: 'left'},
+    });
+
+    player.advance(0.1);
+    expect(hand.visible).toBe(true);
+    expect(hand.joints['index-finger-tip']!.position.x).toBe(0.25);
+    expect(player.playing).toBe(false);
+    expect(simulator.renderDepthPass).toBe(true);
+  });
+
+  it('ends selections in progress when stopped', () => {
+    const {player, input} = createPlayer();
+    const dispatchEvent = vi.spyOn(input, 'dispatchEvent');
+    const frame = createFrame(0, 0);
+    frame.events.push({type: 'selectstart', controller: 1});
+    player.load({
+      version: SESSION_RECORDING_VERSION,
+      frames: [frame, createFrame(1, 0)],
+    });
+
+    player.play();
+    player.advance(0.5);
+    player.stop();
+
+    expect(dispatchEvent).toHaveBeenLastCalledWith({
+      type: 'selectend',
+      target: input.controllers[1],
+      data: {handedness: undefined},
+    });
+    expect(player.time).toBe(0);
+  });
+});
+
+describe('SessionRecorder', () => {
+  const referenceSpace = {} as XRReferenceSpace;
+
+  function createRecorder(getSnapshot: () => Promise<string | null>) {
+    const input = new Input();
+    input.controllers.push(
+      new THREE.Group() as Controller,
+      new THREE.Group() as Controller
+    );
+    const camera = new THREE.PerspectiveCamera();
+    const recorder = new SessionRecorder({
+      recordDepth: false,
+      recordPlanes: false,
+      recordMeshes: false,
+      recordCameraFrames: true,
+    });
+    recorder.init({
+      input,
+      camera,
+      renderer: {xr: {getReferenceSpace: () => referenceSpace}},
+      timer: new THREE.Timer(),
+      world: {},
+      deviceCamera: {getSnapshot},
+    } as unknown as Parameters<SessionRecorder['init']>[0]);
+    return {recorder, input, camera};
+  }
+
+  it('records selects and the pose of camera snapshots', async () => {
+    let resolveSnapshot!: (snapshot: string) => void;
+    const {recorder, input, camera} = createRecorder(
+      () => new Promise((resolve) => (resolveSnapshot = resolve))
+    );
+    const target = input.controllers[0];
+    recorder.start();
+    recorder.onSelectStart({target});
+    recorder.onSelectEnd({target});
+    recorder.onSelect({target});
+    camera.position.set(1, 2, 3);
+    recorder.earlyUpdate();
+    camera.position.set(4, 5, 6);
+    resolveSnapshot('snapshot');
+    await Promise.resolve();
+
+    const [frame] = recorder.stop().frames;
+    expect(frame.events.map((event) => event.type)).toEqual([
+      'selectstart',
+      'selectend',
+      'select',
+    ]);
+    expect(frame.cameraFrame).toBe('snapshot');
+    expect(frame.cameraFramePose!.position).toEqual([1, 2, 3]);
+  });
+
+  it('records the viewer pose of XR frames', () => {
+    const {recorder, camera} = createRecorder(() => Promise.resolve(null));
+    const xrFrame = {
+      getViewerPose: (space: XRReferenceSpace) =>
+        space === referenceSpace
+          ? {
+              transform: {
+                position: {x: 1, y: 2, z: 3},
+                orientation: {x: 0, y: 1, z: 0, w: 0},
+              },
+            }
+          : undefined,
+    } as unknown as XRFrame;
+    camera.position.set(4, 5, 6);
+    recorder.start();
+    recorder.earlyUpdate(0, xrFrame);
+    recorder.earlyUpdate(0);
+
+    const [xrViewer, simulatorViewer] = recorder
+      .stop()
+      .frames.map((frame) => frame.viewer);
+    expect(xrViewer).toEqual({position: [1, 2, 3], quaternion: [0, 1, 0, 0]});
+    expect(simulatorViewer.position).toEqual([4, 5, 6]);
+  });
+
+  it('skips camera snapshots which fail', async () => {
+    const {recorder} = createRecorder(() =>
+      Promise.reject(new Error('The stream ended.'))
+    );
+    recorder.start();
+    recorder.earlyUpdate();
+    await new Promise((resolve) => setTimeout(resolve));
+
+    expect(recorder.stop().frames[0].cameraFrame).toBeUndefined();
+  });
+});
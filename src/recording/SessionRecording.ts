@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+
+/**
+ * Version of the recording format written by `SessionRecorder`. Increased
+ * whenever recordings of older versions can no longer be played.
+ */
+export const SESSION_RECORDING_VERSION = 1;
+
+/**
+ * A pose relative to the parent of the recorded object, as an `[x, y, z]`
+ * position and an `[x, y, z, w]` quaternion.
+ */
+export type RecordedPose = {
+  position: number[];
+  quaternion: number[];
+};
+
+export type RecordedInputEventType =
+  | 'selectstart'
+  | 'selectend'
+  | 'select'
+  | 'squeezestart'
+  | 'squeezeend'
+  | 'squeeze';
+
+export type RecordedInputEvent = {
+  type: RecordedInputEventType;
+  /** Index of the controller in `Input.controllers`. */
+  controller: number;
+  handedness?: XRHandedness;
+};
+
+export type RecordedHand = {
+  pose: RecordedPose;
+  /**
+   * Joint poses relative to the hand in the order of `HAND_JOINT_NAMES`, as 7
+   * numbers per joint: the position followed by the quaternion.
+   */
+  joints: Float32Array;
+};
+
+export type RecordedDepth = {
+  width: number;
+  height: number;
+  rawValueToMeters: number;
+  data: Float32Array | Uint16Array;
+  projectionMatrix: number[];
+  transform: RecordedPose;
+};
+
+export type RecordedPlane = {
+  label?: string;
+  orientation?: XRPlaneOrientation;
+  pose: RecordedPose;
+  /** The boundary as `x, z` pairs in the plane's local space. */
+  polygon: number[];
+};
+
+export type RecordedMesh = {
+  semanticLabel?: string;
+  pose: RecordedPose;
+  vertices: Float32Array;
+  indices: Uint32Array;
+};
+
+export type RecordedFrame = {
+  /** Seconds since the recording started. */
+  time: number;
+  viewer: RecordedPose;
+  /** The first two controllers, null while disconnected. */
+  controllers: (RecordedPose | null)[];
+  /** The left and right hands, null while not tracked. */
+  hands: (RecordedHand | null)[];
+  /** Input events received since the previous frame. */
+  events: RecordedInputEvent[];
+  depth?: RecordedDepth;
+  /** All detected planes, only on frames where they changed. */
+  planes?: RecordedPlane[];
+  /** All detected meshes, only on frames where they changed. */
+  meshes?: RecordedMesh[];
+  /** A base64 snapshot of the device camera. */
+  cameraFrame?: string;
+  /** The viewer pose on the frame the snapshot was requested. */
+  cameraFramePose?: RecordedPose;
+};
+
+export type SessionRecording = {
+  version: number;
+  frames: RecordedFrame[];
+};
+
+type SerializedTypedArray = {
+  typedArray: 'Float32Array' | 'Uint16Array' | 'Uint32Array';
+  base64: string;
+};
+
+const TYPED_ARRAY_CONSTRUCTORS = {
+  Float32Array,
+  Uint16Array,
+  Uint32Array,
+};
+
+/**
+ * Records the local pose of an object.
+ * @param object - The object to record.
+ */
+export function recordPose(object: THREE.Object3D): RecordedPose {
+  return {
+    position: object.position.toArray(),
+    quaternion: object.quaternion.toArray(),
+  };
+}
+
+/**
+ * Applies a recorded pose to the local transform of an object.
+ * @param pose - The recorded pose.
+ * @param object - The object to move.
+ */
+export function applyRecordedPose(pose: RecordedPose, object: THREE.Object3D) {
+  object.position.fromArray(pose.position);
+  object.quaternion.fromArray(pose.quaternion);
+}
+
+function typedArrayToBase64(array: ArrayBufferView) {
+  const bytes = new Uint8Array(
+    array.buffer,
+    array.byteOffset,
+    array.byteLength
+  );
+  let binary = '';
+  // Converts in chunks to stay below the maximum number of arguments.
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function base64ToTypedArray({typedArray, base64}: SerializedTypedArray) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; ++i) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TYPED_ARRAY_CONSTRUCTORS[typedArray](bytes.buffer);
+}
+
+/**
+ * Converts a recording to JSON. Depth buffers and mesh geometry are stored as
+ * base64 to keep files small.
+ * @param recording - The recording to convert.
+ */
+export function serializeSessionRecording(recording: SessionRecording) {
+  return JSON.stringify(recording, (_, value) => {
+    for (const [name, constructor] of Object.entries(
+      TYPED_ARRAY_CONSTRUCTORS
+    )) {
+      if (value instanceof constructor) {
+        return {typedArray: name, base64: typedArrayToBase64(value)};
+      }
+    }
+    return value;
+  });
+}
+
+/**
+ * Reads a recording converted with `serializeSessionRecording`.
+ * @param json - The JSON of the recording.
+ * @returns The recording.
+ */
+export function parseSessionRecording(json: string): SessionRecording {
+  const recording = JSON.parse(json, (_, value) => {
+    if (
+      value &&
+      typeof value.base64 === 'string' &&
+      value.typedArray in TYPED_ARRAY_CONSTRUCTORS
+    ) {
+      return base64ToTypedArray(value);
+    }
+    return value;
+  });
+  if (
+    typeof recording?.version !== 'number' ||
+    !Array.isArray(recording.frames)
+  ) {
+    throw new Error('Not a session recording.');
+  }
+  if (recording.version > SESSION_RECORDING_VERSION) {
+    throw new Error(
+      `Session recording version ${recording.version} is not supported, ` +
+        `the latest supported version is ${SESSION_RECORDING_VERSION}.`
+    );
+  }
+  return recording;
+}
@@ -22,6 +22,7 @@ import {SimulatorScene} from './SimulatorScene';
 import {SimulatorUser} from './SimulatorUser';
 import {SimulatorWorld} from './SimulatorWorld';
 import {SparkRendererHolder} from '../utils/SparkRendererHolder';
+import {optional} from '../utils/DependencyInjection';
 import {World} from '../world/World';
 
 export class Simulator extends Script {
@@ -36,6 +37,7 @@ export class Simulator extends Script {
     options: Options,
     depth: Depth,
     world: World,
+    deviceCamera: optional(XRDeviceCamera),
   };
   editorIcon = 'simulation';
   simulatorScene = new SimulatorScene();
@@ -96,6 +98,7 @@ export class Simulator extends Script {
     options,
     depth,
     world,
+    deviceCamera,
   }: {
     simulatorOptions: SimulatorOptions;
     input: Input;
@@ -107,17 +110,16 @@ export class Simulator extends Script {
     options: Options;
     depth: Depth;
     world: World;
+    deviceCamera?: XRDeviceCamera;
   }) {
     if (this.initialized) return;
-    // Get optional dependencies from the registry.
-    const deviceCamera = registry.get(XRDeviceCamera);
     this.options = simulatorOptions;
     camera.position.copy(this.options.initialCameraPosition);
     this.userInterface.init(simulatorOptions, this.controls, this.hands);
     renderer.autoClearColor = false;
     await this.simulatorScene.init(simulatorOptions);
     await this.simulatorWorld.init(options, world);
-    this.hands.init({input});
+    this.hands.init({input, timer});
     this.controls.init({camera, input, timer, renderer, simulatorOptions});
     if (deviceCamera && !this.camera) {
       this.camera = new SimulatorCamera(renderer);
@@ -184,6 +186,28 @@ export class Simulator extends Script {
     this.initialized = true;
   }
 
+  /**
+   * Releases the simulator's DOM listeners, interface elements and render
+   * targets so that it can be initialized again.
+   */
+  dispose() {
+    if (!this.initialized) return;
+    this.controls.disconnect();
+    this.userInterface.dispose();
+    if (this.videoElement) {
+      this.videoElement.pause();
+      this.videoElement.removeAttribute('src');
+      this.videoElement = undefined;
+    }
+    this.backgroundVideoQuad?.dispose();
+    this.backgroundVideoQuad = undefined;
+    this.virtualSceneFullScreenQuad?.dispose();
+    this.virtualSceneFullScreenQuad = undefined;
+    this.virtualSceneRenderTarget?.dispose();
+    this.virtualSceneRenderTarget = undefined;
+    this.initialized = false;
+  }
+
   simulatorUpdate() {
     this.controls.update();
     this.hands.update();
@@ -6,6 +6,7 @@ import {Keycodes} from '../utils/Keycodes';
 
 import {SimulatorControllerMode} from './controlModes/SimulatorControllerMode';
 import {SimulatorControlMode} from './controlModes/SimulatorControlMode';
+import {SimulatorGazeMode} from './controlModes/SimulatorGazeMode';
 import {SimulatorPoseMode} from './controlModes/SimulatorPoseMode';
 import {SimulatorUserMode} from './controlModes/SimulatorUserMode';
 import {SetSimulatorModeEvent} from './events/SimulatorModeEvents';
@@ -46,6 +47,7 @@ export class SimulatorControls {
 
   private _onPointerDown = this.onPointerDown.bind(this);
   private _onPointerUp = this.onPointerUp.bind(this);
+  private _onPointerCancel = this.onPointerCancel.bind(this);
   private _onKeyDown = this.onKeyDown.bind(this);
   private _onKeyUp = this.onKeyUp.bind(this);
   private _onPointerMove = this.onPointerMove.bind(this);
@@ -88,6 +90,13 @@ export class SimulatorControls {
         setStereoRenderMode,
         toggleUserInterface
       ),
+      [SimulatorMode.GAZE]: new SimulatorGazeMode(
+        this.simulatorControllerState,
+        this.downKeys,
+        hands,
+        setStereoRenderMode,
+        toggleUserInterface
+      ),
     };
 
     this.simulatorModeControls = this.simulatorModes[this.simulatorMode];
@@ -110,7 +119,7 @@ export class SimulatorControls {
     simulatorOptions: SimulatorOptions;
   }) {
     for (const mode in this.simulatorModes) {
-      this.simulatorModes[mode].init({camera, input, timer});
+      this.simulatorModes[mode].init({camera, input, timer, simulatorOptions});
     }
     this.renderer = renderer;
     this.setSimulatorMode(simulatorOptions.defaultMode);
@@ -127,11 +136,28 @@ export class SimulatorControls {
     domElement.addEventListener('pointermove', this._onPointerMove);
     domElement.addEventListener('pointerdown', this._onPointerDown);
     domElement.addEventListener('pointerup', this._onPointerUp);
+    domElement.addEventListener('pointercancel', this._onPointerCancel);
+    // Keeps touches from scrolling and zooming the page.
+    domElement.style.touchAction = 'none';
     domElement.addEventListener('contextmenu', preventDefault);
     window.addEventListener('blur', this._onBlur);
     document.addEventListener('visibilitychange', this._onBlur);
   }
 
+  disconnect() {
+    if (!this.renderer) return;
+    const domElement = this.renderer.domElement;
+    document.removeEventListener('keyup', this._onKeyUp);
+    document.removeEventListener('keydown', this._onKeyDown);
+    domElement.removeEventListener('pointermove', this._onPointerMove);
+    domElement.removeEventListener('pointerdown', this._onPointerDown);
+    domElement.removeEventListener('pointerup', this._onPointerUp);
+    domElement.removeEventListener('pointercancel', this._onPointerCancel);
+    domElement.removeEventListener('contextmenu', preventDefault);
+    window.removeEventListener('blur', this._onBlur);
+    document.removeEventListener('visibilitychange', this._onBlur);
+  }
+
   update() {
     this.simulatorModeControls.update();
   }
@@ -153,6 +179,12 @@ export class SimulatorControls {
     this.pointerDown = false;
   }
 
+  onPointerCancel(event: MouseEvent) {
+    if (!this.enabled) return;
+    this.simulatorModeControls.onPointerCancel(event);
+    this.pointerDown = false;
+  }
+
   onKeyDown(event: KeyboardEvent) {
     if (!this.enabled) return;
     // On macOS, keyup events are not fired for keys held when Command (Meta)
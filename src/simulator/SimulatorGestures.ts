@@ -0,0 +1,215 @@
+import * as THREE from 'three';
+
+import {SimulatorControllerState} from './SimulatorControllerState';
+import type {SimulatorHands} from './SimulatorHands';
+
+/**
+ * Hand motions the simulator can play back to trigger the temporal gestures
+ * of `GestureRecognition` on desktop.
+ */
+export type SimulatorGestureName =
+  | 'swipe-left'
+  | 'swipe-right'
+  | 'swipe-up'
+  | 'swipe-down'
+  | 'wave'
+  | 'circle-clockwise'
+  | 'circle-counterclockwise'
+  | 'double-pinch'
+  | 'pinch-and-drag'
+  | 'palm-flip';
+
+/**
+ * The pose of a hand during a gesture, relative to its pose when the gesture
+ * started and in the camera's space.
+ */
+type SimulatorGestureFrame = {
+  offset: THREE.Vector3;
+  /** The rotation around the camera's up axis, in radians. */
+  yaw: number;
+  /** The rotation around the camera's forward axis, in radians. */
+  roll: number;
+  pinching: boolean;
+};
+
+type SimulatorGestureAnimation = {
+  /** The length of the animation, in seconds. */
+  duration: number;
+  sample: (time: number, frame: SimulatorGestureFrame) => void;
+};
+
+const {clamp, smoothstep} = THREE.MathUtils;
+
+/** Eases from 0 to 1 between two times. */
+function ease(time: number, start: number, end: number) {
+  return smoothstep(clamp((time - start) / (end - start), 0, 1), 0, 1);
+}
+
+function swipe(x: number, y: number): SimulatorGestureAnimation {
+  return {
+    duration: 1.2,
+    sample: (time, frame) => {
+      // Out quickly, then back slowly enough not to swipe the other way.
+      const distance = 0.3 * (ease(time, 0, 0.25) - ease(time, 0.4, 1.2));
+      frame.offset.set(x * distance, y * distance, 0);
+    },
+  };
+}
+
+function circle(direction: number): SimulatorGestureAnimation {
+  const radius = 0.08;
+  const turns = 2;
+  const duration = 1.6;
+  return {
+    duration,
+    sample: (time, frame) => {
+      const angle = (direction * 2 * Math.PI * turns * time) / duration;
+      frame.offset.set(
+        radius * (Math.cos(angle) - 1),
+        radius * Math.sin(angle),
+        0
+      );
+    },
+  };
+}
+
+const SIMULATOR_GESTURE_ANIMATIONS: Record<
+  SimulatorGestureName,
+  SimulatorGestureAnimation
+> = {
+  'swipe-left': swipe(-1, 0),
+  'swipe-right': swipe(1, 0),
+  'swipe-up': swipe(0, 1),
+  'swipe-down': swipe(0, -1),
+  wave: {
+    duration: 1.5,
+    sample: (time, frame) => {
+      // Swings the fingers from side to side twice a second.
+      frame.yaw = 0.5 * Math.sin(4 * Math.PI * time);
+    },
+  },
+  'circle-clockwise': circle(-1),
+  'circle-counterclockwise': circle(1),
+  'double-pinch': {
+    duration: 0.9,
+    sample: (time, frame) => {
+      frame.pinching = time < 0.2 || (time >= 0.35 && time < 0.6);
+    },
+  },
+  'pinch-and-drag': {
+    duration: 1.8,
+    sample: (time, frame) => {
+      frame.pinching = time < 1;
+      const distance = 0.15 * (ease(time, 0.3, 0.8) - ease(time, 1.1, 1.8));
+      frame.offset.set(distance, 0, 0);
+    },
+  },
+  'palm-flip': {
+    duration: 0.5,
+    sample: (time, frame) => {
+      // The hand stays flipped, so playing it again flips it back.
+      frame.roll = Math.PI * ease(time, 0, 0.35);
+    },
+  },
+};
+
+const quaternion = new THREE.Quaternion();
+const euler = new THREE.Euler();
+
+/**
+ * Plays back hand motions in the simulator by animating the simulated hands
+ * relative to the camera, e.g. `simulator.hands.gestures.play('wave')`.
+ */
+export class SimulatorGestures {
+  /** The gesture being played, if any. */
+  current?: SimulatorGestureName;
+  private handIndex = 0;
+  private startTime?: number;
+  private basePosition = new THREE.Vector3();
+  private baseOrientation = new THREE.Quaternion();
+  private frame: SimulatorGestureFrame = {
+    offset: new THREE.Vector3(),
+    yaw: 0,
+    roll: 0,
+    pinching: false,
+  };
+
+  constructor(
+    private simulatorControllerState: SimulatorControllerState,
+    private hands: SimulatorHands
+  ) {}
+
+  /**
+   * Starts playing a gesture, finishing the current one first.
+   * @param name - The gesture to play.
+   * @param handIndex - 0 for the left hand and 1 for the right, defaults to
+   *     the active hand.
+   */
+  play(
+    name: SimulatorGestureName,
+    handIndex = this.simulatorControllerState.currentControllerIndex
+  ) {
+    this.stop();
+    this.current = name;
+    this.handIndex = handIndex;
+    this.startTime = undefined;
+    this.basePosition.copy(
+      this.simulatorControllerState.localControllerPositions[handIndex]
+    );
+    this.baseOrientation.copy(
+      this.simulatorControllerState.localControllerOrientations[handIndex]
+    );
+  }
+
+  /**
+   * Jumps to the end of the current gesture.
+   */
+  stop() {
+    if (!this.current) return;
+    const animation = SIMULATOR_GESTURE_ANIMATIONS[this.current];
+    this.applyFrame(animation, animation.duration);
+    this.current = undefined;
+  }
+
+  /**
+   * Advances the current gesture.
+   * @param time - The elapsed time of the frame clock, in seconds.
+   */
+  update(time: number) {
+    if (!this.current) return;
+    this.startTime ??= time;
+    const animation = SIMULATOR_GESTURE_ANIMATIONS[this.current];
+    const elapsed = time - this.startTime;
+    if (elapsed >= animation.duration) {
+      this.stop();
+    } else {
+      this.applyFrame(animation, elapsed);
+    }
+  }
+
+  private applyFrame(animation: SimulatorGestureAnimation, time: number) {
+    const frame = this.frame;
+    const wasPinching = frame.pinching;
+    frame.offset.set(0, 0, 0);
+    frame.yaw = 0;
+    frame.roll = 0;
+    frame.pinching = false;
+    animation.sample(time, frame);
+    const state = this.simulatorControllerState;
+    state.localControllerPositions[this.handIndex]
+      .copy(this.basePosition)
+      .add(frame.offset);
+    state.localControllerOrientations[this.handIndex]
+      .copy(this.baseOrientation)
+      .premultiply(
+        quaternion.setFromEuler(euler.set(0, frame.yaw, frame.roll, 'YXZ'))
+      );
+    if (frame.pinching != wasPinching) {
+      if (this.handIndex == 0) {
+        this.hands.setLeftHandPinching(frame.pinching);
+      } else {
+        this.hands.setRightHandPinching(frame.pinching);
+      }
+    }
+  }
+}
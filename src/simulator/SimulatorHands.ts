@@ -13,6 +13,7 @@ import {
   SimulatorHandPose,
 } from './handPoses/HandPoses';
 import {SimulatorControllerState} from './SimulatorControllerState';
+import {SimulatorGestures} from './SimulatorGestures';
 import {SimulatorXRHand} from './SimulatorXRHand';
 
 const DEFAULT_HAND_PROFILE_PATH =
@@ -43,7 +44,10 @@ export class SimulatorHands {
   handPosePanelElement?: SimulatorHandPoseHTMLElement;
   onHandPoseChangeRequestBound = this.onHandPoseChangeRequest.bind(this);
   input!: Input;
+  timer!: THREE.Timer;
   loader!: GLTFLoader;
+  // Plays back hand motions such as swipes and waves.
+  gestures: SimulatorGestures;
 
   private leftXRHand = new SimulatorXRHand();
   private rightXRHand = new SimulatorXRHand();
@@ -51,13 +55,16 @@ export class SimulatorHands {
   constructor(
     private simulatorControllerState: SimulatorControllerState,
     private simulatorScene: THREE.Scene
-  ) {}
+  ) {
+    this.gestures = new SimulatorGestures(simulatorControllerState, this);
+  }
 
   /**
    * Initialize Simulator Hands.
    */
-  init({input}: {input: Input}) {
+  init({input, timer}: {input: Input; timer: THREE.Timer}) {
     this.input = input;
+    this.timer = timer;
     this.loadMeshes();
     this.simulatorScene.add(this.leftController);
     this.simulatorScene.add(this.rightController);
@@ -207,6 +214,7 @@ export class SimulatorHands {
   }
 
   update() {
+    this.gestures.update(this.timer.getElapsed());
     this.lerpLeftHandPose();
     this.lerpRightHandPose();
     this.syncHandJoints();
@@ -80,6 +80,16 @@ export class SimulatorInterface {
     }
   }
 
+  /**
+   * Removes all interface elements from the page.
+   */
+  dispose() {
+    for (const element of this.elements) {
+      element.remove();
+    }
+    this.elements.length = 0;
+  }
+
   hideUiElements() {
     for (const element of this.elements) {
       element.style.display = 'none';
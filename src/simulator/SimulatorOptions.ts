@@ -10,12 +10,14 @@ export enum SimulatorMode {
   USER = 'User',
   POSE = 'Navigation',
   CONTROLLER = 'Hands',
+  GAZE = 'Gaze',
 }
 
 const DEFAULT_MODE_TOGGLE_ORDER = {
   [SimulatorMode.USER]: SimulatorMode.POSE,
   [SimulatorMode.POSE]: SimulatorMode.CONTROLLER,
-  [SimulatorMode.CONTROLLER]: SimulatorMode.USER,
+  [SimulatorMode.CONTROLLER]: SimulatorMode.GAZE,
+  [SimulatorMode.GAZE]: SimulatorMode.USER,
 };
 
 export interface SimulatorCustomInstruction {
@@ -59,6 +61,12 @@ export class SimulatorOptions {
   stereo = {
     enabled: false,
   };
+  // One-finger drags on empty space orbit the camera around a point this far
+  // in front of it, in radians per pixel.
+  touch = {
+    orbitDistance: 1.5,
+    orbitSpeed: 0.005,
+  };
   // Whether to render the main scene to a render texture before rendering the simulator scene
   // or directly to the canvas after rendering the simulator scene.
   renderToRenderTexture = true;
@@ -1,3 +1,7 @@
+import {
+  CancellationToken,
+  CancelledError,
+} from '../core/components/CancellationToken.js';
 import {Registry} from '../core/components/Registry.js';
 import {WaitFrame} from '../core/components/WaitFrame.js';
 import {Script} from '../core/Script.js';
@@ -11,6 +15,8 @@ export class SimulatorUser extends Script {
   journeyId = 0;
   waitFrame!: WaitFrame;
   registry!: Registry;
+  // Cancels the waits of the current journey, also when the user is disposed.
+  private journeyToken?: CancellationToken;
 
   constructor() {
     super();
@@ -23,6 +29,7 @@ export class SimulatorUser extends Script {
 
   stopJourney() {
     ++this.journeyId;
+    this.journeyToken?.cancel();
   }
 
   isOnJourneyId(id: number) {
@@ -31,18 +38,30 @@ export class SimulatorUser extends Script {
 
   async loadJourney(actions: SimulatorUserAction[]) {
     console.log('Load journey');
-    const currentJourneyId = ++this.journeyId;
-    for (
-      let i = 0;
-      this.isOnJourneyId(currentJourneyId) && i < actions.length;
-      ++i
-    ) {
-      callInitWithDependencyInjection(actions[i], this.registry, undefined);
-      await actions[i].play({
-        simulatorUser: this,
-        journeyId: currentJourneyId,
-        waitFrame: this.waitFrame,
-      });
+    this.stopJourney();
+    const currentJourneyId = this.journeyId;
+    const token = this.lifetime.createChild();
+    this.journeyToken = token;
+    try {
+      for (
+        let i = 0;
+        this.isOnJourneyId(currentJourneyId) && i < actions.length;
+        ++i
+      ) {
+        callInitWithDependencyInjection(actions[i], this.registry, undefined);
+        await actions[i].play({
+          simulatorUser: this,
+          journeyId: currentJourneyId,
+          waitFrame: this.waitFrame,
+          token,
+        });
+      }
+    } catch (error) {
+      if (token.cancelled && error instanceof CancelledError) {
+        console.log('Journey stopped');
+        return;
+      }
+      throw error;
     }
     console.log('Journey finished');
   }
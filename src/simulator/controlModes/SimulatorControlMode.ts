@@ -5,15 +5,18 @@ import {Keycodes} from '../../utils/Keycodes';
 import {SimulatorRenderMode} from '../SimulatorConstants';
 import {SimulatorControllerState} from '../SimulatorControllerState';
 import {SimulatorHands} from '../SimulatorHands.js';
+import {SimulatorOptions} from '../SimulatorOptions';
 
 const {A_CODE, D_CODE, E_CODE, Q_CODE, S_CODE, W_CODE} = Keycodes;
 const vector3 = new THREE.Vector3();
 const euler = new THREE.Euler();
+const spherical = new THREE.Spherical();
 
 export class SimulatorControlMode {
   camera!: THREE.Camera;
   input!: Input;
   timer!: THREE.Timer;
+  simulatorOptions?: SimulatorOptions;
 
   /**
    * Create a SimulatorControlMode
@@ -33,18 +36,24 @@ export class SimulatorControlMode {
     camera,
     input,
     timer,
+    simulatorOptions,
   }: {
     camera: THREE.Camera;
     input: Input;
     timer: THREE.Timer;
+    simulatorOptions?: SimulatorOptions;
   }) {
     this.camera = camera;
     this.input = input;
     this.timer = timer;
+    this.simulatorOptions = simulatorOptions;
   }
 
   onPointerDown(_: MouseEvent) {}
   onPointerUp(_: MouseEvent) {}
+  onPointerCancel(event: MouseEvent) {
+    this.onPointerUp(event);
+  }
   onPointerMove(_: MouseEvent) {}
   onKeyDown(event: KeyboardEvent) {
     if (event.code == Keycodes.DIGIT_1) {
@@ -114,6 +123,23 @@ export class SimulatorControlMode {
     objectQuaternion.setFromEuler(euler);
   }
 
+  /**
+   * Orbits the camera around a point in front of it.
+   * @param pivot - The point to orbit around.
+   * @param deltaX - The horizontal drag distance in pixels.
+   * @param deltaY - The vertical drag distance in pixels.
+   */
+  orbitCamera(pivot: THREE.Vector3, deltaX: number, deltaY: number) {
+    const speed = this.simulatorOptions?.touch.orbitSpeed ?? 0.005;
+    vector3.subVectors(this.camera.position, pivot);
+    spherical.setFromVector3(vector3);
+    spherical.theta -= deltaX * speed;
+    spherical.phi -= deltaY * speed;
+    spherical.makeSafe();
+    this.camera.position.setFromSpherical(spherical).add(pivot);
+    this.camera.lookAt(pivot);
+  }
+
   enableSimulatorHands() {
     this.hands.showHands();
     this.input.dispatchEvent({
@@ -1,14 +1,69 @@
 import * as THREE from 'three';
 
+import {getGamepadButtonName} from '../../input/Controller';
 import {Keycodes} from '../../utils/Keycodes';
+import {SimulatorGestureName} from '../SimulatorGestures';
 
 import {SimulatorControlMode} from './SimulatorControlMode';
 
 const vector3 = new THREE.Vector3();
-const {A_CODE, D_CODE, E_CODE, Q_CODE, S_CODE, SPACE_CODE, T_CODE, W_CODE} =
-  Keycodes;
+const {
+  A_CODE,
+  D_CODE,
+  DIGIT_0,
+  DIGIT_3,
+  DIGIT_4,
+  DIGIT_5,
+  DIGIT_6,
+  DIGIT_7,
+  DIGIT_8,
+  DIGIT_9,
+  DOWN,
+  E_CODE,
+  F_CODE,
+  G_CODE,
+  LEFT,
+  Q_CODE,
+  RIGHT,
+  S_CODE,
+  SPACE_CODE,
+  T_CODE,
+  UP,
+  W_CODE,
+  X_CODE,
+  Z_CODE,
+} = Keycodes;
+
+/**
+ * Keys simulating the gamepad buttons of the active controller, by index in
+ * the 'xr-standard' mapping: Z for A/X and X for B/Y.
+ */
+const SIMULATOR_GAMEPAD_BUTTON_KEYS: [number, Keycodes][] = [
+  [4, Z_CODE],
+  [5, X_CODE],
+];
+
+/**
+ * Keys playing back gestures with the active hand.
+ */
+const SIMULATOR_GESTURE_KEYS = new Map<string, SimulatorGestureName>([
+  [DIGIT_3, 'swipe-left'],
+  [DIGIT_4, 'swipe-right'],
+  [DIGIT_5, 'swipe-up'],
+  [DIGIT_6, 'swipe-down'],
+  [DIGIT_7, 'wave'],
+  [DIGIT_8, 'circle-counterclockwise'],
+  [DIGIT_9, 'circle-clockwise'],
+  [DIGIT_0, 'double-pinch'],
+  [G_CODE, 'pinch-and-drag'],
+  [F_CODE, 'palm-flip'],
+]);
 
 export class SimulatorControllerMode extends SimulatorControlMode {
+  // Simulated buttons and whether the thumbstick is pushed, per controller.
+  private pressedButtons = [new Set<number>(), new Set<number>()];
+  private thumbstickActive = [false, false];
+
   onPointerMove(event: MouseEvent) {
     if (event.buttons) {
       const controllerOrientation =
@@ -21,12 +76,67 @@ export class SimulatorControllerMode extends SimulatorControlMode {
 
   override update() {
     this.updateControllerPositions();
+    this.updateGamepads();
   }
 
   onModeActivated() {
     this.enableSimulatorHands();
   }
 
+  onModeDeactivated() {
+    this.updateGamepads(true);
+    this.hands.gestures.stop();
+  }
+
+  /**
+   * Dispatches gamepad events of the active controller for the held keys:
+   * the arrow keys push the thumbstick and Z and X press the face buttons.
+   * Buttons of the other controller are released.
+   * @param releaseAll - Whether to release all buttons and thumbsticks.
+   */
+  updateGamepads(releaseAll = false) {
+    const downKeys = this.downKeys;
+    for (let i = 0; i < 2 && i < this.input.controllers.length; i++) {
+      const controller = this.input.controllers[i];
+      const isActive =
+        !releaseAll &&
+        i == this.simulatorControllerState.currentControllerIndex;
+      const pressedButtons = this.pressedButtons[i];
+      for (const [button, key] of SIMULATOR_GAMEPAD_BUTTON_KEYS) {
+        const pressed = isActive && downKeys.has(key);
+        if (pressed == pressedButtons.has(button)) continue;
+        if (pressed) {
+          pressedButtons.add(button);
+        } else {
+          pressedButtons.delete(button);
+        }
+        this.input.dispatchEvent({
+          type: pressed ? 'buttondown' : 'buttonup',
+          target: controller,
+          button,
+          name: getGamepadButtonName(button, i == 0 ? 'left' : 'right'),
+          value: pressed ? 1 : 0,
+        });
+      }
+      const x = isActive
+        ? Number(downKeys.has(RIGHT)) - Number(downKeys.has(LEFT))
+        : 0;
+      const y = isActive
+        ? Number(downKeys.has(DOWN)) - Number(downKeys.has(UP))
+        : 0;
+      const length = Math.hypot(x, y);
+      if (length == 0 && !this.thumbstickActive[i]) continue;
+      this.thumbstickActive[i] = length > 0;
+      this.input.dispatchEvent({
+        type: 'thumbstick',
+        target: controller,
+        stick: 'thumbstick',
+        x: length > 0 ? x / length : 0,
+        y: length > 0 ? y / length : 0,
+      });
+    }
+  }
+
   updateControllerPositions() {
     const deltaTime = this.timer.getDelta();
     const downKeys = this.downKeys;
@@ -62,6 +172,8 @@ export class SimulatorControllerMode extends SimulatorControlMode {
       } else {
         this.hands.setRightHandPinching(newSelectingState);
       }
+    } else if (SIMULATOR_GESTURE_KEYS.has(event.code) && !event.repeat) {
+      this.hands.gestures.play(SIMULATOR_GESTURE_KEYS.get(event.code)!);
     }
   }
 }
@@ -0,0 +1,34 @@
+import {SimulatorControlMode} from './SimulatorControlMode.js';
+
+/**
+ * Gazes with the mouse: the GazeController casts through the mouse position,
+ * and dwelling on an object selects it.
+ */
+export class SimulatorGazeMode extends SimulatorControlMode {
+  // Whether the mode enabled the gaze controller, to disable it again.
+  private enabledGazeController = false;
+
+  onModeActivated() {
+    this.disableSimulatorHands();
+    const gazeController = this.input.gazeController;
+    this.enabledGazeController = !gazeController.userData.connected;
+    if (this.enabledGazeController) {
+      this.input.enableGazeController();
+    }
+  }
+
+  onModeDeactivated() {
+    this.input.gazeController.screenPosition = undefined;
+    if (this.enabledGazeController) {
+      this.input.disableGazeController();
+      this.enabledGazeController = false;
+    }
+  }
+
+  onPointerMove(event: MouseEvent) {
+    this.input.gazeController.updateScreenPositionFromEvent(event);
+    if (event.buttons & 2) {
+      this.rotateOnPointerMove(event, this.camera.quaternion);
+    }
+  }
+}
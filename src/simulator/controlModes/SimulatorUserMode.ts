@@ -1,6 +1,17 @@
+import * as THREE from 'three';
+
 import {SimulatorControlMode} from './SimulatorControlMode.js';
 
+function isTouch(event: MouseEvent): event is PointerEvent {
+  return (event as Partial<PointerEvent>).pointerType === 'touch';
+}
+
 export class SimulatorUserMode extends SimulatorControlMode {
+  // The touch which orbits the camera, while dragging on empty space.
+  private orbitPointerId?: number;
+  private orbitPivot = new THREE.Vector3();
+  private lastOrbitPosition = new THREE.Vector2();
+
   onModeActivated() {
     this.disableSimulatorHands();
     this.input.mouseController.connect();
@@ -8,24 +19,79 @@ export class SimulatorUserMode extends SimulatorControlMode {
 
   onModeDeactivated() {
     this.input.mouseController.disconnect();
+    for (const controller of this.input.touchControllers) {
+      controller.endTouch();
+    }
+    this.orbitPointerId = undefined;
   }
 
   onPointerDown(event: MouseEvent) {
-    if (event.buttons & 1) {
+    if (isTouch(event)) {
+      this.onTouchStart(event);
+    } else if (event.buttons & 1) {
       this.input.mouseController.callSelectStart();
     }
   }
 
-  onPointerUp() {
-    if (this.input.mouseController.userData.selected) {
+  onPointerUp(event: MouseEvent) {
+    if (isTouch(event)) {
+      this.onTouchEnd(event);
+    } else if (this.input.mouseController.userData.selected) {
       this.input.mouseController.callSelectEnd();
     }
   }
 
   onPointerMove(event: MouseEvent) {
+    if (isTouch(event)) {
+      this.onTouchMove(event);
+      return;
+    }
     this.input.mouseController.updateMousePositionFromEvent(event);
     if (event.buttons & 2) {
       this.rotateOnPointerMove(event, this.camera.quaternion);
     }
   }
+
+  /**
+   * Starts selecting with a TouchController. A single touch which hits
+   * nothing orbits the camera instead.
+   */
+  private onTouchStart(event: PointerEvent) {
+    const controller = this.input.startTouch(event);
+    if (!controller) return;
+    const intersections =
+      this.input.intersectionsForController.get(controller) ?? [];
+    const touches = this.input.touchControllers.filter(
+      (touch) => touch.pointerId !== undefined
+    );
+    if (touches.length == 1 && intersections.length == 0) {
+      this.orbitPointerId = event.pointerId;
+      this.lastOrbitPosition.set(event.clientX, event.clientY);
+      this.camera
+        .getWorldDirection(this.orbitPivot)
+        .multiplyScalar(this.simulatorOptions?.touch.orbitDistance ?? 1.5)
+        .add(this.camera.position);
+    } else {
+      // A second finger turns an orbit into a pinch.
+      this.orbitPointerId = undefined;
+    }
+  }
+
+  private onTouchMove(event: PointerEvent) {
+    this.input.moveTouch(event);
+    if (event.pointerId !== this.orbitPointerId) return;
+    this.orbitCamera(
+      this.orbitPivot,
+      event.clientX - this.lastOrbitPosition.x,
+      event.clientY - this.lastOrbitPosition.y
+    );
+    this.lastOrbitPosition.set(event.clientX, event.clientY);
+  }
+
+  private onTouchEnd(event: PointerEvent) {
+    this.input.endTouch(event);
+    if (event.pointerId === this.orbitPointerId) {
+      this.orbitPointerId = undefined;
+    }
+  }
 }
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 
+import type {CancellationToken} from '../../core/components/CancellationToken';
 import {WaitFrame} from '../../core/components/WaitFrame';
 import {Input} from '../../input/Input';
 import {UP} from '../../utils/HelperConstants';
@@ -128,10 +129,12 @@ export class PinchOnButtonAction extends SimulatorUserAction {
     simulatorUser,
     journeyId,
     waitFrame,
+    token,
   }: {
     simulatorUser: SimulatorUser;
     journeyId: number;
     waitFrame: WaitFrame;
+    token?: CancellationToken;
   }) {
     let pinchedOnButton = false;
 
@@ -149,7 +152,7 @@ export class PinchOnButtonAction extends SimulatorUserAction {
         this.pinchController();
         pinchedOnButton = true;
       }
-      await waitFrame.waitFrame();
+      await waitFrame.waitFrame(token);
     }
   }
 }
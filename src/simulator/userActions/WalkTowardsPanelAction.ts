@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 
+import type {CancellationToken} from '../../core/components/CancellationToken';
 import {WaitFrame} from '../../core/components/WaitFrame';
 import {UP} from '../../utils/HelperConstants';
 import {clampRotationToAngle, lookAtRotation} from '../../utils/RotationUtils';
@@ -109,10 +110,12 @@ export class WalkTowardsPanelAction extends SimulatorUserAction {
     simulatorUser,
     journeyId,
     waitFrame,
+    token,
   }: {
     simulatorUser: SimulatorUser;
     journeyId: number;
     waitFrame: WaitFrame;
+    token?: CancellationToken;
   }) {
     let isLookingAtTarget = this.isLookingAtTarget();
     let isNearTarget = this.isNearTarget();
@@ -125,7 +128,7 @@ export class WalkTowardsPanelAction extends SimulatorUserAction {
         this.lookAtTarget();
         this.moveTowardsTarget();
       }
-      await waitFrame.waitFrame();
+      await waitFrame.waitFrame(token);
       isLookingAtTarget = this.isLookingAtTarget();
       isNearTarget = this.isNearTarget();
       shouldContinueJourney = simulatorUser.isOnJourneyId(journeyId);
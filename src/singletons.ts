@@ -73,6 +73,25 @@ export const input = core.input;
  */
 export const camera = core.camera;
 
+/**
+ * A direct alias to the `TweenManager` instance, which plays tweens.
+ * @example
+ * ```
+ * tweens.tween(mesh.position, {y: 1}, {duration: 0.5});
+ * ```
+ */
+export const tweens = core.tweens;
+
+/**
+ * A direct alias to the `AssetManager` instance, which loads and caches
+ * models, textures, sounds and data.
+ * @example
+ * ```
+ * const texture = await assets.load<THREE.Texture>('textures/wood.jpg');
+ * ```
+ */
+export const assets = core.assets;
+
 // --- Function Aliases ---
 // These are bound shortcuts to frequently used methods for convenience.
 
@@ -0,0 +1,56 @@
+import * as THREE from 'three';
+
+import {AssetManager} from '../assets/AssetManager';
+
+/**
+ * Loads the audio buffers of sounds. With an AssetManager, buffers are cached
+ * and keep one reference each until `releaseAll()`, and sounds may also be
+ * played by the keys declared in the asset manifest.
+ */
+export class AudioBufferCache {
+  private audioLoader = new THREE.AudioLoader();
+  private buffers = new Map<string, Promise<AudioBuffer>>();
+
+  constructor(private assets?: AssetManager) {}
+
+  /**
+   * Whether a key is declared in the asset manifest.
+   * @param key - The key of the sound.
+   */
+  isDeclared(key: string) {
+    return this.assets?.has(key) ?? false;
+  }
+
+  /**
+   * Loads an audio buffer.
+   * @param keyOrUrl - A key of the asset manifest, or a URL.
+   * @param onProgress - Called while loading without an AssetManager, which
+   * otherwise reports progress itself.
+   */
+  load(
+    keyOrUrl: string,
+    onProgress?: (event: ProgressEvent) => void
+  ): Promise<AudioBuffer> {
+    if (!this.assets) {
+      return this.audioLoader.loadAsync(keyOrUrl, onProgress);
+    }
+    let buffer = this.buffers.get(keyOrUrl);
+    if (!buffer) {
+      buffer = this.assets.load<AudioBuffer>(keyOrUrl);
+      // Failed loads hold no reference and are attempted again next time.
+      buffer.catch(() => this.buffers.delete(keyOrUrl));
+      this.buffers.set(keyOrUrl, buffer);
+    }
+    return buffer;
+  }
+
+  /**
+   * Releases the references to all buffers loaded so far.
+   */
+  releaseAll() {
+    for (const key of this.buffers.keys()) {
+      this.assets?.release(key);
+    }
+    this.buffers.clear();
+  }
+}
@@ -1,8 +1,10 @@
 import * as THREE from 'three';
 
+import {AssetManager} from '../assets/AssetManager';
 import {XR_BLOCKS_ASSETS_PATH} from '../constants';
 import {Script} from '../core/Script';
 
+import {AudioBufferCache} from './AudioBufferCache';
 import {CategoryVolumes} from './CategoryVolumes';
 
 const MUSIC_LIBRARY_PATH = XR_BLOCKS_ASSETS_PATH + 'musicLibrary/';
@@ -16,7 +18,7 @@ const musicLibrary = {
 } as const;
 
 class BackgroundMusic extends Script {
-  private audioLoader = new THREE.AudioLoader();
+  private audioBuffers: AudioBufferCache;
 
   private currentAudio: THREE.Audio | null = null;
   private isPlaying = false;
@@ -27,9 +29,11 @@ class BackgroundMusic extends Script {
 
   constructor(
     private listener: THREE.AudioListener,
-    private categoryVolumes: CategoryVolumes
+    private categoryVolumes: CategoryVolumes,
+    assets?: AssetManager
   ) {
     super();
+    this.audioBuffers = new AudioBufferCache(assets);
   }
 
   // Set the volume for this instance of BackgroundMusic
@@ -49,12 +53,22 @@ class BackgroundMusic extends Script {
     }
   }
 
-  playMusic(musicKey: keyof typeof musicLibrary, category = 'music') {
-    if (!this.categoryVolumes || !this.listener || !this.audioLoader) {
+  /**
+   * Plays music, replacing the music which is currently playing.
+   * @param musicKey - A key of the music library or of the asset manifest.
+   * @param category - The volume category, where 'music' and 'ambient' loop.
+   */
+  playMusic(
+    musicKey: keyof typeof musicLibrary | (string & {}),
+    category = 'music'
+  ) {
+    if (!this.categoryVolumes || !this.listener || !this.audioBuffers) {
       console.error('BackgroundMusic not properly initialized.');
       return;
     }
-    const soundPath = this.musicLibrary[musicKey];
+    const soundPath = this.audioBuffers.isDeclared(musicKey)
+      ? musicKey
+      : this.musicLibrary[musicKey as keyof typeof musicLibrary];
 
     if (!soundPath) {
       console.error(`BackgroundMusic: Music key "${musicKey}" not found.`);
@@ -67,53 +81,53 @@ class BackgroundMusic extends Script {
 
     const listener = this.listener;
 
-    this.audioLoader.load(
-      soundPath,
-      (buffer) => {
-        console.log(`BackgroundMusic: Successfully loaded ${soundPath}`);
-        const audio = new THREE.Audio(listener);
-        audio.setBuffer(buffer);
-        audio.setLoop(
-          this.musicCategory === 'music' || this.musicCategory === 'ambient'
-        );
-
-        const effectiveVolume = this.categoryVolumes.getEffectiveVolume(
-          this.musicCategory,
-          this.specificVolume
-        );
-        audio.setVolume(effectiveVolume);
-        console.log(
-          `BackgroundMusic: Setting volume for "${musicKey}" to ${
-            effectiveVolume
-          }`
-        );
-
-        audio.play();
-        this.currentAudio = audio;
-        this.isPlaying = true;
-        console.log(
-          `BackgroundMusic: Playing "${musicKey}" in category "${
-            this.musicCategory
-          }"`
-        );
-      },
-      (xhr) => {
+    this.audioBuffers
+      .load(soundPath, (xhr) => {
         console.log(
           `BackgroundMusic: Loading ${soundPath} - ${(
             (xhr.loaded / xhr.total) *
             100
           ).toFixed(0)}% loaded`
         );
-      },
-      (error) => {
-        console.error(
-          `BackgroundMusic: Error loading sound ${soundPath}:`,
-          error
-        );
-        this.currentAudio = null;
-        this.isPlaying = false;
-      }
-    );
+      })
+      .then(
+        (buffer) => {
+          console.log(`BackgroundMusic: Successfully loaded ${soundPath}`);
+          const audio = new THREE.Audio(listener);
+          audio.setBuffer(buffer);
+          audio.setLoop(
+            this.musicCategory === 'music' || this.musicCategory === 'ambient'
+          );
+
+          const effectiveVolume = this.categoryVolumes.getEffectiveVolume(
+            this.musicCategory,
+            this.specificVolume
+          );
+          audio.setVolume(effectiveVolume);
+          console.log(
+            `BackgroundMusic: Setting volume for "${musicKey}" to ${
+              effectiveVolume
+            }`
+          );
+
+          audio.play();
+          this.currentAudio = audio;
+          this.isPlaying = true;
+          console.log(
+            `BackgroundMusic: Playing "${musicKey}" in category "${
+              this.musicCategory
+            }"`
+          );
+        },
+        (error) => {
+          console.error(
+            `BackgroundMusic: Error loading sound ${soundPath}:`,
+            error
+          );
+          this.currentAudio = null;
+          this.isPlaying = false;
+        }
+      );
   }
 
   stopMusic() {
@@ -128,6 +142,7 @@ class BackgroundMusic extends Script {
   destroy() {
     console.log('BackgroundMusic Destroying...');
     this.stopMusic();
+    this.audioBuffers.releaseAll();
   }
 }
 
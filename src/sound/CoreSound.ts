@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 
+import {AssetManager} from '../assets/AssetManager';
 import {Script} from '../core/Script';
 
 import {AudioListener} from './AudioListener';
@@ -13,7 +14,11 @@ import {SpeechRecognizer} from './SpeechRecognizer';
 import {SpeechSynthesizer} from './SpeechSynthesizer';
 
 export class CoreSound extends Script {
-  static dependencies = {camera: THREE.Camera, soundOptions: SoundOptions};
+  static dependencies = {
+    camera: THREE.Camera,
+    soundOptions: SoundOptions,
+    assets: AssetManager,
+  };
   type = 'CoreSound';
   name = 'Core Sound';
   categoryVolumes = new CategoryVolumes();
@@ -30,17 +35,24 @@ export class CoreSound extends Script {
   init({
     camera,
     soundOptions,
+    assets,
   }: {
     camera: THREE.Camera;
     soundOptions: SoundOptions;
+    assets: AssetManager;
   }) {
     this.options = soundOptions;
 
     this.backgroundMusic = new BackgroundMusic(
       this.listener,
-      this.categoryVolumes
+      this.categoryVolumes,
+      assets
+    );
+    this.spatialAudio = new SpatialAudio(
+      this.listener,
+      this.categoryVolumes,
+      assets
     );
-    this.spatialAudio = new SpatialAudio(this.listener, this.categoryVolumes);
     this.audioListener = new AudioListener();
     // Initialize with 48kHz for general audio playback
     // Gemini Live uses 24kHz but that gets handled automatically via playAIAudio
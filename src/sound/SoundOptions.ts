@@ -6,8 +6,10 @@ export class SpeechSynthesizerOptions {
 
 export class SpeechRecognizerOptions {
   enabled = true;
-  /** Recognition language (e.g., 'en-US'). */
-  lang = 'en-US';
+  /**
+   * Recognition language (e.g., 'en-US'). Defaults to the locale of `i18n`.
+   */
+  lang?: string;
   /** If true, recognition continues after a pause. */
   continuous = false;
   /** Keywords to detect as commands. */
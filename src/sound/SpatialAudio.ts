@@ -1,7 +1,9 @@
 import * as THREE from 'three';
 
+import {AssetManager} from '../assets/AssetManager.js';
 import {Script} from '../core/Script.js';
 
+import {AudioBufferCache} from './AudioBufferCache.js';
 import {CategoryVolumes} from './CategoryVolumes.js';
 
 const spatialSoundLibrary = {
@@ -27,7 +29,7 @@ interface ActiveSound {
 }
 
 export class SpatialAudio extends Script {
-  private audioLoader = new THREE.AudioLoader();
+  private audioBuffers: AudioBufferCache;
   private soundLibrary = spatialSoundLibrary;
   // Stores { audio: PositionalAudio, target: Object3D } by id
   private activeSounds = new Map<number, ActiveSound>();
@@ -39,14 +41,16 @@ export class SpatialAudio extends Script {
 
   constructor(
     private listener: THREE.AudioListener,
-    private categoryVolumes: CategoryVolumes
+    private categoryVolumes: CategoryVolumes,
+    assets?: AssetManager
   ) {
     super();
+    this.audioBuffers = new AudioBufferCache(assets);
   }
 
   /**
    * Plays a sound attached to a specific 3D object.
-   * @param soundKey - Key from the soundLibrary.
+   * @param soundKey - Key from the soundLibrary or the asset manifest.
    * @param targetObject - The object the sound should emanate
    *     from.
    * @param options - Optional settings \{ loop: boolean, volume:
@@ -56,18 +60,20 @@ export class SpatialAudio extends Script {
    *     if failed.
    */
   playSoundAtObject(
-    soundKey: keyof typeof spatialSoundLibrary,
+    soundKey: keyof typeof spatialSoundLibrary | (string & {}),
     targetObject: THREE.Object3D,
     options: PlaySoundOptions = {}
   ) {
-    if (!this.listener || !this.audioLoader || !targetObject) {
+    if (!this.listener || !this.audioBuffers || !targetObject) {
       console.error(
         'SpatialAudio not properly initialized or targetObject missing.'
       );
       return null;
     }
 
-    const soundPath = this.soundLibrary[soundKey];
+    const soundPath = this.audioBuffers.isDeclared(soundKey)
+      ? soundKey
+      : this.soundLibrary[soundKey as keyof typeof spatialSoundLibrary];
     if (!soundPath) {
       console.error(`SpatialAudio: Sound key "${soundKey}" not found.`);
       return null;
@@ -88,72 +94,72 @@ export class SpatialAudio extends Script {
 
     console.log(`SpatialAudio: Loading sound "${soundKey}" (${soundPath})`);
 
-    this.audioLoader.load(
-      soundPath,
-      (buffer) => {
-        console.log(`SpatialAudio: Successfully loaded "${soundKey}"`);
-        if (!this.listener) {
-          console.error('SpatialAudio: Listener lost during load.');
-          return;
-        }
-        const audio = new THREE.PositionalAudio(this.listener);
-        audio.setBuffer(buffer);
-        audio.setLoop(loop);
-        audio.setRefDistance(refDistance);
-        audio.setRolloffFactor(rolloffFactor);
-
-        const effectiveVolume = this.categoryVolumes.getEffectiveVolume(
-          this.category,
-          specificVolume
-        );
-        audio.setVolume(effectiveVolume);
-
-        targetObject.add(audio);
-        this.activeSounds.set(soundId, {
-          audio: audio,
-          target: targetObject,
-          options: options,
-        });
-
-        // Set up cleanup for non-looping sounds
-        if (!loop) {
-          audio.onEnded = () => {
-            console.log(
-              `SpatialAudio: Sound "${soundKey}" (ID: ${soundId}) ended.`
-            );
-            this._cleanupSound(soundId);
-            if (options.onEnded && typeof options.onEnded === 'function') {
-              options.onEnded();
-            }
-            // Important: Clear the onEnded handler after it runs once
-            // to prevent issues if the object is reused.
-            audio.onEnded = () => {};
-          };
-        }
-
-        audio.play();
-        console.log(
-          `SpatialAudio: Playing "${soundKey}" (ID: ${soundId}) at object ${
-            targetObject.name || targetObject.uuid
-          }, Volume: ${effectiveVolume}`
-        );
-      },
-      (xhr) => {
+    this.audioBuffers
+      .load(soundPath, (xhr) => {
         console.log(
           `SpatialAudio: Loading "${soundKey}" - ${(
             (xhr.loaded / xhr.total) *
             100
           ).toFixed(0)}% loaded`
         );
-      },
-      (error) => {
-        console.error(
-          `SpatialAudio: Error loading sound "${soundKey}":`,
-          error
-        );
-        this.activeSounds.delete(soundId); // Clean up if loading failed
-      }
-    );
+      })
+      .then(
+        (buffer) => {
+          console.log(`SpatialAudio: Successfully loaded "${soundKey}"`);
+          if (!this.listener) {
+            console.error('SpatialAudio: Listener lost during load.');
+            return;
+          }
+          const audio = new THREE.PositionalAudio(this.listener);
+          audio.setBuffer(buffer);
+          audio.setLoop(loop);
+          audio.setRefDistance(refDistance);
+          audio.setRolloffFactor(rolloffFactor);
+
+          const effectiveVolume = this.categoryVolumes.getEffectiveVolume(
+            this.category,
+            specificVolume
+          );
+          audio.setVolume(effectiveVolume);
+
+          targetObject.add(audio);
+          this.activeSounds.set(soundId, {
+            audio: audio,
+            target: targetObject,
+            options: options,
+          });
+
+          // Set up cleanup for non-looping sounds
+          if (!loop) {
+            audio.onEnded = () => {
+              console.log(
+                `SpatialAudio: Sound "${soundKey}" (ID: ${soundId}) ended.`
+              );
+              this._cleanupSound(soundId);
+              if (options.onEnded && typeof options.onEnded === 'function') {
+                options.onEnded();
+              }
+              // Important: Clear the onEnded handler after it runs once
+              // to prevent issues if the object is reused.
+              audio.onEnded = () => {};
+            };
+          }
+
+          audio.play();
+          console.log(
+            `SpatialAudio: Playing "${soundKey}" (ID: ${soundId}) at object ${
+              targetObject.name || targetObject.uuid
+            }, Volume: ${effectiveVolume}`
+          );
+        },
+        (error) => {
+          console.error(
+            `SpatialAudio: Error loading sound "${soundKey}":`,
+            error
+          );
+          this.activeSounds.delete(soundId); // Clean up if loading failed
+        }
+      );
 
     return soundId;
   }
@@ -239,6 +245,7 @@ export class SpatialAudio extends Script {
     idsToStop.forEach((id) => this.stopSound(id));
 
     this.activeSounds.clear();
+    this.audioBuffers.releaseAll();
     console.log('SpatialAudio Destroyed.');
   }
 }
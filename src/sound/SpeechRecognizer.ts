@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 
 import {Script} from '../core/Script.js';
+import {i18n} from '../i18n/I18n.js';
 
 import {SoundOptions, SpeechRecognizerOptions} from './SoundOptions.js';
 import {SoundSynthesizer} from './SoundSynthesizer.js';
@@ -59,7 +60,7 @@ export class SpeechRecognizer extends Script<SpeechRecognizerEventMap> {
     }
 
     this.recognition = new SpeechRecognitionAPI();
-    this.recognition.lang = this.options.lang;
+    this.recognition.lang = this.options.lang ?? i18n.locale;
     this.recognition.continuous = this.options.continuous;
     this.recognition.interimResults = this.options.interimResults;
 
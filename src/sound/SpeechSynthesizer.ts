@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 
 import {Script} from '../core/Script.js';
+import {i18n} from '../i18n/I18n.js';
 
 import {CategoryVolumes} from './CategoryVolumes.js';
 import {SoundOptions, SpeechSynthesizerOptions} from './SoundOptions.js';
@@ -76,7 +77,7 @@ export class SpeechSynthesizer extends Script {
     );
   }
 
-  speak(text: string, lang = 'en-US', pitch = 1.0, rate = 1.0) {
+  speak(text: string, lang = i18n.locale, pitch = 1.0, rate = 1.0) {
     return new Promise<void>((resolve, reject) => {
       if (!this.synth) {
         console.warn('SpeechSynthesizer: Cannot speak. API not supported.');
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 
 import {VIEW_DEPTH_GAP} from '../../constants';
+import {SceneSerializer} from '../../core/components/SceneSerializer';
 import {TextView, TextViewOptions} from '../components/TextView';
 
 import {MATERIAL_ICONS_FONT_FILE} from './utils/FontFamilies';
@@ -79,6 +80,20 @@ export class IconButton extends TextView {
     Object.assign(this, options);
   }
 
+  /**
+   * Saves the options needed to recreate the button with `core.loadScene()`.
+   */
+  onSerialize(): IconButtonOptions {
+    return {
+      ...super.onSerialize(),
+      backgroundColor: this.mesh.material.color.getHex(),
+      defaultOpacity: this.defaultOpacity,
+      hoverColor: this.hoverColor,
+      hoverOpacity: this.hoverOpacity,
+      selectedOpacity: this.selectedOpacity,
+    };
+  }
+
   /**
    * Initializes the component and sets the render order.
    */
@@ -117,8 +132,9 @@ export class IconButton extends TextView {
    */
   update() {
     if (!this.ux) return;
-    if (this.ux.isHovered() || this.ux.isSelected()) {
-      this.mesh!.material.opacity = this.ux.isSelected()
+    const pressed = this.ux.isSelected() || !!this.poke?.pressed;
+    if (this.ux.isHovered() || pressed) {
+      this.mesh!.material.opacity = pressed
         ? this.selectedOpacity * this.opacity
         : this.hoverOpacity * this.opacity;
     } else {
@@ -143,6 +159,9 @@ export class IconButton extends TextView {
       // interfere with the main button geometry's interaction.
       this.textObj.raycast = () => {};
 
+      // Poking pushes the icon along with the background.
+      if (this.poke) this.poke.plates = [this.mesh, this.textObj];
+
       // Run initial state update
       this.update();
 
@@ -161,3 +180,5 @@ export class IconButton extends TextView {
     this.updateLayout();
   }
 }
+
+SceneSerializer.registerType('IconButton', IconButton);
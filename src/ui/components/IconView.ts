@@ -1,3 +1,4 @@
+import {SceneSerializer} from '../../core/components/SceneSerializer';
 import {TextView, TextViewOptions} from '../components/TextView.js';
 
 import {MATERIAL_ICONS_FONT_FILE} from './utils/FontFamilies';
@@ -23,3 +24,5 @@ export class IconView extends TextView {
     super({font: MATERIAL_ICONS_FONT_FILE, ...options});
   }
 }
+
+SceneSerializer.registerType('IconView', IconView);
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 
+import {SceneSerializer} from '../../core/components/SceneSerializer';
 import {View} from '../core/View';
 import {ViewOptions} from '../core/ViewOptions';
 
@@ -44,6 +45,13 @@ export class ImageView extends View {
     this.add(this.mesh);
   }
 
+  /**
+   * Saves the options needed to recreate the view with `core.loadScene()`.
+   */
+  onSerialize(): ImageViewOptions {
+    return {src: this.src};
+  }
+
   /**
    * Initializes the component. Called once by the XR Blocks lifecycle.
    */
@@ -123,3 +131,5 @@ export class ImageView extends View {
     this.reload();
   }
 }
+
+SceneSerializer.registerType('ImageView', ImageView);
@@ -1,4 +1,5 @@
 import {UI_OVERLAY_LAYER} from '../../constants';
+import {SceneSerializer} from '../../core/components/SceneSerializer';
 
 import {TextView, TextViewOptions} from './TextView';
 
@@ -19,3 +20,5 @@ export class LabelView extends TextView {
     this.textObj!.material.depthWrite = false;
   }
 }
+
+SceneSerializer.registerType('LabelView', LabelView);
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 
 import {VIEW_DEPTH_GAP} from '../../constants';
+import {SceneSerializer} from '../../core/components/SceneSerializer';
 import {getVec4ByColorString} from '../../utils/utils';
 import {TextView, TextViewOptions} from '../components/TextView';
 import {SquircleShader} from '../shaders/SquircleShader';
@@ -22,6 +23,8 @@ export type TextButtonOptions = TextViewOptions & {
 export class TextButton extends TextView {
   /** Default description of this view in Three.js DevTools. */
   name = 'TextButton';
+  /** The background color of the button, as a CSS color string. */
+  backgroundColor = '#000000';
   /** The font size of the text label. */
   fontSize = 0.05;
   /** The color of the text in its default state. */
@@ -61,9 +64,8 @@ export class TextButton extends TextView {
    */
   constructor(options: TextButtonOptions = {}) {
     const geometry = new THREE.PlaneGeometry(1, 1);
-    const colorVec4 = getVec4ByColorString(
-      options.backgroundColor ?? '#000000'
-    );
+    const backgroundColor = options.backgroundColor ?? '#000000';
+    const colorVec4 = getVec4ByColorString(backgroundColor);
 
     const {
       opacity = 0.0,
@@ -90,6 +92,7 @@ export class TextButton extends TextView {
     super(options, geometry, material);
 
     this.uniforms = uniforms;
+    this.backgroundColor = backgroundColor;
     this.opacity = opacity;
 
     // Applies our own overrides to the default values.
@@ -102,6 +105,20 @@ export class TextButton extends TextView {
     this.height = options.height ?? this.height;
   }
 
+  /**
+   * Saves the options needed to recreate the button with `core.loadScene()`.
+   */
+  onSerialize(): TextButtonOptions {
+    return {
+      ...super.onSerialize(),
+      backgroundColor: this.backgroundColor,
+      opacity: this.opacity,
+      radius: this.uniforms.uRadius.value,
+      hoverColor: this.hoverColor,
+      selectedFontColor: this.selectedFontColor,
+    };
+  }
+
   /**
    * Initializes the text object after async dependencies are loaded.
    */
@@ -117,6 +134,9 @@ export class TextButton extends TextView {
     // Disable raycasting on the text part so it doesn't interfere
     // with the main button geometry's interaction.
     this.textObj!.raycast = () => {};
+
+    // Poking pushes the label along with the background.
+    if (this.poke) this.poke.plates = [this.mesh!, this.textObj!];
   }
 
   // TODO: Implement onHoverOver() and onHoverOut().
@@ -128,15 +148,15 @@ export class TextButton extends TextView {
     this.textObj.renderOrder = this.renderOrder + 1;
 
     const ux = this.ux;
-    if (ux.isHovered()) {
-      if (ux.isSelected()) {
-        this.setTextColor(this.selectedFontColor);
-      } else {
-        this.setTextColor(this.hoverColor);
-      }
+    if (this.poke?.pressed || (ux.isHovered() && ux.isSelected())) {
+      this.setTextColor(this.selectedFontColor);
+    } else if (ux.isHovered()) {
+      this.setTextColor(this.hoverColor);
     } else {
       this.setTextColor(this.fontColor);
       this.uniforms.uOpacity.value = this.defaultOpacity * this.opacity;
     }
   }
 }
+
+SceneSerializer.registerType('TextButton', TextButton);
@@ -0,0 +1,53 @@
+import {afterEach, describe, expect, it} from 'vitest';
+
+import {i18n} from '../../i18n/I18n';
+import {I18nOptions} from '../../i18n/I18nOptions';
+
+import {TextView} from './TextView';
+
+describe('TextView', () => {
+  afterEach(() => {
+    i18n.init(new I18nOptions());
+  });
+
+  it('follows the locale from init until dispose', async () => {
+    i18n.init(
+      Object.assign(new I18nOptions(), {
+        locale: 'en',
+        messages: {
+          en: {'app.hello': 'Hello'},
+          es: {'app.hello': 'Hola'},
+          fr: {'app.hello': 'Bonjour'},
+        },
+      })
+    );
+    const view = new TextView({textKey: 'app.hello', useSDFText: false});
+    expect(view.text).toBe('Hello');
+
+    await view.init();
+    i18n.setLocale('es');
+    expect(view.text).toBe('Hola');
+
+    view.dispose();
+    i18n.setLocale('fr');
+    expect(view.text).toBe('Hola');
+  });
+
+  it('stops translating once plain text is set', async () => {
+    i18n.init(
+      Object.assign(new I18nOptions(), {
+        locale: 'en',
+        messages: {en: {'app.hello': 'Hello'}, es: {'app.hello': 'Hola'}},
+      })
+    );
+    const view = new TextView({textKey: 'app.hello', useSDFText: false});
+    await view.init();
+
+    view.setText('Plain');
+    i18n.setLocale('es');
+    expect(view.text).toBe('Plain');
+    expect(view.textKey).toBeUndefined();
+    expect(view.onSerialize()).toMatchObject({text: 'Plain'});
+    view.dispose();
+  });
+});
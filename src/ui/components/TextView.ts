@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import type TroikaThreeText from 'troika-three-text';
 
+import {SceneSerializer} from '../../core/components/SceneSerializer';
+import {i18n} from '../../i18n/I18n';
+import type {MessageParams} from '../../i18n/I18nOptions';
 import {getColorHex} from '../../utils/utils';
 import {View} from '../core/View';
 import {ViewOptions} from '../core/ViewOptions';
@@ -69,6 +72,13 @@ export type TextViewOptions = ViewOptions & {
   imageOffsetX?: number;
   imageOffsetY?: number;
   text?: string;
+  /**
+   * Key of an `i18n` message to display instead of `text`. The text is
+   * translated again whenever the locale changes.
+   */
+  textKey?: string;
+  /** Values for the placeholders of the `textKey` message. */
+  textParams?: MessageParams;
 };
 
 /**
@@ -137,6 +147,11 @@ export class TextView extends View<TextViewEventMap> {
   /** Relative local height. */
   height = 1;
 
+  /** Key of the `i18n` message which is displayed, if any. */
+  textKey?: string;
+  /** Values for the placeholders of the `textKey` message. */
+  textParams?: MessageParams;
+
   /** Fallback HTML canvas to render legacy text. */
   canvas?: HTMLCanvasElement;
   /** Fallback HTML canvas context to render legacy text. */
@@ -147,6 +162,7 @@ export class TextView extends View<TextViewEventMap> {
   lineCount = 0;
 
   private _onSyncCompleteBound = this.onSyncComplete.bind(this);
+  private _onLocaleChangeBound = this.updateTranslatedText.bind(this);
   private _initializeTextCalled = false;
   private _text = 'TextView';
   set text(text) {
@@ -191,25 +207,78 @@ export class TextView extends View<TextViewEventMap> {
     this.imageOffsetX = options.imageOffsetX ?? this.imageOffsetX;
     this.imageOffsetY = options.imageOffsetY ?? this.imageOffsetY;
     this.text = options.text ?? this._text;
+    if (options.textKey) {
+      this.setTextKey(options.textKey, options.textParams);
+    }
+  }
+
+  /**
+   * Saves the options needed to recreate the view with `core.loadScene()`.
+   * Translated views keep their message key instead of the text.
+   */
+  onSerialize(): TextViewOptions {
+    return {
+      useSDFText: this.useSDFText,
+      font: this.font,
+      fontSize: this.fontSize,
+      fontSizeDp: this.fontSizeDp,
+      fontColor: this.fontColor,
+      maxWidth: this.maxWidth,
+      mode: this.mode as TextViewOptions['mode'],
+      anchorX: this.anchorX,
+      anchorY: this.anchorY,
+      textAlign: this.textAlign as TextViewOptions['textAlign'],
+      imageOverlay: this.imageOverlay,
+      imageOffsetX: this.imageOffsetX,
+      imageOffsetY: this.imageOffsetY,
+      ...(this.textKey
+        ? {textKey: this.textKey, textParams: this.textParams}
+        : {text: this.text}),
+    };
   }
 
   /**
    * Initializes the TextView. It waits for the Troika module to be imported
    * and then creates the text object, sets up aspect ratio, and loads overlays.
+   * From now on until disposal, a translated message follows the locale.
    */
   override async init(_?: object) {
+    i18n.addEventListener('localechange', this._onLocaleChangeBound);
+    this.updateTranslatedText();
     this.useSDFText = this.useSDFText && (await importTroika());
     this._initializeText();
   }
 
   /**
-   * Sets the text content of the view.
+   * Sets the text content of the view, replacing any translated message.
    * @param text - The text to be displayed.
    */
   setText(text: string) {
+    this.textKey = undefined;
+    this.textParams = undefined;
     this.text = text;
   }
 
+  /**
+   * Displays a translated `i18n` message, which is updated whenever the
+   * locale changes while the view is initialized, until another key or text
+   * is set.
+   * @param textKey - The key of the message, or undefined to stop updating
+   * the text.
+   * @param textParams - Values for the placeholders of the message.
+   */
+  setTextKey(textKey?: string, textParams?: MessageParams) {
+    this.textKey = textKey;
+    this.textParams = textParams;
+    this.updateTranslatedText();
+  }
+
+  private updateTranslatedText() {
+    if (this.textKey) {
+      this.text = i18n.t(this.textKey, this.textParams);
+    }
+  }
+
   /**
    * Updates the layout of the text object, such as its render order.
    */
@@ -405,6 +474,7 @@ export class TextView extends View<TextViewEventMap> {
    * Disposes of resources used by the TextView, such as event listeners.
    */
   override dispose() {
+    i18n.removeEventListener('localechange', this._onLocaleChangeBound);
     if (
       this.useSDFText &&
       this.textObj &&
@@ -420,3 +490,5 @@ export class TextView extends View<TextViewEventMap> {
     super.dispose();
   }
 }
+
+SceneSerializer.registerType('TextView', TextView);
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 
+import {SceneSerializer} from '../../core/components/SceneSerializer';
 import {User} from '../../core/User';
 import {Draggable, DragMode, HasDraggingMode} from '../../ux/DragManager';
 import {DP_TO_DMM} from '../constants';
@@ -154,6 +155,20 @@ export class Panel extends View implements Draggable, Partial<HasDraggingMode> {
     this.updateLayout();
   }
 
+  /**
+   * Saves the options needed to recreate the panel with `core.loadScene()`.
+   */
+  onSerialize(): PanelOptions {
+    return {
+      backgroundColor: this.backgroundColor,
+      draggable: this.draggable,
+      touchable: this.touchable,
+      isRoot: this.isRoot,
+      showHighlights: this.showHighlights,
+      useBorderlessShader: this.useBorderlessShader,
+    };
+  }
+
   /**
    * Initializes the panel, setting its default position if applicable.
    */
@@ -346,3 +361,5 @@ export class Panel extends View implements Draggable, Partial<HasDraggingMode> {
     return this.height;
   }
 }
+
+SceneSerializer.registerType('Panel', Panel);
@@ -2,6 +2,7 @@ import * as THREE from 'three';
 
 import {VIEW_DEPTH_GAP} from '../../constants';
 import {Script} from '../../core/Script';
+import {PokeInteraction} from '../../ux/PokeInteraction';
 import {DP_TO_DMM} from '../constants';
 
 import type {ViewOptions} from './ViewOptions';
@@ -21,6 +22,26 @@ const worldScale = new THREE.Vector3();
 export class View<
   TEventMap extends THREE.Object3DEventMap = THREE.Object3DEventMap,
 > extends Script<TEventMap> {
+  /**
+   * The layout properties saved by `core.saveScene()`. They are restored after
+   * construction, so they override the defaults of subclasses.
+   */
+  static serializedProperties = [
+    'isRoot',
+    'selectable',
+    'pokeable',
+    'weight',
+    'width',
+    'height',
+    'x',
+    'y',
+    'z',
+    'paddingX',
+    'paddingY',
+    'paddingZ',
+    'opacity',
+  ];
+
   /** Text description of the view */
   name = 'View';
   /** Flag indicating View behaves as a 2D quad in layout calculations. */
@@ -31,6 +52,45 @@ export class View<
   isView = true;
   /** Determines if this view can be targeted by user input. */
   selectable = true;
+  /**
+   * The state of pressing this view with fingertips, only created for views
+   * which are `pokeable`.
+   */
+  poke?: PokeInteraction;
+  /** The pokeable views of the user this view is registered with. */
+  private pokeableViews?: Set<View>;
+
+  /**
+   * Determines if hands can press this view by pushing it with an index
+   * fingertip, alongside selecting it with a ray. Requires `selectable`.
+   */
+  get pokeable() {
+    return this.poke !== undefined;
+  }
+
+  set pokeable(pokeable: boolean) {
+    if (!pokeable) {
+      this.poke = undefined;
+      this.pokeableViews?.delete(this);
+    } else if (!this.poke) {
+      this.poke = new PokeInteraction(this);
+      this.pokeableViews?.add(this);
+    }
+  }
+
+  /**
+   * Registers the view with the pokeable views of a user, which the view
+   * belongs to whenever it is `pokeable`. Called by `User` when the view is
+   * initialized and uninitialized.
+   * @param pokeableViews - The set of the user, or undefined to unregister.
+   */
+  registerPokeable(pokeableViews?: Set<View>) {
+    this.pokeableViews?.delete(this);
+    this.pokeableViews = pokeableViews;
+    if (this.poke) {
+      pokeableViews?.add(this);
+    }
+  }
 
   // --- Layout Properties ---
 
@@ -231,8 +291,8 @@ export class View<
 
   /**
    * Hook called on a complete select action (e.g., a click) when this view is
-   * the target. Intended for override by subclasses.
-   * @param _id - The ID of the controller that triggered the action.
+   * the target, or when it is poked. Intended for override by subclasses.
+   * @param _id - The ID of the controller or hand that triggered the action.
    */
   onTriggered(_id: number) {}
 }
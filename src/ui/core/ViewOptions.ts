@@ -5,6 +5,7 @@ export type ViewOptions = {
   name?: string;
   isRoot?: boolean;
   selectable?: boolean;
+  pokeable?: boolean;
   weight?: number;
   width?: number;
   height?: number;
@@ -20,6 +20,7 @@ import {
 import {ModelViewerPlatform} from './ModelViewerPlatform';
 import {SparkRendererHolder} from '../../utils/SparkRendererHolder';
 import {Registry} from '../../core/components/Registry';
+import {SceneSerializer} from '../../core/components/SceneSerializer';
 
 const defaultPlatformMargin = new THREE.Vector2(0.2, 0.2);
 const vector3 = new THREE.Vector3();
@@ -63,7 +64,8 @@ export class RotationRaycastMesh extends THREE.Mesh<
  * A comprehensive UI component for loading, displaying, and
  * interacting with 3D models (GLTF and Splats) in an XR scene. It
  * automatically creates an interactive platform for translation and provides
- * mechanisms for rotation and scaling in both desktop and XR.
+ * mechanisms for rotation and scaling in both desktop and XR. Grabbing it with
+ * both hands scales, turns and moves it, within the constraints of its `ux`.
  */
 export class ModelViewer extends Script implements Draggable {
   static dependencies = {
@@ -113,6 +115,10 @@ export class ModelViewer extends Script implements Draggable {
     this.castShadow = castShadow;
     this.receiveShadow = receiveShadow;
     this.raycastToChildren = raycastToChildren;
+    // Grabbing the model with both hands scales, turns and moves it, while
+    // it stays upright on its platform.
+    this.ux.lockRotation.x = true;
+    this.ux.lockRotation.z = true;
   }
 
   async init({
@@ -144,6 +150,28 @@ export class ModelViewer extends Script implements Draggable {
     }
   }
 
+  /**
+   * Saves the shadow settings and the loaded model so that `core.loadScene()`
+   * can reload it.
+   */
+  onSerialize() {
+    return {
+      castShadow: this.castShadow,
+      receiveShadow: this.receiveShadow,
+      raycastToChildren: this.raycastToChildren,
+      ...(this.gltfMesh ? {gltf: this.data} : {}),
+      ...(this.splatMesh ? {splat: this.data} : {}),
+    };
+  }
+
+  async onDeserialize(data: {gltf?: GLTFData; splat?: SplatData}) {
+    if (data.gltf) {
+      await this.loadGLTFModel({data: data.gltf});
+    } else if (data.splat) {
+      await this.loadSplatModel({data: data.splat});
+    }
+  }
+
   async loadSplatModel({
     data,
     onSceneLoaded = (_) => {},
@@ -602,3 +630,5 @@ export class ModelViewer extends Script implements Draggable {
     }
   }
 }
+
+SceneSerializer.registerType('ModelViewer', ModelViewer);
@@ -1,3 +1,5 @@
+import {SceneSerializer} from '../../core/components/SceneSerializer';
+
 import {Grid, GridOptions} from './Grid.js';
 
 /**
@@ -17,3 +19,5 @@ export class Col extends Grid {
     super(options);
   }
 }
+
+SceneSerializer.registerType('Col', Col);
@@ -1,3 +1,4 @@
+import {SceneSerializer} from '../../core/components/SceneSerializer';
 import {ExitButton} from '../components/ExitButton';
 import {IconButton, IconButtonOptions} from '../components/IconButton';
 import {IconView} from '../components/IconView';
@@ -26,6 +27,16 @@ export type GridOptions = ViewOptions & {
 };
 
 export class Grid extends View {
+  /** The layout state saved by `core.saveScene()`, see `resetLayout()`. */
+  static serializedProperties = [
+    'rowWeight',
+    'colWeight',
+    'leftWeight',
+    'topWeight',
+    'cols',
+    'rows',
+  ];
+
   static RowClass: typeof Row;
   static ColClass: typeof Col;
   static PanelClass: typeof Panel;
@@ -210,3 +221,5 @@ export class Grid extends View {
     }
   }
 }
+
+SceneSerializer.registerType('Grid', Grid);
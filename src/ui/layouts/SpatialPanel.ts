@@ -1,3 +1,4 @@
+import {SceneSerializer} from '../../core/components/SceneSerializer';
 import {Panel} from '../core/Panel';
 import {PanelOptions} from '../core/PanelOptions';
 
@@ -31,6 +32,17 @@ export class SpatialPanel extends Panel {
     this.mesh.material.visible = options.showEdge !== false;
   }
 
+  /**
+   * Saves the options needed to recreate the panel with `core.loadScene()`.
+   */
+  onSerialize(): SpatialPanelOptions {
+    return {
+      ...super.onSerialize(),
+      dragFacingCamera: this.dragFacingCamera,
+      showEdge: this.mesh.material.visible,
+    };
+  }
+
   update() {
     super.update();
     this._updateInteractionFeedback();
@@ -65,3 +77,5 @@ export class SpatialPanel extends Panel {
     this.mesh.material.uniforms.uReticleUVs.value.set(u1, v1, u2, v2);
   }
 }
+
+SceneSerializer.registerType('SpatialPanel', SpatialPanel);
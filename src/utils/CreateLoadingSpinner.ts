@@ -9,8 +9,10 @@ class LoadingSpinner extends HTMLElement {
       height: 100%;
       background-color: rgba(0, 0, 0, 0.1);
       display: flex;
+      flex-direction: column;
       justify-content: center;
       align-items: center;
+      gap: 12px;
       z-index: 9999;
       transition: visibility 0s, opacity 0.2s linear;
     }
@@ -25,6 +27,12 @@ class LoadingSpinner extends HTMLElement {
       animation: spin 1s linear infinite;
     }
 
+    /* The percentage reported by loadingSpinnerManager.setProgress() */
+    .progress {
+      color: #ffffff;
+      font-family: sans-serif;
+    }
+
     /* The animation is safely scoped inside the shadow DOM */
     @keyframes spin {
       to {
@@ -37,12 +45,27 @@ class LoadingSpinner extends HTMLElement {
     </style>
     <div class="wrapper">
       <div class="spinner"></div>
+      <div class="progress"></div>
     </div>
   `;
+  static observedAttributes = ['progress'];
 
   connectedCallback() {
     const shadowRoot = this.attachShadow({mode: 'open'});
     shadowRoot.innerHTML = LoadingSpinner.innerHTML;
+    this.updateProgress();
+  }
+
+  attributeChangedCallback() {
+    this.updateProgress();
+  }
+
+  private updateProgress() {
+    const element = this.shadowRoot?.querySelector('.progress');
+    const progress = this.getAttribute('progress');
+    if (element) {
+      element.textContent = progress === null ? '' : `${progress}%`;
+    }
   }
 }
 customElements.define('xb-blocks-loading-spinner', LoadingSpinner);
@@ -1,10 +1,26 @@
 import {Registry} from '../core/components/Registry';
 import type {Constructor} from '../utils/Types';
 
+/**
+ * Describes a dependency in more detail than a plain constructor. Create one
+ * with `optional()` or `named()`.
+ */
+export interface DependencyDescriptor<T extends object = object> {
+  type: Constructor<T>;
+  /** Key the instance was registered under, see `Registry.register`. */
+  name?: string;
+  /** Whether to inject `undefined` instead of throwing when not found. */
+  optional?: boolean;
+}
+
+export type Dependency<T extends object = object> =
+  | Constructor<T>
+  | DependencyDescriptor<T>;
+
 // eslint-disable-next-line @typescript-eslint/no-unsafe-function-type
 export type InjectableConstructor = Function & {
   // Static property for dependencies.
-  dependencies?: Record<string, Constructor>;
+  dependencies?: Record<string, Dependency>;
 };
 
 export interface Injectable {
@@ -12,6 +28,44 @@ export interface Injectable {
   constructor: InjectableConstructor; // A reference to its own constructor.
 }
 
+function toDescriptor<T extends object>(
+  dependency: Dependency<T>
+): DependencyDescriptor<T> {
+  return typeof dependency === 'function' ? {type: dependency} : dependency;
+}
+
+/**
+ * Marks a dependency as optional. Missing optional dependencies are injected
+ * as `undefined` instead of throwing.
+ * @example
+ * ```
+ * static dependencies = {deviceCamera: optional(XRDeviceCamera)};
+ * ```
+ * @param dependency - The type or descriptor of the dependency.
+ */
+export function optional<T extends object>(
+  dependency: Dependency<T>
+): DependencyDescriptor<T> {
+  return {...toDescriptor(dependency), optional: true};
+}
+
+/**
+ * Refers to an instance registered under a name, for when there are multiple
+ * instances of the same type.
+ * @example
+ * ```
+ * static dependencies = {music: named(AudioPlayer, 'music')};
+ * ```
+ * @param type - The type of the dependency.
+ * @param name - The name the instance was registered under.
+ */
+export function named<T extends object>(
+  type: Constructor<T>,
+  name: string
+): DependencyDescriptor<T> {
+  return {type, name};
+}
+
 /**
  * Call init on a script or subsystem with dependency injection.
  */
@@ -28,9 +82,13 @@ export async function callInitWithDependencyInjection(
   await script.init(
     Object.fromEntries(
       Object.entries(dependencies).map(([key, value]) => {
-        const dependency = registry.get(value);
-        if (!dependency) {
-          throw new Error(`Dependency not found for key: ${value.name}`);
+        const {type, name, optional} = toDescriptor(value);
+        const dependency = registry.get(type, name);
+        if (!dependency && !optional) {
+          throw new Error(
+            `Dependency not found for key: ${type.name}` +
+              (name === undefined ? '' : ` (name: ${name})`)
+          );
         }
         return [key, dependency];
       })
@@ -33,6 +33,24 @@ export class LoadingSpinnerManager {
     }
   }
 
+  /**
+   * Reports the progress of loads which are not tracked by
+   * THREE.DefaultLoadingManager, such as those of the AssetManager, to the
+   * spinner and the parent iframe.
+   * @param progress - The fraction loaded so far, in [0, 1].
+   */
+  setProgress(progress: number) {
+    const percent = Math.round(progress * 100);
+    this.spinnerElement?.setAttribute('progress', String(percent));
+    window.parent.postMessage(
+      {
+        type: 'XR_LOADING_PROGRESS',
+        payload: {progress, message: `Loading ${percent}%`},
+      },
+      '*'
+    );
+  }
+
   hideSpinner() {
     if (this.spinnerElement) {
       this.spinnerElement.remove();
@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+import {describe, expect, it} from 'vitest';
+
+import {Script} from '../core/Script';
+import {Input} from '../input/Input';
+import {DragManager, DragMode} from './DragManager';
+
+function createDrag() {
+  const input = new Input();
+  const left = new THREE.Group();
+  const right = new THREE.Group();
+  left.position.set(-0.5, 1, -1);
+  right.position.set(0.5, 1, -1);
+  input.controllers.push(left, right);
+  const model = Object.assign(new Script(), {
+    draggable: true,
+    draggingMode: DragMode.TRANSLATING,
+  });
+  model.position.set(0, 1, -1.2);
+  for (const controller of input.controllers) {
+    input.intersectionsForController.set(controller, [
+      {object: model, point: controller.position.clone(), distance: 0.2},
+    ]);
+  }
+  const dragManager = new DragManager();
+  dragManager.init({input, camera: new THREE.PerspectiveCamera()});
+  const grab = (controller: THREE.Object3D) =>
+    dragManager.onSelectStart({target: controller});
+  const release = (controller: THREE.Object3D) =>
+    dragManager.onSelectEnd({target: controller});
+  return {dragManager, model, left, right, grab, release};
+}
+
+describe('DragManager', () => {
+  it('scales, rotates and moves objects held with two hands', () => {
+    const {dragManager, model, left, right, grab} = createDrag();
+    grab(left);
+    grab(right);
+
+    // Pulls the hands apart while turning them a quarter turn, and lifts them.
+    left.position.set(0, 1.5, -2);
+    right.position.set(0, 1.5, 0);
+    dragManager.update();
+
+    expect(model.scale.x).toBeCloseTo(2);
+    const euler = new THREE.Euler().setFromQuaternion(model.quaternion, 'YXZ');
+    expect(euler.y).toBeCloseTo(-Math.PI / 2);
+    // The offset from the midpoint of the hands doubles and turns with them.
+    expect(model.position.x).toBeCloseTo(0.4);
+    expect(model.position.y).toBeCloseTo(1.5);
+    expect(model.position.z).toBeCloseTo(-1);
+  });
+
+  it('applies the axis locks and scale limits of the UX', () => {
+    const {dragManager, model, left, right, grab} = createDrag();
+    model.ux.lockRotation.y = true;
+    model.ux.lockPosition.y = true;
+    model.ux.maxScale = 1.5;
+    grab(left);
+    grab(right);
+
+    left.position.set(0, 1.5, -2);
+    right.position.set(0, 1.5, 0);
+    dragManager.update();
+
+    expect(model.scale.x).toBeCloseTo(1.5);
+    expect(model.quaternion.angleTo(new THREE.Quaternion())).toBeCloseTo(0);
+    expect(model.position.y).toBeCloseTo(1);
+  });
+
+  it('keeps dragging with the other hand when one lets go', () => {
+    const {dragManager, model, left, right, grab, release} = createDrag();
+    grab(left);
+    grab(right);
+    left.position.x -= 0.5;
+    right.position.x += 0.5;
+    dragManager.update();
+    expect(model.scale.x).toBeCloseTo(2);
+
+    release(left);
+    right.position.y += 1;
+    dragManager.update();
+
+    expect(model.scale.x).toBeCloseTo(2);
+    expect(model.position.toArray()).toEqual([0, 2, -1.4]);
+    release(right);
+    right.position.y += 1;
+    dragManager.update();
+    expect(model.position.y).toBeCloseTo(2);
+  });
+});
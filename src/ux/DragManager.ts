@@ -3,12 +3,20 @@ import * as THREE from 'three';
 import {Script, SelectEvent} from '../core/Script';
 import {Input} from '../input/Input';
 import {MouseController} from '../input/MouseController';
+import {TouchController} from '../input/TouchController';
 import {UP} from '../utils/HelperConstants';
+import {clamp} from '../utils/utils';
 
 // Temporary variables.
 const _quaternion = new THREE.Quaternion();
 const _euler = new THREE.Euler();
 const _vector3 = new THREE.Vector3();
+const _vector2 = new THREE.Vector2();
+const _handVector = new THREE.Vector3();
+const _midpoint = new THREE.Vector3();
+const _inverseQuaternion = new THREE.Quaternion();
+
+const AXES = ['x', 'y', 'z'] as const;
 
 export interface Draggable extends THREE.Object3D {
   draggable: boolean;
@@ -36,6 +44,8 @@ export class DragManager extends Script {
   static readonly SCALING = DragMode.SCALING;
   static readonly DO_NOT_DRAG = DragMode.DO_NOT_DRAG;
   private mode = DragManager.IDLE;
+  // The mode to return to when one of two hands lets go.
+  private oneHandedMode = DragManager.TRANSLATING;
   private controller1?: THREE.Object3D;
   private controller2?: THREE.Object3D;
   private originalObjectPosition = new THREE.Vector3();
@@ -45,7 +55,9 @@ export class DragManager extends Script {
   private originalController1RotationInverse = new THREE.Quaternion();
   private originalController1MatrixInverse = new THREE.Matrix4();
   private originalScalingControllerDistance = 0.0;
-  private originalScalingObjectScale = new THREE.Vector3();
+  private originalHandVector = new THREE.Vector3();
+  private originalMidpoint = new THREE.Vector3();
+  private originalTouchAngle = 0.0;
   private intersection?: THREE.Intersection;
   private draggableObject?: Draggable;
   private input!: Input;
@@ -61,14 +73,39 @@ export class DragManager extends Script {
 
   onSelectStart(event: SelectEvent) {
     const controller = event.target;
+    if (
+      controller instanceof TouchController &&
+      this.controller1 instanceof TouchController &&
+      (this.mode == DragManager.TRANSLATING ||
+        this.mode == DragManager.ROTATING)
+    ) {
+      // A second finger anywhere on the screen starts a pinch.
+      this.beginScaling(controller);
+      return;
+    }
     const intersections = this.input.intersectionsForController.get(controller);
     if (intersections && intersections.length > 0) {
       this.beginDragging(intersections[0], controller);
     }
   }
 
-  onSelectEnd() {
+  onSelectEnd(event: SelectEvent) {
+    const controller = event.target;
+    if (controller != this.controller1 && controller != this.controller2) {
+      return;
+    }
+    if (this.mode == DragManager.SCALING) {
+      // Keep dragging with the other hand.
+      const remaining =
+        controller == this.controller1 ? this.controller2! : this.controller1!;
+      this.controller2 = undefined;
+      this.mode = this.oneHandedMode;
+      this.grab(remaining);
+      return;
+    }
     this.mode = DragManager.IDLE;
+    this.controller1 = undefined;
+    this.controller2 = undefined;
     this.intersection = undefined;
     this.draggableObject = undefined;
   }
@@ -90,14 +127,32 @@ export class DragManager extends Script {
       return false;
     }
     if (this.mode != DragManager.IDLE) {
-      // Already dragging, switch to scaling.
-      return this.beginScaling(controller);
+      // Already dragging, switch to two-handed manipulation of the same
+      // object.
+      return (
+        draggableObject == this.draggableObject &&
+        this.mode != DragManager.SCALING &&
+        this.beginScaling(controller)
+      );
     }
     this.draggableObject = draggableObject;
-    this.mode =
+    this.oneHandedMode =
       draggingMode == DragManager.ROTATING
         ? DragManager.ROTATING
         : DragManager.TRANSLATING;
+    this.mode = this.oneHandedMode;
+    this.intersection = intersection;
+    this.grab(controller);
+    return true;
+  }
+
+  /**
+   * Starts moving the dragged object with a single controller from their
+   * current poses.
+   * @param controller - The controller holding the object.
+   */
+  private grab(controller: THREE.Object3D) {
+    const draggableObject = this.draggableObject!;
     this.originalController1Position.copy(controller.position);
     this.originalController1MatrixInverse
       .compose(controller.position, controller.quaternion, controller.scale)
@@ -105,36 +160,50 @@ export class DragManager extends Script {
     this.originalController1RotationInverse
       .copy(controller.quaternion)
       .invert();
-    this.intersection = intersection;
     this.controller1 = controller;
     this.originalObjectRotation.copy(draggableObject.quaternion);
     this.originalObjectPosition.copy(draggableObject.position);
     this.originalObjectScale.copy(draggableObject.scale);
-    return true;
   }
 
-  // Scaling is a two-handed gesture, based on the distance between the two
-  // hands.
+  // Two-handed manipulation: the object moves as if held by both hands. It
+  // scales with the distance between the hands, rotates with the vector
+  // between them and moves with their midpoint. With two fingers on a touch
+  // screen, it scales with the pinch and rotates with the twist of the
+  // fingers.
   beginScaling(controller: THREE.Object3D) {
+    const draggableObject = this.draggableObject!;
     this.controller2 = controller;
-    this.originalScalingControllerDistance = _vector3
-      .subVectors(this.controller1!.position, this.controller2.position)
-      .length();
-    this.originalScalingObjectScale.copy(this.intersection!.object.scale);
+    this.originalObjectRotation.copy(draggableObject.quaternion);
+    this.originalObjectPosition.copy(draggableObject.position);
+    this.originalObjectScale.copy(draggableObject.scale);
     this.mode = DragManager.SCALING;
+    if (this.isTouchPinch()) {
+      const delta = this.getTouchDelta();
+      this.originalScalingControllerDistance = delta.length();
+      this.originalTouchAngle = Math.atan2(delta.y, delta.x);
+      return true;
+    }
+    this.getHandVector(this.originalHandVector);
+    this.originalScalingControllerDistance = this.originalHandVector.length();
+    this.getMidpoint(this.originalMidpoint);
     return true;
   }
 
   updateDragging(controller: THREE.Object3D) {
+    let dragged;
     if (this.mode == DragManager.TRANSLATING) {
-      return this.updateTranslating();
+      dragged = this.updateTranslating();
     } else if (this.mode == DragManager.ROTATING) {
-      return this.updateRotating(controller);
+      dragged = this.updateRotating(controller);
     } else if (this.mode == DragManager.SCALING) {
-      return this.updateScaling();
+      dragged = this.updateScaling();
+    }
+    if (dragged) {
+      this.applyConstraints();
     }
     // Continue handle controller.
-    return false;
+    return dragged ?? false;
   }
 
   updateTranslating() {
@@ -197,15 +266,52 @@ export class DragManager extends Script {
   }
 
   updateScaling() {
-    const newControllerDistance = _vector3
-      .subVectors(this.controller1!.position, this.controller2!.position)
-      .length();
-    const distanceRatio =
-      newControllerDistance / this.originalScalingControllerDistance;
+    if (this.isTouchPinch()) {
+      return this.updateTouchScaling();
+    }
     const model = this.draggableObject!;
-    model.scale
-      .copy(this.originalScalingObjectScale)
-      .multiplyScalar(distanceRatio);
+    const handVector = this.getHandVector(_handVector);
+    const scale = this.constrainScale(
+      this.originalScalingControllerDistance > 0
+        ? handVector.length() / this.originalScalingControllerDistance
+        : 1.0
+    );
+    const rotation = this.constrainRotation(
+      _quaternion.setFromUnitVectors(
+        _vector3.copy(this.originalHandVector).normalize(),
+        handVector.normalize()
+      )
+    );
+    model.scale.copy(this.originalObjectScale).multiplyScalar(scale);
+    model.quaternion.multiplyQuaternions(rotation, this.originalObjectRotation);
+    // The point of the object between the hands stays between them.
+    model.position
+      .subVectors(this.originalObjectPosition, this.originalMidpoint)
+      .multiplyScalar(scale)
+      .applyQuaternion(rotation)
+      .add(this.getMidpoint(_midpoint));
+    return true;
+  }
+
+  updateTouchScaling() {
+    const delta = this.getTouchDelta();
+    const model = this.draggableObject!;
+    if (this.originalScalingControllerDistance > 0) {
+      model.scale
+        .copy(this.originalObjectScale)
+        .multiplyScalar(
+          this.constrainScale(
+            delta.length() / this.originalScalingControllerDistance
+          )
+        );
+    }
+    // Twisting the fingers counter-clockwise turns the object
+    // counter-clockwise as seen from above.
+    const angle = Math.atan2(delta.y, delta.x) - this.originalTouchAngle;
+    model.quaternion.multiplyQuaternions(
+      _quaternion.setFromAxisAngle(UP, angle),
+      this.originalObjectRotation
+    );
     return true;
   }
 
@@ -218,6 +324,100 @@ export class DragManager extends Script {
     );
   }
 
+  /**
+   * Limits a factor on the original scale of the dragged object to the
+   * `minScale` and `maxScale` of its UX.
+   * @param scale - The factor on the scale when the drag started.
+   * @returns The limited factor.
+   */
+  private constrainScale(scale: number) {
+    const ux = this.getDraggableUX();
+    if (!ux) return scale;
+    const original = this.originalObjectScale;
+    return clamp(
+      scale,
+      ux.minScale / Math.min(original.x, original.y, original.z),
+      ux.maxScale / Math.max(original.x, original.y, original.z)
+    );
+  }
+
+  /**
+   * Removes the rotations around the locked axes of the dragged object's UX
+   * from a rotation.
+   * @param rotation - A rotation relative to the start of the drag, which is
+   *     modified in place.
+   */
+  private constrainRotation(rotation: THREE.Quaternion) {
+    const lockRotation = this.getDraggableUX()?.lockRotation;
+    if (!lockRotation || !AXES.some((axis) => lockRotation[axis])) {
+      return rotation;
+    }
+    _euler.setFromQuaternion(rotation, 'YXZ');
+    for (const axis of AXES) {
+      if (lockRotation[axis]) _euler[axis] = 0;
+    }
+    return rotation.setFromEuler(_euler);
+  }
+
+  /**
+   * Keeps the locked position and rotation axes of the dragged object's UX as
+   * they were when the drag started.
+   */
+  private applyConstraints() {
+    const ux = this.getDraggableUX();
+    if (!ux) return;
+    const model = this.draggableObject!;
+    for (const axis of AXES) {
+      if (ux.lockPosition[axis]) {
+        model.position[axis] = this.originalObjectPosition[axis];
+      }
+    }
+    _quaternion.multiplyQuaternions(
+      model.quaternion,
+      _inverseQuaternion.copy(this.originalObjectRotation).invert()
+    );
+    model.quaternion.multiplyQuaternions(
+      this.constrainRotation(_quaternion),
+      this.originalObjectRotation
+    );
+  }
+
+  private getDraggableUX() {
+    return (this.draggableObject as Partial<Script> | undefined)?.ux;
+  }
+
+  private getHandVector(target: THREE.Vector3) {
+    return target.subVectors(
+      this.controller2!.position,
+      this.controller1!.position
+    );
+  }
+
+  private getMidpoint(target: THREE.Vector3) {
+    return target
+      .addVectors(this.controller1!.position, this.controller2!.position)
+      .multiplyScalar(0.5);
+  }
+
+  private isTouchPinch() {
+    return (
+      this.controller1 instanceof TouchController &&
+      this.controller2 instanceof TouchController
+    );
+  }
+
+  /**
+   * Gets the vector between the two fingers of a pinch on screen, corrected
+   * for the aspect ratio.
+   */
+  private getTouchDelta() {
+    const touch1 = this.controller1 as TouchController;
+    const touch2 = this.controller2 as TouchController;
+    _vector2.subVectors(touch2.screenPosition, touch1.screenPosition);
+    _vector2.x *= window.innerWidth / window.innerHeight;
+    return _vector2;
+  }
+
   /**
    * Seach up the scene graph to find the first draggable object and the first
    * drag mode at or below the draggable object.
@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import {describe, expect, it, vi} from 'vitest';
+
+import {ScriptsManager} from '../core/components/ScriptsManager';
+import {User} from '../core/User';
+import {HAND_JOINT_NAMES} from '../input/components/HandJointNames.js';
+import {Hands} from '../input/Hands';
+import {Input} from '../input/Input';
+import type {SoundSynthesizer} from '../sound/SoundSynthesizer';
+import {View} from '../ui/core/View';
+import {PokeInteraction} from './PokeInteraction';
+
+/** A 10 cm square button facing +z, half a meter in front of the origin. */
+function createButton() {
+  const button = new View(
+    {pokeable: true},
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial()
+  );
+  button.scale.setScalar(0.1);
+  button.position.set(0, 1, -0.5);
+  button.updateMatrixWorld();
+  return button;
+}
+
+/** A fingertip `depth` behind the resting front of the button. */
+function fingertip(depth: number, x = 0) {
+  return new THREE.Vector3(x, 1, -0.5 - depth);
+}
+
+/**
+ * A user with tracked hands in the scene, and the sounds it plays. Views are
+ * poked once initialized by the scripts manager.
+ */
+function createUser(
+  scene: THREE.Scene,
+  scriptsManager = new ScriptsManager(async () => {})
+) {
+  const hands = [0, 1].map(() => {
+    const hand = new THREE.Group() as unknown as THREE.XRHandSpace;
+    hand.joints = {};
+    for (const name of HAND_JOINT_NAMES) {
+      hand.joints[name] = new THREE.Group() as THREE.XRJointSpace;
+      hand.add(hand.joints[name]);
+    }
+    scene.add(hand);
+    return hand;
+  });
+  const playPresetTone = vi.fn();
+  const user = new User();
+  user.init({
+    input: new Input(),
+    scene,
+    soundSynthesizer: {playPresetTone} as unknown as SoundSynthesizer,
+    scriptsManager,
+    timer: new THREE.Timer(),
+  });
+  user.hands = new Hands(hands);
+  /** Moves the first index fingertip to `depth` behind the button. */
+  const pokeAt = (depth: number) => {
+    hands[0].joints['index-finger-tip']!.position.copy(fingertip(depth));
+    scene.updateMatrixWorld();
+    user.updatePokeState();
+  };
+  return {user, scriptsManager, pokeAt, playPresetTone};
+}
+
+describe('PokeInteraction', () => {
+  it('presses past the threshold and releases with hysteresis', () => {
+    const button = createButton();
+    const poke = button.poke!;
+    const push = (depth: number) => poke.update([undefined, fingertip(depth)]);
+
+    expect(push(-0.03)).toBeUndefined();
+    expect(push(0.004)).toBeUndefined();
+    expect(button.mesh!.position.z).toBeCloseTo(-0.04);
+    expect(push(0.007)).toBe('press');
+    expect(poke.handIndex).toBe(1);
+    // Pushing further only moves the plate to the end of its travel.
+    expect(push(0.05)).toBeUndefined();
+    expect(poke.travel).toBeCloseTo(0.01);
+    expect(push(0.004)).toBeUndefined();
+    expect(poke.pressed).toBe(true);
+    expect(push(0.002)).toBe('release');
+    expect(push(-0.01)).toBeUndefined();
+    expect(button.mesh!.position.z).toBe(0);
+  });
+
+  it('ignores fingertips from behind or beside the button', () => {
+    const poke = createButton().poke!;
+    const push = (depth: number, x = 0) => poke.update([fingertip(depth, x)]);
+
+    // Reaching through from behind.
+    for (const depth of [0.1, 0.05, 0.008, 0.002]) {
+      expect(push(depth)).toBeUndefined();
+    }
+    // Beside the button.
+    push(-0.02, 0.2);
+    expect(push(0.008, 0.2)).toBeUndefined();
+    expect(poke.travel).toBe(0);
+    // Sliding in from the side, in front of the plate.
+    push(-0.02, 0.04);
+    expect(push(0.008, 0.04)).toBe('press');
+  });
+
+  it('triggers selectable views poked by the user', async () => {
+    const scene = new THREE.Scene();
+    const {user, scriptsManager, pokeAt, playPresetTone} = createUser(scene);
+    const button = createButton();
+    const onTriggered = vi.spyOn(button, 'onTriggered');
+    scene.add(button);
+    await scriptsManager.initScript(button);
+
+    pokeAt(-0.02);
+    pokeAt(0.008);
+    expect(onTriggered).toHaveBeenCalledWith(0);
+    expect(playPresetTone).toHaveBeenCalledWith('CLICK');
+
+    // Releases when the button can no longer be selected.
+    button.selectable = false;
+    user.updatePokeState();
+    expect(button.poke!.pressed).toBe(false);
+    expect(button.mesh!.position.z).toBe(0);
+  });
+
+  it('reports errors thrown by onTriggered and keeps poking', async () => {
+    const scene = new THREE.Scene();
+    const scriptsManager = new ScriptsManager(async () => {});
+    const reported: unknown[][] = [];
+    scriptsManager.onScriptError = (...args) => reported.push(args);
+    const consoleError = vi
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+    const {pokeAt, playPresetTone} = createUser(scene, scriptsManager);
+    const button = createButton();
+    const error = new Error('Broken button.');
+    button.onTriggered = () => {
+      throw error;
+    };
+    scene.add(button);
+    await scriptsManager.initScript(button);
+
+    pokeAt(-0.02);
+    expect(() => pokeAt(0.008)).not.toThrow();
+    expect(reported).toEqual([[error, button, 'onTriggered']]);
+    expect(playPresetTone).toHaveBeenCalledWith('CLICK');
+    pokeAt(0);
+    expect(button.poke!.pressed).toBe(false);
+    consoleError.mockRestore();
+  });
+
+  it('only pokes initialized views while they are pokeable', async () => {
+    const scene = new THREE.Scene();
+    const button = createButton();
+    scene.add(button);
+    const scriptsManager = new ScriptsManager(async () => {});
+    // Views initialized before the user are registered too.
+    await scriptsManager.initScript(button);
+    const {pokeAt} = createUser(scene, scriptsManager);
+    const other = createButton();
+    scene.add(other);
+    const onTriggered = vi.spyOn(button, 'onTriggered');
+    const onOtherTriggered = vi.spyOn(other, 'onTriggered');
+
+    pokeAt(-0.02);
+    pokeAt(0.008);
+    expect(onTriggered).toHaveBeenCalledOnce();
+    expect(onOtherTriggered).not.toHaveBeenCalled();
+
+    // Releases the button when it stops being pokeable.
+    const poke = button.poke!;
+    button.pokeable = false;
+    pokeAt(0.008);
+    expect(poke.pressed).toBe(false);
+
+    // Stops poking the button once it is uninitialized.
+    button.pokeable = true;
+    scriptsManager.uninitScript(button);
+    pokeAt(-0.02);
+    pokeAt(0.008);
+    expect(onTriggered).toHaveBeenCalledOnce();
+  });
+
+  it('is only created for pokeable views', () => {
+    const view = new View();
+    expect(view.poke).toBeUndefined();
+    view.pokeable = true;
+    const poke = view.poke;
+    expect(poke).toBeInstanceOf(PokeInteraction);
+    view.pokeable = true;
+    expect(view.poke).toBe(poke);
+    view.pokeable = false;
+    expect(view.poke).toBeUndefined();
+  });
+});
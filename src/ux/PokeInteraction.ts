@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+
+import type {SOUND_PRESETS} from '../sound/SoundSynthesizer';
+import type {View} from '../ui/core/View';
+
+export type PokeEventType = 'press' | 'release';
+
+// Temporary variables.
+const _inverse = new THREE.Matrix4();
+const _local = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+
+/**
+ * PokeInteraction lets index fingertips press a view, e.g. a button, by
+ * pushing its front plate along the view's normal (+z), as with a physical
+ * button. The plate moves back with the fingertip up to `maxTravel`, presses
+ * past `pressThreshold` and releases below `releaseThreshold`.
+ *
+ * A fingertip only pushes the plate after approaching it from the front, so
+ * that reaching through a button from behind does not press it. The `User`
+ * updates it every frame for views which are `pokeable` and `selectable`.
+ */
+export class PokeInteraction {
+  /** How far the plate travels when pushed all the way, in meters. */
+  maxTravel = 0.01;
+
+  /** The fraction of `maxTravel` at which the view is pressed. */
+  pressThreshold = 0.6;
+
+  /**
+   * The fraction of `maxTravel` below which a pressed view is released. Lower
+   * than `pressThreshold`, so that a fingertip resting at the threshold does
+   * not press repeatedly.
+   */
+  releaseThreshold = 0.3;
+
+  /**
+   * How far in front of the plate, in meters, a fingertip must come from to
+   * push it.
+   */
+  approachDistance = 0.05;
+
+  /** The sound played when pressed, or null for none. */
+  pressSound: keyof typeof SOUND_PRESETS | null = 'CLICK';
+
+  /** The sound played when released, or null for none. */
+  releaseSound: keyof typeof SOUND_PRESETS | null = null;
+
+  /**
+   * The objects which travel with the plate, by default the view's mesh.
+   * Views with a label add it, so that the label is pushed too.
+   */
+  plates: THREE.Object3D[] = [];
+
+  /** How far the plate is pushed, in meters. */
+  travel = 0;
+
+  /** Whether the view is pressed. */
+  pressed = false;
+
+  /** The hand pushing the plate furthest, or -1 if none. */
+  handIndex = -1;
+
+  /** Whether each hand's fingertip approached the plate from the front. */
+  private approached: boolean[] = [];
+
+  /** The resting z of each plate while it is pushed. */
+  private restingZ = new Map<THREE.Object3D, number>();
+
+  /**
+   * @param parent - The view to press.
+   */
+  constructor(public parent: View) {}
+
+  /**
+   * Pushes the plate with the fingertips.
+   * @param fingertips - The world positions of the index fingertips of each
+   *     hand, undefined for hands which are not tracked.
+   * @returns Whether the view was pressed or released by this update.
+   */
+  update(
+    fingertips: readonly (THREE.Vector3 | undefined)[]
+  ): PokeEventType | undefined {
+    const view = this.parent;
+    const mesh = view.mesh;
+    (mesh ?? view).updateWorldMatrix(true, false);
+    _origin.setFromMatrixPosition(view.matrixWorld);
+    _normal.setFromMatrixColumn(view.matrixWorld, 2).normalize();
+    const geometry = mesh?.geometry;
+    if (geometry && !geometry.boundingBox) geometry.computeBoundingBox();
+    const bounds = geometry?.boundingBox;
+    _inverse.copy((mesh ?? view).matrixWorld).invert();
+
+    let travel = 0;
+    let handIndex = -1;
+    fingertips.forEach((fingertip, index) => {
+      if (!fingertip) {
+        this.approached[index] = false;
+        return;
+      }
+      _local.copy(fingertip).applyMatrix4(_inverse);
+      const inside =
+        !bounds ||
+        (_local.x >= bounds.min.x &&
+          _local.x <= bounds.max.x &&
+          _local.y >= bounds.min.y &&
+          _local.y <= bounds.max.y);
+      // How far the fingertip is behind the plate's resting position.
+      const depth = _offset.subVectors(_origin, fingertip).dot(_normal);
+      if (!inside || depth < -this.approachDistance) {
+        this.approached[index] = false;
+      } else if (depth < 0) {
+        this.approached[index] = true;
+      }
+      if (this.approached[index] && depth > travel) {
+        travel = Math.min(depth, this.maxTravel);
+        handIndex = index;
+      }
+    });
+    this.travel = travel;
+    this.handIndex = handIndex;
+    this.movePlates();
+
+    if (!this.pressed && travel >= this.pressThreshold * this.maxTravel) {
+      this.pressed = true;
+      return 'press';
+    }
+    if (this.pressed && travel <= this.releaseThreshold * this.maxTravel) {
+      this.pressed = false;
+      return 'release';
+    }
+    return undefined;
+  }
+
+  /** Releases the plate, e.g. when the view can no longer be poked. */
+  reset() {
+    this.approached.length = 0;
+    this.travel = 0;
+    this.handIndex = -1;
+    this.pressed = false;
+    this.movePlates();
+  }
+
+  private movePlates() {
+    const plates = this.plates.length
+      ? this.plates
+      : this.parent.mesh
+        ? [this.parent.mesh]
+        : [];
+    if (this.travel <= 0) {
+      for (const [plate, z] of this.restingZ) plate.position.z = z;
+      this.restingZ.clear();
+      return;
+    }
+    const scale = this.parent.getWorldScale(_scale).z;
+    for (const plate of plates) {
+      if (!this.restingZ.has(plate)) {
+        this.restingZ.set(plate, plate.position.z);
+      }
+      plate.position.z = this.restingZ.get(plate)! - this.travel / scale;
+    }
+  }
+}
@@ -85,6 +85,32 @@ export class UX {
    */
   initialDistance?: number;
 
+  // --- Drag Constraints ---
+
+  /**
+   * Axes of the parent's space along which dragging may not move the parent
+   * object.
+   */
+  lockPosition = {x: false, y: false, z: false};
+
+  /**
+   * Axes of the parent's space around which dragging may not rotate the
+   * parent object, e.g. `x` and `z` to keep it upright.
+   */
+  lockRotation = {x: false, y: false, z: false};
+
+  /**
+   * The smallest scale to which dragging, e.g. with two hands, may shrink the
+   * parent object.
+   */
+  minScale = 0;
+
+  /**
+   * The largest scale to which dragging, e.g. with two hands, may grow the
+   * parent object.
+   */
+  maxScale = Infinity;
+
   /**
    * @param parent - The script or object that owns this UX instance.
    */
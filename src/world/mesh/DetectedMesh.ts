@@ -1,6 +1,12 @@
 import * as THREE from 'three';
 import type RAPIER_NS from 'rapier3d';
 
+/** The parts of an `XRMesh` used to build a `DetectedMesh`. */
+export type DetectedMeshData = Pick<
+  XRMesh,
+  'vertices' | 'indices' | 'lastChangedTime' | 'semanticLabel'
+>;
+
 export class DetectedMesh extends THREE.Mesh {
   private RAPIER?: typeof RAPIER_NS;
   private rigidBody?: RAPIER_NS.RigidBody;
@@ -9,7 +15,7 @@ export class DetectedMesh extends THREE.Mesh {
   private lastChangedTime = 0;
   semanticLabel?: string;
 
-  constructor(mesh: XRMesh, material: THREE.Material) {
+  constructor(mesh: DetectedMeshData, material: THREE.Material) {
     const geometry = new THREE.BufferGeometry();
     geometry.setAttribute(
       'position',
@@ -35,7 +41,7 @@ export class DetectedMesh extends THREE.Mesh {
     this.collider = blendedWorld.createCollider(colliderDesc, this.rigidBody);
   }
 
-  updateVertices(mesh: XRMesh) {
+  updateVertices(mesh: DetectedMeshData) {
     if (mesh.lastChangedTime === this.lastChangedTime) return;
     this.lastChangedTime = mesh.lastChangedTime;
     const geometry = new THREE.BufferGeometry();
@@ -3,6 +3,7 @@ import * as THREE from 'three';
 import {Script} from '../../core/Script';
 import {DetectedMesh} from './DetectedMesh';
 import {MeshDetectionOptions} from './MeshDetectionOptions';
+import {SimulatorMesh} from './SimulatorMesh';
 import {Physics} from '../../physics/Physics';
 
 const SEMANTIC_LABELS = ['Floor', 'Ceiling', 'Wall', 'Table'];
@@ -19,6 +20,8 @@ export class MeshDetector extends Script {
   private fallbackDebugMaterial: THREE.Material | null = null;
   xrMeshToThreeMesh = new Map<XRMesh, DetectedMesh>();
   threeMeshToXrMesh = new Map<DetectedMesh, XRMesh>();
+  /** Meshes set with `setSimulatorMeshes`, which are not backed by WebXR. */
+  simulatorMeshes: DetectedMesh[] = [];
   private renderer!: THREE.WebGLRenderer;
   private physics?: Physics;
   private defaultMaterial = new THREE.MeshBasicMaterial({visible: false});
@@ -56,6 +59,41 @@ export class MeshDetector extends Script {
     for (const [_, mesh] of this.xrMeshToThreeMesh.entries()) {
       mesh.initRapierPhysics(physics.RAPIER, physics.blendedWorld);
     }
+    for (const mesh of this.simulatorMeshes) {
+      mesh.initRapierPhysics(physics.RAPIER, physics.blendedWorld);
+    }
+  }
+
+  /**
+   * Replaces the simulator meshes, e.g. with the meshes of a session
+   * recording. Meshes set by an earlier call are removed.
+   * @param meshes - The meshes to add.
+   */
+  setSimulatorMeshes(meshes: SimulatorMesh[]) {
+    for (const threeMesh of this.simulatorMeshes) {
+      threeMesh.geometry.dispose();
+      this.remove(threeMesh);
+    }
+    this.simulatorMeshes = meshes.map((mesh) => {
+      const material =
+        (mesh.semanticLabel && this.debugMaterials.get(mesh.semanticLabel)) ||
+        this.fallbackDebugMaterial ||
+        this.defaultMaterial;
+      const threeMesh = new DetectedMesh(
+        {...mesh, lastChangedTime: 0},
+        material
+      );
+      threeMesh.position.copy(mesh.position);
+      threeMesh.quaternion.copy(mesh.quaternion);
+      this.add(threeMesh);
+      if (this.physics) {
+        threeMesh.initRapierPhysics(
+          this.physics.RAPIER,
+          this.physics.blendedWorld
+        );
+      }
+      return threeMesh;
+    });
   }
 
   updateMeshes(_timestamp: number, frame?: XRFrame) {
@@ -0,0 +1,18 @@
+import * as THREE from 'three';
+
+export interface SimulatorMesh {
+  /** Semantic label of the mesh (e.g., 'Floor', 'Table'). */
+  semanticLabel?: string;
+
+  /** The origin of the mesh in World Space. */
+  position: THREE.Vector3;
+
+  /** Rotation of the mesh in World Space. */
+  quaternion: THREE.Quaternion;
+
+  /** Vertex positions in Local Space, 3 numbers per vertex. */
+  vertices: Float32Array;
+
+  /** Triangle indices into the vertices. */
+  indices: Uint32Array;
+}
@@ -9,6 +9,7 @@ import {
   transformRgbUvToWorld,
 } from '../../camera/CameraUtils';
 import {XRDeviceCamera} from '../../camera/XRDeviceCamera';
+import {EventBus} from '../../core/components/EventBus';
 import {Script} from '../../core/Script';
 import {Depth} from '../../depth/Depth';
 import {parseBase64DataURL} from '../../utils/utils';
@@ -30,6 +31,7 @@ export class ObjectDetector extends Script {
     depth: Depth,
     camera: THREE.Camera,
     renderer: THREE.WebGLRenderer,
+    events: EventBus,
   };
 
   /**
@@ -52,6 +54,7 @@ export class ObjectDetector extends Script {
   private depth!: Depth;
   private camera!: THREE.PerspectiveCamera;
   private renderer!: THREE.WebGLRenderer;
+  private events!: EventBus;
 
   targetDevice = 'galaxyxr';
 
@@ -67,6 +70,7 @@ export class ObjectDetector extends Script {
     depth,
     camera,
     renderer,
+    events,
   }: {
     options: WorldOptions;
     ai: AI;
@@ -75,6 +79,7 @@ export class ObjectDetector extends Script {
     depth: Depth;
     camera: THREE.PerspectiveCamera;
     renderer: THREE.WebGLRenderer;
+    events: EventBus;
   }) {
     this.options = options;
     this.ai = ai;
@@ -83,6 +88,7 @@ export class ObjectDetector extends Script {
     this.depth = depth;
     this.camera = camera;
     this.renderer = renderer;
+    this.events = events;
     this._geminiConfig = this._buildGeminiConfig();
 
     if (this.options.objects.showDebugVisualizations) {
@@ -254,6 +260,7 @@ export class ObjectDetector extends Script {
           if (this._debugVisualsGroup) {
             this._createDebugVisual(object);
           }
+          this.events.publish('world/objectDetected', {object});
           return object;
         }
       });
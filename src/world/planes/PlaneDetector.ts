@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 
+import {EventBus} from '../../core/components/EventBus';
 import {Script} from '../../core/Script';
 import {WorldOptions} from '../WorldOptions';
 
@@ -11,13 +12,22 @@ import {SimulatorPlane} from './SimulatorPlane';
  * API. It creates, updates, and removes `Plane` mesh objects in the scene.
  */
 export class PlaneDetector extends Script {
-  static dependencies = {options: WorldOptions, renderer: THREE.WebGLRenderer};
+  static dependencies = {
+    options: WorldOptions,
+    renderer: THREE.WebGLRenderer,
+    events: EventBus,
+  };
 
   /**
    * A map from the WebXR `XRPlane` object to our custom `DetectedPlane` mesh.
    */
   private _detectedPlanes = new Map<XRPlane, DetectedPlane>();
 
+  /**
+   * Planes set with `setSimulatorPlanes`, which are not backed by WebXR.
+   */
+  private _simulatorPlanes: DetectedPlane[] = [];
+
   /**
    * The material used for visualizing planes when debugging.
    */
@@ -28,6 +38,7 @@ export class PlaneDetector extends Script {
    */
   private _xrRefSpace?: XRReferenceSpace;
   private renderer!: THREE.WebGLRenderer;
+  private events!: EventBus;
 
   private usingSimulatorPlanes = false;
 
@@ -37,11 +48,14 @@ export class PlaneDetector extends Script {
   override init({
     options,
     renderer,
+    events,
   }: {
     options: WorldOptions;
     renderer: THREE.WebGLRenderer;
+    events: EventBus;
   }) {
     this.renderer = renderer;
+    this.events = events;
     if (options.planes.showDebugVisualizations) {
       this._debugMaterial = new THREE.MeshBasicMaterial({
         color: 0xffff00,
@@ -57,8 +71,8 @@ export class PlaneDetector extends Script {
   override update(_: number, frame: XRFrame) {
     if (!frame || !frame.detectedPlanes || this.usingSimulatorPlanes) return;
 
-    this._xrRefSpace =
-      this._xrRefSpace || this.renderer.xr.getReferenceSpace() || undefined;
+    // The reference space changes when the user moves with locomotion.
+    this._xrRefSpace = this.renderer.xr.getReferenceSpace() || undefined;
 
     if (!this._xrRefSpace) return;
 
@@ -104,6 +118,7 @@ export class PlaneDetector extends Script {
 
     this._detectedPlanes.set(xrPlane, planeMesh);
     this.add(planeMesh);
+    this.events.publish('world/planeAdded', {plane: planeMesh});
     return planeMesh;
   }
 
@@ -173,7 +188,10 @@ export class PlaneDetector extends Script {
    *     matching the criteria.
    */
   get(label?: string) {
-    const allPlanes = Array.from(this._detectedPlanes.values());
+    const allPlanes = [
+      ...this._detectedPlanes.values(),
+      ...this._simulatorPlanes,
+    ];
     if (!label) {
       return allPlanes;
     }
@@ -196,14 +214,25 @@ export class PlaneDetector extends Script {
       this._debugMaterial || new THREE.MeshBasicMaterial({visible: false});
     const planeMesh = new DetectedPlane(null, material, plane);
     this.add(planeMesh);
+    this.events.publish('world/planeAdded', {plane: planeMesh});
     return planeMesh;
   }
 
+  /**
+   * Replaces the detected planes with planes which are not backed by WebXR,
+   * e.g. from the simulator scene or a session recording. Planes set by an
+   * earlier call are removed.
+   * @param planes - The planes to add.
+   */
   setSimulatorPlanes(planes: SimulatorPlane[]) {
     this.usingSimulatorPlanes = true;
     this._detectedPlanes.clear();
-    for (const plane of planes) {
-      this._addSimulatorPlaneMesh(plane);
+    for (const planeMesh of this._simulatorPlanes) {
+      planeMesh.geometry.dispose();
+      this.remove(planeMesh);
     }
+    this._simulatorPlanes = planes.map((plane) =>
+      this._addSimulatorPlaneMesh(plane)
+    );
   }
 }
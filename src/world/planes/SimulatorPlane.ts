@@ -23,4 +23,7 @@ export interface SimulatorPlane {
    * Since +Y is normal, these points lie on the flat surface.
    */
   polygon: THREE.Vector2[];
+
+  /** Optional semantic label (e.g., 'floor', 'table'), defaults to the type. */
+  label?: string;
 }
@@ -7,13 +7,22 @@ export * from './ai/AI';
 export * from './ai/AIOptions';
 export * from './ai/Gemini';
 export * from './ai/OpenAI';
+export * from './animation/Easing';
+export * from './animation/Tween';
+export * from './animation/TweenManager';
+export * from './assets/AssetManager';
+export * from './assets/AssetOptions';
 export * from './camera/CameraOptions';
 export * from './camera/CameraUtils';
 export * from './camera/CameraParameterUtils';
 export * from './camera/XRDeviceCamera';
 export * from './constants';
+export * from './core/components/CancellationToken';
+export * from './core/components/EventBus';
+export * from './core/components/Profiler';
 export * from './core/components/Raycaster';
 export * from './core/components/Registry';
+export * from './core/components/SceneSerializer';
 export * from './core/components/ScreenshotSynthesizer';
 export * from './core/components/ScriptsManager';
 export * from './core/components/WaitFrame';
@@ -29,19 +38,38 @@ export * from './depth/DepthOptions';
 export * from './depth/DepthTextures';
 export * from './depth/occlusion/OcclusionPass';
 export * from './depth/occlusion/OcclusionUtils';
+export * from './i18n/DefaultMessages';
+export * from './i18n/I18n';
+export * from './i18n/I18nOptions';
+export * from './input/ActionMap';
+export * from './input/ActionMapOptions';
 export * from './input/components/HandJointNames';
 export * from './input/GazeController';
+export * from './input/HandJointHistory';
 export * from './input/Hands';
 export * from './input/HandsOptions';
 export * from './input/gestures/GestureRecognition';
 export * from './input/gestures/GestureRecognitionOptions';
 export * from './input/gestures/GestureEvents';
+export * from './input/gestures/GestureTemplates';
+export * from './input/gestures/TemporalGestures';
+export * from './input/gestures/CameraHandTracker';
+export * from './input/gestures/providers/HandLandmarkProvider';
+export * from './input/gestures/providers/MediaPipeHandLandmarkProvider';
+export * from './input/gestures/providers/TfjsHandLandmarkProvider';
 export * from './input/Input';
 export * from './input/MouseController';
+export * from './input/TouchController';
 export * from './lighting/Lighting';
 export * from './lighting/LightingOptions';
+export * from './locomotion/ComfortVignette';
+export * from './locomotion/Locomotion';
+export * from './locomotion/TeleportArc';
 export * from './physics/Physics';
 export * from './physics/PhysicsOptions';
+export * from './recording/SessionPlayer';
+export * from './recording/SessionRecorder';
+export * from './recording/SessionRecording';
 export * from './simulator/controlModes/SimulatorControlMode';
 export * from './simulator/events/SimulatorEvents';
 export * from './simulator/handPoses/HandPoseJoints';
@@ -53,6 +81,7 @@ export * from './simulator/SimulatorControllerState';
 export * from './simulator/SimulatorControls';
 export * from './simulator/SimulatorDepth';
 export * from './simulator/SimulatorDepthMaterial';
+export * from './simulator/SimulatorGestures';
 export * from './simulator/SimulatorHands';
 export * from './simulator/SimulatorInterface';
 export * from './simulator/SimulatorMediaDeviceInfo';
@@ -113,6 +142,7 @@ export * from './utils/SparkRendererHolder';
 export * from './utils/Types';
 export * from './utils/utils';
 export * from './ux/DragManager';
+export * from './ux/PokeInteraction';
 export * from './ux/UX';
 export * from './video/VideoFileStream';
 export * from './video/VideoStream';